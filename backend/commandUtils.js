@@ -4,6 +4,9 @@
 // Import required modules for command execution
 const { exec } = require('child_process');
 const pty = require('node-pty');
+const ptySessions = require('./utils/ptySessions');
+const commandTokenizer = require('./utils/commandTokenizer');
+const processManager = require('./utils/processManager');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -281,43 +284,50 @@ const fileOperations = {
 
 /**
  * Process Operations
- * These functions will handle process management
+ * These functions handle process management (see utils/processManager.js)
  */
 const processOperations = {
-    // TODO: Implement process listing
-    list: async () => {
+    // List running processes from /proc (filter and sort options as in processManager.listProcesses)
+    list: async (options = {}) => {
         console.log('Listing running processes');
-        // Implementation will go here
+        return processManager.listProcesses(options);
     },
     
-    // TODO: Implement process killing
-    kill: async (pid) => {
+    // Kill a process the user started (SIGTERM, then SIGKILL); callers confirm first and pass
+    // the start time they confirmed (see processManager.killProcess)
+    kill: async (pid, options = {}) => {
         console.log(`Killing process: ${pid}`);
-        // Implementation will go here
+        return processManager.killProcess(pid, options);
     }
 };
 
 /**
  * Editor Operations
- * These functions will handle nano editor operations
+ * These functions handle nano editor sessions (see utils/ptySessions.js); the
+ * terminal output is streamed to the user's /ws connections
  */
 const editorOperations = {
-    // TODO: Implement nano editor opening
-    open: async (filePath) => {
+    // Open nano with a file in a terminal session in the user's workspace (there is no shared one)
+    open: async (filePath, username, workingDir) => {
+        if (!username || !workingDir) {
+            return { success: false, message: 'The editor needs a logged-in user and their workspace', code: 'E_NO_USER' };
+        }
         console.log(`Opening nano editor with file: ${filePath}`);
-        // Implementation will go here
+        return ptySessions.openSession(username, commandTokenizer.formatPipeline({
+            stages: [{ argv: ['nano', filePath] }]
+        }), { cwd: workingDir });
     },
     
-    // TODO: Implement nano editor saving
-    save: async () => {
+    // Save the file in the user's active editor session (Ctrl+O)
+    save: async (username) => {
         console.log('Saving nano editor content');
-        // Implementation will go here
+        return ptySessions.sendAction(username, 'save');
     },
     
-    // TODO: Implement nano editor closing
-    close: async () => {
+    // Close the user's active editor session (Ctrl+X)
+    close: async (username) => {
         console.log('Closing nano editor');
-        // Implementation will go here
+        return ptySessions.sendAction(username, 'close');
     }
 };
 
@@ -1,83 +1,317 @@
 // VOICE-CMD Memory Module
-// Persistent memory storage with context awareness
+// Persistent memory storage with context awareness, kept per user in
+// data/users/<username>/memory.json; there is no shared memory for callers without a user
 
 const fs = require("fs").promises;
 const path = require("path");
+const auth = require("./utils/auth");
+const legacyFiles = require("./utils/legacyFiles");
 
-const memoryFile = path.join(__dirname, "memory.json");
+// Where all users' memory used to live; migrateLegacyMemory moves it into per-user files
+const legacyMemoryFile = path.join(__dirname, "memory.json");
+const legacyBackupFile = path.join(__dirname, "memory.legacy.json");
+// Old shared memory that belongs to no known user, kept until MEMORY_MIGRATION_USER names an owner
+const unclaimedMemoryFile = path.join(__dirname, "data", "system", "memory.unclaimed.json");
 
-// Helper to load memory from file
-async function loadMemory() {
+// Commands kept in each user's recent history
+const MAX_HISTORY = 10;
+
+// Types a saved value can have; without an explicit type it is inferred from the text
+const VALUE_TYPES = ["string", "number", "date", "list", "path"];
+// Values saved without a "namespace:" prefix go here
+const DEFAULT_NAMESPACE = "general";
+// Words ignored when matching a search against saved values
+const SEARCH_STOPWORDS = new Set(["a", "an", "the", "my", "our", "your", "i", "me", "you", "is", "are",
+  "of", "for", "about", "to", "in", "on", "at", "and", "or", "what", "do", "know", "anything"]);
+
+// Units a spoken duration can use ("one week", "3 days")
+const DURATION_UNITS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3 };
+
+// Memory file of a user; throws with code E_NO_USER when there is no user
+function getMemoryFile(username) {
+  if (!username) {
+    const error = new Error("Memory needs a logged-in user");
+    error.code = "E_NO_USER";
+    throw error;
+  }
+  return auth.getUserMemoryFile(username);
+}
+
+function emptyMemory() {
+  return {
+    userData: {},
+    commandHistory: [],
+    context: {},
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+// Helper to load memory from file (expired values are left out)
+async function loadMemory(username) {
+  const memoryFile = getMemoryFile(username);
   try {
     const data = await fs.readFile(memoryFile, "utf-8");
-    return JSON.parse(data);
+    const memory = { ...emptyMemory(), ...JSON.parse(data) };
+    const now = Date.now();
+    for (const [key, item] of Object.entries(memory.userData)) {
+      if (item.expiresAt && new Date(item.expiresAt).getTime() <= now) {
+        delete memory.userData[key];
+      }
+    }
+    return memory;
   } catch (err) {
     // If file doesn't exist, return empty object with default structure
-    return {
-      userData: {},
-      commandHistory: [],
-      context: {},
-      lastUpdated: new Date().toISOString()
-    };
+    return emptyMemory();
   }
 }
 
 // Helper to save memory object back to file
-async function saveMemoryToFile(memory) {
+async function saveMemoryToFile(username, memory) {
+  const memoryFile = getMemoryFile(username);
   memory.lastUpdated = new Date().toISOString();
+  await fs.mkdir(path.dirname(memoryFile), { recursive: true });
   await fs.writeFile(memoryFile, JSON.stringify(memory, null, 2), "utf-8");
 }
 
-// Save a key-value pair into memory
-async function saveMemory(key, value) {
-  const memory = await loadMemory();
-  memory.userData[key] = {
-    value: value,
+// Split "project:deadline" into its namespace and name
+function parseKey(key) {
+  const text = String(key).trim();
+  const match = text.match(/^([a-z][\w-]*):\s*(\S.*)$/i);
+  return match
+    ? { namespace: match[1].toLowerCase(), name: match[2], key: `${match[1].toLowerCase()}:${match[2]}` }
+    : { namespace: DEFAULT_NAMESPACE, name: text, key: text };
+}
+
+// Find a saved value: the exact key, then ignoring case, then a name that is unique across namespaces
+function findEntry(memory, key) {
+  const { key: fullKey, name } = parseKey(key);
+  if (memory.userData[fullKey]) return fullKey;
+  const keys = Object.keys(memory.userData);
+  const sameKey = keys.find(candidate => candidate.toLowerCase() === fullKey.toLowerCase());
+  if (sameKey) return sameKey;
+  const sameName = keys.filter(candidate => parseKey(candidate).name.toLowerCase() === name.toLowerCase());
+  return sameName.length === 1 ? sameName[0] : null;
+}
+
+// Parse a date: ISO dates, today/tomorrow/yesterday, or anything Date understands
+function parseDate(text) {
+  const lower = text.toLowerCase();
+  const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (lower in offsets) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + offsets[lower]);
+    return date;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return new Date(`${text}T00:00:00`);
+  }
+  const date = new Date(text);
+  return /\d/.test(text) && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Guess the type of a value from its text
+function inferType(text) {
+  if (/^-?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?$/.test(text)) return "number";
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(text) || /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(text)) return "date";
+  if (/^(~|\.{1,2})?\/\S*$/.test(text) || /^[\w.-]+\/[\w./-]*$/.test(text)) return "path";
+  if (text.includes(",")) return "list";
+  return "string";
+}
+
+// Convert spoken or typed text to a value of the given (or inferred) type
+function parseTypedValue(raw, type) {
+  const text = String(raw).trim();
+  const valueType = type ? String(type).toLowerCase().replace(/^text$/, "string") : inferType(text);
+  if (!VALUE_TYPES.includes(valueType)) {
+    return { error: `Unknown type "${type}" (use ${VALUE_TYPES.join(", ")})` };
+  }
+
+  switch (valueType) {
+    case "number": {
+      const number = Number(text.replace(/,/g, ""));
+      return Number.isFinite(number) && text !== ""
+        ? { value: number, type: valueType }
+        : { error: `"${text}" is not a number` };
+    }
+    case "date": {
+      const date = parseDate(text);
+      return date ? { value: date.toISOString(), type: valueType } : { error: `"${text}" is not a date` };
+    }
+    case "list":
+      return { value: text.split(/\s*,\s*(?:and\s+)?|\s+and\s+/).filter(Boolean), type: valueType };
+    default:
+      return { value: text, type: valueType };
+  }
+}
+
+// Show a saved value as text
+function formatValue(item) {
+  if (Array.isArray(item.value)) return item.value.join(", ");
+  if (item.type === "date") {
+    const date = new Date(item.value);
+    return date.getHours() === 0 && date.getMinutes() === 0 ? date.toLocaleDateString() : date.toLocaleString();
+  }
+  return String(item.value);
+}
+
+// Parse a spoken duration ("one week", "3 days", "an hour") into milliseconds, or null
+function parseDuration(text) {
+  const match = String(text || "").trim().toLowerCase()
+    .match(/^(?:(\d+(?:\.\d+)?)|(a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)|a (couple|few) of)\s*(minute|min|hour|hr|day|week|month|year)s?$/);
+  if (!match) return null;
+  const count = match[1] ? parseFloat(match[1]) : NUMBER_WORDS[match[2] || match[3]];
+  const unit = { min: "minute", hr: "hour" }[match[4]] || match[4];
+  return count > 0 ? count * DURATION_UNITS[unit] : null;
+}
+
+// Split the options spoken after a value: "10.0.0.5 for one week tagged servers, network as a string"
+// -> { value: "10.0.0.5", ttlMs, tags: ["servers", "network"], type: "string" }
+function parseValueOptions(text) {
+  let value = String(text).trim();
+  const options = { tags: [] };
+  for (;;) {
+    const type = value.match(/^(.*\S)\s+as\s+(?:a|an)\s+(string|text|number|date|list|path)$/i);
+    if (type && !options.type) {
+      value = type[1];
+      options.type = type[2].toLowerCase();
+      continue;
+    }
+    const tags = value.match(/^(.*\S)\s+tagged\s+(\S.*)$/i);
+    if (tags && options.tags.length === 0) {
+      value = tags[1];
+      options.tags = tags[2].split(/\s*,\s*|\s+and\s+/).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      continue;
+    }
+    const duration = value.match(/^(.*\S)\s+for\s+(\S.*)$/i);
+    if (duration && options.ttlMs === undefined && parseDuration(duration[2]) !== null) {
+      value = duration[1];
+      options.ttlMs = parseDuration(duration[2]);
+      continue;
+    }
+    return { value, ...options };
+  }
+}
+
+// Describe a saved value for results
+function describeEntry(key, item) {
+  const { namespace, name } = parseKey(key);
+  return {
+    key: key,
+    name: name,
+    namespace: item.namespace || namespace,
+    value: item.value,
+    type: item.type || "string",
+    tags: item.tags || [],
+    timestamp: item.timestamp,
+    expiresAt: item.expiresAt || null
+  };
+}
+
+// Save a value into memory
+// options: type (inferred when missing), tags, ttlMs (forgotten after this long)
+async function saveMemory(username, key, value, options = {}) {
+  const parsedKey = parseKey(key);
+  const parsed = parseTypedValue(value, options.type);
+  if (parsed.error) {
+    return { status: "error", message: parsed.error, key: parsedKey.key };
+  }
+
+  const memory = await loadMemory(username);
+  // Saving again replaces the value but keeps its tags unless new ones are given
+  const existingKey = findEntry(memory, key);
+  const existing = existingKey && existingKey.toLowerCase() === parsedKey.key.toLowerCase() ? memory.userData[existingKey] : null;
+  if (existing && existingKey !== parsedKey.key) {
+    delete memory.userData[existingKey];
+  }
+
+  const item = {
+    value: parsed.value,
+    type: parsed.type,
+    namespace: parsedKey.namespace,
+    tags: options.tags && options.tags.length ? [...new Set(options.tags)] : (existing && existing.tags) || [],
     timestamp: new Date().toISOString()
   };
-  await saveMemoryToFile(memory);
+  if (options.ttlMs) {
+    item.expiresAt = new Date(Date.now() + options.ttlMs).toISOString();
+  }
+  memory.userData[parsedKey.key] = item;
+  await saveMemoryToFile(username, memory);
   return { 
     status: "success", 
-    message: `Memory saved: "${key}" = "${value}"`,
-    key: key,
-    value: value
+    message: `Memory saved: "${parsedKey.key}" = "${formatValue(item)}"`,
+    ...describeEntry(parsedKey.key, item)
   };
 }
 
 // Get a single memory value by key
-async function getMemory(key) {
-  const memory = await loadMemory();
-  const item = memory.userData[key];
-  if (item) {
+async function getMemory(username, key) {
+  const memory = await loadMemory(username);
+  const found = findEntry(memory, key);
+  if (found) {
     return {
-      value: item.value,
-      timestamp: item.timestamp,
+      ...describeEntry(found, memory.userData[found]),
+      text: formatValue(memory.userData[found]),
       found: true
     };
   }
   return { found: false, message: `Memory not found: "${key}"` };
 }
 
-// Get all memory
-async function getAllMemory() {
-  const memory = await loadMemory();
+// Remove a single memory value
+async function deleteMemory(username, key) {
+  const memory = await loadMemory(username);
+  const found = findEntry(memory, key);
+  if (!found) {
+    return { status: "error", message: `Memory not found: "${key}"` };
+  }
+  delete memory.userData[found];
+  await saveMemoryToFile(username, memory);
+  return { status: "success", message: `Forgot "${found}"`, key: found };
+}
+
+// Add tags to a saved value
+async function tagMemory(username, key, tags) {
+  const memory = await loadMemory(username);
+  const found = findEntry(memory, key);
+  if (!found) {
+    return { status: "error", message: `Memory not found: "${key}"` };
+  }
+  const item = memory.userData[found];
+  item.tags = [...new Set([...(item.tags || []), ...tags.map(tag => tag.toLowerCase())])];
+  await saveMemoryToFile(username, memory);
+  return { status: "success", message: `Tagged "${found}" with ${item.tags.join(", ")}`, key: found, tags: item.tags };
+}
+
+// Get all memory, or only one namespace's values
+async function getAllMemory(username, namespace = null) {
+  const memory = await loadMemory(username);
+  const userData = namespace
+    ? Object.fromEntries(Object.entries(memory.userData)
+      .filter(([key, item]) => describeEntry(key, item).namespace === namespace.toLowerCase()))
+    : memory.userData;
   return {
-    userData: memory.userData,
+    userData: userData,
+    entries: Object.entries(userData).map(([key, item]) => ({ ...describeEntry(key, item), text: formatValue(item) })),
     commandHistory: memory.commandHistory,
     context: memory.context,
     lastUpdated: memory.lastUpdated,
-    totalItems: Object.keys(memory.userData).length
+    totalItems: Object.keys(userData).length
   };
 }
 
 // Clear all memory
-async function clearMemory() {
-  await saveMemoryToFile({
-    userData: {},
-    commandHistory: [],
-    context: {},
-    lastUpdated: new Date().toISOString()
-  });
+async function clearMemory(username) {
+  await saveMemoryToFile(username, emptyMemory());
   return { 
     status: "success", 
     message: "All memory cleared successfully" 
@@ -85,8 +319,8 @@ async function clearMemory() {
 }
 
 // Add command to history
-async function addCommandToHistory(command, result) {
-  const memory = await loadMemory();
+async function addCommandToHistory(username, command, result) {
+  const memory = await loadMemory(username);
   
   const historyEntry = {
     command: command,
@@ -96,29 +330,29 @@ async function addCommandToHistory(command, result) {
   
   memory.commandHistory.unshift(historyEntry);
   
-  // Keep only last 10 commands
-  if (memory.commandHistory.length > 10) {
-    memory.commandHistory = memory.commandHistory.slice(0, 10);
+  // Keep only the most recent commands
+  if (memory.commandHistory.length > MAX_HISTORY) {
+    memory.commandHistory = memory.commandHistory.slice(0, MAX_HISTORY);
   }
   
-  await saveMemoryToFile(memory);
+  await saveMemoryToFile(username, memory);
   return historyEntry;
 }
 
 // Get recent command history
-async function getCommandHistory(limit = 5) {
-  const memory = await loadMemory();
+async function getCommandHistory(username, limit = 5) {
+  const memory = await loadMemory(username);
   return memory.commandHistory.slice(0, limit);
 }
 
 // Set context information
-async function setContext(key, value) {
-  const memory = await loadMemory();
+async function setContext(username, key, value) {
+  const memory = await loadMemory(username);
   memory.context[key] = {
     value: value,
     timestamp: new Date().toISOString()
   };
-  await saveMemoryToFile(memory);
+  await saveMemoryToFile(username, memory);
   return { 
     status: "success", 
     message: `Context set: "${key}" = "${value}"` 
@@ -126,8 +360,8 @@ async function setContext(key, value) {
 }
 
 // Get context information
-async function getContext(key) {
-  const memory = await loadMemory();
+async function getContext(username, key) {
+  const memory = await loadMemory(username);
   const item = memory.context[key];
   if (item) {
     return {
@@ -139,32 +373,56 @@ async function getContext(key) {
   return { found: false, message: `Context not found: "${key}"` };
 }
 
-// Search memory for partial matches
-async function searchMemory(query) {
-  const memory = await loadMemory();
+// Words of a text for matching: lowercase, without filler words, plurals reduced ("servers" -> "server")
+function searchWords(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}._-]+/u)
+    .filter(word => word && !SEARCH_STOPWORDS.has(word))
+    .map(word => word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word);
+}
+
+// Search memory: saved values are ranked by how many query words match their name, tags,
+// namespace or value (or contain the whole query); context entries match by substring
+async function searchMemory(username, query) {
+  const memory = await loadMemory(username);
   const results = [];
+  const lowerQuery = query.toLowerCase();
+  const queryWords = searchWords(query);
   
   // Search in user data
   for (const [key, item] of Object.entries(memory.userData)) {
-    if (key.toLowerCase().includes(query.toLowerCase()) || 
-        item.value.toLowerCase().includes(query.toLowerCase())) {
+    const entry = describeEntry(key, item);
+    const nameWords = searchWords(entry.name);
+    const tagWords = entry.tags.flatMap(searchWords);
+    const valueWords = searchWords(formatValue(item));
+    let score = 0;
+    for (const word of queryWords) {
+      if (nameWords.includes(word) || tagWords.includes(word)) score += 3;
+      else if (entry.namespace === word) score += 2;
+      else if (valueWords.includes(word)) score += 1;
+    }
+    if (key.toLowerCase().includes(lowerQuery) || formatValue(item).toLowerCase().includes(lowerQuery)) {
+      score += 1;
+    }
+    if (score > 0) {
       results.push({
         type: 'userData',
-        key: key,
-        value: item.value,
-        timestamp: item.timestamp
+        ...entry,
+        text: formatValue(item),
+        score: score
       });
     }
   }
+  results.sort((a, b) => b.score - a.score);
   
   // Search in context
   for (const [key, item] of Object.entries(memory.context)) {
-    if (key.toLowerCase().includes(query.toLowerCase()) || 
-        item.value.toLowerCase().includes(query.toLowerCase())) {
+    if (key.toLowerCase().includes(lowerQuery) || 
+        String(item.value).toLowerCase().includes(lowerQuery)) {
       results.push({
         type: 'context',
         key: key,
         value: item.value,
+        text: String(item.value),
         timestamp: item.timestamp
       });
     }
@@ -178,10 +436,20 @@ async function searchMemory(query) {
 }
 
 // Get memory statistics
-async function getMemoryStats() {
-  const memory = await loadMemory();
+async function getMemoryStats(username) {
+  const memory = await loadMemory(username);
+  // namespace -> { items, expiring, types: { type -> count } }
+  const namespaces = {};
+  for (const [key, item] of Object.entries(memory.userData)) {
+    const entry = describeEntry(key, item);
+    const stats = namespaces[entry.namespace] || (namespaces[entry.namespace] = { items: 0, expiring: 0, types: {} });
+    stats.items++;
+    if (entry.expiresAt) stats.expiring++;
+    stats.types[entry.type] = (stats.types[entry.type] || 0) + 1;
+  }
   return {
     totalUserData: Object.keys(memory.userData).length,
+    namespaces: namespaces,
     totalContext: Object.keys(memory.context).length,
     totalCommands: memory.commandHistory.length,
     lastUpdated: memory.lastUpdated,
@@ -189,9 +457,120 @@ async function getMemoryStats() {
   };
 }
 
+// Read a memory file written by an older version, or null when there is none
+async function readOldMemoryFile(file) {
+  try {
+    return { ...emptyMemory(), ...JSON.parse(await fs.readFile(file, "utf-8")) };
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+// Move the old shared memory.json into per-user files (run at startup; see utils/legacyFiles.js).
+// Context entries were already namespaced ("alice:last_file") and go to their user; saved values,
+// command history and context of no known user go to MEMORY_MIGRATION_USER. Entries the user
+// already has are kept. The backup is memory.legacy.json next to the old file.
+// options.legacyFile and options.unclaimedFile replace the default locations.
+async function migrateLegacyMemory(options = {}) {
+  const legacyFile = options.legacyFile || legacyMemoryFile;
+  const unclaimedFile = options.unclaimedFile || unclaimedMemoryFile;
+  const legacy = await readOldMemoryFile(legacyFile);
+  const unclaimed = await readOldMemoryFile(unclaimedFile);
+  if (!legacy && !unclaimed) {
+    return { migrated: false };
+  }
+
+  const users = await auth.listUsers();
+  const owner = process.env.MEMORY_MIGRATION_USER || null;
+  if (owner && !users.some(user => user.username === owner)) {
+    throw new Error(`MEMORY_MIGRATION_USER "${owner}" is not a registered user`);
+  }
+  if (!legacy && !owner) {
+    return { migrated: false, unclaimedFile: unclaimedFile };
+  }
+
+  // username -> part of the old memory that belongs to them
+  const parts = new Map();
+  const partFor = (username) => {
+    if (!parts.has(username)) {
+      parts.set(username, { userData: {}, commandHistory: [], context: {} });
+    }
+    return parts.get(username);
+  };
+  // Whatever belongs to no known user (set aside earlier, then from the old file)
+  const unowned = {
+    userData: unclaimed ? unclaimed.userData : {},
+    commandHistory: unclaimed ? unclaimed.commandHistory : [],
+    context: unclaimed ? unclaimed.context : {}
+  };
+
+  if (legacy) {
+    Object.assign(unowned.userData, legacy.userData);
+    unowned.commandHistory.push(...legacy.commandHistory);
+    for (const [key, item] of Object.entries(legacy.context)) {
+      const match = key.match(/^([^:]+):(.+)$/);
+      const known = match && users.some(user => user.username === match[1]);
+      if (known) {
+        partFor(match[1]).context[match[2]] = item;
+      } else {
+        unowned.context[key] = item;
+      }
+    }
+  }
+  if (owner) {
+    const part = partFor(owner);
+    part.userData = { ...unowned.userData, ...part.userData };
+    part.commandHistory = unowned.commandHistory;
+    part.context = { ...unowned.context, ...part.context };
+  }
+
+  const summary = [];
+  for (const [username, part] of parts) {
+    const memory = await loadMemory(username);
+    memory.userData = { ...part.userData, ...memory.userData };
+    memory.context = { ...part.context, ...memory.context };
+    memory.commandHistory = [...memory.commandHistory, ...part.commandHistory]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_HISTORY);
+    await saveMemoryToFile(username, memory);
+    summary.push({
+      username: username,
+      userData: Object.keys(part.userData).length,
+      context: Object.keys(part.context).length,
+      commands: part.commandHistory.length
+    });
+  }
+
+  const setAside = owner ? null : {
+    userData: Object.keys(unowned.userData).length,
+    context: Object.keys(unowned.context).length,
+    commands: unowned.commandHistory.length
+  };
+  const keepAside = Boolean(setAside && (setAside.userData || setAside.context || setAside.commands));
+  await legacyFiles.saveUnclaimed(unclaimedFile, keepAside ? { ...unowned, lastUpdated: new Date().toISOString() } : null);
+
+  const backupFile = legacy
+    ? await legacyFiles.backUpLegacyFile(legacyFile, path.join(path.dirname(legacyFile), path.basename(legacyBackupFile)))
+    : null;
+
+  return {
+    migrated: true,
+    owner: owner,
+    users: summary,
+    unclaimed: keepAside ? setAside : null,
+    unclaimedFile: unclaimedFile,
+    backupFile: backupFile
+  };
+}
+
 module.exports = {
   saveMemory,
   getMemory,
+  deleteMemory,
+  tagMemory,
   getAllMemory,
   clearMemory,
   addCommandToHistory,
@@ -199,7 +578,9 @@ module.exports = {
   setContext,
   getContext,
   searchMemory,
-  getMemoryStats
+  getMemoryStats,
+  migrateLegacyMemory,
+  parseValueOptions,
+  parseDuration,
+  VALUE_TYPES
 };
-
-
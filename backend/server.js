@@ -5,19 +5,28 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 const { exec } = require('child_process');
+const { pipeline } = require('stream/promises');
 const commandUtils = require('./utils/commandUtils');
+const FileOperations = require('./utils/fileOps');
+const intentGrammar = require('./utils/intentGrammar'); // Intent rules loaded from backend/intents
+const contextResolver = require('./utils/contextResolver'); // Follow-up references ("it", "that file")
 const tts = require('./tts'); // Added for Step 7 - TTS support
 const memory = require('./memory'); // Added for Step 11 - Memory support
 const security = require('./utils/security'); // Added for Step 12 - Security support
 const logger = require('./utils/logger'); // Enhanced logging system
 const commandHistory = require('./utils/commandHistory'); // Command history management
 const scheduler = require('./utils/scheduler'); // Command scheduler
+const macros = require('./utils/macros'); // Named command sequences per user
 const auth = require('./utils/auth'); // Authentication and user management
 const wsManager = require('./utils/ws'); // WebSocket real-time communication
+const jobManager = require('./utils/jobManager'); // Streaming command jobs
+const processManager = require('./utils/processManager'); // Process listing and kills
+const confirmations = require('./utils/confirmations'); // Tokens for confirming destructive actions
+const fileJournal = require('./utils/fileJournal'); // Undo/redo journal and trash for file operations
+const archives = require('./utils/archives'); // Zip and tar archives for folder downloads
 
 // Initialize Express app
 const app = express();
@@ -31,9 +40,6 @@ const CONFIG = {
     SECURITY_ENABLED: true // Set to true to enable security sandboxing
 };
 
-// VOICE-CMD working directory
-const WORKING_DIR = path.join(os.homedir(), 'Desktop', 'VOICE-CMD');
-
 // Middleware setup
 app.use(cors()); // Enable CORS for cross-origin requests
 app.use(express.json()); // Parse JSON requests
@@ -42,16 +48,143 @@ app.use(express.json()); // Parse JSON requests
 app.get('/', (req, res) => {
     res.json({
         status: "Backend server running",
-        workingDir: WORKING_DIR,
         features: ["File Operations", "Shell Commands", "TTS Support", "Speech-to-Text", "Persistent Memory", "Security Sandboxing"]
     });
 });
 
+/**
+ * Build the execution context for a user's command
+ * Progress of large folder operations is pushed to the user's WebSocket clients.
+ * @param {string} username - User running the command
+ * @param {Object} extra - Additional context (job, confirmed)
+ * @returns {Object} - Context for commandUtils.executeCommand
+ */
+function commandContext(username, extra = {}) {
+    return {
+        username,
+        onProgress: progress => wsManager.broadcastFileProgress(username, progress),
+        ...extra
+    };
+}
+
+/**
+ * Record a command result (logs, history, WebSocket event, TTS) and build the /command response
+ * @param {string} username - User that ran the command
+ * @param {string} commandText - Command as received
+ * @param {Object} result - Result from commandUtils.executeCommand
+ * @returns {Promise<Object>} - Response body { status, message, code, data }
+ */
+async function recordCommandResult(username, commandText, result) {
+    const resultStatus = result.success ? 'success'
+        : (result.blocked ? 'blocked' : (result.needsConfirmation ? 'needs_confirmation' : 'error'));
+    
+    // Enhanced logging
+    if (CONFIG.LOG_COMMANDS) {
+        const logStatus = resultStatus.toUpperCase();
+        logger.logCommand(
+            commandText,
+            logStatus,
+            result.result
+        );
+    }
+    
+    // Add to command history (user-specific)
+    const timestamp = new Date().toISOString();
+    await commandHistory.addCommandForUser(username, {
+        command: commandText,
+        status: resultStatus,
+        result: result.result,
+        timestamp: timestamp,
+        code: result.code || null
+    });
+
+    // Broadcast command executed event via WebSocket
+    wsManager.broadcastCommandExecuted(
+        username,
+        commandText,
+        result.result,
+        resultStatus
+    );
+    
+    // Let every client of the user offer the pending confirmation
+    if (result.confirmation) {
+        wsManager.broadcastConfirmationRequired(username, commandText, result.confirmation);
+    }
+    
+    // Text-to-Speech (if enabled) - with error handling
+    if (CONFIG.TTS_ENABLED && result.success) {
+        tts.speakText(result.result).catch(ttsError => {
+            console.log('TTS: Error speaking text:', ttsError.message);
+            // Don't fail the request if TTS fails
+        });
+    }
+    
+    // Determine response status and message with error codes
+    let status, message, code;
+    if (result.blocked) {
+        status = "blocked";
+        message = "Command blocked by security rules";
+        code = "E_COMMAND_BLOCKED";
+    } else if (result.success) {
+        status = "success";
+        message = result.result || "Command executed successfully";
+        code = "SUCCESS";
+    } else if (result.needsConfirmation) {
+        status = "needs_confirmation";
+        message = result.result;
+        code = result.code;
+    } else {
+        status = "error";
+        message = result.result || "Command execution failed";
+        code = result.code || "E_COMMAND_FAILED";
+    }
+    
+    return {
+        status: status,
+        message: message,
+        code: code,
+        data: {
+            command: commandText,
+            result: result.success ? result.result : null,
+            error: result.success ? null : (result.result || "Unknown error"),
+            ...(result.resolvedCommand ? { resolvedCommand: result.resolvedCommand } : {}),
+            ...(result.confidence !== undefined ? { confidence: result.confidence } : {}),
+            ...(result.confidence < 1 ? { interpreted: result.interpreted } : {}),
+            ...(result.suggestions ? { suggestions: result.suggestions } : {}),
+            ...(result.confirmation ? { confirmation: result.confirmation } : {})
+        }
+    };
+}
+
+/**
+ * Build the response for a dry run (nothing is logged or added to history)
+ * @param {string} commandText - Command as received
+ * @param {Object} result - Result from commandUtils.previewCommand
+ * @param {Object} extraData - Additional fields for the response data
+ * @returns {Object} - Response body { status, message, code, data }
+ */
+function buildPreviewResponse(commandText, result, extraData = {}) {
+    return {
+        status: result.success ? "success" : "error",
+        message: result.result,
+        code: result.success ? "DRY_RUN" : (result.code || "E_COMMAND_FAILED"),
+        data: {
+            command: commandText,
+            result: result.success ? result.result : null,
+            error: result.success ? null : result.result,
+            dryRun: true,
+            preview: result.preview || null,
+            ...(result.resolvedCommand ? { resolvedCommand: result.resolvedCommand } : {}),
+            ...extraData
+        }
+    };
+}
+
 // Voice command processing endpoint
 // This handles voice commands from the frontend
 app.post('/command', auth.requireAuth, async (req, res) => {
     try {
-        const { commandText } = req.body;
+        const { commandText, stream, dryRun } = req.body;
         
         // Validate that commandText exists
         if (!commandText) {
@@ -81,72 +214,55 @@ app.post('/command', auth.requireAuth, async (req, res) => {
             });
         }
         
-        // Execute the command using the new command utils
-        const result = await commandUtils.executeCommand(commandText);
-        
-        // Enhanced logging
-        if (CONFIG.LOG_COMMANDS) {
-            const logStatus = result.success ? 'SUCCESS' : (result.blocked ? 'BLOCKED' : 'ERROR');
-            logger.logCommand(
-                commandText,
-                logStatus,
-                result.result
-            );
+        // Dry run: show what would happen without running anything or touching history
+        if (dryRun === true) {
+            const preview = await commandUtils.previewCommand(commandText, { username: req.user.username });
+            return res.json(buildPreviewResponse(commandText, preview));
         }
         
-        // Add to command history (user-specific)
-        const timestamp = new Date().toISOString();
-        await commandHistory.addCommandForUser(req.user.username, {
-            command: commandText,
-            status: result.success ? 'success' : (result.blocked ? 'blocked' : 'error'),
-            result: result.result,
-            timestamp: timestamp,
-            code: result.code || null
-        });
-
-        // Broadcast command executed event via WebSocket
-        wsManager.broadcastCommandExecuted(
-            req.user.username,
-            commandText,
-                result.result,
-            result.success ? 'success' : (result.blocked ? 'blocked' : 'error')
-        );
-        
-        // Text-to-Speech (if enabled) - with error handling
-        if (CONFIG.TTS_ENABLED && result.success) {
-            tts.speakText(result.result).catch(ttsError => {
-                console.log('TTS: Error speaking text:', ttsError.message);
-                // Don't fail the request if TTS fails
+        // Streaming mode: answer with a job id right away and push output over WebSocket
+        if (stream) {
+            const username = req.user.username;
+            const job = jobManager.createJob(username, commandText, {
+                onOutput: (outputStream, chunk) => wsManager.broadcastJobOutput(username, job.id, outputStream, chunk)
+            });
+            
+            commandUtils.executeCommand(commandText, commandContext(username, { job }))
+                .then(result => recordCommandResult(username, commandText, result))
+                .then(response => {
+                    response.data.jobId = job.id;
+                    jobManager.finishJob(job.id, response.status);
+                    wsManager.broadcastJobFinished(username, job.id, response);
+                })
+                .catch(error => {
+                    console.error(`Error running job ${job.id}:`, error);
+                    jobManager.finishJob(job.id, 'error');
+                    wsManager.broadcastJobFinished(username, job.id, {
+                        status: "error",
+                        message: `Internal server error: ${error.message}`,
+                        code: "E_INTERNAL_ERROR",
+                        data: { command: commandText, result: null, error: error.message, jobId: job.id }
+                    });
+                });
+            
+            return res.status(202).json({
+                status: "running",
+                message: `Command started as job ${job.id}`,
+                code: "JOB_STARTED",
+                data: {
+                    command: commandText,
+                    jobId: job.id,
+                    result: null,
+                    error: null
+                }
             });
         }
         
-        // Determine response status and message with error codes
-        let status, message, code;
-        if (result.blocked) {
-            status = "blocked";
-            message = "Command blocked by security rules";
-            code = "E_COMMAND_BLOCKED";
-        } else if (result.success) {
-            status = "success";
-            message = result.result || "Command executed successfully";
-            code = "SUCCESS";
-        } else {
-            status = "error";
-            message = result.result || "Command execution failed";
-            code = result.code || "E_COMMAND_FAILED";
-        }
+        // Execute the command using the new command utils
+        const result = await commandUtils.executeCommand(commandText, commandContext(req.user.username));
         
         // Return consistent JSON response
-        res.json({
-            status: status,
-            message: message,
-            code: code,
-            data: {
-                command: commandText,
-                result: result.success ? result.result : null,
-                error: result.success ? null : (result.result || "Unknown error")
-            }
-        });
+        res.json(await recordCommandResult(req.user.username, commandText, result));
         
     } catch (error) {
         console.error('Error processing command:', error);
@@ -174,21 +290,500 @@ app.post('/command', auth.requireAuth, async (req, res) => {
     }
 });
 
+// POST /command/confirm - Run (or cancel) a destructive command that is waiting for confirmation
+app.post('/command/confirm', auth.requireAuth, async (req, res) => {
+    try {
+        const { token, cancel } = req.body || {};
+        
+        if (!token) {
+            return res.status(400).json({
+                status: "error",
+                message: "Missing token in request body",
+                code: "E_MISSING_TOKEN",
+                data: { command: "", result: null, error: "Missing token in request body" }
+            });
+        }
+        
+        res.json(await confirmCommand(req.user.username, token, cancel === true));
+        
+    } catch (error) {
+        console.error('Error confirming command:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Internal server error: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { command: "", result: null, error: error.message }
+        });
+    }
+});
+
+/**
+ * Run or cancel a pending confirmation and record the outcome like a command
+ * Shared by POST /command/confirm and the WebSocket "confirm" message.
+ * @param {string} username - User presenting the token
+ * @param {string} token - Confirmation token
+ * @param {boolean} cancel - Cancel instead of running the action
+ * @returns {Promise<Object>} - Response body { status, message, code, data }
+ */
+async function confirmCommand(username, token, cancel) {
+    const result = await commandUtils.executeConfirmation(token, commandContext(username), { cancel });
+    return recordCommandResult(username, cancel ? 'cancel' : (result.input || 'confirm'), result);
+}
+
+wsManager.setConfirmationHandler(confirmCommand);
+
+// GET /workspace - Get the caller's sandboxed working directory and quota usage
+app.get('/workspace', auth.requireAuth, async (req, res) => {
+    try {
+        const workspace = await commandUtils.resolveWorkspace(req.user.username);
+        const fileOps = new FileOperations(workspace.workingDir, { quotaBytes: workspace.quotaBytes });
+        const usedBytes = await fileOps.getUsage();
+        
+        res.json({
+            status: "success",
+            message: "Workspace info retrieved",
+            data: {
+                workingDir: workspace.workingDir,
+                usedBytes: usedBytes,
+                quotaBytes: workspace.quotaBytes
+            }
+        });
+    } catch (error) {
+        console.error('Error getting workspace info:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to get workspace info: ${error.message}`,
+            code: "E_WORKSPACE_INFO_FAILED",
+            data: {
+                workingDir: null,
+                usedBytes: 0,
+                quotaBytes: 0
+            }
+        });
+    }
+});
+
+// File Transfer Endpoints
+
+// Uploads are stored in a temporary folder first and then moved into the user's workspace
+const fileUpload = multer({
+    dest: path.join(__dirname, 'uploads'),
+    limits: {
+        fileSize: FileOperations.UPLOAD_LIMITS.maxFileBytes,
+        files: FileOperations.UPLOAD_LIMITS.maxFiles
+    }
+});
+
+// POST /files/upload - Upload files (multipart field "files") into a folder of the caller's workspace
+// Form fields: dir (target folder, default "."), overwrite ("true" to replace existing files)
+app.post('/files/upload', auth.requireAuth, (req, res) => {
+    fileUpload.array('files')(req, res, async (uploadError) => {
+        const tempFiles = req.files || [];
+        const dir = (req.body && req.body.dir) || '.';
+        
+        try {
+            if (uploadError) {
+                const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+                return res.status(tooLarge ? 413 : 400).json({
+                    status: "error",
+                    message: tooLarge
+                        ? `Files can be at most ${FileOperations.UPLOAD_LIMITS.maxFileBytes / (1024 * 1024)} MB`
+                        : uploadError.code === 'LIMIT_FILE_COUNT'
+                            ? `At most ${FileOperations.UPLOAD_LIMITS.maxFiles} files can be uploaded at once`
+                            : `Upload failed: ${uploadError.message}`,
+                    code: tooLarge ? "E_UPLOAD_TOO_LARGE" : "E_UPLOAD_FAILED",
+                    data: { dir: dir, files: [] }
+                });
+            }
+            
+            if (tempFiles.length === 0) {
+                return res.status(400).json({
+                    status: "error",
+                    message: 'No files received; send them in the multipart field "files"',
+                    code: "E_NO_FILES",
+                    data: { dir: dir, files: [] }
+                });
+            }
+            
+            const username = req.user.username;
+            const workspace = await commandUtils.resolveWorkspace(username);
+            const fileOps = new FileOperations(workspace.workingDir, {
+                quotaBytes: workspace.quotaBytes,
+                journal: fileJournal.createJournal(username, workspace.workingDir)
+            });
+            
+            // One at a time, so each file counts against the quota left by the previous ones
+            const files = [];
+            for (const file of tempFiles) {
+                // Multipart file names arrive as latin1-decoded UTF-8
+                const name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+                const result = await fileOps.importFile(file.path, dir, name, { overwrite: req.body.overwrite === 'true' });
+                files.push({
+                    name: name,
+                    path: result.success ? path.relative(workspace.workingDir, result.filePath) : null,
+                    size: file.size,
+                    success: result.success,
+                    blocked: result.blocked || false,
+                    message: result.result
+                });
+            }
+            
+            const saved = files.filter(file => file.success);
+            const message = saved.length === files.length
+                ? `Uploaded ${saved.length} file${saved.length === 1 ? '' : 's'} to '${dir}'`
+                : `Uploaded ${saved.length} of ${files.length} files to '${dir}'`;
+            
+            if (saved.length > 0) {
+                wsManager.broadcastLogEvent(username, 'info', message, { dir: dir, files: saved.map(file => file.path) });
+            }
+            
+            res.status(saved.length > 0 ? 200 : 400).json({
+                status: saved.length > 0 ? "success" : "error",
+                message: saved.length > 0 ? message : files[0].message,
+                code: saved.length === files.length ? "SUCCESS" : (saved.length > 0 ? "UPLOAD_PARTIAL" : "E_UPLOAD_FAILED"),
+                data: { dir: dir, files: files }
+            });
+        } catch (error) {
+            console.error('Error uploading files:', error);
+            res.status(500).json({
+                status: "error",
+                message: `Upload failed: ${error.message}`,
+                code: "E_UPLOAD_FAILED",
+                data: { dir: dir, files: [] }
+            });
+        } finally {
+            // Anything not moved into the workspace is dropped
+            await Promise.all(tempFiles.map(file => fs.promises.rm(file.path, { force: true })));
+        }
+    });
+});
+
+// GET /files/download?path= - Download a file, or a folder as a .zip (zip=true zips a single file too)
+app.get('/files/download', auth.requireAuth, async (req, res) => {
+    const target = req.query.path;
+    
+    if (!target) {
+        return res.status(400).json({
+            status: "error",
+            message: "Query parameter 'path' is required",
+            code: "E_MISSING_PATH",
+            data: { path: null }
+        });
+    }
+    
+    try {
+        const workspace = await commandUtils.resolveWorkspace(req.user.username);
+        const pathCheck = security.isPathSafe(target, workspace.workingDir);
+        if (!pathCheck.safe) {
+            return res.status(403).json({
+                status: "error",
+                message: pathCheck.reason,
+                code: "E_PATH_BLOCKED",
+                data: { path: target }
+            });
+        }
+        
+        const resolvedPath = pathCheck.resolvedPath;
+        const stats = await fs.promises.stat(resolvedPath).catch(() => null);
+        if (!stats) {
+            return res.status(404).json({
+                status: "error",
+                message: `'${target}' not found`,
+                code: "E_FILE_NOT_FOUND",
+                data: { path: target }
+            });
+        }
+        
+        if (!stats.isDirectory() && req.query.zip !== 'true') {
+            res.attachment(path.basename(resolvedPath));
+            res.setHeader('Content-Length', stats.size);
+            await pipeline(fs.createReadStream(resolvedPath), res);
+            return;
+        }
+        
+        // Folders are zipped on the fly, within the same limits as folder copies
+        if (stats.isDirectory()) {
+            const tree = await new FileOperations(workspace.workingDir).describeTree(target);
+            if (tree.overLimit) {
+                const limits = FileOperations.RECURSIVE_LIMITS;
+                return res.status(413).json({
+                    status: "error",
+                    message: `'${target}' is too large to download at once (more than ${limits.maxItems} items or ${limits.maxBytes / (1024 * 1024)} MB)`,
+                    code: "E_DOWNLOAD_TOO_LARGE",
+                    data: { path: target }
+                });
+            }
+        }
+        
+        res.attachment(`${path.basename(resolvedPath)}.zip`);
+        await archives.writeZip(resolvedPath, res);
+        res.end();
+    } catch (error) {
+        console.error('Error downloading file:', error);
+        // Once the download has started the only way to report a failure is to cut it off
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            status: "error",
+            message: `Download failed: ${error.message}`,
+            code: "E_DOWNLOAD_FAILED",
+            data: { path: target }
+        });
+    }
+});
+
+// File operations available to the file browser: body parameters become the arguments
+const FILE_API_OPERATIONS = {
+    rename: { fn: 'rename', params: ['path', 'newName'] },
+    delete: { fn: 'deleteFile', params: ['path'] },
+    copy: { fn: 'copyFile', params: ['source', 'destination'] },
+    move: { fn: 'moveFile', params: ['source', 'destination'] },
+    mkdir: { fn: 'createDirectory', params: ['path'] }
+};
+
+// GET /files?path= - List a folder of the caller's workspace as structured entries
+app.get('/files', auth.requireAuth, async (req, res) => {
+    const dir = req.query.path || '.';
+    
+    try {
+        const workspace = await commandUtils.resolveWorkspace(req.user.username);
+        const result = await new FileOperations(workspace.workingDir).listFiles(dir);
+        
+        if (!result.success) {
+            return res.status(result.blocked ? 403 : 404).json({
+                status: "error",
+                message: result.result,
+                code: result.blocked ? "E_PATH_BLOCKED" : "E_DIRECTORY_NOT_FOUND",
+                data: { path: dir, files: [] }
+            });
+        }
+        
+        res.json({
+            status: "success",
+            message: `Found ${result.files.length} items in '${dir}'`,
+            data: {
+                path: path.relative(workspace.workingDir, result.targetDir) || '.',
+                files: result.files,
+                totalFiles: result.totalFiles,
+                totalDirectories: result.totalDirectories
+            }
+        });
+    } catch (error) {
+        console.error('Error listing files:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to list files: ${error.message}`,
+            code: "E_FILE_LIST_FAILED",
+            data: { path: dir, files: [] }
+        });
+    }
+});
+
+// POST /files/:operation - Rename, delete, copy, move or create a folder (journaled, so it can be undone)
+// Destructive operations answer needs_confirmation first; repeat the request with "confirmed": true
+app.post('/files/:operation', auth.requireAuth, async (req, res) => {
+    const operation = FILE_API_OPERATIONS[req.params.operation];
+    const body = req.body || {};
+    
+    if (!operation) {
+        return res.status(404).json({
+            status: "error",
+            message: `Unknown file operation "${req.params.operation}"; use one of: ${Object.keys(FILE_API_OPERATIONS).join(', ')}`,
+            code: "E_UNKNOWN_OPERATION",
+            data: { operation: req.params.operation, result: null }
+        });
+    }
+    
+    const missing = operation.params.filter(param => typeof body[param] !== 'string' || !body[param].trim());
+    if (missing.length > 0) {
+        return res.status(400).json({
+            status: "error",
+            message: `Missing parameter${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`,
+            code: "E_MISSING_PARAMETER",
+            data: { operation: req.params.operation, result: null }
+        });
+    }
+    
+    try {
+        const username = req.user.username;
+        const workspace = await commandUtils.resolveWorkspace(username);
+        const fileOps = new FileOperations(workspace.workingDir, {
+            quotaBytes: workspace.quotaBytes,
+            journal: fileJournal.createJournal(username, workspace.workingDir),
+            onProgress: progress => wsManager.broadcastFileProgress(username, progress)
+        });
+        const parseResult = { type: 'fileOp', fn: operation.fn, args: operation.params.map(param => body[param]) };
+        
+        if (body.confirmed !== true) {
+            const reason = await confirmations.getDestructiveReason(parseResult, fileOps);
+            if (reason) {
+                return res.json({
+                    status: "needs_confirmation",
+                    message: reason,
+                    code: "E_CONFIRMATION_REQUIRED",
+                    data: { operation: req.params.operation, result: null, reason: reason }
+                });
+            }
+        }
+        
+        // A confirmed move may replace the existing file
+        const args = body.confirmed === true && operation.fn === 'moveFile'
+            ? [...parseResult.args, { overwrite: true }]
+            : parseResult.args;
+        const result = await fileOps[operation.fn](...args);
+        
+        if (result.success) {
+            wsManager.broadcastLogEvent(username, 'info', result.result, { operation: req.params.operation });
+        }
+        
+        res.status(result.success ? 200 : (result.blocked ? 403 : 400)).json({
+            status: result.success ? "success" : (result.blocked ? "blocked" : "error"),
+            message: result.result,
+            code: result.success ? "SUCCESS" : (result.blocked ? "E_OPERATION_BLOCKED" : "E_FILE_OPERATION_FAILED"),
+            data: { operation: req.params.operation, result: result.success ? result.result : null }
+        });
+    } catch (error) {
+        console.error(`Error running file operation ${req.params.operation}:`, error);
+        res.status(500).json({
+            status: "error",
+            message: `File operation failed: ${error.message}`,
+            code: "E_FILE_OPERATION_FAILED",
+            data: { operation: req.params.operation, result: null }
+        });
+    }
+});
+
+// Intent Grammar Endpoints
+
+// GET /intents - List the intents loaded from the rule files
+app.get('/intents', auth.requireAuth, (req, res) => {
+    try {
+        const grammar = intentGrammar.getIntents();
+        
+        res.json({
+            status: "success",
+            message: `Loaded ${grammar.intents.length} intents`,
+            data: grammar
+        });
+    } catch (error) {
+        console.error('Error listing intents:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to list intents: ${error.message}`,
+            code: "E_INTENT_LIST_FAILED",
+            data: {
+                files: [],
+                intents: []
+            }
+        });
+    }
+});
+
+// POST /intents/reload - Reload intent rule files without restarting the server (admins only)
+app.post('/intents/reload', auth.requireAuth, auth.requireAdmin, (req, res) => {
+    const result = intentGrammar.reloadIntents();
+    
+    if (result.success) {
+        wsManager.broadcastLogEvent(req.user.username, 'info', result.message, {
+            intents: result.intents,
+            files: result.files
+        });
+        
+        res.json({
+            status: "success",
+            message: result.message,
+            data: {
+                intents: result.intents,
+                files: result.files,
+                errors: []
+            }
+        });
+    } else {
+        res.status(400).json({
+            status: "error",
+            message: result.message,
+            code: result.code,
+            data: {
+                intents: 0,
+                files: [],
+                errors: result.errors
+            }
+        });
+    }
+});
+
 // Command History Endpoints
 
-// GET /history - Get command history
+// GET /history - Get command history, newest first
+// Query: limit, cursor (nextCursor of the previous page), q (search words), status (comma-separated),
+// from and to (dates), scheduled (true/false), format (csv or json to download every match)
 app.get('/history', auth.requireAuth, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
-        const history = await commandHistory.getHistoryForUser(req.user.username, limit);
+        const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+        if (format && !['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                status: "error",
+                message: `Unknown export format '${req.query.format}' (use csv or json)`,
+                code: "E_INVALID_HISTORY_QUERY",
+                data: { commands: [], total: 0, limit: 0 }
+            });
+        }
+        
+        const scheduled = req.query.scheduled === undefined ? null : String(req.query.scheduled).toLowerCase();
+        if (scheduled !== null && !['true', 'false'].includes(scheduled)) {
+            return res.status(400).json({
+                status: "error",
+                message: "'scheduled' must be true or false",
+                code: "E_INVALID_HISTORY_QUERY",
+                data: { commands: [], total: 0, limit: 0 }
+            });
+        }
+        
+        const limit = format ? 0 : (req.query.limit === undefined ? 10 : Number(req.query.limit));
+        if (!format && (!Number.isInteger(limit) || limit < 1)) {
+            return res.status(400).json({
+                status: "error",
+                message: `'limit' must be a whole number from 1 to ${commandHistory.MAX_PAGE_SIZE}`,
+                code: "E_INVALID_HISTORY_QUERY",
+                data: { commands: [], total: 0, limit: 0 }
+            });
+        }
+        
+        const page = await commandHistory.queryHistoryForUser(req.user.username, {
+            query: req.query.q,
+            statuses: req.query.status ? String(req.query.status).toLowerCase().split(',').map(status => status.trim()).filter(Boolean) : null,
+            from: req.query.from,
+            to: req.query.to,
+            scheduled: scheduled === null ? null : scheduled === 'true',
+            cursor: format ? null : req.query.cursor,
+            limit: limit
+        });
+        
+        if (!page.success) {
+            return res.status(400).json({
+                status: "error",
+                message: page.message,
+                code: page.code,
+                data: { commands: [], total: 0, limit: 0 }
+            });
+        }
+        
+        if (format) {
+            const date = new Date().toISOString().slice(0, 10);
+            res.attachment(`command-history-${req.user.username}-${date}.${format}`);
+            res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+            return res.send(commandHistory.exportHistory(page.commands, format));
+        }
         
         res.json({
             status: "success",
-            message: `Retrieved ${history.length} commands from history`,
+            message: `Retrieved ${page.commands.length} commands from history`,
             data: {
-                commands: history,
-                total: history.length,
-                limit: limit
+                commands: page.commands,
+                total: page.total,
+                limit: Math.min(limit, commandHistory.MAX_PAGE_SIZE),
+                nextCursor: page.nextCursor
             }
         });
     } catch (error) {
@@ -248,7 +843,7 @@ app.post('/history/clear', auth.requireAuth, async (req, res) => {
 // POST /history/reexecute - Re-execute a command from history
 app.post('/history/reexecute', auth.requireAuth, async (req, res) => {
     try {
-        const { id } = req.body;
+        const { id, dryRun } = req.body;
         
         if (!id) {
             return res.status(400).json({
@@ -263,8 +858,8 @@ app.post('/history/reexecute', auth.requireAuth, async (req, res) => {
             });
         }
         
-        // Get the command from history
-        const commandEntry = await commandHistory.getCommandById(id);
+        // Get the command from the user's history
+        const commandEntry = await commandHistory.getCommandByIdForUser(req.user.username, id);
         
         if (!commandEntry) {
             return res.status(404).json({
@@ -279,65 +874,18 @@ app.post('/history/reexecute', auth.requireAuth, async (req, res) => {
             });
         }
         
-        // Re-execute the command
-        const result = await commandUtils.executeCommand(commandEntry.command);
-        
-        // Add to history again
-        const timestamp = new Date().toISOString();
-        await commandHistory.addCommand({
-            command: commandEntry.command,
-            status: result.success ? 'success' : (result.blocked ? 'blocked' : 'error'),
-            result: result.result,
-            timestamp: timestamp,
-            code: result.code || null
-        });
-        
-        // Enhanced logging
-        if (CONFIG.LOG_COMMANDS) {
-            const logStatus = result.success ? 'SUCCESS' : (result.blocked ? 'BLOCKED' : 'ERROR');
-            logger.logCommand(
-                commandEntry.command,
-                logStatus,
-                result.result
-            );
-        }
-        
-        // Text-to-Speech (if enabled)
-        if (CONFIG.TTS_ENABLED && result.success) {
-            tts.speakText(result.result).catch(ttsError => {
-                console.log('TTS: Error speaking text:', ttsError.message);
-            });
+        // Dry run: preview the command from history without running it
+        if (dryRun === true) {
+            const preview = await commandUtils.previewCommand(commandEntry.command, { username: req.user.username });
+            return res.json(buildPreviewResponse(commandEntry.command, preview, { reexecuted: false, originalId: id }));
         }
         
-        // Determine response status and message
-        let status, message, code;
-        if (result.blocked) {
-            status = "blocked";
-            message = "Command blocked by security rules";
-            code = "E_COMMAND_BLOCKED";
-        } else if (result.success) {
-            status = "success";
-            message = result.result || "Command executed successfully";
-            code = "SUCCESS";
-        } else {
-            status = "error";
-            message = result.result || "Command execution failed";
-            code = result.code || "E_COMMAND_FAILED";
-        }
-        
-        // Return consistent JSON response
-        res.json({
-            status: status,
-            message: message,
-            code: code,
-            data: {
-                command: commandEntry.command,
-                result: result.success ? result.result : null,
-                error: result.success ? null : (result.result || "Unknown error"),
-                reexecuted: true,
-                originalId: id
-            }
-        });
+        // Re-execute the command (added to history again like any other command)
+        const result = await commandUtils.executeCommand(commandEntry.command, commandContext(req.user.username));
+        const response = await recordCommandResult(req.user.username, commandEntry.command, result);
+        response.data.reexecuted = true;
+        response.data.originalId = id;
+        res.json(response);
         
     } catch (error) {
         console.error('Error re-executing command:', error);
@@ -368,7 +916,7 @@ app.post('/history/reexecute', auth.requireAuth, async (req, res) => {
 // GET /history/stats - Get command history statistics
 app.get('/history/stats', auth.requireAuth, async (req, res) => {
     try {
-        const stats = await commandHistory.getHistoryStats();
+        const stats = await commandHistory.getHistoryStatsForUser(req.user.username);
         
         res.json({
             status: "success",
@@ -386,6 +934,7 @@ app.get('/history/stats', auth.requireAuth, async (req, res) => {
                 successCount: 0,
                 errorCount: 0,
                 blockedCount: 0,
+                scheduledCount: 0,
                 lastCommand: null,
                 oldestCommand: null
             }
@@ -395,10 +944,17 @@ app.get('/history/stats', auth.requireAuth, async (req, res) => {
 
 // Command Scheduler Endpoints
 
+// Scheduler errors caused by the request rather than the server
+const SCHEDULE_INPUT_ERRORS = ['E_MISSING_TIME', 'E_INVALID_TIME', 'E_INVALID_REPEAT', 'E_INVALID_CRON', 'E_INVALID_TIMEZONE', 'E_INVALID_SCHEDULE', 'E_INVALID_POLICY'];
+
 // POST /schedule - Create a new scheduled job
+// Body: command, and either time + repeat (once, hourly, daily, weekly), cron (5-field expression, time
+// optionally giving the start) or when ("every weekday at 9am"); timezone defaults to the server's.
+// misfirePolicy (once, skip, all) and overlapPolicy (skip, queue, parallel) are optional.
+// A destructive command is not saved yet: the response carries a confirmation token for POST /command/confirm
 app.post('/schedule', auth.requireAuth, async (req, res) => {
     try {
-        const { command, time, repeat = 'once', description = '' } = req.body;
+        const { command, time, repeat = 'once', cron = null, when = null, timezone = null, misfirePolicy, overlapPolicy, description = '' } = req.body;
         
         if (!command) {
             return res.status(400).json({
@@ -412,28 +968,14 @@ app.post('/schedule', auth.requireAuth, async (req, res) => {
             });
         }
         
-        if (!time) {
+        if (!time && !cron && !when) {
             return res.status(400).json({
                 status: "error",
-                message: "Missing time in request body",
+                message: "Missing time, cron or when in request body",
                 code: "E_MISSING_TIME",
                 data: {
                     scheduleId: null,
-                    message: "Missing time in request body"
-                }
-            });
-        }
-        
-        // Validate repeat value
-        const validRepeats = ['once', 'daily', 'weekly', 'hourly'];
-        if (!validRepeats.includes(repeat)) {
-            return res.status(400).json({
-                status: "error",
-                message: `Invalid repeat value. Must be one of: ${validRepeats.join(', ')}`,
-                code: "E_INVALID_REPEAT",
-                data: {
-                    scheduleId: null,
-                    message: `Invalid repeat value: ${repeat}`
+                    message: "Missing time, cron or when in request body"
                 }
             });
         }
@@ -442,29 +984,52 @@ app.post('/schedule', auth.requireAuth, async (req, res) => {
             command,
             time,
             repeat,
-            description
+            cron,
+            when,
+            timezone,
+            misfirePolicy,
+            overlapPolicy,
+            description,
+            username: req.user.username
         });
         
         if (result.success) {
+            // Remember the schedule for follow-ups like "cancel that schedule"
+            await contextResolver.recordReference(req.user.username, 'schedule', result.scheduleId);
+            
             // Broadcast schedule created event
             wsManager.broadcastLogEvent(req.user.username, 'info', `Schedule created: ${command}`, {
                 scheduleId: result.scheduleId,
                 command: command,
-                time: time,
-                repeat: repeat
+                nextExecution: result.schedule.nextExecution,
+                repeat: result.schedule.repeat,
+                cron: result.schedule.cron
             });
             
             res.json({
                 status: "success",
                 message: result.message,
                 data: {
-                    scheduleId: result.scheduleId,
-                    schedule: result.schedule,
-                    message: result.message
+                    scheduleId: result.scheduleId,
+                    schedule: result.schedule,
+                    message: result.message
+                }
+            });
+        } else if (result.needsConfirmation) {
+            const message = `${result.message}; confirm to schedule it`;
+            wsManager.broadcastConfirmationRequired(req.user.username, command, result.confirmation);
+            res.json({
+                status: "needs_confirmation",
+                message: message,
+                code: result.code,
+                data: {
+                    scheduleId: null,
+                    message: message,
+                    confirmation: result.confirmation
                 }
             });
         } else {
-            res.status(500).json({
+            res.status(SCHEDULE_INPUT_ERRORS.includes(result.code) ? 400 : 500).json({
                 status: "error",
                 message: result.message,
                 code: result.code || "E_SCHEDULE_FAILED",
@@ -489,10 +1054,10 @@ app.post('/schedule', auth.requireAuth, async (req, res) => {
     }
 });
 
-// GET /schedule - List all scheduled jobs
+// GET /schedule - List the caller's scheduled jobs
 app.get('/schedule', auth.requireAuth, async (req, res) => {
     try {
-        const result = await scheduler.listSchedules();
+        const result = await scheduler.listSchedules(req.user.username);
         
         if (result.success) {
             res.json({
@@ -538,7 +1103,7 @@ app.get('/schedule', auth.requireAuth, async (req, res) => {
     }
 });
 
-// POST /schedule/cancel - Cancel a scheduled job
+// POST /schedule/cancel - Cancel one of the caller's scheduled jobs
 app.post('/schedule/cancel', auth.requireAuth, async (req, res) => {
     try {
         const { id } = req.body;
@@ -555,7 +1120,7 @@ app.post('/schedule/cancel', auth.requireAuth, async (req, res) => {
             });
         }
         
-        const result = await scheduler.cancelSchedule(id);
+        const result = await scheduler.cancelSchedule(req.user.username, id);
         
         if (result.success) {
             // Broadcast schedule cancelled event
@@ -599,10 +1164,10 @@ app.post('/schedule/cancel', auth.requireAuth, async (req, res) => {
     }
 });
 
-// GET /schedule/stats - Get scheduler statistics
+// GET /schedule/stats - Get statistics of the caller's scheduled jobs
 app.get('/schedule/stats', auth.requireAuth, async (req, res) => {
     try {
-        const stats = await scheduler.getScheduleStats();
+        const stats = await scheduler.getScheduleStats(req.user.username);
         
         res.json({
             status: "success",
@@ -628,6 +1193,490 @@ app.get('/schedule/stats', auth.requireAuth, async (req, res) => {
     }
 });
 
+// GET /schedule/:id/runs - Run log of a scheduled job (newest first, with start and end times)
+app.get('/schedule/:id/runs', auth.requireAuth, async (req, res) => {
+    try {
+        const result = await scheduler.getScheduleRuns(req.user.username, req.params.id);
+        
+        if (!result.success) {
+            return res.status(404).json({
+                status: "error",
+                message: result.message,
+                code: result.code,
+                data: { schedule: null, runs: [] }
+            });
+        }
+        
+        res.json({
+            status: "success",
+            message: `Retrieved ${result.runs.length} runs of ${req.params.id}`,
+            data: { schedule: result.schedule, runs: result.runs }
+        });
+        
+    } catch (error) {
+        console.error('Error getting schedule runs:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to retrieve schedule runs: ${error.message}`,
+            code: "E_SCHEDULE_RUNS_FAILED",
+            data: { schedule: null, runs: [] }
+        });
+    }
+});
+
+// Macro Endpoints
+
+// HTTP status for macro errors
+const MACRO_ERROR_STATUS = {
+    E_INVALID_MACRO: 400,
+    E_MACRO_ARGUMENTS: 400,
+    E_MACRO_NOT_FOUND: 404,
+    E_COMMAND_NOT_FOUND: 404,
+    E_MACRO_EXISTS: 409,
+    E_TOO_MANY_MACROS: 409
+};
+
+// Spoken form of running a macro, so API runs are parsed, executed and recorded like voice commands
+function macroRunCommand(name, args) {
+    const quoted = args.map(arg => /\s/.test(arg) ? (arg.includes('"') ? `'${arg}'` : `"${arg}"`) : arg);
+    return `run macro ${name}${quoted.length ? ` with ${quoted.join(' ')}` : ''}`;
+}
+
+// GET /macros - List the caller's macros
+app.get('/macros', auth.requireAuth, async (req, res) => {
+    try {
+        const list = await macros.listMacros(req.user.username);
+        res.json({
+            status: "success",
+            message: `${list.length} macros`,
+            data: { macros: list }
+        });
+    } catch (error) {
+        console.error('Error listing macros:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to list macros: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { macros: [] }
+        });
+    }
+});
+
+// POST /macros - Create a macro
+// Body: { name, commands: [...] } or { name, historyIds: [...] } (steps from history, oldest first),
+// plus optional onError ('stop' or 'continue'), description and overwrite
+app.post('/macros', auth.requireAuth, async (req, res) => {
+    try {
+        const { name, commands, historyIds, onError, description, overwrite } = req.body || {};
+        const definition = { name, commands, historyIds, onError: onError || 'stop', description };
+        const result = historyIds
+            ? await macros.saveMacroFromHistory(req.user.username, definition, { overwrite: overwrite === true })
+            : await macros.saveMacro(req.user.username, definition, { overwrite: overwrite === true });
+        
+        if (!result.success) {
+            return res.status(MACRO_ERROR_STATUS[result.code] || 500).json({
+                status: "error",
+                message: result.message,
+                code: result.code,
+                data: { macro: null }
+            });
+        }
+        
+        wsManager.broadcastLogEvent(req.user.username, 'info', `Macro ${result.replaced ? 'updated' : 'created'}: ${result.macro.name}`, {
+            macro: result.macro.name
+        });
+        res.json({
+            status: "success",
+            message: `Macro '${result.macro.name}' ${result.replaced ? 'updated' : 'created'}`,
+            data: { macro: result.macro, replaced: result.replaced }
+        });
+    } catch (error) {
+        console.error('Error creating macro:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to create macro: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { macro: null }
+        });
+    }
+});
+
+// POST /macros/:name/delete - Delete a macro
+app.post('/macros/:name/delete', auth.requireAuth, async (req, res) => {
+    try {
+        const result = await macros.deleteMacro(req.user.username, req.params.name);
+        if (!result.success) {
+            return res.status(MACRO_ERROR_STATUS[result.code] || 500).json({
+                status: "error",
+                message: result.message,
+                code: result.code,
+                data: { macro: null }
+            });
+        }
+        res.json({
+            status: "success",
+            message: `Macro '${result.macro.name}' deleted`,
+            data: { macro: result.macro }
+        });
+    } catch (error) {
+        console.error('Error deleting macro:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to delete macro: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { macro: null }
+        });
+    }
+});
+
+// POST /macros/:name/run - Run a macro (body: { args: [...] } for $1..$9)
+app.post('/macros/:name/run', auth.requireAuth, async (req, res) => {
+    try {
+        const macro = await macros.getMacro(req.user.username, req.params.name);
+        if (!macro) {
+            return res.status(404).json({
+                status: "error",
+                message: `No macro named '${req.params.name}'`,
+                code: "E_MACRO_NOT_FOUND",
+                data: { command: null, result: null, error: `No macro named '${req.params.name}'` }
+            });
+        }
+        
+        const args = Array.isArray(req.body && req.body.args) ? req.body.args.map(String) : [];
+        const commandText = macroRunCommand(macro.name, args);
+        const result = await commandUtils.executeCommand(commandText, commandContext(req.user.username));
+        res.json(await recordCommandResult(req.user.username, commandText, result));
+    } catch (error) {
+        console.error('Error running macro:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Internal server error: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { command: null, result: null, error: error.message }
+        });
+    }
+});
+
+// POST /macros/:name/schedule - Run a macro later (body: { args } and the schedule fields of POST /schedule)
+app.post('/macros/:name/schedule', auth.requireAuth, async (req, res) => {
+    try {
+        const { time, repeat = 'once', cron = null, when = null, timezone = null, misfirePolicy, overlapPolicy, description = '' } = req.body || {};
+        const macro = await macros.getMacro(req.user.username, req.params.name);
+        if (!macro) {
+            return res.status(404).json({
+                status: "error",
+                message: `No macro named '${req.params.name}'`,
+                code: "E_MACRO_NOT_FOUND",
+                data: { scheduleId: null }
+            });
+        }
+        if (!time && !cron && !when) {
+            return res.status(400).json({
+                status: "error",
+                message: "Missing time, cron or when in request body",
+                code: "E_MISSING_TIME",
+                data: { scheduleId: null }
+            });
+        }
+        
+        // The macro runs as the caller so it finds their macros and workspace
+        const args = Array.isArray(req.body.args) ? req.body.args.map(String) : [];
+        const command = macroRunCommand(macro.name, args);
+        const result = await scheduler.scheduleCommand({
+            command,
+            time,
+            repeat,
+            cron,
+            when,
+            timezone,
+            misfirePolicy,
+            overlapPolicy,
+            description: description || `Macro: ${macro.name}`,
+            username: req.user.username
+        });
+        
+        if (!result.success) {
+            return res.status(SCHEDULE_INPUT_ERRORS.includes(result.code) ? 400 : 500).json({
+                status: "error",
+                message: result.message,
+                code: result.code || "E_SCHEDULE_FAILED",
+                data: { scheduleId: null }
+            });
+        }
+        
+        await contextResolver.recordReference(req.user.username, 'schedule', result.scheduleId);
+        wsManager.broadcastLogEvent(req.user.username, 'info', `Schedule created: ${command}`, {
+            scheduleId: result.scheduleId,
+            command: command,
+            nextExecution: result.schedule.nextExecution,
+            repeat: result.schedule.repeat,
+            cron: result.schedule.cron
+        });
+        res.json({
+            status: "success",
+            message: result.message,
+            data: { scheduleId: result.scheduleId, schedule: result.schedule }
+        });
+    } catch (error) {
+        console.error('Error scheduling macro:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Internal server error: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { scheduleId: null }
+        });
+    }
+});
+
+// Undo/Redo Endpoints
+
+/**
+ * Handle POST /undo and POST /redo
+ * @param {string} direction - undo or redo
+ * @returns {Function} - Express route handler
+ */
+function journalRoute(direction) {
+    return async (req, res) => {
+        try {
+            const count = req.body && req.body.count !== undefined ? parseInt(req.body.count, 10) : 1;
+            if (!Number.isInteger(count) || count < 1) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "count must be a positive number",
+                    code: "E_INVALID_COUNT",
+                    data: { entries: [] }
+                });
+            }
+            
+            const workspace = await commandUtils.resolveWorkspace(req.user.username);
+            const result = await fileJournal[direction](req.user.username, workspace.workingDir, count);
+            
+            if (result.entries.length > 0) {
+                wsManager.broadcastLogEvent(req.user.username, 'info', result.message, { [direction]: result.entries });
+            }
+            
+            const nothingToDo = ['E_NOTHING_TO_UNDO', 'E_NOTHING_TO_REDO'].includes(result.code);
+            res.status(result.success ? 200 : (nothingToDo ? 404 : 409)).json({
+                status: result.success ? "success" : "error",
+                message: result.message,
+                ...(result.success ? {} : { code: result.code }),
+                data: { entries: result.entries }
+            });
+            
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            res.status(500).json({
+                status: "error",
+                message: `Internal server error: ${error.message}`,
+                code: "E_INTERNAL_ERROR",
+                data: { entries: [] }
+            });
+        }
+    };
+}
+
+// POST /undo - Undo the caller's last file operations (body: { count })
+app.post('/undo', auth.requireAuth, journalRoute('undo'));
+
+// POST /redo - Replay the caller's last undone file operations (body: { count })
+app.post('/redo', auth.requireAuth, journalRoute('redo'));
+
+// GET /trash - List deleted files that can still be restored and the operations that can be undone
+app.get('/trash', auth.requireAuth, async (req, res) => {
+    try {
+        const recoverable = await fileJournal.listRecoverable(req.user.username);
+        res.json({
+            status: "success",
+            message: `${recoverable.trash.length} items in the trash, ${recoverable.undo.length} operations can be undone`,
+            data: recoverable
+        });
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to list trash: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { trash: [], undo: [], redo: [] }
+        });
+    }
+});
+
+// Process Management Endpoints
+
+// HTTP status for process errors
+const PROCESS_ERROR_STATUS = {
+    E_INVALID_PID: 400,
+    E_INVALID_SORT: 400,
+    E_PROCESS_NOT_FOUND: 404,
+    E_PROCESS_NOT_OWNED: 403,
+    E_PROCESS_PROTECTED: 403,
+    E_PROCESS_CHANGED: 409,
+    E_PERMISSION_DENIED: 403,
+    E_CONFIRMATION_NOT_FOUND: 404,
+    E_CONFIRMATION_EXPIRED: 410,
+    E_CONFIRMATION_MISMATCH: 400
+};
+
+// GET /api/processes - List processes (query: user, name, pid, sort, order, limit)
+app.get('/api/processes', auth.requireAuth, async (req, res) => {
+    try {
+        const { user, name, pid, sort, order } = req.query;
+        const limit = parseInt(req.query.limit, 10) || undefined;
+        const result = await processManager.listProcesses({ user, name, pid, sort, order, limit });
+        
+        if (!result.success) {
+            return res.status(PROCESS_ERROR_STATUS[result.code] || 500).json({
+                status: "error",
+                message: result.message,
+                code: result.code,
+                data: { processes: [], total: 0 }
+            });
+        }
+        
+        res.json({
+            status: "success",
+            message: `Retrieved ${result.processes.length} of ${result.total} processes`,
+            data: {
+                processes: result.processes,
+                total: result.total
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error listing processes:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to list processes: ${error.message}`,
+            code: "E_PROCESS_LIST_FAILED",
+            data: { processes: [], total: 0 }
+        });
+    }
+});
+
+// GET /api/processes/:pid - Get a single process
+app.get('/api/processes/:pid', auth.requireAuth, async (req, res) => {
+    try {
+        const pid = Number(req.params.pid);
+        if (!Number.isInteger(pid) || pid <= 0) {
+            return res.status(400).json({
+                status: "error",
+                message: `Invalid process ID: ${req.params.pid}`,
+                code: "E_INVALID_PID",
+                data: { process: null }
+            });
+        }
+        
+        const result = await processManager.listProcesses({ pid });
+        if (!result.success || result.processes.length === 0) {
+            return res.status(result.success ? 404 : 500).json({
+                status: "error",
+                message: result.success ? `No process with ID ${pid}` : result.message,
+                code: result.success ? "E_PROCESS_NOT_FOUND" : result.code,
+                data: { process: null }
+            });
+        }
+        
+        res.json({
+            status: "success",
+            message: `Process ${pid} retrieved`,
+            data: { process: result.processes[0] }
+        });
+        
+    } catch (error) {
+        console.error('Error getting process:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Failed to get process: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { process: null }
+        });
+    }
+});
+
+// POST /api/processes/:pid/kill - Kill a process (two steps: request a confirmation token, then send it back)
+app.post('/api/processes/:pid/kill', auth.requireAuth, async (req, res) => {
+    try {
+        const pid = Number(req.params.pid);
+        const { confirmToken } = req.body || {};
+        
+        if (!confirmToken) {
+            // First step: check the process may be killed and hand out a confirmation token
+            const check = await processManager.checkKillable(pid, req.user.username);
+            if (!check.success) {
+                return res.status(PROCESS_ERROR_STATUS[check.code] || 500).json({
+                    status: "error",
+                    message: check.message,
+                    code: check.code,
+                    data: { pid: req.params.pid, killed: false }
+                });
+            }
+            
+            const description = `Kill process ${pid} (${check.process.command.slice(0, 80)})`;
+            const confirmation = confirmations.createConfirmation(req.user.username,
+                { type: 'killProcess', pid, startTime: check.process.startTime }, description);
+            return res.json({
+                status: "needs_confirmation",
+                message: `${description}? Send the confirmation token to proceed.`,
+                code: "E_CONFIRMATION_REQUIRED",
+                data: {
+                    pid,
+                    process: check.process,
+                    confirmToken: confirmation.token,
+                    expiresAt: confirmation.expiresAt,
+                    killed: false
+                }
+            });
+        }
+        
+        const confirmed = confirmations.consumeConfirmation(req.user.username, confirmToken);
+        if (confirmed.success && (confirmed.action.type !== 'killProcess' || confirmed.action.pid !== pid)) {
+            confirmed.success = false;
+            confirmed.message = `The confirmation token is not for killing process ${pid}`;
+            confirmed.code = "E_CONFIRMATION_MISMATCH";
+        }
+        if (!confirmed.success) {
+            return res.status(PROCESS_ERROR_STATUS[confirmed.code] || 400).json({
+                status: "error",
+                message: confirmed.message,
+                code: confirmed.code,
+                data: { pid, killed: false }
+            });
+        }
+        
+        const result = await processManager.killProcess(pid, { username: req.user.username, startTime: confirmed.action.startTime });
+        if (!result.success) {
+            return res.status(PROCESS_ERROR_STATUS[result.code] || 500).json({
+                status: "error",
+                message: result.message,
+                code: result.code,
+                data: { pid, killed: false }
+            });
+        }
+        
+        logger.logCommand(`kill ${pid}`, 'SUCCESS', result.message);
+        wsManager.broadcastLogEvent(req.user.username, 'info', result.message, { pid, signal: result.signal });
+        
+        res.json({
+            status: "success",
+            message: result.message,
+            data: {
+                pid,
+                signal: result.signal,
+                killed: true
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error killing process:', error);
+        res.status(500).json({
+            status: "error",
+            message: `Internal server error: ${error.message}`,
+            code: "E_INTERNAL_ERROR",
+            data: { pid: req.params.pid, killed: false }
+        });
+    }
+});
+
 // Authentication Endpoints
 
 // POST /auth/register - Register a new user
@@ -813,22 +1862,6 @@ app.post('/auth/logout', auth.requireAuth, (req, res) => {
 // These will handle process operations (list, kill)
 // Example: GET /api/processes
 
-// Ensure VOICE-CMD working directory exists
-function ensureWorkingDirectory() {
-    try {
-        if (!fs.existsSync(WORKING_DIR)) {
-            fs.mkdirSync(WORKING_DIR, { recursive: true });
-            console.log(`Created VOICE-CMD working directory: ${WORKING_DIR}`);
-        } else {
-            console.log(`VOICE-CMD working directory already exists: ${WORKING_DIR}`);
-        }
-        console.log(`VOICE-CMD working directory set to ~/Desktop/VOICE-CMD`);
-    } catch (error) {
-        console.error(`Error creating working directory: ${error.message}`);
-        process.exit(1);
-    }
-}
-
 // Check TTS availability on startup
 async function checkTTSOnStartup() {
     if (CONFIG.TTS_ENABLED) {
@@ -937,9 +1970,24 @@ app.post('/api/transcribe', upload.single('audio'), (req, res) => {
 async function checkMemoryOnStartup() {
     if (CONFIG.MEMORY_ENABLED) {
         try {
-            const stats = await memory.getMemoryStats();
-            console.log(`Memory: Persistent memory enabled (${stats.totalUserData} user items, ${stats.totalCommands} commands)`);
+            // Move the old shared memory.json into per-user memory files
+            const migration = await memory.migrateLegacyMemory();
+            if (migration.migrated) {
+                for (const part of migration.users) {
+                    console.log(`Memory: Migrated ${part.userData} items, ${part.context} context entries and ${part.commands} commands to ${part.username}`);
+                }
+                if (migration.unclaimed) {
+                    console.warn(`Memory: ${migration.unclaimed.userData} items, ${migration.unclaimed.context} context entries and ${migration.unclaimed.commands} commands belong to no known user; they are kept in ${migration.unclaimedFile} until MEMORY_MIGRATION_USER names their owner`);
+                }
+                if (migration.backupFile) {
+                    console.log(`Memory: Old shared memory kept as ${migration.backupFile}`);
+                }
+            } else if (migration.unclaimedFile) {
+                console.warn(`Memory: Old shared memory in ${migration.unclaimedFile} is waiting for MEMORY_MIGRATION_USER to name its owner`);
+            }
+            console.log('Memory: Persistent memory enabled (per user)');
         } catch (error) {
+            console.error('Memory:', error.message);
             console.log('Memory: Error initializing memory system - memory will be disabled');
             CONFIG.MEMORY_ENABLED = false;
         }
@@ -968,16 +2016,13 @@ async function checkSecurityOnStartup() {
 const server = app.listen(PORT, () => {
     console.log(`Backend server running on port ${PORT}`);
     console.log(`Command logging: ${CONFIG.LOG_COMMANDS ? 'enabled' : 'disabled'}`);
-    console.log(`Working directory: ${WORKING_DIR}`);
+    console.log(`User workspaces: ${auth.WORKSPACES_ROOT}/<username>`);
     console.log(`File operations: enabled`);
     
     // Initialize WebSocket server
     wsManager.initialize(server);
     wsManager.startHeartbeat();
     
-    // Ensure working directory exists
-    ensureWorkingDirectory();
-    
     // Initialize systems asynchronously
     initializeSystems();
 });
@@ -989,7 +2034,7 @@ async function initializeSystems() {
         await logger.ensureLogDirectory();
         await logger.logSystem('SERVER_START', 'SUCCESS', `VOICE-CMD server started on port ${PORT}`, {
             port: PORT,
-            workingDir: WORKING_DIR,
+            workspacesRoot: auth.WORKSPACES_ROOT,
             features: ['File Operations', 'Shell Commands', 'TTS Support', 'Speech-to-Text', 'Persistent Memory', 'Security Sandboxing']
         });
         
@@ -997,6 +2042,7 @@ async function initializeSystems() {
         await checkMemoryOnStartup();
         await checkSecurityOnStartup();
         await scheduler.initializeScheduler();
+        fileJournal.startTrashExpiry();
     } catch (error) {
         console.error('Error initializing systems:', error);
     }
@@ -0,0 +1,115 @@
+// Zip and tar archives
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir } = require('./harness');
+const archives = require('../utils/archives');
+const FileOperations = require('../utils/fileOps');
+
+// Names and contents of the files in an archive
+async function readBack(format, archivePath) {
+    const files = {};
+    for await (const entry of archives.readArchive(format, archivePath)) {
+        if (entry.type !== 'file') continue;
+        const chunks = [];
+        for await (const chunk of entry.content()) chunks.push(chunk);
+        files[entry.name] = Buffer.concat(chunks).toString('utf8');
+    }
+    return files;
+}
+
+runTest('a downloaded folder zips everything but its links', async () => {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'reports', 'q1'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'reports', 'a.txt'), 'alpha');
+    fs.writeFileSync(path.join(dir, 'reports', 'q1', 'b.txt'), 'beta');
+    fs.symlinkSync('/etc/passwd', path.join(dir, 'reports', 'passwd'));
+
+    const zipPath = path.join(tempDir(), 'reports.zip');
+    const output = fs.createWriteStream(zipPath);
+    const written = await archives.writeZip(path.join(dir, 'reports'), output);
+    await new Promise(resolve => output.end(resolve));
+
+    assert.strictEqual(written.entries, 4);
+    assert.deepStrictEqual(await readBack('zip', zipPath), { 'reports/a.txt': 'alpha', 'reports/q1/b.txt': 'beta' });
+});
+
+// Archive operations
+
+// Build a tar archive by hand, so entries can have any name
+function handmadeTar(entries) {
+    const blocks = [];
+    for (const { name, content = '', type = '0', linkname = '' } of entries) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0, 100);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write('00000000000\0', 136);
+        header.write(type, 156);
+        header.write(linkname, 157, 100);
+        header.write('ustar\u000000', 257);
+        header.fill(' ', 148, 156);
+        header.write(`${header.reduce((sum, byte) => sum + byte, 0).toString(8).padStart(6, '0')}\0 `, 148);
+        blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+// A workspace holding one hand-made tar archive
+function workspaceWithTar(entries) {
+    const workingDir = path.join(tempDir(), 'workspace');
+    fs.mkdirSync(workingDir);
+    fs.writeFileSync(path.join(workingDir, 'upload.tar'), handmadeTar(entries));
+    return { workingDir, fileOps: new FileOperations(workingDir) };
+}
+
+runTest('an entry that escapes the destination stops the whole extraction', async () => {
+    for (const escape of ['../evil.txt', 'a/../../evil.txt', '/tmp/evil.txt']) {
+        const { workingDir, fileOps } = workspaceWithTar([{ name: 'ok.txt', content: 'ok' }, { name: escape, content: 'evil' }]);
+
+        const result = await fileOps.extract('upload.tar', 'out');
+        assert.strictEqual(result.blocked, true, escape);
+        assert.deepStrictEqual(fs.readdirSync(workingDir), ['upload.tar']);
+        assert.strictEqual(fs.existsSync(path.join(path.dirname(workingDir), 'evil.txt')), false);
+
+        const listed = await fileOps.listArchive('upload.tar');
+        assert.ok(listed.result.includes('cannot be extracted'), escape);
+    }
+});
+
+runTest('.git members are refused and links are skipped', async () => {
+    const hooked = workspaceWithTar([{ name: 'proj/README', content: 'x' }, { name: 'proj/.GIT/hooks/pre-commit', content: 'rm -rf ~' }]);
+    assert.strictEqual((await hooked.fileOps.extract('upload.tar')).success, false);
+    assert.deepStrictEqual(fs.readdirSync(hooked.workingDir), ['upload.tar']);
+
+    const linked = workspaceWithTar([{ name: 'passwd', type: '2', linkname: '/etc/passwd' }, { name: 'ok.txt', content: 'ok' }]);
+    const result = await linked.fileOps.extract('upload.tar', 'out');
+    assert.strictEqual(result.success, true, result.result);
+    assert.strictEqual(result.skipped, 1);
+    assert.deepStrictEqual(fs.readdirSync(path.join(linked.workingDir, 'out')), ['ok.txt']);
+});
+
+runTest('a compressed folder extracts to the same files and never over existing ones', async () => {
+    const workingDir = tempDir();
+    fs.mkdirSync(path.join(workingDir, 'docs', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(workingDir, 'docs', 'a.txt'), 'alpha');
+    fs.writeFileSync(path.join(workingDir, 'docs', 'sub', 'b.txt'), 'beta');
+    const fileOps = new FileOperations(workingDir);
+
+    for (const archive of ['docs.zip', 'docs.tar.gz']) {
+        assert.strictEqual((await fileOps.compress('docs', archive)).success, true, archive);
+        const out = `out-${archive.replace(/\./g, '-')}`;
+        const extracted = await fileOps.extract(archive, out);
+        assert.strictEqual(extracted.success, true, extracted.result);
+        assert.strictEqual(fs.readFileSync(path.join(workingDir, out, 'docs', 'sub', 'b.txt'), 'utf8'), 'beta');
+
+        const again = await fileOps.extract(archive, out);
+        assert.strictEqual(again.success, false);
+        assert.ok(again.conflicts.length > 0);
+    }
+});
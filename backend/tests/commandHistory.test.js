@@ -0,0 +1,72 @@
+// Searchable, paginated per-user history
+
+const assert = require('assert');
+const { runTest, testUser } = require('./harness');
+const commandHistory = require('../utils/commandHistory');
+
+// A user with a history of the given commands, oldest first, one minute apart from 2026-03-01 09:00 UTC
+async function userWithHistory(entries) {
+    const username = testUser('history');
+    for (const [index, entry] of entries.entries()) {
+        await commandHistory.addCommandForUser(username, {
+            result: 'done',
+            status: 'success',
+            ...entry,
+            timestamp: new Date(Date.UTC(2026, 2, 1, 9, index)).toISOString()
+        });
+    }
+    return username;
+}
+
+runTest('cursor pages walk the whole history once, newest first', async () => {
+    const username = await userWithHistory(Array.from({ length: 25 }, (_, i) => ({ command: `echo ${i}` })));
+
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await commandHistory.queryHistoryForUser(username, { limit: 10, cursor });
+        assert.strictEqual(page.total, 25);
+        seen.push(...page.commands.map(cmd => cmd.command));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.strictEqual(seen.length, 25);
+    assert.strictEqual(seen[0], 'echo 24');
+    assert.strictEqual(seen[24], 'echo 0');
+});
+
+runTest('history is filtered by words, status, dates and schedule', async () => {
+    const username = await userWithHistory([
+        { command: 'list files' },
+        { command: 'rm secrets.txt', status: 'blocked', code: 'E_COMMAND_BLOCKED' },
+        { command: 'cat missing.txt', status: 'error' },
+        { command: 'list files', scheduled: true, scheduleId: 'abc' }
+    ]);
+    const commands = async (options) => (await commandHistory.queryHistoryForUser(username, options)).commands.map(cmd => cmd.command);
+
+    assert.deepStrictEqual(await commands({ query: 'FILES list' }), ['list files', 'list files']);
+    assert.deepStrictEqual(await commands({ query: 'e_command_blocked' }), ['rm secrets.txt']);
+    assert.deepStrictEqual(await commands({ statuses: ['error', 'blocked'] }), ['cat missing.txt', 'rm secrets.txt']);
+    assert.deepStrictEqual(await commands({ scheduled: true }), ['list files']);
+    assert.deepStrictEqual(await commands({ from: '2026-03-01T09:01:00Z', to: '2026-03-01T09:02:00Z' }), ['cat missing.txt', 'rm secrets.txt']);
+    assert.strictEqual((await commands({ to: '2026-03-01' })).length, 4);
+    assert.deepStrictEqual(await commands({ to: '2026-02-28' }), []);
+});
+
+runTest('bad filters are refused', async () => {
+    const username = testUser('history');
+    for (const options of [{ statuses: ['weird'] }, { from: 'someday' }, { from: '2026-03-02', to: '2026-03-01' },
+        { cursor: 'not-a-cursor' }, { limit: -1 }]) {
+        assert.strictEqual((await commandHistory.queryHistoryForUser(username, options)).code, 'E_INVALID_HISTORY_QUERY', JSON.stringify(options));
+    }
+});
+
+runTest("exports are safe to open in a spreadsheet and one user's history is their own", async () => {
+    const username = await userWithHistory([{ command: '=HYPERLINK("http://x")', result: 'a, "quoted" result' }]);
+
+    const csv = commandHistory.exportHistory((await commandHistory.queryHistoryForUser(username, { limit: 0 })).commands, 'csv');
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`), csv);
+    assert.ok(csv.includes('"a, ""quoted"" result"'), csv);
+
+    assert.strictEqual((await commandHistory.queryHistoryForUser(testUser('history'), {})).total, 0);
+});
@@ -0,0 +1,105 @@
+// Shell commands as argv arrays and pipelines, without /bin/sh
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir, testUser } = require('./harness');
+const commandTokenizer = require('../utils/commandTokenizer');
+const globExpander = require('../utils/globExpander');
+const commandUtils = require('../utils/commandUtils');
+const auth = require('../utils/auth');
+
+const words = (command) => commandTokenizer.tokenize(command).tokens.map(token => token.value);
+
+runTest('quotes and escapes make single arguments', () => {
+    assert.deepStrictEqual(words(`grep -i 'to do' "my notes.txt"`), ['grep', '-i', 'to do', 'my notes.txt']);
+    assert.deepStrictEqual(words(`echo "say \\"hi\\"" it\\'s`), ['echo', 'say "hi"', "it's"]);
+    assert.deepStrictEqual(words(`echo '$HOME' "$(nothing)"`), ['echo', '$HOME', '$(nothing)']);
+    assert.deepStrictEqual(words(`echo ''`), ['echo', '']);
+});
+
+runTest('chaining and substitution are rejected', () => {
+    for (const command of ['ls; rm x', 'ls && rm x', 'ls || rm x', 'sleep 5 &', 'echo `id`', 'echo $(id)', 'cat x 2>err']) {
+        const result = commandTokenizer.tokenize(command);
+        assert.strictEqual(result.success, false, command);
+        assert.strictEqual(result.code, 'E_SHELL_OPERATOR_NOT_ALLOWED', command);
+    }
+    assert.strictEqual(commandTokenizer.tokenize(`echo 'open`).code, 'E_SHELL_SYNTAX');
+});
+
+runTest('pipelines and redirections are parsed into stages', () => {
+    const parsed = commandTokenizer.parsePipeline('sort < names.txt | uniq -c >> counts.txt');
+    assert.strictEqual(parsed.success, true);
+    assert.deepStrictEqual(parsed.pipeline.stages.map(stage => stage.argv), [['sort'], ['uniq', '-c']]);
+    assert.deepStrictEqual(parsed.pipeline.input, { path: 'names.txt' });
+    assert.deepStrictEqual(parsed.pipeline.output, { path: 'counts.txt', append: true });
+});
+
+runTest('misplaced redirections are invalid', () => {
+    for (const command of ['ls | sort < x', 'ls > a | sort', 'ls > a > b', 'ls |', '| ls', 'ls >']) {
+        assert.strictEqual(commandTokenizer.parsePipeline(command).code, 'E_PIPELINE_INVALID', command);
+    }
+});
+
+runTest('only unquoted wildcards are globs', () => {
+    const parsed = commandTokenizer.parsePipeline(`ls *.txt 'a*b' c\\?d "q[1]"*`);
+    assert.deepStrictEqual(parsed.pipeline.stages[0].globs, [
+        { index: 1, pattern: '*.txt' },
+        { index: 4, pattern: 'q\\[1\\]*' }
+    ]);
+    assert.strictEqual(commandTokenizer.parsePipeline('cat x > *.txt').code, 'E_PIPELINE_INVALID');
+});
+
+runTest('quoteArg output reads back as the same argument', () => {
+    for (const value of ['plain.txt', 'my report.txt', `it's`, `say "hi" \\ bye`, '']) {
+        assert.deepStrictEqual(words(`cat ${commandTokenizer.quoteArg(value)}`), ['cat', value]);
+    }
+});
+
+runTest('globs expand inside the workspace', async () => {
+    const root = tempDir();
+    fs.mkdirSync(path.join(root, 'docs'));
+    for (const file of ['a.txt', 'b.txt', '.hidden.txt', 'c.md', 'docs/d.md', 'x1', 'xy']) {
+        fs.writeFileSync(path.join(root, file), '');
+    }
+
+    const expand = async (pattern) => (await globExpander.expandGlob(pattern, root)).matches;
+    assert.deepStrictEqual(await expand('*.txt'), ['a.txt', 'b.txt']);
+    assert.deepStrictEqual(await expand('.*.txt'), ['.hidden.txt']);
+    assert.deepStrictEqual(await expand('*/*.md'), ['docs/d.md']);
+    assert.deepStrictEqual(await expand('*/'), ['docs/']);
+    assert.deepStrictEqual(await expand('x[0-9]'), ['x1']);
+    assert.deepStrictEqual(await expand('x[!0-9]'), ['xy']);
+    assert.deepStrictEqual(await expand('?.md'), ['c.md']);
+    assert.deepStrictEqual(await expand('./*.md'), ['./c.md']);
+});
+
+runTest('globs never list outside the workspace', async () => {
+    const root = tempDir();
+    const outside = tempDir();
+    fs.writeFileSync(path.join(outside, 'secret.txt'), '');
+    fs.symlinkSync(outside, path.join(root, 'link'));
+
+    assert.strictEqual((await globExpander.expandGlob('/etc/*', root)).code, 'E_GLOB_OUTSIDE_WORKSPACE');
+    assert.strictEqual((await globExpander.expandGlob('../*', root)).code, 'E_GLOB_OUTSIDE_WORKSPACE');
+    assert.strictEqual((await globExpander.expandGlob('*/secret.txt', root)).code, 'E_GLOB_NO_MATCH');
+    assert.strictEqual((await globExpander.expandGlob('*.none', root)).code, 'E_GLOB_NO_MATCH');
+});
+
+runTest('shell commands expand globs and keep words like "format" usable', async () => {
+    const username = testUser('shell');
+    const workspace = await auth.ensureUserWorkspaceDir(username);
+    fs.writeFileSync(path.join(workspace, 'format.txt'), 'one\n');
+    fs.writeFileSync(path.join(workspace, 'exec notes.txt'), 'two\n');
+
+    const listed = await commandUtils.executeCommand('ls *.txt', { username });
+    assert.strictEqual(listed.success, true, listed.result);
+    assert.deepStrictEqual(listed.result.trim().split('\n'), ['exec notes.txt', 'format.txt']);
+
+    const read = await commandUtils.executeCommand('cat format.txt', { username });
+    assert.strictEqual(read.result, 'one\n');
+
+    const missing = await commandUtils.executeCommand('wc -l *.md', { username });
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.code, 'E_GLOB_NO_MATCH');
+});
@@ -0,0 +1,76 @@
+// Confirmation for destructive commands
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, testUser } = require('./harness');
+const commandUtils = require('../utils/commandUtils');
+const confirmations = require('../utils/confirmations');
+
+// A fresh user with some files in their workspace
+async function userWithFiles(files) {
+    const username = testUser('confirm');
+    const { workingDir } = await commandUtils.resolveWorkspace(username);
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(workingDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(workingDir, name), content);
+    }
+    return { username, workingDir };
+}
+
+runTest('deleting a file waits for "yes"', async () => {
+    const { username, workingDir } = await userWithFiles({ 'notes.txt': 'x' });
+
+    const asked = await commandUtils.executeCommand('delete notes.txt', { username });
+    assert.strictEqual(asked.code, 'E_CONFIRMATION_REQUIRED', asked.result);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'notes.txt')), true);
+
+    const confirmed = await commandUtils.executeCommand('yes', { username });
+    assert.strictEqual(confirmed.success, true, confirmed.result);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'notes.txt')), false);
+
+    // A token works once
+    const again = await commandUtils.executeConfirmation(asked.confirmation.token, { username });
+    assert.strictEqual(again.code, 'E_CONFIRMATION_NOT_FOUND');
+});
+
+runTest('only the user who asked can confirm, and "no" drops it', async () => {
+    const { username, workingDir } = await userWithFiles({ 'notes.txt': 'x' });
+    const asked = await commandUtils.executeCommand('delete notes.txt', { username });
+
+    const stranger = await commandUtils.executeConfirmation(asked.confirmation.token, { username: testUser('confirm') });
+    assert.strictEqual(stranger.code, 'E_CONFIRMATION_NOT_FOUND');
+
+    const cancelled = await commandUtils.executeCommand('no', { username });
+    assert.strictEqual(cancelled.success, true, cancelled.result);
+    assert.strictEqual((await commandUtils.executeCommand('yes', { username })).code, 'E_CONFIRMATION_NOT_FOUND');
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'notes.txt')), true);
+});
+
+runTest('an expired confirmation does not run', async () => {
+    const { username, workingDir } = await userWithFiles({ 'old.txt': 'x' });
+    const asked = await commandUtils.executeCommand('rm old.txt', { username });
+    assert.strictEqual(asked.code, 'E_CONFIRMATION_REQUIRED', asked.result);
+
+    const now = Date.now;
+    Date.now = () => now() + 2 * 60 * 1000;
+    try {
+        const late = await commandUtils.executeConfirmation(asked.confirmation.token, { username });
+        assert.strictEqual(late.code, 'E_CONFIRMATION_EXPIRED');
+    } finally {
+        Date.now = now;
+    }
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'old.txt')), true);
+});
+
+runTest('only commands that destroy something ask first', async () => {
+    const { username } = await userWithFiles({ 'docs/a.txt': 'a', 'notes.txt': 'x' });
+    fs.mkdirSync(path.join((await commandUtils.resolveWorkspace(username)).workingDir, 'empty'));
+
+    assert.strictEqual((await commandUtils.executeCommand('delete folder empty', { username })).success, true);
+    assert.strictEqual((await commandUtils.executeCommand('create file new.txt', { username })).success, true);
+    assert.strictEqual((await commandUtils.executeCommand('delete folder docs', { username })).code, 'E_CONFIRMATION_REQUIRED');
+    assert.strictEqual((await commandUtils.executeCommand('write hello to notes.txt', { username })).code, 'E_CONFIRMATION_REQUIRED');
+    assert.strictEqual((await commandUtils.executeCommand('chmod 600 notes.txt', { username })).code, 'E_CONFIRMATION_REQUIRED');
+    assert.strictEqual(confirmations.getPendingConfirmation(username).action.command, 'chmod 600 notes.txt');
+});
@@ -0,0 +1,86 @@
+// Follow-up references such as "copy it to backup"
+
+const assert = require('assert');
+const { runTest, testUser } = require('./harness');
+const contextResolver = require('../utils/contextResolver');
+const commandParser = require('../utils/commandParser');
+const commandTokenizer = require('../utils/commandTokenizer');
+const intentGrammar = require('../utils/intentGrammar');
+
+runTest('pronouns are replaced with the remembered file', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', 'notes.txt');
+    await contextResolver.recordReference(username, 'directory', 'backup');
+
+    const copy = await contextResolver.resolveReferences('now copy it there', username);
+    assert.strictEqual(copy.command, 'now copy notes.txt to backup');
+    assert.deepStrictEqual(copy.references.map(r => r.kind), ['file', 'directory']);
+
+    const remove = await contextResolver.resolveReferences('delete that file', username);
+    assert.strictEqual(remove.command, 'delete notes.txt');
+});
+
+runTest('a remembered value with spaces stays one argument', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', 'my report.txt');
+
+    const resolution = await contextResolver.resolveReferences('delete it', username);
+    assert.strictEqual(resolution.command, "delete 'my report.txt'");
+    assert.deepStrictEqual(commandParser.parseCommand(resolution.command).args, ['my report.txt']);
+
+    const shell = await contextResolver.resolveReferences('wc -l it', username);
+    assert.deepStrictEqual(commandTokenizer.tokenize(shell.command).tokens.map(t => t.value), ['wc', '-l', 'my report.txt']);
+});
+
+runTest('values with quotes round-trip through both tokenizers', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', `it's "done".txt`);
+
+    const resolution = await contextResolver.resolveReferences('delete it', username);
+    assert.deepStrictEqual(commandParser.parseCommand(resolution.command).args, [`it's "done".txt`]);
+    assert.deepStrictEqual(intentGrammar.tokenize(resolution.command).map(t => t.raw), ['delete', `it's "done".txt`]);
+});
+
+runTest('the rest of the command keeps its quoting', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', 'notes.txt');
+
+    const resolution = await contextResolver.resolveReferences("copy it to 'old notes'", username);
+    assert.strictEqual(resolution.command, "copy notes.txt to 'old notes'");
+    assert.deepStrictEqual(commandParser.parseCommand(resolution.command).args, ['notes.txt', 'old notes']);
+});
+
+runTest('echo text is not substituted', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', 'notes.txt');
+
+    for (const input of ['echo that is it', 'please echo this and that']) {
+        const resolution = await contextResolver.resolveReferences(input, username);
+        assert.strictEqual(resolution.resolved, false, input);
+        assert.strictEqual(resolution.command, input);
+    }
+
+    // Only the text is left alone: a redirection target is still a reference
+    const redirected = await contextResolver.resolveReferences('echo that >> it', username);
+    assert.strictEqual(redirected.command, 'echo that >> notes.txt');
+});
+
+runTest('quoted words are literal', async () => {
+    const username = testUser('context');
+    await contextResolver.recordReference(username, 'file', 'notes.txt');
+
+    const resolution = await contextResolver.resolveReferences("grep 'that' it", username);
+    assert.strictEqual(resolution.command, "grep 'that' notes.txt");
+});
+
+runTest('an unknown reference is reported', async () => {
+    const resolution = await contextResolver.resolveReferences('delete it', testUser('context'));
+    assert.ok(resolution.error);
+    assert.ok(resolution.error.includes('"it"'));
+});
+
+runTest('apostrophes inside words are not quotes', () => {
+    assert.deepStrictEqual(intentGrammar.tokenize("what's in archive 'old files.zip'").map(t => t.raw),
+        ["what's", 'in', 'archive', 'old files.zip']);
+    assert.deepStrictEqual(intentGrammar.tokenize("don't delete it.").map(t => t.raw), ["don't", 'delete', 'it']);
+});
@@ -0,0 +1,70 @@
+// Cron expressions, time zones and spoken schedules
+
+const assert = require('assert');
+const { runTest } = require('./harness');
+const cron = require('../utils/cron');
+
+// Monday 2 March 2026, 08:00 UTC
+const MONDAY = new Date('2026-03-02T08:00:00Z');
+
+// The cron expression or one-off time a phrase becomes, or its error message
+function schedule(phrase, timezone = 'UTC') {
+    const parsed = cron.parseSchedulePhrase(phrase, { timezone, now: MONDAY });
+    if (!parsed.success) return parsed.message;
+    return parsed.repeat === 'cron' ? parsed.cron : parsed.time;
+}
+
+runTest('cron expressions are checked field by field', () => {
+    assert.strictEqual(cron.parseCron('@daily').expression, '0 0 * * *');
+    assert.strictEqual(cron.parseCron('*/15 9-17 * jan mon-fri').success, true);
+    assert.strictEqual(cron.parseCron('* * *').code, 'E_INVALID_CRON');
+    assert.strictEqual(cron.parseCron('61 * * * *').code, 'E_INVALID_CRON');
+    assert.strictEqual(cron.nextRun('0 0 30 2 *', MONDAY, 'UTC'), null);
+    assert.strictEqual(cron.normalizeTimeZone('utc'), 'UTC');
+    assert.strictEqual(cron.normalizeTimeZone('Mars/Base'), null);
+});
+
+runTest('next runs follow the time zone through clock changes', () => {
+    const next = (expression, after, timezone) => cron.nextRun(expression, new Date(after), timezone).toISOString();
+
+    assert.strictEqual(next('0 9 * * mon-fri', '2026-03-06T09:00:00Z', 'UTC'), '2026-03-09T09:00:00.000Z');
+    assert.strictEqual(next('0 9 * * mon-fri', '2026-03-06T09:00:00Z', 'America/New_York'), '2026-03-06T14:00:00.000Z');
+    // 02:30 does not exist in Berlin on 29 March: it runs the same half hour after the clocks went forward
+    assert.strictEqual(next('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+    // 02:30 happens twice on 25 October: it runs the first time only
+    assert.strictEqual(next('30 2 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+    assert.strictEqual(next('30 2 * * *', '2026-10-25T00:30:00Z', 'Europe/Berlin'), '2026-10-26T01:30:00.000Z');
+});
+
+runTest('spoken schedules become cron expressions or one-off times', () => {
+    assert.strictEqual(schedule('every weekday at 9am'), '0 9 * * 1-5');
+    assert.strictEqual(schedule('every 15 minutes between 9am and 5pm'), '*/15 9-16 * * *');
+    assert.strictEqual(schedule('every monday and friday at 5 p.m.'), '0 17 * * 1,5');
+    assert.strictEqual(schedule('on the 15th of every month at noon'), '0 12 15 * *');
+    assert.strictEqual(schedule('hourly'), '0 * * * *');
+    assert.strictEqual(schedule('cron 0 9 * * 1-5'), '0 9 * * 1-5');
+
+    assert.strictEqual(schedule('in 10 minutes'), '2026-03-02T08:10:00.000Z');
+    assert.strictEqual(schedule('at 7am'), '2026-03-03T07:00:00.000Z');
+    assert.strictEqual(schedule('on friday at 4pm'), '2026-03-06T16:00:00.000Z');
+    assert.strictEqual(schedule('tomorrow at 9am', 'Europe/Berlin'), '2026-03-03T08:00:00.000Z');
+    assert.strictEqual(cron.parseSchedulePhrase('at noon in America/New_York', { timezone: 'UTC', now: MONDAY }).timezone, 'America/New_York');
+});
+
+runTest('schedules that cannot be kept say why', () => {
+    assert.strictEqual(schedule('every 90 minutes'), 'Say "every N hours" for intervals of an hour or more');
+    assert.strictEqual(schedule('0 0 30 2 *'), "'0 0 30 2 *' never runs");
+    assert.ok(schedule('every day in 10 minutes').includes('not both'));
+    assert.ok(schedule('whenever you like').startsWith("I don't understand"));
+    assert.strictEqual(cron.parseSchedulePhrase('', {}).code, 'E_INVALID_SCHEDULE');
+});
+
+runTest('a request is split into its command and its schedule', () => {
+    const split = text => cron.splitScheduleRequest(text, { timezone: 'UTC', now: MONDAY });
+
+    const request = split('list files every weekday at 9am');
+    assert.deepStrictEqual([request.command, request.when, request.schedule.cron], ['list files', 'every weekday at 9am', '0 9 * * 1-5']);
+    assert.strictEqual(split('every day at 9am df').command, 'df');
+    assert.strictEqual(split('list files every 90 minutes').message, 'Say "every N hours" for intervals of an hour or more');
+    assert.strictEqual(split('list files').code, 'E_INVALID_SCHEDULE');
+});
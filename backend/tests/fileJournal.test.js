@@ -0,0 +1,104 @@
+// Undo/redo journal and trash
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir, testUser } = require('./harness');
+const auth = require('../utils/auth');
+const fileJournal = require('../utils/fileJournal');
+const FileOperations = require('../utils/fileOps');
+
+// A journaled FileOperations for a fresh user in a temporary workspace
+function journaled() {
+    const username = testUser('journal');
+    const workingDir = tempDir();
+    const fileOps = new FileOperations(workingDir, { journal: fileJournal.createJournal(username, workingDir) });
+    return { username, workingDir, fileOps };
+}
+
+runTest('a deleted file comes back with undo and goes again with redo', async () => {
+    const { username, workingDir, fileOps } = journaled();
+    const file = path.join(workingDir, 'notes.txt');
+    fs.writeFileSync(file, 'hello');
+
+    assert.strictEqual((await fileOps.deleteFile('notes.txt')).success, true);
+    assert.strictEqual(fs.existsSync(file), false);
+    assert.strictEqual((await fileJournal.listRecoverable(username)).trash[0].originalPath, 'notes.txt');
+
+    const undone = await fileJournal.undo(username, workingDir);
+    assert.strictEqual(undone.success, true, undone.message);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'hello');
+
+    assert.strictEqual((await fileJournal.redo(username, workingDir)).success, true);
+    assert.strictEqual(fs.existsSync(file), false);
+    assert.strictEqual((await fileJournal.redo(username, workingDir)).code, 'E_NOTHING_TO_REDO');
+});
+
+runTest('undo puts back what a write replaced and stops at a conflict', async () => {
+    const { username, workingDir, fileOps } = journaled();
+    const file = path.join(workingDir, 'notes.txt');
+    fs.writeFileSync(file, 'first');
+
+    await fileOps.writeFile('notes.txt', 'second');
+    await fileOps.appendText('notes.txt', ' more');
+    // Changed behind the journal's back, so the append cannot be undone
+    fs.appendFileSync(file, '!');
+
+    const undone = await fileJournal.undo(username, workingDir, 2);
+    assert.strictEqual(undone.code, 'E_UNDO_CONFLICT');
+    assert.strictEqual(undone.entries.length, 0);
+
+    fs.truncateSync(file, fs.statSync(file).size - 1);
+    const retried = await fileJournal.undo(username, workingDir, 2);
+    assert.strictEqual(retried.success, true, retried.message);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'first');
+});
+
+runTest("one user's undo never touches another's changes", async () => {
+    const { workingDir, fileOps } = journaled();
+    fs.writeFileSync(path.join(workingDir, 'notes.txt'), 'x');
+    await fileOps.deleteFile('notes.txt');
+
+    const result = await fileJournal.undo(testUser('journal'), workingDir);
+    assert.strictEqual(result.code, 'E_NOTHING_TO_UNDO');
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'notes.txt')), false);
+});
+
+runTest('a deleted folder is trashed whole and counted at its full size', async () => {
+    const { username, workingDir, fileOps } = journaled();
+    fs.mkdirSync(path.join(workingDir, 'docs', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(workingDir, 'docs', 'a.txt'), 'a'.repeat(300));
+    fs.writeFileSync(path.join(workingDir, 'docs', 'sub', 'b.txt'), 'b'.repeat(200));
+
+    assert.strictEqual((await fileOps.deleteDirectory('docs')).success, true);
+    const [item] = (await fileJournal.listRecoverable(username)).trash;
+    assert.strictEqual(item.type, 'directory');
+    assert.strictEqual(item.size, 500);
+
+    await fileJournal.undo(username, workingDir);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'docs', 'sub', 'b.txt'), 'utf8'), 'b'.repeat(200));
+});
+
+runTest('the oldest trash is removed once the trash outgrows the quota', async () => {
+    const { username, workingDir, fileOps } = journaled();
+    const getQuota = auth.getUserWorkspaceQuota;
+    auth.getUserWorkspaceQuota = async () => 1500;
+    try {
+        for (const name of ['one.txt', 'two.txt', 'three.txt']) {
+            fs.writeFileSync(path.join(workingDir, name), 'x'.repeat(600));
+            await fileOps.deleteFile(name);
+        }
+    } finally {
+        auth.getUserWorkspaceQuota = getQuota;
+    }
+
+    const recoverable = await fileJournal.listRecoverable(username);
+    assert.deepStrictEqual(recoverable.trash.map(item => item.originalPath), ['three.txt', 'two.txt']);
+    assert.strictEqual(recoverable.undo.length, 2);
+    assert.strictEqual(fs.readdirSync(auth.getUserTrashDir(username)).length, 2);
+
+    const undone = await fileJournal.undo(username, workingDir, 3);
+    assert.strictEqual(undone.entries.length, 2);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'one.txt')), false);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'two.txt')), true);
+});
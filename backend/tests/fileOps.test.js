@@ -0,0 +1,171 @@
+// File operations in the workspace
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir } = require('./harness');
+const FileOperations = require('../utils/fileOps');
+const confirmations = require('../utils/confirmations');
+
+// A workspace with some files in it
+function workspaceWith(files) {
+    const workingDir = tempDir();
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(workingDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(workingDir, name), content);
+    }
+    return { workingDir, fileOps: new FileOperations(workingDir) };
+}
+
+runTest('files are read by line range', async () => {
+    const { fileOps } = workspaceWith({ 'a.txt': 'one\ntwo\nthree\n' });
+
+    const part = await fileOps.readFile('a.txt', 2, 3);
+    assert.strictEqual(part.success, true);
+    assert.strictEqual(part.content, 'two\nthree');
+    assert.strictEqual((await fileOps.readFile('missing.txt')).success, false);
+    assert.strictEqual((await fileOps.readFile('../a.txt')).blocked, true);
+});
+
+runTest('write, append and rename change the file they name', async () => {
+    const { workingDir, fileOps } = workspaceWith({});
+
+    assert.strictEqual((await fileOps.writeFile('c.txt', 'hi')).success, true);
+    assert.strictEqual((await fileOps.appendText('c.txt', 'there')).success, true);
+    assert.strictEqual((await fileOps.rename('c.txt', 'd.txt')).success, true);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'd.txt'), 'utf8'), 'hi\nthere\n');
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'c.txt')), false);
+
+    // A new name is a name, not a path
+    assert.strictEqual((await fileOps.rename('d.txt', '../d.txt')).success, false);
+    assert.strictEqual((await fileOps.writeFile('../escape.txt', 'x')).blocked, true);
+});
+
+runTest('tree, stat, find and grep describe the workspace', async () => {
+    const { fileOps } = workspaceWith({ 'a.txt': 'one\ntwo\n', 'sub/b.md': 'two words' });
+
+    const tree = await fileOps.tree('.');
+    assert.strictEqual(tree.totalFiles, 2);
+    assert.strictEqual(tree.totalDirectories, 1);
+    assert.strictEqual((await fileOps.stat('a.txt')).stat.size, 8);
+    assert.deepStrictEqual((await fileOps.findFiles('*.md')).matches.map(match => match.path), ['sub/b.md']);
+    assert.deepStrictEqual((await fileOps.grep('two', '.')).matches.map(match => [match.file, match.line]),
+        [['a.txt', 2], ['sub/b.md', 1]]);
+    assert.strictEqual((await fileOps.grep('two', '..')).success, false);
+});
+
+// Recursive folder operations
+
+runTest('a move is checked before its destination is looked at', async () => {
+    const { workingDir, fileOps } = workspaceWith({ 'a.txt': 'a', 'docs/keep.txt': 'k' });
+    const outside = tempDir();
+    fs.symlinkSync(outside, path.join(workingDir, 'out'));
+
+    assert.strictEqual((await fileOps.moveFile('a.txt', '../')).blocked, true);
+    assert.strictEqual((await fileOps.moveFile('a.txt', 'out')).blocked, true);
+    assert.strictEqual((await fileOps.moveFile('a.txt', outside)).blocked, true);
+    assert.deepStrictEqual(fs.readdirSync(outside), []);
+
+    assert.strictEqual((await fileOps.moveFile('a.txt', 'docs')).success, true);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'docs', 'a.txt'), 'utf8'), 'a');
+
+    const preview = await fileOps.previewOperation('moveFile', ['docs/a.txt', outside]);
+    assert.deepStrictEqual(preview.paths.map(entry => [entry.path, entry.safe]), [['docs/a.txt', true], [outside, false]]);
+});
+
+runTest('large folders are copied with progress reports', async () => {
+    const files = {};
+    for (let i = 0; i < FileOperations.RECURSIVE_LIMITS.progressItems; i++) {
+        files[`big/file${i}.txt`] = String(i);
+    }
+    const { workingDir } = workspaceWith(files);
+    const reports = [];
+    const fileOps = new FileOperations(workingDir, { onProgress: progress => reports.push(progress) });
+
+    const copied = await fileOps.copyDirectory('big', 'copy');
+    assert.strictEqual(copied.success, true, copied.result);
+    assert.strictEqual(fs.readdirSync(path.join(workingDir, 'copy')).length, FileOperations.RECURSIVE_LIMITS.progressItems);
+    assert.ok(reports.length >= 2);
+    assert.strictEqual(reports[0].done, false);
+    assert.strictEqual(reports[reports.length - 1].done, true);
+    assert.strictEqual(reports[reports.length - 1].itemsDone, reports[0].itemsTotal);
+});
+
+runTest('folders over the limits or moved into themselves are refused', async () => {
+    const { workingDir, fileOps } = workspaceWith({ 'docs/a.txt': 'a', 'docs/b.txt': 'b', 'docs/sub/c.txt': 'c' });
+
+    assert.strictEqual((await fileOps.moveDirectory('docs', 'docs/sub')).success, false);
+    assert.strictEqual((await fileOps.copyDirectory('.', 'copy')).blocked, true);
+
+    const limits = FileOperations.RECURSIVE_LIMITS;
+    const maxItems = limits.maxItems;
+    limits.maxItems = 2;
+    try {
+        assert.strictEqual((await fileOps.deleteDirectory('docs')).blocked, true);
+        assert.strictEqual((await fileOps.copyDirectory('docs', 'copy')).blocked, true);
+    } finally {
+        limits.maxItems = maxItems;
+    }
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'docs', 'sub', 'c.txt')), true);
+
+    assert.strictEqual((await fileOps.deleteDirectory('docs')).success, true);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'docs')), false);
+});
+
+// Uploads
+
+runTest('uploads land in the workspace folder they were sent to', async () => {
+    const { workingDir, fileOps } = workspaceWith({ 'docs/old.txt': 'old' });
+    const upload = (content) => {
+        const tempPath = path.join(tempDir(), 'upload');
+        fs.writeFileSync(tempPath, content);
+        return tempPath;
+    };
+
+    const saved = await fileOps.importFile(upload('new'), 'docs', 'new.txt');
+    assert.strictEqual(saved.success, true, saved.result);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'docs', 'new.txt'), 'utf8'), 'new');
+
+    assert.strictEqual((await fileOps.importFile(upload('x'), 'docs', 'old.txt')).exists, true);
+    assert.strictEqual((await fileOps.importFile(upload('x'), 'docs', 'old.txt', { overwrite: true })).replaced, true);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'docs', 'old.txt'), 'utf8'), 'x');
+});
+
+runTest('uploads with bad names, outside folders or over quota are refused', async () => {
+    const { workingDir } = workspaceWith({});
+    const fileOps = new FileOperations(workingDir, { quotaBytes: 10 });
+    const tempPath = path.join(tempDir(), 'upload');
+    fs.writeFileSync(tempPath, 'more than ten bytes');
+
+    assert.strictEqual((await fileOps.importFile(tempPath, '.', '../x.txt')).blocked, true);
+    assert.strictEqual((await fileOps.importFile(tempPath, '.', 'setup.EXE')).blocked, true);
+    assert.strictEqual((await fileOps.importFile(tempPath, '..', 'x.txt')).blocked, true);
+    assert.strictEqual((await fileOps.importFile(tempPath, '.', 'big.txt')).blocked, true);
+    assert.deepStrictEqual(fs.readdirSync(workingDir), []);
+});
+
+// File browser
+
+runTest('folders are listed as entries for the file browser', async () => {
+    const { workingDir, fileOps } = workspaceWith({ 'a.txt': 'aa', 'sub/b.txt': 'b' });
+    fs.symlinkSync(path.join(workingDir, 'missing'), path.join(workingDir, 'broken'));
+
+    const listed = await fileOps.listFiles('.');
+    assert.strictEqual(listed.success, true, listed.result);
+    assert.deepStrictEqual(listed.files.map(file => [file.name, file.type]), [['sub', 'directory'], ['a.txt', 'file'], ['broken', 'file']]);
+    assert.strictEqual(listed.files[1].size, 2);
+    assert.ok(!Number.isNaN(Date.parse(listed.files[1].modifiedAt)));
+
+    assert.strictEqual((await fileOps.listFiles('..')).blocked, true);
+    assert.strictEqual((await fileOps.listFiles('nothing')).success, false);
+});
+
+runTest('a browser move onto an existing file asks, then replaces it', async () => {
+    const { workingDir, fileOps } = workspaceWith({ 'a.txt': 'new', 'b.txt': 'old' });
+    const move = { type: 'fileOp', fn: 'moveFile', args: ['a.txt', 'b.txt'] };
+
+    assert.ok((await confirmations.getDestructiveReason(move, fileOps)).includes("'b.txt'"));
+    assert.strictEqual((await fileOps.moveFile('a.txt', 'b.txt')).success, false);
+    assert.strictEqual((await fileOps.moveFile('a.txt', 'b.txt', { overwrite: true })).success, true);
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'b.txt'), 'utf8'), 'new');
+});
@@ -0,0 +1,74 @@
+// Workspace change events
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, testUser } = require('./harness');
+const auth = require('../utils/auth');
+const fileWatcher = require('../utils/fileWatcher');
+
+// Wait for a watcher event about one user; an event that never comes fails the test
+function nextEvent(name, username) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            fileWatcher.events.off(name, listener);
+            reject(new Error(`No "${name}" event for ${username} within 5 seconds`));
+        }, 5000);
+        const listener = (user, ...values) => {
+            if (user !== username) return;
+            clearTimeout(timer);
+            fileWatcher.events.off(name, listener);
+            resolve(values);
+        };
+        fileWatcher.events.on(name, listener);
+    });
+}
+
+runTest('changes in a watched workspace are reported in one batch', async () => {
+    const username = testUser('watch');
+    await fileWatcher.watchWorkspace(username);
+    try {
+        const workingDir = auth.getUserWorkspaceDir(username);
+        const changed = nextEvent('changed', username);
+        fs.writeFileSync(path.join(workingDir, 'a.txt'), 'a');
+        fs.mkdirSync(path.join(workingDir, 'docs'));
+
+        const [changes, truncated] = await changed;
+        assert.strictEqual(truncated, false);
+        assert.deepStrictEqual(changes.filter(c => c.change === 'created').map(c => [c.path, c.type]).sort(),
+            [['a.txt', 'file'], ['docs', 'directory']]);
+    } finally {
+        fileWatcher.unwatchWorkspace(username);
+    }
+});
+
+runTest('"tell me when" fires once the file appears anywhere in the workspace', async () => {
+    const username = testUser('watch');
+    const workingDir = await auth.ensureUserWorkspaceDir(username);
+    fs.mkdirSync(path.join(workingDir, 'reports'));
+    fs.writeFileSync(path.join(workingDir, 'here.txt'), 'x');
+
+    assert.strictEqual((await fileWatcher.waitForFile(username, 'here.txt')).alreadyExists, true);
+    assert.strictEqual((await fileWatcher.waitForFile(username, '../other/x.txt')).code, 'E_PATH_BLOCKED');
+
+    const waiting = await fileWatcher.waitForFile(username, 'Report.PDF');
+    assert.strictEqual(waiting.success, true);
+    assert.deepStrictEqual(fileWatcher.listWaits(username).map(wait => wait.pattern), ['Report.PDF']);
+
+    const appeared = nextEvent('appeared', username);
+    fs.writeFileSync(path.join(workingDir, 'reports', 'report.pdf'), '%PDF');
+    const [wait, found] = await appeared;
+    assert.strictEqual(wait.id, waiting.wait.id);
+    assert.strictEqual(found, path.join('reports', 'report.pdf'));
+    assert.deepStrictEqual(fileWatcher.listWaits(username), []);
+});
+
+runTest('waits can be cancelled', async () => {
+    const username = testUser('watch');
+    await fileWatcher.waitForFile(username, 'a.txt');
+    await fileWatcher.waitForFile(username, 'b.txt');
+
+    assert.strictEqual(fileWatcher.cancelWait(username, 'c.txt').code, 'E_WAIT_NOT_FOUND');
+    assert.deepStrictEqual(fileWatcher.cancelWait(username).cancelled.sort(), ['a.txt', 'b.txt']);
+    assert.deepStrictEqual(fileWatcher.listWaits(username), []);
+});
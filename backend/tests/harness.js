@@ -0,0 +1,109 @@
+// VOICE-CMD Test Harness
+// Registers unit tests and runs them in order, reporting like test_suite.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Registered tests: { file, name, fn }
+const tests = [];
+// Temporary directories made by tempDir, removed after the run
+const tempDirs = [];
+// Users made by testUser; their data/users/<name> directories are removed after the run
+const testUsers = [];
+let currentFile = null;
+
+/**
+ * Register a test
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body; throws (or rejects) to fail
+ */
+function runTest(name, fn) {
+    tests.push({ file: currentFile, name, fn });
+}
+
+/**
+ * Make an empty temporary directory that is removed when the run ends
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Absolute path
+ */
+function tempDir(prefix = 'voice-cmd-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Make up a user name whose data directory is removed when the run ends
+ * The user is not registered; per-user files (memory, journal, schedules) still work.
+ * @param {string} prefix - Name prefix
+ * @returns {string} - Unique user name
+ */
+function testUser(prefix = 'test') {
+    const username = `${prefix}-${process.pid}-${testUsers.length + 1}`;
+    testUsers.push(username);
+    return username;
+}
+
+// Hold back what the modules under test log; it is only shown when the test fails
+function captureConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    const lines = [];
+    const keep = (...args) => lines.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+    console.log = keep;
+    console.warn = keep;
+    console.error = keep;
+    return {
+        lines,
+        restore() {
+            Object.assign(console, original);
+        }
+    };
+}
+
+// Load the test files, then run every test one after another
+async function runAll(files) {
+    const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+    for (const file of files) {
+        currentFile = path.basename(file, '.test.js');
+        require(file);
+    }
+
+    let lastFile = null;
+    for (const test of tests) {
+        if (test.file !== lastFile) {
+            console.log(`\n📁 ${test.file}`);
+            lastFile = test.file;
+        }
+        results.total++;
+        process.stdout.write(`Testing ${test.name}... `);
+        const output = captureConsole();
+        try {
+            await test.fn();
+            output.restore();
+            results.passed++;
+            console.log('✅ PASSED');
+        } catch (error) {
+            output.restore();
+            results.failed++;
+            results.errors.push({ test: `${test.file}: ${test.name}`, error: error.message });
+            console.log('❌ FAILED');
+            console.log(`   Error: ${error.message}`);
+            output.lines.forEach(line => console.log(`   | ${line}`));
+        }
+    }
+
+    const auth = require('../utils/auth');
+    for (const dir of [...tempDirs, ...testUsers.map(username => auth.getUserDataDir(username))]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    return results;
+}
+
+module.exports = {
+    runTest,
+    tempDir,
+    testUser,
+    runAll
+};
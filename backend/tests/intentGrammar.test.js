@@ -0,0 +1,71 @@
+// Intent rule files and pattern matching
+
+const assert = require('assert');
+const { runTest } = require('./harness');
+const intentGrammar = require('../utils/intentGrammar');
+const commandParser = require('../utils/commandParser');
+const auth = require('../utils/auth');
+
+runTest('every rule example matches its own intent', () => {
+    const misses = [];
+    for (const intent of intentGrammar.getIntents().intents) {
+        for (const example of intent.examples) {
+            const match = intentGrammar.matchIntent(example);
+            if (!match || match.intent.id !== intent.id) {
+                misses.push(`${intent.id}: "${example}" -> ${match ? match.intent.id : 'nothing'}`);
+            }
+        }
+    }
+    assert.deepStrictEqual(misses, []);
+});
+
+runTest('slots capture their values', () => {
+    const match = intentGrammar.matchIntent('copy file notes.txt to backup');
+    assert.strictEqual(match.intent.fn, 'copyFile');
+    assert.deepStrictEqual(match.args, ['notes.txt', 'backup']);
+    assert.strictEqual(match.confidence, 1);
+});
+
+runTest('optional words and alternatives', () => {
+    assert.strictEqual(intentGrammar.matchIntent('create a new directory Reports').intent.fn, 'createDirectory');
+    assert.strictEqual(intentGrammar.matchIntent('create folder Reports').intent.fn, 'createDirectory');
+});
+
+runTest('leading filler words are skipped', () => {
+    for (const input of ['please list files', 'can you create folder x', 'ok now list files', 'i want to create file notes.txt']) {
+        const match = intentGrammar.matchIntent(input);
+        assert.ok(match, input);
+        assert.strictEqual(match.confidence, 1, input);
+    }
+});
+
+runTest('other leading words are not skipped', () => {
+    assert.strictEqual(intentGrammar.matchIntent('hello delete file report.txt'), null);
+    assert.strictEqual(intentGrammar.matchIntent('quickly delete file report.txt'), null);
+});
+
+runTest('negated commands never match', () => {
+    for (const input of ['do not delete file report.txt', 'dont create folder x', "please don't delete file a.txt", 'never list files']) {
+        assert.strictEqual(intentGrammar.matchIntent(input), null, input);
+        assert.strictEqual(intentGrammar.isNegated(input), true, input);
+        assert.strictEqual(commandParser.parseCommand(input).type, 'noIntent', input);
+    }
+    assert.strictEqual(intentGrammar.isNegated('delete file notes.txt'), false);
+});
+
+runTest('"no" on its own is still an answer to a confirmation', () => {
+    assert.strictEqual(intentGrammar.matchIntent('no').intent.type, 'confirmationOp');
+});
+
+runTest('reloading intents needs an administrator', async () => {
+    let status = null;
+    let nextCalled = false;
+    const res = {
+        status(code) { status = code; return this; },
+        json() { return this; }
+    };
+    await auth.requireAdmin({ user: { username: 'testuser' } }, res, () => { nextCalled = true; });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(await auth.isAdmin('nobody-here'), false);
+});
@@ -0,0 +1,52 @@
+// Fuzzy intent matching with confidence and suggestions
+
+const assert = require('assert');
+const { runTest } = require('./harness');
+const intentScorer = require('../utils/intentScorer');
+const commandParser = require('../utils/commandParser');
+
+runTest('edit distance and word similarity', () => {
+    assert.strictEqual(intentScorer.editDistance('creat', 'create'), 1);
+    assert.strictEqual(intentScorer.editDistance('', 'abc'), 3);
+    assert.strictEqual(intentScorer.wordSimilarity('files', 'files'), 1);
+    assert.strictEqual(intentScorer.wordSimilarity('least', 'list'), 0.6);
+});
+
+runTest('exact commands have confidence 1', () => {
+    const scored = intentScorer.scoreCommand('create file notes.txt');
+    assert.strictEqual(scored.confidence, 1);
+    assert.strictEqual(scored.needsConfirmation, false);
+});
+
+runTest('a slightly misheard command runs as corrected', () => {
+    const parsed = commandParser.parseCommand('creat file notes.txt');
+    assert.strictEqual(parsed.fn, 'createFile');
+    assert.deepStrictEqual(parsed.args, ['notes.txt']);
+    assert.ok(parsed.confidence >= intentScorer.CONFIDENCE_THRESHOLD);
+    assert.strictEqual(parsed.interpreted, 'create file notes.txt');
+});
+
+runTest('an unsure match asks with suggestions', () => {
+    const parsed = commandParser.parseCommand('least files');
+    assert.strictEqual(parsed.type, 'needsConfirmation');
+    assert.ok(parsed.confidence < intentScorer.CONFIDENCE_THRESHOLD);
+    assert.strictEqual(parsed.suggestions[0].command, 'list files');
+    assert.ok(parsed.suggestions.length <= 3);
+});
+
+runTest('noise gets no intent instead of unrelated suggestions', () => {
+    for (const input of ['hello world', 'what time is it', 'banana', 'the weather today']) {
+        const scored = intentScorer.scoreCommand(input);
+        assert.deepStrictEqual(scored.suggestions, [], input);
+        assert.strictEqual(scored.match, null, input);
+        assert.strictEqual(commandParser.parseCommand(input).type, 'noIntent', input);
+    }
+});
+
+runTest('suggestions stay above the relevance floor', () => {
+    for (const input of ['least files', 'show me the files', 'kil process 1234', 'show memry']) {
+        for (const suggestion of intentScorer.scoreCommand(input).suggestions) {
+            assert.ok(suggestion.confidence >= intentScorer.MIN_RELEVANCE, `${input}: ${suggestion.command}`);
+        }
+    }
+});
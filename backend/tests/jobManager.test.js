@@ -0,0 +1,52 @@
+// Streaming jobs and cancellation
+
+const assert = require('assert');
+const { runTest, testUser } = require('./harness');
+const jobManager = require('../utils/jobManager');
+const commandUtils = require('../utils/commandUtils');
+
+runTest('job output is streamed as it arrives', async () => {
+    const username = testUser('jobs');
+    const chunks = [];
+    const job = jobManager.createJob(username, 'echo streamed', { onOutput: (stream, chunk) => chunks.push([stream, chunk]) });
+
+    const result = await commandUtils.executeCommand('echo streamed', { username, job });
+    jobManager.finishJob(job.id, result.success ? 'success' : 'error');
+
+    assert.strictEqual(result.success, true, result.result);
+    assert.deepStrictEqual(chunks, [['stdout', 'streamed\n']]);
+    assert.strictEqual(jobManager.listJobs(username)[0].status, 'success');
+});
+
+runTest('only the owner can cancel a job', () => {
+    const owner = testUser('jobs');
+    const job = jobManager.createJob(owner, 'find . -name x');
+
+    const other = jobManager.cancelJob(testUser('jobs'), job.id);
+    assert.strictEqual(other.code, 'E_JOB_NOT_FOUND');
+    assert.strictEqual(job.signal.aborted, false);
+
+    assert.strictEqual(jobManager.cancelJob(owner, job.id).success, true);
+    assert.strictEqual(job.signal.aborted, true);
+    assert.strictEqual(jobManager.cancelJob(owner, job.id).code, 'E_JOB_NOT_RUNNING');
+
+    jobManager.finishJob(job.id, 'error');
+    assert.strictEqual(jobManager.listJobs(owner)[0].status, 'cancelled');
+});
+
+runTest('"stop that" cancels the latest running job, not itself', async () => {
+    const username = testUser('jobs');
+    const older = jobManager.createJob(username, 'du -h');
+    const latest = jobManager.createJob(username, 'find . -type f');
+    const stop = jobManager.createJob(username, 'stop that');
+
+    const result = await commandUtils.executeCommand('stop that', { username, job: stop });
+    assert.strictEqual(result.success, true, result.result);
+    assert.strictEqual(latest.signal.aborted, true);
+    assert.strictEqual(older.signal.aborted, false);
+    assert.strictEqual(stop.signal.aborted, false);
+
+    jobManager.cancelJob(username, older.id);
+    const nothing = await commandUtils.executeCommand('stop that', { username, job: stop });
+    assert.strictEqual(nothing.code, 'E_JOB_NOT_FOUND');
+});
@@ -0,0 +1,117 @@
+// Command macros
+
+const assert = require('assert');
+const fs = require('fs');
+const { runTest, testUser } = require('./harness');
+const commandHistory = require('../utils/commandHistory');
+const commandUtils = require('../utils/commandUtils');
+const macros = require('../utils/macros');
+
+// A step runner that records the commands it gets and answers from a table (default: success)
+function recorder(answers = {}) {
+    const ran = [];
+    const runStep = async (command) => {
+        ran.push(command);
+        return answers[command] || { success: true, result: 'ok' };
+    };
+    return { ran, runStep };
+}
+
+runTest('macros are checked when saved', async () => {
+    const username = testUser('macro');
+
+    const saved = await macros.saveMacro(username, { name: 'Morning Setup', commands: 'create directory logs then list files; df' });
+    assert.strictEqual(saved.success, true, saved.message);
+    assert.deepStrictEqual(saved.macro.commands, ['create directory logs', 'list files', 'df']);
+    assert.strictEqual((await macros.getMacro(username, 'morning setup')).name, 'Morning Setup');
+
+    assert.strictEqual((await macros.saveMacro(username, { name: 'MORNING SETUP', commands: 'df' })).code, 'E_MACRO_EXISTS');
+    assert.strictEqual((await macros.saveMacro(username, { name: 'MORNING SETUP', commands: 'df' }, { overwrite: true })).replaced, true);
+    for (const definition of [{ name: '', commands: 'df' }, { name: '../x', commands: 'df' }, { name: 'x'.repeat(61), commands: 'df' },
+        { name: 'empty', commands: ' ; ' }, { name: 'many', commands: Array(21).fill('df') }, { name: 'odd', commands: 'df', onError: 'retry' }]) {
+        assert.strictEqual((await macros.saveMacro(username, definition)).code, 'E_INVALID_MACRO', JSON.stringify(definition));
+    }
+
+    // Another user's macros are their own
+    assert.strictEqual(await macros.getMacro(testUser('macro'), 'morning setup'), null);
+});
+
+runTest('macros are made from recent commands in the order they ran', async () => {
+    const username = testUser('macro');
+    for (const [index, command] of ['list files', 'df', 'whoami'].entries()) {
+        await commandHistory.addCommandForUser(username, {
+            command, result: 'ok', status: 'success', timestamp: new Date(Date.UTC(2026, 2, 1, 9, index)).toISOString()
+        });
+    }
+
+    assert.deepStrictEqual((await macros.saveMacroFromHistory(username, { name: 'recent', last: 2 })).macro.commands, ['df', 'whoami']);
+    assert.strictEqual((await macros.saveMacroFromHistory(username, { name: 'too many', last: 5 })).code, 'E_COMMAND_NOT_FOUND');
+    assert.strictEqual((await macros.saveMacroFromHistory(username, { name: 'none', historyIds: ['nope'] })).code, 'E_COMMAND_NOT_FOUND');
+});
+
+runTest('a macro gets exactly the arguments it uses and cannot run itself', async () => {
+    const username = testUser('macro');
+    await macros.saveMacro(username, { name: 'backup', commands: 'copy $1 to $2' });
+    const { ran, runStep } = recorder();
+
+    assert.strictEqual((await macros.runMacro(username, 'backup', 'a.txt', runStep)).code, 'E_MACRO_ARGUMENTS');
+    assert.strictEqual((await macros.runMacro(username, 'backup', 'a.txt b c', runStep)).code, 'E_MACRO_ARGUMENTS');
+    assert.strictEqual((await macros.runMacro(username, 'missing', '', runStep)).code, 'E_MACRO_NOT_FOUND');
+    assert.strictEqual((await macros.runMacro(username, 'backup', 'a.txt b.txt', runStep, { macroStack: ['Backup'] })).code, 'E_MACRO_RECURSION');
+    assert.strictEqual((await macros.runMacro(username, 'backup', 'a.txt b.txt', runStep, { macroStack: ['x', 'y', 'z'] })).code, 'E_MACRO_RECURSION');
+    assert.deepStrictEqual(ran, []);
+
+    assert.strictEqual((await macros.runMacro(username, 'backup', 'a.txt b.txt', runStep)).success, true);
+    assert.deepStrictEqual(ran, ['copy a.txt to b.txt']);
+});
+
+runTest('a failed step stops the macro unless it keeps going, and a confirmation pauses it', async () => {
+    const username = testUser('macro');
+    await macros.saveMacro(username, { name: 'strict', commands: 'one; two; three' });
+    await macros.saveMacro(username, { name: 'lenient', commands: 'one; two; three', onError: 'continue' });
+    const failing = { two: { success: false, result: 'no', code: 'E_COMMAND_FAILED' } };
+
+    const strict = recorder(failing);
+    const stopped = await macros.runMacro(username, 'strict', '', strict.runStep);
+    assert.strictEqual(stopped.stoppedAt, 2);
+    assert.deepStrictEqual(strict.ran, ['one', 'two']);
+
+    const lenient = recorder(failing);
+    const finished = await macros.runMacro(username, 'lenient', '', lenient.runStep);
+    assert.strictEqual(finished.success, false);
+    assert.strictEqual(finished.stoppedAt, null);
+    assert.deepStrictEqual(lenient.ran, ['one', 'two', 'three']);
+
+    const asking = recorder({ two: { success: false, needsConfirmation: true, confirmation: { token: 't' } } });
+    const paused = await macros.runMacro(username, 'lenient', '', asking.runStep);
+    assert.strictEqual(paused.stoppedAt, 2);
+    assert.deepStrictEqual(paused.needsConfirmation, { token: 't' });
+    assert.deepStrictEqual(asking.ran, ['one', 'two']);
+});
+
+runTest('an argument fills one argument of a step, whatever it contains', async () => {
+    const username = testUser('macro');
+    await macros.saveMacro(username, { name: 'show', commands: 'cat $1; grep todo notes-$1.txt' });
+    await macros.saveMacro(username, { name: 'touch', commands: 'cat $1' });
+    const { ran, runStep } = recorder();
+
+    assert.strictEqual((await macros.runMacro(username, 'touch', ['my notes.txt'], runStep)).success, true);
+    assert.strictEqual((await macros.runMacro(username, 'touch', ['x | rm -rf y'], runStep)).success, true);
+    assert.deepStrictEqual(ran, ["cat 'my notes.txt'", "cat 'x | rm -rf y'"]);
+
+    // Inside a word a value cannot be quoted, so only plain values fit there; nothing runs otherwise
+    assert.strictEqual((await macros.runMacro(username, 'show', ['a;b'], runStep)).code, 'E_MACRO_ARGUMENTS');
+    assert.strictEqual(ran.length, 2);
+    assert.strictEqual((await macros.runMacro(username, 'show', ['2026'], runStep)).success, true);
+    assert.deepStrictEqual(ran.slice(2), ['cat 2026', 'grep todo notes-2026.txt']);
+});
+
+runTest('a quoted macro argument names one file when the macro runs', async () => {
+    const username = testUser('macro');
+    const { workingDir } = await commandUtils.resolveWorkspace(username);
+    await macros.saveMacro(username, { name: 'start', commands: 'create file $1' });
+
+    const run = await commandUtils.executeCommand('run start with "my notes.txt"', { username });
+    assert.strictEqual(run.success, true, run.result);
+    assert.deepStrictEqual(fs.readdirSync(workingDir), ['my notes.txt']);
+});
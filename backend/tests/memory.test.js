@@ -0,0 +1,159 @@
+// Per-user and typed memory
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir, testUser } = require('./harness');
+const auth = require('../utils/auth');
+const memory = require('../memory');
+
+// Old shared memory.json contents: values and history of nobody in particular, context namespaced per user
+function legacyMemory(username) {
+    return {
+        userData: { wifi: { value: 'hunter2', timestamp: '2026-01-01T00:00:00.000Z' } },
+        commandHistory: [{ command: 'list files', result: 'ok', timestamp: '2026-01-01T00:00:00.000Z' }],
+        context: {
+            [`${username}:last_file`]: { value: 'notes.txt', timestamp: '2026-01-01T00:00:00.000Z' },
+            'gone-user:last_file': { value: 'secret.txt', timestamp: '2026-01-01T00:00:00.000Z' }
+        }
+    };
+}
+
+// Run the migration on files in a temporary folder, as if the given users were registered
+async function migrate(dir, usernames, owner) {
+    const listUsers = auth.listUsers;
+    const previousOwner = process.env.MEMORY_MIGRATION_USER;
+    auth.listUsers = async () => usernames.map(username => ({ username, createdAt: '2026-01-01T00:00:00.000Z', isActive: true }));
+    if (owner) process.env.MEMORY_MIGRATION_USER = owner;
+    else delete process.env.MEMORY_MIGRATION_USER;
+    try {
+        return await memory.migrateLegacyMemory({
+            legacyFile: path.join(dir, 'memory.json'),
+            unclaimedFile: path.join(dir, 'memory.unclaimed.json')
+        });
+    } finally {
+        auth.listUsers = listUsers;
+        if (previousOwner === undefined) delete process.env.MEMORY_MIGRATION_USER;
+        else process.env.MEMORY_MIGRATION_USER = previousOwner;
+    }
+}
+
+runTest("one user's memory is not another's", async () => {
+    const alice = testUser('memory');
+    const bob = testUser('memory');
+
+    await memory.saveMemory(alice, 'color', 'blue');
+    assert.strictEqual((await memory.getMemory(alice, 'color')).text, 'blue');
+    assert.strictEqual((await memory.getMemory(bob, 'color')).found, false);
+
+    await memory.clearMemory(bob);
+    assert.strictEqual((await memory.getMemory(alice, 'color')).found, true);
+
+    // Without a user there is no memory to fall back to
+    await assert.rejects(memory.getMemory(null, 'color'), { code: 'E_NO_USER' });
+    await assert.rejects(memory.saveMemory(undefined, 'color', 'red'), { code: 'E_NO_USER' });
+});
+
+runTest('shared values are set aside, not given to the first user, when no owner is named', async () => {
+    const first = testUser('memory');
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'memory.json'), JSON.stringify(legacyMemory(first)));
+
+    const result = await migrate(dir, [first], null);
+    assert.strictEqual(result.migrated, true);
+    assert.strictEqual(result.owner, null);
+    assert.deepStrictEqual(result.unclaimed, { userData: 1, context: 1, commands: 1 });
+
+    const mine = await memory.getAllMemory(first);
+    assert.deepStrictEqual(mine.userData, {});
+    assert.deepStrictEqual(mine.commandHistory, []);
+    assert.deepStrictEqual(Object.keys(mine.context), ['last_file']);
+
+    const setAside = JSON.parse(fs.readFileSync(path.join(dir, 'memory.unclaimed.json'), 'utf8'));
+    assert.strictEqual(setAside.userData.wifi.value, 'hunter2');
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['memory.legacy.json', 'memory.unclaimed.json']);
+
+    // Nothing more happens until an owner is named
+    assert.strictEqual((await migrate(dir, [first], null)).migrated, false);
+});
+
+runTest('an owner named later gets what was set aside', async () => {
+    const first = testUser('memory');
+    const owner = testUser('memory');
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'memory.json'), JSON.stringify(legacyMemory(first)));
+    await migrate(dir, [first, owner], null);
+
+    const result = await migrate(dir, [first, owner], owner);
+    assert.strictEqual(result.migrated, true);
+    assert.strictEqual(result.unclaimed, null);
+    assert.strictEqual((await memory.getMemory(owner, 'wifi')).text, 'hunter2');
+    assert.strictEqual((await memory.getCommandHistory(owner)).length, 1);
+    assert.strictEqual((await memory.getContext(owner, 'gone-user:last_file')).value, 'secret.txt');
+    assert.strictEqual((await memory.getMemory(first, 'wifi')).found, false);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['memory.legacy.json']);
+});
+
+runTest('an owner who is not registered is refused', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'memory.json'), JSON.stringify(legacyMemory('someone')));
+
+    await assert.rejects(migrate(dir, [], 'nobody-registered'), /not a registered user/);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['memory.json']);
+});
+
+// Typed values, tags, expiry and namespaces
+
+runTest('values keep the type they were given or look like', async () => {
+    const username = testUser('memory');
+
+    assert.strictEqual((await memory.saveMemory(username, 'budget', '1,250.50')).value, 1250.5);
+    assert.strictEqual((await memory.saveMemory(username, 'deadline', '2026-11-02')).type, 'date');
+    assert.deepStrictEqual((await memory.saveMemory(username, 'team', 'ann, bo and cy')).value, ['ann', 'bo', 'cy']);
+    assert.strictEqual((await memory.saveMemory(username, 'logs', '/var/log/app')).type, 'path');
+    assert.strictEqual((await memory.saveMemory(username, 'zip', '02134', { type: 'string' })).value, '02134');
+    assert.strictEqual((await memory.saveMemory(username, 'count', 'many', { type: 'number' })).status, 'error');
+    assert.strictEqual((await memory.saveMemory(username, 'x', 'y', { type: 'colour' })).status, 'error');
+});
+
+runTest('spoken options become type, tags and expiry', () => {
+    assert.deepStrictEqual(memory.parseValueOptions('10.0.0.5 for one week tagged servers, network as a string'), {
+        value: '10.0.0.5',
+        tags: ['servers', 'network'],
+        type: 'string',
+        ttlMs: 7 * 24 * 60 * 60 * 1000
+    });
+    // "for" that is not a duration is part of the value
+    assert.deepStrictEqual(memory.parseValueOptions('milk for the cat'), { value: 'milk for the cat', tags: [] });
+    assert.strictEqual(memory.parseDuration('a couple of days'), 2 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(memory.parseDuration('soon'), null);
+});
+
+runTest('expired values are forgotten', async () => {
+    const username = testUser('memory');
+    await memory.saveMemory(username, 'otp', '123456', { ttlMs: 60 * 1000 });
+    assert.strictEqual((await memory.getMemory(username, 'otp')).found, true);
+
+    const now = Date.now;
+    Date.now = () => now() + 2 * 60 * 1000;
+    try {
+        assert.strictEqual((await memory.getMemory(username, 'otp')).found, false);
+    } finally {
+        Date.now = now;
+    }
+});
+
+runTest('namespaces and tags narrow listings and searches', async () => {
+    const username = testUser('memory');
+    await memory.saveMemory(username, 'work:server', '10.0.0.5', { tags: ['network'] });
+    await memory.saveMemory(username, 'home:server', '192.168.1.2');
+    await memory.saveMemory(username, 'color', 'blue');
+
+    assert.deepStrictEqual((await memory.getAllMemory(username, 'work')).entries.map(entry => entry.key), ['work:server']);
+    assert.strictEqual((await memory.getMemory(username, 'color')).namespace, 'general');
+
+    await memory.tagMemory(username, 'home:server', ['Network']);
+    const found = await memory.searchMemory(username, 'network servers');
+    assert.deepStrictEqual(found.results.map(result => result.key).sort(), ['home:server', 'work:server']);
+    assert.strictEqual((await memory.searchMemory(username, 'purple')).count, 0);
+});
@@ -0,0 +1,52 @@
+// Running pipelines with execFile/spawn
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir } = require('./harness');
+const pipelineRunner = require('../utils/pipelineRunner');
+
+// Ignores SIGTERM, so only SIGKILL ends it
+const STUBBORN = [process.execPath, '-e', 'process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)'];
+
+runTest('arguments reach the program untouched', async () => {
+    const result = await pipelineRunner.runPipeline({ stages: [{ argv: ['echo', '$HOME', '*', 'a;b'] }] });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.stdout, '$HOME * a;b\n');
+});
+
+runTest('stages are piped and redirected', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'names.txt'), 'b\na\nb\n');
+
+    const result = await pipelineRunner.runPipeline({
+        stages: [{ argv: ['sort'] }, { argv: ['uniq', '-c'] }],
+        input: { path: path.join(dir, 'names.txt') },
+        output: { path: path.join(dir, 'counts.txt'), append: false }
+    }, { cwd: dir });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, 'counts.txt'), 'utf8').trim().split('\n').map(line => line.trim()),
+        ['1 a', '2 b']);
+});
+
+runTest('a timed out command is killed even if it ignores SIGTERM', async () => {
+    const started = Date.now();
+    const result = await pipelineRunner.runPipeline({ stages: [{ argv: STUBBORN }] }, { timeout: 200, killGrace: 200 });
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.success, false);
+    assert.ok(Date.now() - started < 5000);
+});
+
+runTest('every stage of a timed out pipeline is killed', async () => {
+    const result = await pipelineRunner.runPipeline({ stages: [{ argv: STUBBORN }, { argv: ['cat'] }] },
+        { timeout: 200, killGrace: 200 });
+    assert.strictEqual(result.timedOut, true);
+});
+
+runTest('a cancelled pipeline is killed', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const result = await pipelineRunner.runPipeline({ stages: [{ argv: STUBBORN }] },
+        { signal: controller.signal, killGrace: 200 });
+    assert.strictEqual(result.cancelled, true);
+});
@@ -0,0 +1,64 @@
+// Dry-run previews
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, testUser } = require('./harness');
+const commandUtils = require('../utils/commandUtils');
+
+// A fresh user with some files in their workspace
+async function userWithFiles(files) {
+    const username = testUser('preview');
+    const { workingDir } = await commandUtils.resolveWorkspace(username);
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(workingDir, name), content);
+    }
+    return { username, workingDir };
+}
+
+runTest('previewing a file operation changes nothing', async () => {
+    const { username, workingDir } = await userWithFiles({ 'notes.txt': 'keep me' });
+
+    const result = await commandUtils.previewCommand('delete notes.txt', { username });
+    assert.strictEqual(result.success, true, result.result);
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.preview.fn, 'deleteFile');
+    assert.deepStrictEqual(result.preview.paths.map(entry => [entry.role, entry.path, entry.exists]), [['delete', 'notes.txt', true]]);
+    assert.ok(result.preview.warnings.some(warning => warning.includes('confirmation')));
+    assert.strictEqual(fs.readFileSync(path.join(workingDir, 'notes.txt'), 'utf8'), 'keep me');
+
+    const create = await commandUtils.previewCommand('create folder docs', { username });
+    assert.strictEqual(create.preview.paths[0].exists, false);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'docs')), false);
+});
+
+runTest('a shell preview shows the argv that would run', async () => {
+    const { username, workingDir } = await userWithFiles({ 'a.txt': 'a', 'b.txt': 'b' });
+
+    const listed = await commandUtils.previewCommand('ls *.txt', { username });
+    assert.deepStrictEqual(listed.preview.argv, [['ls', 'a.txt', 'b.txt']]);
+    assert.strictEqual(listed.preview.security.safe, true);
+
+    const piped = await commandUtils.previewCommand('sort < a.txt > sorted.txt', { username });
+    assert.deepStrictEqual(piped.preview.argv, [['sort']]);
+    assert.deepStrictEqual(piped.preview.paths.map(entry => [entry.role, entry.path, entry.exists]),
+        [['read', 'a.txt', true], ['write', 'sorted.txt', false]]);
+    assert.strictEqual(fs.existsSync(path.join(workingDir, 'sorted.txt')), false);
+});
+
+runTest('a preview reports what security would block', async () => {
+    const { username } = await userWithFiles({});
+
+    const outside = await commandUtils.previewCommand('cat ../../etc/passwd', { username });
+    assert.strictEqual(outside.success, true);
+    assert.strictEqual(outside.preview.security.safe, false);
+    assert.ok(outside.result.includes('Security: blocked'));
+
+    const blocked = await commandUtils.previewCommand('copy ../secret.txt to mine.txt', { username });
+    assert.strictEqual(blocked.preview.security.safe, false);
+    assert.strictEqual(blocked.preview.paths[0].safe, false);
+});
+
+runTest('previews need a user', async () => {
+    assert.strictEqual((await commandUtils.previewCommand('list files', {})).code, 'E_NO_USER');
+});
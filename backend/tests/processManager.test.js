@@ -0,0 +1,107 @@
+// Process listing and safe kills
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const { runTest, testUser } = require('./harness');
+const processManager = require('../utils/processManager');
+const jobManager = require('../utils/jobManager');
+const commandUtils = require('../utils/commandUtils');
+
+// Start a process that keeps running until it is killed
+function startSleeper() {
+    const child = spawn('sleep', ['30'], { stdio: 'ignore' });
+    const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+    return { child, exited };
+}
+
+runTest('processes are listed from /proc', async () => {
+    const list = await processManager.listProcesses({ pid: process.pid });
+    assert.strictEqual(list.success, true);
+    assert.strictEqual(list.processes.length, 1);
+    const self = list.processes[0];
+    assert.strictEqual(self.ppid, process.ppid);
+    assert.ok(self.command.includes('node'));
+    assert.ok(!Number.isNaN(Date.parse(self.startTime)));
+
+    assert.strictEqual((await processManager.listProcesses({ sort: 'size' })).code, 'E_INVALID_SORT');
+});
+
+runTest('only processes the user started can be killed', async () => {
+    const owner = testUser('proc');
+    const { child, exited } = startSleeper();
+    try {
+        assert.strictEqual((await processManager.checkKillable(child.pid, owner)).code, 'E_PROCESS_NOT_OWNED');
+
+        const job = jobManager.createJob(owner, 'sleep 30');
+        job.pids.push(child.pid);
+        assert.strictEqual((await processManager.checkKillable(child.pid, owner)).success, true);
+        assert.strictEqual((await processManager.checkKillable(child.pid, testUser('proc'))).code, 'E_PROCESS_NOT_OWNED');
+        assert.strictEqual((await processManager.checkKillable(child.pid, null)).code, 'E_PROCESS_NOT_OWNED');
+
+        // Once the job is over its processes are no longer the user's to kill
+        jobManager.finishJob(job.id, 'success');
+        assert.strictEqual((await processManager.checkKillable(child.pid, owner)).code, 'E_PROCESS_NOT_OWNED');
+    } finally {
+        child.kill('SIGKILL');
+        await exited;
+    }
+});
+
+runTest('streaming jobs record the processes they start', async () => {
+    const username = testUser('proc');
+    const job = jobManager.createJob(username, 'echo one | sort');
+    await commandUtils.executeCommand('echo one | sort', { username, job });
+    jobManager.finishJob(job.id, 'success');
+    assert.strictEqual(job.pids.length, 2);
+    assert.ok(job.pids.every(pid => Number.isInteger(pid)));
+});
+
+runTest('the server and PID 1 are protected', async () => {
+    const username = testUser('proc');
+    assert.strictEqual((await processManager.checkKillable(process.pid, username)).code, 'E_PROCESS_PROTECTED');
+    assert.strictEqual((await processManager.checkKillable(1, username)).code, 'E_PROCESS_PROTECTED');
+    assert.strictEqual((await processManager.checkKillable('abc', username)).code, 'E_INVALID_PID');
+});
+
+runTest('a kill needs the start time that was confirmed', async () => {
+    const owner = testUser('proc');
+    const { child, exited } = startSleeper();
+    const job = jobManager.createJob(owner, 'sleep 30');
+    job.pids.push(child.pid);
+    try {
+        const check = await processManager.checkKillable(child.pid, owner);
+        const stale = new Date(Date.parse(check.process.startTime) - 60000).toISOString();
+
+        assert.strictEqual((await processManager.killProcess(child.pid, { username: owner })).code, 'E_PROCESS_CHANGED');
+        assert.strictEqual((await processManager.killProcess(child.pid, { username: owner, startTime: stale })).code, 'E_PROCESS_CHANGED');
+
+        const killed = await processManager.killProcess(child.pid, { username: owner, startTime: check.process.startTime });
+        assert.strictEqual(killed.success, true, killed.message);
+        assert.strictEqual(await exited, 'SIGTERM');
+    } finally {
+        jobManager.finishJob(job.id, 'success');
+        child.kill('SIGKILL');
+    }
+});
+
+runTest('"kill process <pid>" asks first and kills what was confirmed', async () => {
+    const username = testUser('proc');
+    const { child, exited } = startSleeper();
+    const job = jobManager.createJob(username, 'sleep 30');
+    job.pids.push(child.pid);
+    try {
+        const asked = await commandUtils.executeCommand(`kill process ${child.pid}`, { username });
+        assert.strictEqual(asked.code, 'E_CONFIRMATION_REQUIRED', asked.result);
+        assert.ok(asked.confirmation.action.startTime);
+
+        const refused = await commandUtils.executeConfirmation(asked.confirmation.token, { username: testUser('proc') });
+        assert.strictEqual(refused.code, 'E_CONFIRMATION_NOT_FOUND');
+
+        const done = await commandUtils.executeConfirmation(asked.confirmation.token, { username });
+        assert.strictEqual(done.success, true, done.result);
+        assert.strictEqual(await exited, 'SIGTERM');
+    } finally {
+        jobManager.finishJob(job.id, 'success');
+        child.kill('SIGKILL');
+    }
+});
@@ -0,0 +1,82 @@
+// Interactive programs in terminal sessions
+
+const assert = require('assert');
+const { runTest, tempDir, testUser } = require('./harness');
+const ptySessions = require('../utils/ptySessions');
+
+// Wait for a session event ('data' or 'exit'); a session that never gets there fails the test
+function nextEvent(session, name) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            ptySessions.events.off(name, listener);
+            session.term.kill();
+            reject(new Error(`No "${name}" from ${session.program} within 5 seconds`));
+        }, 5000);
+        const listener = (from, value) => {
+            if (from.id !== session.id) return;
+            clearTimeout(timer);
+            ptySessions.events.off(name, listener);
+            resolve(value);
+        };
+        ptySessions.events.on(name, listener);
+    });
+}
+
+// Open top and wait until it has drawn its screen, so it reads keys from then on
+async function openTop(username) {
+    const opened = ptySessions.openSession(username, 'top', { cwd: tempDir() });
+    assert.strictEqual(opened.success, true, opened.message);
+    await nextEvent(opened.session, 'data');
+    return opened.session;
+}
+
+runTest('only single interactive programs open a session', () => {
+    const username = testUser('pty');
+    const cwd = tempDir();
+
+    assert.strictEqual(ptySessions.openSession(username, 'top | cat', { cwd }).code, 'E_PTY_INVALID_COMMAND');
+    assert.strictEqual(ptySessions.openSession(username, 'nano *.txt', { cwd }).code, 'E_PTY_INVALID_COMMAND');
+    assert.strictEqual(ptySessions.openSession(username, 'ls -la', { cwd }).code, 'E_COMMAND_BLOCKED');
+    assert.strictEqual(ptySessions.openSession(username, 'nano ../outside.txt', { cwd }).code, 'E_COMMAND_BLOCKED');
+    // Editors and viewers that can open any file on the system are not offered
+    for (const command of ['vim notes.txt', 'vi notes.txt', 'info ls']) {
+        assert.strictEqual(ptySessions.openSession(username, command, { cwd }).code, 'E_COMMAND_BLOCKED', command);
+    }
+    assert.strictEqual(ptySessions.listSessions(username).length, 0);
+});
+
+runTest('a session belongs to the user who opened it', async () => {
+    const username = testUser('pty');
+    const session = await openTop(username);
+    const exited = nextEvent(session, 'exit');
+
+    try {
+        assert.deepStrictEqual(ptySessions.listSessions(username).map(s => s.id), [session.id]);
+
+        const stranger = testUser('pty');
+        assert.strictEqual(ptySessions.listSessions(stranger).length, 0);
+        assert.strictEqual(ptySessions.writeInput(stranger, session.id, 'q').code, 'E_PTY_NOT_FOUND');
+        assert.strictEqual(ptySessions.closeSession(stranger, session.id).code, 'E_PTY_NOT_FOUND');
+        assert.strictEqual(ptySessions.resizeSession(username, session.id, 0, 10).code, 'E_PTY_INVALID_SIZE');
+    } finally {
+        ptySessions.closeSession(username, session.id);
+    }
+
+    await exited;
+    assert.strictEqual(ptySessions.listSessions(username).length, 0);
+});
+
+runTest('editor actions are sent to the most recently used session', async () => {
+    const username = testUser('pty');
+    const session = await openTop(username);
+    const exited = nextEvent(session, 'exit');
+
+    assert.strictEqual(ptySessions.sendAction(username, 'save').code, 'E_PTY_UNSUPPORTED_ACTION');
+    // "close editor" sends q to top
+    const closed = ptySessions.sendAction(username, 'close');
+    assert.strictEqual(closed.success, true);
+    assert.strictEqual(closed.session.id, session.id);
+
+    assert.strictEqual(await exited, 0);
+    assert.strictEqual(ptySessions.sendAction(username, 'close').code, 'E_PTY_NOT_FOUND');
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// VOICE-CMD Unit Tests
+// Runs backend/tests/*.test.js (or the files named on the command line: node tests/run.js cron)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// User workspaces live under the home directory; keep them out of the real one
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-cmd-home-'));
+const testHome = process.env.HOME;
+
+const { runAll } = require('./harness');
+
+const wanted = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .filter(file => wanted.length === 0 || wanted.includes(path.basename(file, '.test.js')))
+    .sort()
+    .map(file => path.join(__dirname, file));
+
+runAll(files).then(results => {
+    fs.rmSync(testHome, { recursive: true, force: true });
+
+    console.log('\n📊 Test Results Summary');
+    console.log('========================');
+    console.log(`Total Tests: ${results.total}`);
+    console.log(`Passed: ${results.passed} ✅`);
+    console.log(`Failed: ${results.failed} ❌`);
+
+    if (results.failed > 0) {
+        console.log('\n❌ Failed Tests:');
+        results.errors.forEach(error => {
+            console.log(`   - ${error.test}: ${error.error}`);
+        });
+        process.exit(1);
+    }
+    console.log('\n🎉 All unit tests passed!');
+    process.exit(0);
+}).catch(error => {
+    console.error('Test run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,286 @@
+// Missed and overlapping schedule runs, confirmations, schedule owners and the move from the old shared schedules file
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir, testUser } = require('./harness');
+const auth = require('../utils/auth');
+const commandHistory = require('../utils/commandHistory');
+const commandUtils = require('../utils/commandUtils');
+const scheduler = require('../utils/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A daily UTC schedule whose last three runs, 3 hours ago and the two days before, were missed
+function dailySchedule(username, id, policies) {
+    const lastMissed = new Date(Math.floor((Date.now() - 3 * HOUR_MS) / HOUR_MS) * HOUR_MS);
+    return {
+        id,
+        command: `echo ${id}`,
+        nextExecution: new Date(lastMissed.getTime() - 48 * HOUR_MS).toISOString(),
+        repeat: 'cron',
+        cron: `0 ${lastMissed.getUTCHours()} * * *`,
+        timezone: 'UTC',
+        misfirePolicy: 'once',
+        overlapPolicy: 'skip',
+        status: 'active',
+        username,
+        runs: [],
+        ...policies
+    };
+}
+
+// Commands that take a while; counts how many ran at the same time
+function slowCommands(ms = 50) {
+    const calls = [];
+    let running = 0;
+    let most = 0;
+    const executeCommand = async (command, context) => {
+        calls.push({ command, context });
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return { success: true, result: 'done' };
+    };
+    return { calls, executeCommand, mostAtOnce: () => most };
+}
+
+// Restart the scheduler with one registered user's saved schedules, wait until each has as many
+// runs logged as `counts` says and none is still going, and return the run logs (oldest first)
+// account: changes to the owner's account (isActive: false)
+async function restartWith(schedules, commands, counts, account = {}) {
+    const username = schedules[0].username;
+    await auth.ensureUserDataDir(username);
+    fs.writeFileSync(auth.getUserSchedulesFile(username), JSON.stringify(schedules));
+
+    const listUsers = auth.listUsers;
+    const executeCommand = commandUtils.executeCommand;
+    auth.listUsers = async () => [{ username, createdAt: '2026-01-01T00:00:00.000Z', isActive: true, ...account }];
+    commandUtils.executeCommand = commands.executeCommand;
+    try {
+        await scheduler.initializeScheduler({ legacyFile: path.join(tempDir(), 'scheduledJobs.json') });
+        const deadline = Date.now() + 5000;
+        for (;;) {
+            const logs = await Promise.all(schedules.map(async schedule => (await scheduler.getScheduleRuns(username, schedule.id)).runs.reverse()));
+            if (logs.every((log, index) => log.length >= counts[index] && log.every(run => run.status !== 'running'))) {
+                return logs;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Runs did not finish within 5 seconds: ${JSON.stringify(logs)}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    } finally {
+        for (const schedule of schedules) {
+            await scheduler.cancelSchedule(username, schedule.id);
+        }
+        auth.listUsers = listUsers;
+        commandUtils.executeCommand = executeCommand;
+    }
+}
+
+runTest('missed runs are run once, skipped or all caught up, as the schedule says', async () => {
+    const username = testUser('schedule');
+    const commands = slowCommands();
+    const [once, skip, all] = await restartWith([
+        dailySchedule(username, 'once', { misfirePolicy: 'once' }),
+        dailySchedule(username, 'skip', { misfirePolicy: 'skip' }),
+        dailySchedule(username, 'all', { misfirePolicy: 'all' })
+    ], commands, [1, 1, 3]);
+
+    assert.deepStrictEqual(once.map(run => [run.trigger, run.status]), [['catch-up', 'success']]);
+    assert.strictEqual(once[0].plannedAt, all[2].plannedAt);
+
+    assert.deepStrictEqual(skip.map(run => [run.trigger, run.status]), [['misfire', 'skipped']]);
+    assert.ok(skip[0].result.startsWith('Skipped 3 missed runs'), skip[0].result);
+
+    assert.deepStrictEqual(all.map(run => run.trigger), ['catch-up', 'catch-up', 'catch-up']);
+    assert.deepStrictEqual(commands.calls.map(call => call.command).sort(), ['echo all', 'echo all', 'echo all', 'echo once']);
+    // Catch-up runs of one schedule go one after another
+    assert.ok(Date.parse(all[1].startedAt) >= Date.parse(all[0].finishedAt));
+    assert.deepStrictEqual(commands.calls[0].context, { confirmed: false, username });
+});
+
+runTest('a run due while the last is going is skipped, queued or run alongside it', async () => {
+    const limits = scheduler.RUN_LIMITS;
+    const misfireGraceMs = limits.misfireGraceMs;
+    // Late runs count as on time, so all three are due at once
+    limits.misfireGraceMs = 4 * 24 * HOUR_MS;
+    try {
+        const runsWith = async (overlapPolicy) => {
+            const username = testUser('schedule');
+            const commands = slowCommands(100);
+            const [log] = await restartWith([dailySchedule(username, overlapPolicy, { overlapPolicy })], commands, [3]);
+            return { log, commands };
+        };
+
+        const skip = await runsWith('skip');
+        assert.deepStrictEqual(skip.log.map(run => run.status), ['success', 'skipped', 'skipped']);
+        assert.strictEqual(skip.log[1].result, 'Skipped: the previous run was still running');
+        assert.strictEqual(skip.commands.calls.length, 1);
+
+        const queue = await runsWith('queue');
+        assert.deepStrictEqual(queue.log.map(run => [run.trigger, run.status]), Array(3).fill(['scheduled', 'success']));
+        assert.strictEqual(queue.commands.mostAtOnce(), 1);
+
+        const parallel = await runsWith('parallel');
+        assert.deepStrictEqual(parallel.log.map(run => run.status), ['success', 'success', 'success']);
+        assert.strictEqual(parallel.commands.mostAtOnce(), 3);
+    } finally {
+        limits.misfireGraceMs = misfireGraceMs;
+    }
+});
+
+runTest('runs cut short by a restart are marked interrupted', async () => {
+    const username = testUser('schedule');
+    const schedule = dailySchedule(username, 'restart', {
+        nextExecution: new Date(Date.now() + HOUR_MS).toISOString(),
+        runs: [{ id: 'run_1', plannedAt: '2026-01-01T00:00:00.000Z', trigger: 'scheduled', status: 'running' }]
+    });
+
+    const [log] = await restartWith([schedule], slowCommands(), [1]);
+    assert.strictEqual(log[0].status, 'interrupted');
+    assert.ok(log[0].finishedAt);
+});
+
+// Confirmations
+
+runTest('a destructive command is only scheduled once its owner confirms it', async () => {
+    const username = testUser('schedule');
+    const request = { command: 'rm notes.txt', when: 'every day at 9am', timezone: 'UTC', username };
+    const asked = await scheduler.scheduleCommand(request);
+    assert.deepStrictEqual([asked.success, asked.code], [false, 'E_CONFIRMATION_REQUIRED']);
+    assert.strictEqual(asked.message, 'rm removes files permanently each time it runs');
+    assert.strictEqual((await scheduler.listSchedules(username)).total, 0);
+
+    const confirmed = await commandUtils.executeConfirmation(asked.confirmation.token, { username });
+    assert.strictEqual(confirmed.success, true, confirmed.result);
+    const [schedule] = (await scheduler.listSchedules(username)).schedules;
+    try {
+        assert.deepStrictEqual([schedule.command, schedule.confirmed], ['rm notes.txt', true]);
+        // A command that asks nothing is saved right away, unconfirmed
+        const plain = await scheduler.scheduleCommand({ ...request, command: 'list files' });
+        assert.strictEqual(plain.schedule.confirmed, false);
+        await scheduler.cancelSchedule(username, plain.scheduleId);
+    } finally {
+        await scheduler.cancelSchedule(username, schedule.id);
+    }
+});
+
+runTest('a run that needs confirmation waits for it unless the schedule was confirmed', async () => {
+    const username = testUser('schedule');
+    const calls = [];
+    const waiting = [];
+    const listener = (schedule, run, confirmation) => waiting.push([schedule.id, confirmation]);
+    const commands = {
+        executeCommand: async (command, context) => {
+            calls.push([command, context.confirmed]);
+            return context.confirmed
+                ? { success: true, result: 'removed' }
+                : { success: false, needsConfirmation: true, confirmation: { token: 't' }, result: 'Say "yes"', code: 'E_CONFIRMATION_REQUIRED' };
+        }
+    };
+    scheduler.events.on('triggered', listener);
+    try {
+        const [confirmed, unconfirmed] = await restartWith([
+            dailySchedule(username, 'confirmed', { confirmed: true }),
+            dailySchedule(username, 'unconfirmed')
+        ], commands, [1, 1]);
+        assert.deepStrictEqual([confirmed[0].status, unconfirmed[0].status], ['success', 'needs_confirmation']);
+        assert.strictEqual(unconfirmed[0].code, 'E_CONFIRMATION_REQUIRED');
+        assert.deepStrictEqual(calls.sort(), [['echo confirmed', true], ['echo unconfirmed', false]]);
+        assert.deepStrictEqual(waiting.sort(), [['confirmed', null], ['unconfirmed', { token: 't' }]]);
+    } finally {
+        scheduler.events.off('triggered', listener);
+    }
+});
+
+// Schedule owners
+
+runTest("one user's schedules cannot be seen or cancelled by another", async () => {
+    const owner = testUser('schedule');
+    const other = testUser('schedule');
+    const created = await scheduler.scheduleCommand({ command: 'list files', when: 'every day at 9am', timezone: 'UTC', username: owner });
+    assert.strictEqual(created.success, true, created.message);
+    try {
+        assert.deepStrictEqual((await scheduler.listSchedules(owner)).schedules.map(schedule => schedule.id), [created.scheduleId]);
+        assert.strictEqual((await scheduler.listSchedules(other)).total, 0);
+        assert.strictEqual((await scheduler.getScheduleRuns(other, created.scheduleId)).code, 'E_SCHEDULE_NOT_FOUND');
+        assert.strictEqual((await scheduler.cancelSchedule(other, created.scheduleId)).code, 'E_SCHEDULE_NOT_FOUND');
+        assert.strictEqual((await scheduler.listSchedules(owner)).active, 1);
+        assert.strictEqual((await scheduler.scheduleCommand({ command: 'df', when: 'hourly' })).code, 'E_NO_USER');
+    } finally {
+        await scheduler.cancelSchedule(owner, created.scheduleId);
+    }
+});
+
+runTest("a scheduled run goes to its owner's history and clients, and not for a deactivated account", async () => {
+    const username = testUser('schedule');
+    const triggered = [];
+    const listener = (schedule, run) => triggered.push([schedule.username, run.status]);
+    scheduler.events.on('triggered', listener);
+    try {
+        await restartWith([dailySchedule(username, 'mine')], slowCommands(), [1]);
+        const history = await commandHistory.queryHistoryForUser(username, { scheduled: true });
+        assert.deepStrictEqual(history.commands.map(entry => [entry.command, entry.scheduleId]), [['echo mine', 'mine']]);
+
+        const inactive = testUser('schedule');
+        const commands = slowCommands();
+        const [log] = await restartWith([dailySchedule(inactive, 'inactive')], commands, [1], { isActive: false });
+        assert.deepStrictEqual([log[0].status, log[0].code], ['blocked', 'E_ACCOUNT_DEACTIVATED']);
+        assert.strictEqual(commands.calls.length, 0);
+        assert.deepStrictEqual(triggered, [[username, 'success'], [inactive, 'blocked']]);
+    } finally {
+        scheduler.events.off('triggered', listener);
+    }
+});
+
+// Run the schedule migration on files in a temporary folder, as if the given users were registered
+async function migrate(dir, usernames, owner) {
+    const listUsers = auth.listUsers;
+    const previousOwner = process.env.SCHEDULE_MIGRATION_USER;
+    auth.listUsers = async () => usernames.map(username => ({ username, createdAt: '2026-01-01T00:00:00.000Z', isActive: true }));
+    if (owner) process.env.SCHEDULE_MIGRATION_USER = owner;
+    else delete process.env.SCHEDULE_MIGRATION_USER;
+    try {
+        return await scheduler.migrateLegacySchedules({
+            legacyFile: path.join(dir, 'scheduledJobs.json'),
+            backupFile: path.join(dir, 'scheduledJobs.legacy.json'),
+            unclaimedFile: path.join(dir, 'scheduledJobs.unclaimed.json')
+        });
+    } finally {
+        auth.listUsers = listUsers;
+        if (previousOwner === undefined) delete process.env.SCHEDULE_MIGRATION_USER;
+        else process.env.SCHEDULE_MIGRATION_USER = previousOwner;
+    }
+}
+
+runTest('old shared schedules go to their creators; the rest wait for a named owner', async () => {
+    const creator = testUser('schedule');
+    const owner = testUser('schedule');
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'scheduledJobs.json'), JSON.stringify([
+        dailySchedule(creator, 'theirs', { confirmed: true }),
+        dailySchedule(undefined, 'nobodys'),
+        dailySchedule('gone-user', 'gone')
+    ]));
+    const ids = async username => (await scheduler.listSchedules(username)).schedules.map(schedule => schedule.id).sort();
+
+    const first = await migrate(dir, [creator, owner], null);
+    assert.deepStrictEqual([first.owner, first.unclaimed], [null, 2]);
+    assert.deepStrictEqual(await ids(creator), ['theirs']);
+    // Nobody confirmed the old schedules, so their runs ask
+    assert.strictEqual((await scheduler.listSchedules(creator)).schedules[0].confirmed, false);
+    assert.deepStrictEqual(await ids(owner), []);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['scheduledJobs.legacy.json', 'scheduledJobs.unclaimed.json']);
+    assert.strictEqual((await migrate(dir, [creator, owner], null)).migrated, false);
+
+    await assert.rejects(migrate(dir, [creator], 'nobody-registered'), /not a registered user/);
+
+    const later = await migrate(dir, [creator, owner], owner);
+    assert.deepStrictEqual([later.migrated, later.unclaimed], [true, 0]);
+    assert.deepStrictEqual(await ids(owner), ['gone', 'nobodys']);
+    assert.deepStrictEqual((await scheduler.listSchedules(owner)).schedules.map(schedule => schedule.username), [owner, owner]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['scheduledJobs.legacy.json']);
+});
@@ -0,0 +1,96 @@
+// Command allowlist, blocklist and argument policies
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir } = require('./harness');
+const security = require('../utils/security');
+const FileOperations = require('../utils/fileOps');
+
+runTest('blocked commands match whole arguments only', () => {
+    for (const argv of [['cat', 'format.txt'], ['cat', 'exec.log'], ['grep', 'eval', 'notes.txt'], ['ls', '-f', 'rm']]) {
+        assert.strictEqual(security.isArgvSafe(argv).safe, true, argv.join(' '));
+    }
+    for (const argv of [['rm', '-rf', 'x'], ['rm', 'x', '-r'], ['format', 'c:'], ['sudo', 'ls']]) {
+        assert.strictEqual(security.isArgvSafe(argv).safe, false, argv.join(' '));
+    }
+});
+
+runTest('programs outside the allowlist are refused', () => {
+    for (const program of ['bash', 'sh', '/bin/rm', './ls', 'curlx']) {
+        assert.strictEqual(security.isArgvSafe([program]).safe, false, program);
+    }
+    assert.strictEqual(security.isCommandSafe('cat notes.txt | sort').safe, true);
+    assert.strictEqual(security.isCommandSafe('cat notes.txt | bash').safe, false);
+});
+
+// Argument policies and path checks
+
+runTest('interpreters, make and hook-running git commands are refused', () => {
+    const root = tempDir();
+    for (const argv of [['node', 'app.js'], ['python3', 'app.py'], ['python', 'app.py'], ['make'], ['make', 'all'],
+        ['git', 'commit', '-a'], ['git', 'merge', 'main'], ['git', 'checkout', 'x'], ['git', '-c', 'core.hooksPath=x', 'status']]) {
+        assert.strictEqual(security.checkArgvPolicy(argv, root).safe, false, argv.join(' '));
+    }
+    for (const argv of [['git', 'status'], ['git', 'log', '--oneline', '-n', '5'], ['git', 'add', 'notes.txt'], ['git', 'init']]) {
+        assert.strictEqual(security.checkArgvPolicy(argv, root).safe, true, argv.join(' '));
+    }
+});
+
+runTest('.git folders are off limits', () => {
+    const root = tempDir();
+    fs.mkdirSync(path.join(root, '.git', 'hooks'), { recursive: true });
+
+    const chmod = security.checkArgvPolicy(['chmod', '+x', '.git/hooks/pre-commit'], root);
+    assert.strictEqual(chmod.safe, false);
+    assert.ok(chmod.reason.includes('.git folder'));
+    assert.strictEqual(security.checkArgvPolicy(['cp', 'hook.sh', 'sub/../.git/hooks/post-checkout'], root).safe, false);
+    assert.strictEqual(security.checkArgvPolicy(['mv', 'config', '.GIT'], root).safe, false);
+    assert.strictEqual(security.isPathSafe('.git/config', root).safe, false);
+    assert.strictEqual(security.isPathSafe('notes.git/x', root).safe, true);
+
+    // A link into .git is checked by where it points
+    fs.symlinkSync(path.join(root, '.git', 'hooks'), path.join(root, 'hooks'));
+    assert.strictEqual(security.isPathSafe('hooks/pre-commit', root).safe, false);
+});
+
+runTest('flags are checked against each command\'s schema', () => {
+    const root = tempDir();
+    const check = (argv) => security.checkArgvPolicy(argv, root);
+
+    assert.strictEqual(check(['ls', '-la']).safe, true);
+    assert.ok(check(['ls', '--color=always']).reason.includes('unsupported option'));
+    assert.ok(check(['rm', '-R', 'old']).reason.includes('removes whole folders'));
+    assert.ok(check(['find', '.', '-exec', 'rm', '{}', ';']).reason.includes('-exec'));
+    assert.ok(check(['find', '.', '-delete']).reason.includes('-delete'));
+    assert.ok(check(['tar', '-P', '-cf', 'a.tar', 'x']).reason.includes('-P'));
+    assert.strictEqual(check(['find', '.', '-name', '*.txt', '-type', 'f']).safe, true);
+});
+
+runTest('path arguments and option values stay in the workspace', () => {
+    const root = tempDir();
+    const check = (argv) => security.checkArgvPolicy(argv, root);
+
+    assert.strictEqual(check(['cat', '../../etc/passwd']).safe, false);
+    assert.strictEqual(check(['find', '/']).safe, false);
+    assert.strictEqual(check(['tar', '-C', '/', '-cf', 'a.tar', 'x']).safe, false);
+    assert.strictEqual(check(['curl', '-o', '../x', 'https://example.com']).safe, false);
+    assert.strictEqual(check(['cat', 'notes/today.txt']).safe, true);
+});
+
+runTest('interactive programs only run in a terminal session', () => {
+    const root = tempDir();
+    assert.strictEqual(security.checkArgvPolicy(['nano', 'notes.txt'], root).safe, false);
+    assert.strictEqual(security.checkArgvPolicy(['nano', 'notes.txt'], root, { terminal: true }).safe, true);
+    assert.strictEqual(security.checkArgvPolicy(['ls'], root, { terminal: true }).safe, false);
+});
+
+runTest('file operations cannot write into .git', async () => {
+    const root = tempDir();
+    fs.mkdirSync(path.join(root, '.git'));
+    const fileOps = new FileOperations(root);
+
+    const written = await fileOps.writeFile('.git/config', '[core]\n\tfsmonitor = ./run.sh\n');
+    assert.strictEqual(written.success, false);
+    assert.strictEqual(fs.existsSync(path.join(root, '.git', 'config')), false);
+});
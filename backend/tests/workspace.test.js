@@ -0,0 +1,51 @@
+// Per-user sandboxed workspaces
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest, tempDir } = require('./harness');
+const security = require('../utils/security');
+const auth = require('../utils/auth');
+const commandUtils = require('../utils/commandUtils');
+const FileOperations = require('../utils/fileOps');
+
+runTest('isPathSafe refuses to check without a sandbox root', () => {
+    const result = security.isPathSafe('notes.txt');
+    assert.strictEqual(result.safe, false);
+    assert.strictEqual(security.isPathSafe('notes.txt', '').safe, false);
+});
+
+runTest('isPathSafe keeps paths inside the given root', () => {
+    const root = tempDir();
+    assert.strictEqual(security.isPathSafe('notes.txt', root).safe, true);
+    assert.strictEqual(security.isPathSafe('sub/dir/../notes.txt', root).safe, true);
+    assert.strictEqual(security.isPathSafe('../notes.txt', root).safe, false);
+    assert.strictEqual(security.isPathSafe('/etc/passwd', root).safe, false);
+});
+
+runTest('isPathSafe follows symlinks out of the root', () => {
+    const root = tempDir();
+    const outside = tempDir();
+    fs.symlinkSync(outside, path.join(root, 'escape'));
+    assert.strictEqual(security.isPathSafe('escape/secret.txt', root).safe, false);
+});
+
+runTest("a user's workspace cannot reach another user's", async () => {
+    const workspace = await commandUtils.resolveWorkspace('alice');
+    assert.strictEqual(workspace.workingDir, path.join(auth.WORKSPACES_ROOT, 'alice'));
+    assert.strictEqual(security.isPathSafe('../bob/notes.txt', workspace.workingDir).safe, false);
+});
+
+runTest('resolveWorkspace fails without a user', async () => {
+    await assert.rejects(commandUtils.resolveWorkspace(null), { code: 'E_NO_USER' });
+});
+
+runTest('executeCommand refuses to run without a user', async () => {
+    const result = await commandUtils.executeCommand('list files', {});
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'E_NO_USER');
+});
+
+runTest('FileOperations needs a workspace', () => {
+    assert.throws(() => new FileOperations());
+});
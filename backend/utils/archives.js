@@ -0,0 +1,670 @@
+// VOICE-CMD Archives
+// Reads and writes .zip, .tar and .tar.gz archives with Node's own zlib (deflate/gzip + CRC-32),
+// streaming each file so large folders never have to fit in memory. Symbolic links are left out
+// when writing. Readers only report entry names: callers decide where (and whether) each entry
+// may be written, so archives cannot place files outside the workspace.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Archive formats by file extension (longest first so .tar.gz wins over .gz)
+const FORMATS = [
+    { extension: '.tar.gz', format: 'tar.gz' },
+    { extension: '.tgz', format: 'tar.gz' },
+    { extension: '.tar', format: 'tar' },
+    { extension: '.zip', format: 'zip' }
+];
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+// Sizes and CRC follow the data (bit 3), names are UTF-8 (bit 11)
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const VERSION = 20;
+const MADE_BY_UNIX = (3 << 8) | VERSION;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// Without ZIP64 extensions an archive holds at most 65535 entries and 4 GB
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const UNIX_FILE_TYPE_MASK = 0o170000;
+const UNIX_SYMLINK = 0o120000;
+
+// tar: 512-byte blocks with ustar headers; names that do not fit go in a pax header first
+const TAR_BLOCK = 512;
+// Largest size the octal size field can hold (8 GB)
+const TAR_MAX_SIZE = 0o77777777777;
+// Longest pax or GNU long-name header this reader accepts
+const TAR_MAX_EXTENDED_HEADER = 1024 * 1024;
+const TAR_TYPES = { '0': 'file', '7': 'file', '5': 'directory', '2': 'symlink', '1': 'link' };
+
+// Convert a date to the MS-DOS time and date fields zip headers use
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Write to a stream, waiting when its buffer is full and failing if it closes first
+function writeChunk(output, chunk) {
+    if (output.destroyed) {
+        return Promise.reject(new Error('The output was closed'));
+    }
+    if (output.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            output.off('drain', onDrain);
+            reject(new Error('The output was closed'));
+        };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+// List what goes into the archive: the root itself, then (for folders) everything below it
+async function collectEntries(rootPath) {
+    const rootName = path.basename(rootPath);
+    const rootStats = await fs.promises.stat(rootPath);
+    const entries = [{ name: rootName, path: rootPath, stats: rootStats }];
+    if (!rootStats.isDirectory()) {
+        return entries;
+    }
+
+    const walk = async (dir, prefix) => {
+        const children = await fs.promises.readdir(dir, { withFileTypes: true });
+        children.sort((a, b) => a.name.localeCompare(b.name));
+        for (const child of children) {
+            const childPath = path.join(dir, child.name);
+            const name = `${prefix}/${child.name}`;
+            if (child.isDirectory()) {
+                entries.push({ name, path: childPath, stats: await fs.promises.stat(childPath) });
+                await walk(childPath, name);
+            } else if (child.isFile()) {
+                entries.push({ name, path: childPath, stats: await fs.promises.stat(childPath) });
+            }
+        }
+    };
+    await walk(rootPath, rootName);
+    return entries;
+}
+
+/**
+ * Write a file or folder as a zip archive
+ * Entries are named relative to the parent of rootPath, so a folder "reports"
+ * unpacks as "reports/...".
+ * @param {string} rootPath - Absolute path of the file or folder to archive
+ * @param {Writable} output - Stream the archive is written to (left open)
+ * @param {Object} options - Archive options
+ * @param {Function} options.onEntry - Called with (name, size) after each file is written
+ * @returns {Promise<Object>} - { entries, bytes, compressedBytes }
+ */
+async function writeZip(rootPath, output, options = {}) {
+    const entries = await collectEntries(rootPath);
+    if (entries.length > MAX_ENTRIES) {
+        throw new Error(`A zip archive can hold at most ${MAX_ENTRIES} entries`);
+    }
+
+    const central = [];
+    let offset = 0;
+    let bytes = 0;
+
+    for (const entry of entries) {
+        const isDirectory = entry.stats.isDirectory();
+        const name = Buffer.from(isDirectory ? `${entry.name}/` : entry.name, 'utf8');
+        const method = isDirectory ? METHOD_STORE : METHOD_DEFLATE;
+        const { time, date } = toDosDateTime(entry.stats.mtime);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        // CRC and sizes (14-25) are zero here and follow in the data descriptor
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        await writeChunk(output, Buffer.concat([header, name]));
+
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        if (!isDirectory) {
+            await pipeline(
+                fs.createReadStream(entry.path),
+                async function* (source) {
+                    for await (const chunk of source) {
+                        crc = zlib.crc32(chunk, crc);
+                        size += chunk.length;
+                        yield chunk;
+                    }
+                },
+                zlib.createDeflateRaw(),
+                async (source) => {
+                    for await (const chunk of source) {
+                        compressedSize += chunk.length;
+                        await writeChunk(output, chunk);
+                    }
+                }
+            );
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+        descriptor.writeUInt32LE(crc >>> 0, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await writeChunk(output, descriptor);
+
+        central.push({ name, method, time, date, crc, size, compressedSize, offset, mode: entry.stats.mode, isDirectory });
+        offset += header.length + name.length + compressedSize + descriptor.length;
+        bytes += size;
+        if (offset > MAX_OFFSET) {
+            throw new Error('The archive would be larger than 4 GB');
+        }
+        if (!isDirectory && options.onEntry) {
+            options.onEntry(entry.name, size);
+        }
+    }
+
+    const centralStart = offset;
+    for (const entry of central) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+        header.writeUInt16LE(MADE_BY_UNIX, 4);
+        header.writeUInt16LE(VERSION, 6);
+        header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc >>> 0, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        // Extra field and comment lengths, disk number and internal attributes stay zero
+        header.writeUInt32LE(((entry.mode & 0xffff) << 16 | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+        header.writeUInt32LE(entry.offset, 42);
+        await writeChunk(output, Buffer.concat([header, entry.name]));
+        offset += header.length + entry.name.length;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(offset - centralStart, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await writeChunk(output, end);
+
+    return {
+        entries: central.length,
+        bytes,
+        compressedBytes: central.reduce((total, entry) => total + entry.compressedSize, 0)
+    };
+}
+
+// Read the central directory of a zip archive
+async function readZipDirectory(archivePath) {
+    const handle = await fs.promises.open(archivePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        // The end record is the last 22 bytes, unless an archive comment follows it
+        const tailLength = Math.min(size, 22 + 0xffff);
+        const tail = Buffer.alloc(tailLength);
+        await handle.read(tail, 0, tailLength, size - tailLength);
+
+        let end = -1;
+        for (let i = tailLength - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('This is not a zip archive, or it is damaged');
+        }
+
+        const count = tail.readUInt16LE(end + 10);
+        const centralSize = tail.readUInt32LE(end + 12);
+        const centralStart = tail.readUInt32LE(end + 16);
+        if (count === MAX_ENTRIES || centralStart === MAX_OFFSET) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        if (centralStart + centralSize > size) {
+            throw new Error('The zip archive is damaged');
+        }
+
+        const central = Buffer.alloc(centralSize);
+        await handle.read(central, 0, centralSize, centralStart);
+
+        const records = [];
+        let offset = 0;
+        for (let n = 0; n < count; n++) {
+            if (offset + 46 > central.length || central.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('The zip archive is damaged');
+            }
+            const flags = central.readUInt16LE(offset + 8);
+            const method = central.readUInt16LE(offset + 10);
+            const nameLength = central.readUInt16LE(offset + 28);
+            const madeByUnix = central.readUInt16LE(offset + 4) >> 8 === 3;
+            const mode = central.readUInt32LE(offset + 38) >>> 16;
+            const rawName = central.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+            const record = {
+                name: rawName.replace(/\/+$/, ''),
+                type: rawName.endsWith('/') ? 'directory'
+                    : (madeByUnix && (mode & UNIX_FILE_TYPE_MASK) === UNIX_SYMLINK ? 'symlink' : 'file'),
+                method,
+                crc: central.readUInt32LE(offset + 16),
+                compressedSize: central.readUInt32LE(offset + 20),
+                size: central.readUInt32LE(offset + 24),
+                offset: central.readUInt32LE(offset + 42),
+                problem: null
+            };
+            if (flags & FLAG_ENCRYPTED) {
+                record.problem = 'is encrypted';
+            } else if (record.type === 'file' && ![METHOD_STORE, METHOD_DEFLATE].includes(method)) {
+                record.problem = 'uses an unsupported compression method';
+            } else if (record.size === MAX_OFFSET || record.compressedSize === MAX_OFFSET || record.offset === MAX_OFFSET) {
+                record.problem = 'needs ZIP64, which is not supported';
+            }
+            records.push(record);
+            offset += 46 + nameLength + central.readUInt16LE(offset + 30) + central.readUInt16LE(offset + 32);
+        }
+        return records;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Stream the uncompressed content of a zip entry, checking its size and CRC
+async function* zipEntryContent(archivePath, record) {
+    const header = Buffer.alloc(30);
+    const handle = await fs.promises.open(archivePath, 'r');
+    try {
+        await handle.read(header, 0, 30, record.offset);
+    } finally {
+        await handle.close();
+    }
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error('The zip archive is damaged');
+    }
+
+    let crc = 0;
+    let size = 0;
+    if (record.compressedSize > 0) {
+        const start = record.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const raw = fs.createReadStream(archivePath, { start, end: start + record.compressedSize - 1 });
+        const data = record.method === METHOD_DEFLATE ? raw.pipe(zlib.createInflateRaw()) : raw;
+        raw.on('error', error => data.destroy(error));
+        try {
+            for await (const chunk of data) {
+                size += chunk.length;
+                // Never unpack more than the archive announced (zip bombs)
+                if (size > record.size) {
+                    throw new Error(`'${record.name}' is larger than the archive says`);
+                }
+                crc = zlib.crc32(chunk, crc);
+                yield chunk;
+            }
+        } finally {
+            raw.destroy();
+            data.destroy();
+        }
+    }
+    if (size !== record.size || crc >>> 0 !== record.crc) {
+        throw new Error(`'${record.name}' is damaged (checksum mismatch)`);
+    }
+}
+
+// List the entries of a zip archive
+async function* readZipEntries(archivePath) {
+    for (const record of await readZipDirectory(archivePath)) {
+        yield {
+            name: record.name,
+            type: record.type,
+            size: record.type === 'file' ? record.size : 0,
+            problem: record.problem,
+            content: () => zipEntryContent(archivePath, record)
+        };
+    }
+}
+
+// Write a number into a tar header field as zero-padded octal
+function writeOctal(header, value, offset, length) {
+    header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+// Read an octal number from a tar header field
+function readOctal(header, offset, length) {
+    if (header[offset] & 0x80) {
+        throw new Error('The tar archive uses binary number fields, which are not supported');
+    }
+    const text = header.toString('ascii', offset, offset + length).replace(/\0.*$/s, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+// Read a NUL-terminated string from a tar header field
+function readString(buffer, offset, length) {
+    const nul = buffer.indexOf(0, offset);
+    return buffer.toString('utf8', offset, nul === -1 || nul > offset + length ? offset + length : nul);
+}
+
+// Bytes of padding after data of the given size, up to the next block
+function tarPadding(size) {
+    return (TAR_BLOCK - size % TAR_BLOCK) % TAR_BLOCK;
+}
+
+// Split a name over the ustar name and prefix fields, or null when it does not fit
+function splitTarName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name, prefix: '' };
+    }
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (rest && Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return { name: rest, prefix };
+        }
+    }
+    return null;
+}
+
+// Build a ustar header block
+function tarHeader({ name, prefix = '', mode, size, mtime, type }) {
+    const header = Buffer.alloc(TAR_BLOCK);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, mode & 0o7777, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.max(Math.floor(mtime.getTime() / 1000), 0), 136, 12);
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    // The checksum is computed with its own field filled with spaces
+    header.fill(' ', 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+    return header;
+}
+
+// Check a header block's checksum
+function tarChecksumMatches(header) {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) {
+        sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+    return sum === readOctal(header, 148, 8);
+}
+
+// Build a pax record ("<length> key=value\n", where the length counts itself)
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength + 1;
+    while (String(length).length + bodyLength !== length) {
+        length = String(length).length + bodyLength;
+    }
+    return `${length}${body}`;
+}
+
+// Parse the records of a pax header
+function parsePax(data) {
+    const values = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.toString('ascii', offset, space), 10);
+        if (space === -1 || !(length > 0)) break;
+        const record = data.toString('utf8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        if (equals > 0) {
+            values[record.slice(0, equals)] = record.slice(equals + 1);
+        }
+        offset += length;
+    }
+    return values;
+}
+
+/**
+ * Write a file or folder as a tar archive (optionally gzip-compressed)
+ * Entries are named like writeZip names them.
+ * @param {string} rootPath - Absolute path of the file or folder to archive
+ * @param {Writable} output - Stream the archive is written to (left open)
+ * @param {Object} options - Archive options
+ * @param {boolean} options.gzip - Compress the archive (.tar.gz)
+ * @param {Function} options.onEntry - Called with (name, size) after each file is written
+ * @returns {Promise<Object>} - { entries, bytes }
+ */
+async function writeTar(rootPath, output, options = {}) {
+    const entries = await collectEntries(rootPath);
+    const gzip = options.gzip ? zlib.createGzip() : null;
+    const sink = gzip || output;
+    const compressed = gzip && pipeline(gzip, async (source) => {
+        for await (const chunk of source) {
+            await writeChunk(output, chunk);
+        }
+    });
+    // Reported once the archive is finished (or abandoned)
+    if (compressed) compressed.catch(() => {});
+
+    let bytes = 0;
+    try {
+        for (const entry of entries) {
+            const isDirectory = entry.stats.isDirectory();
+            const name = isDirectory ? `${entry.name}/` : entry.name;
+            const size = isDirectory ? 0 : entry.stats.size;
+            if (size > TAR_MAX_SIZE) {
+                throw new Error(`'${entry.name}' is too large for a tar archive`);
+            }
+
+            const split = splitTarName(name);
+            if (!split) {
+                const pax = Buffer.from(paxRecord('path', name), 'utf8');
+                await writeChunk(sink, tarHeader({ name: 'PaxHeader', mode: 0o644, size: pax.length, mtime: entry.stats.mtime, type: 'x' }));
+                await writeChunk(sink, Buffer.concat([pax, Buffer.alloc(tarPadding(pax.length))]));
+            }
+            await writeChunk(sink, tarHeader({
+                ...(split || { name }),
+                mode: entry.stats.mode,
+                size,
+                mtime: entry.stats.mtime,
+                type: isDirectory ? '5' : '0'
+            }));
+
+            if (!isDirectory) {
+                // The header promised exactly this many bytes
+                let written = 0;
+                if (size > 0) {
+                    for await (const chunk of fs.createReadStream(entry.path, { start: 0, end: size - 1 })) {
+                        written += chunk.length;
+                        await writeChunk(sink, chunk);
+                    }
+                }
+                if (written !== size) {
+                    throw new Error(`'${entry.name}' changed while it was being archived`);
+                }
+                await writeChunk(sink, Buffer.alloc(tarPadding(size)));
+                bytes += size;
+                if (options.onEntry) {
+                    options.onEntry(entry.name, size);
+                }
+            }
+        }
+        // Two empty blocks end the archive
+        await writeChunk(sink, Buffer.alloc(TAR_BLOCK * 2));
+    } catch (error) {
+        if (gzip) gzip.destroy();
+        throw error;
+    }
+
+    if (gzip) {
+        gzip.end();
+        await compressed;
+    }
+    return { entries: entries.length, bytes };
+}
+
+// Reads exact byte counts from a stream
+class ByteReader {
+    constructor(stream) {
+        this.chunks = stream[Symbol.asyncIterator]();
+        this.buffer = Buffer.alloc(0);
+    }
+
+    // Buffer at least length bytes; false when the stream ends first
+    async fill(length) {
+        while (this.buffer.length < length) {
+            const { value, done } = await this.chunks.next();
+            if (done) return false;
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, value]) : value;
+        }
+        return true;
+    }
+
+    // Read exactly length bytes (null at the very end of the stream when allowEnd is set)
+    async read(length, allowEnd = false) {
+        if (!(await this.fill(length))) {
+            if (allowEnd && this.buffer.length === 0) return null;
+            throw new Error('The archive is truncated');
+        }
+        const data = this.buffer.subarray(0, length);
+        this.buffer = this.buffer.subarray(length);
+        return data;
+    }
+
+    // Read whatever is buffered, up to maxLength bytes
+    async readChunk(maxLength) {
+        if (!(await this.fill(1))) {
+            throw new Error('The archive is truncated');
+        }
+        const data = this.buffer.subarray(0, Math.min(maxLength, this.buffer.length));
+        this.buffer = this.buffer.subarray(data.length);
+        return data;
+    }
+
+    async skip(length) {
+        while (length > 0) {
+            length -= (await this.readChunk(length)).length;
+        }
+    }
+}
+
+// Read the entries of a tar archive in order; an entry's content can only be read before the next entry
+async function* readTarEntries(archivePath, gzip) {
+    const file = fs.createReadStream(archivePath);
+    const input = gzip ? file.pipe(zlib.createGunzip()) : file;
+    file.on('error', error => input.destroy(error));
+    const reader = new ByteReader(input);
+
+    try {
+        // Name from a pax or GNU long-name header, for the entry that follows it
+        let longName = null;
+        for (;;) {
+            const header = await reader.read(TAR_BLOCK, true);
+            if (!header || header.every(byte => byte === 0)) return;
+            if (!tarChecksumMatches(header)) {
+                throw new Error('This is not a tar archive, or it is damaged');
+            }
+
+            const size = readOctal(header, 124, 12);
+            const flag = header[156] ? String.fromCharCode(header[156]) : '0';
+            if (['L', 'x', 'g'].includes(flag)) {
+                if (size > TAR_MAX_EXTENDED_HEADER) {
+                    throw new Error('The tar archive is damaged');
+                }
+                const data = (await reader.read(size + tarPadding(size))).subarray(0, size);
+                if (flag === 'L') longName = readString(data, 0, size);
+                if (flag === 'x') longName = parsePax(data).path || longName;
+                continue;
+            }
+
+            const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+            const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+            longName = null;
+
+            const type = TAR_TYPES[flag] || 'other';
+            let remaining = size;
+            yield {
+                name: name.replace(/\/+$/, ''),
+                type,
+                size: type === 'file' ? size : 0,
+                problem: null,
+                content: async function* () {
+                    while (remaining > 0) {
+                        const chunk = await reader.readChunk(remaining);
+                        remaining -= chunk.length;
+                        yield chunk;
+                    }
+                }
+            };
+            // Skip whatever the caller did not read
+            await reader.skip(remaining + tarPadding(size));
+        }
+    } finally {
+        file.destroy();
+        input.destroy();
+    }
+}
+
+/**
+ * Get the archive format of a file from its name
+ * @param {string} filename - Archive file name
+ * @returns {string|null} - 'zip', 'tar' or 'tar.gz', or null for other files
+ */
+function archiveFormat(filename) {
+    const lower = String(filename || '').toLowerCase();
+    const match = FORMATS.find(entry => lower.endsWith(entry.extension));
+    return match ? match.format : null;
+}
+
+/**
+ * Write a file or folder as an archive
+ * @param {string} format - 'zip', 'tar' or 'tar.gz'
+ * @param {string} rootPath - Absolute path of the file or folder to archive
+ * @param {Writable} output - Stream the archive is written to (left open)
+ * @param {Object} options - { onEntry(name, size) }
+ * @returns {Promise<Object>} - { entries, bytes }
+ */
+function writeArchive(format, rootPath, output, options = {}) {
+    return format === 'zip'
+        ? writeZip(rootPath, output, options)
+        : writeTar(rootPath, output, { ...options, gzip: format === 'tar.gz' });
+}
+
+/**
+ * Read the entries of an archive
+ * Entries are { name, type, size, problem, content() }: type is file, directory, symlink, link
+ * (hard link) or other, problem says why a file cannot be unpacked, and content() streams a
+ * file's data. Names come straight from the archive and may try to escape ("../x", "/etc/x").
+ * @param {string} format - 'zip', 'tar' or 'tar.gz'
+ * @param {string} archivePath - Absolute path of the archive
+ * @returns {AsyncGenerator<Object>} - Archive entries in order
+ */
+function readArchive(format, archivePath) {
+    return format === 'zip' ? readZipEntries(archivePath) : readTarEntries(archivePath, format === 'tar.gz');
+}
+
+module.exports = {
+    archiveFormat,
+    writeArchive,
+    readArchive,
+    writeZip,
+    writeTar,
+    FORMATS,
+    MAX_ENTRIES
+};
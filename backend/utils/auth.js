@@ -6,11 +6,19 @@ const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const os = require('os');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
 const DATA_DIR = path.join(PROJECT_ROOT, 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 
+// Per-user sandboxed working directories live under the shared VOICE-CMD directory
+const WORKSPACES_ROOT = path.join(os.homedir(), 'Desktop', 'VOICE-CMD', 'users');
+
+// Default workspace quota in MB; admins can override it globally with WORKSPACE_QUOTA_MB
+// or per user with a "workspaceQuotaMB" field in data/users.json
+const DEFAULT_WORKSPACE_QUOTA_MB = parseInt(process.env.WORKSPACE_QUOTA_MB, 10) || 100;
+
 // JWT secret (in production, this should be in environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'voice-cmd-secret-key-change-in-production';
 const JWT_EXPIRES_IN = '24h';
@@ -41,6 +49,14 @@ async function loadUsers() {
     }
 }
 
+// List registered users, oldest account first
+async function listUsers() {
+    const users = await loadUsers();
+    return Object.values(users)
+        .map(user => ({ username: user.username, createdAt: user.createdAt, isActive: user.isActive }))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
 // Save users to file
 async function saveUsers(users) {
     try {
@@ -71,6 +87,14 @@ async function registerUser(username, password) {
             };
         }
         
+        if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+            return {
+                success: false,
+                message: 'Username may only contain letters, numbers, underscores and hyphens',
+                code: 'E_INVALID_USERNAME'
+            };
+        }
+        
         if (password.length < 6) {
             return {
                 success: false,
@@ -359,6 +383,40 @@ function requireAuth(req, res, next) {
     }
 }
 
+// Check whether a user is an administrator ("isAdmin": true on their entry in data/users.json)
+async function isAdmin(username) {
+    const users = await loadUsers();
+    const user = users[username];
+    return Boolean(user && user.isActive && user.isAdmin === true);
+}
+
+// Middleware for admin-only routes (use after requireAuth)
+async function requireAdmin(req, res, next) {
+    try {
+        if (!req.user || !(await isAdmin(req.user.username))) {
+            return res.status(403).json({
+                status: "error",
+                message: "This action needs an administrator",
+                code: "E_ADMIN_REQUIRED",
+                data: {
+                    authenticated: Boolean(req.user)
+                }
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Admin middleware error:', error);
+        return res.status(500).json({
+            status: "error",
+            message: "Authentication middleware error",
+            code: "E_AUTH_MIDDLEWARE_ERROR",
+            data: {
+                authenticated: false
+            }
+        });
+    }
+}
+
 // Get user-specific data directory
 function getUserDataDir(username) {
     return path.join(DATA_DIR, 'users', username);
@@ -396,6 +454,21 @@ function getUserSchedulesFile(username) {
     return getUserFilePath(username, 'scheduledJobs.json');
 }
 
+// Get user-specific macros file (named command sequences)
+function getUserMacrosFile(username) {
+    return getUserFilePath(username, 'macros.json');
+}
+
+// Get user-specific file operation journal (undo/redo)
+function getUserJournalFile(username) {
+    return getUserFilePath(username, 'fileJournal.json');
+}
+
+// Get user-specific trash directory (deleted files waiting to expire)
+function getUserTrashDir(username) {
+    return path.join(getUserDataDir(username), 'trash');
+}
+
 // Get user-specific logs directory
 function getUserLogsDir(username) {
     return path.join(getUserDataDir(username), 'logs');
@@ -411,21 +484,59 @@ function getUserSecurityLogFile(username) {
     return path.join(getUserLogsDir(username), 'security.log');
 }
 
+// Get user-specific sandboxed working directory
+function getUserWorkspaceDir(username) {
+    return path.join(WORKSPACES_ROOT, username);
+}
+
+// Ensure user workspace directory exists
+async function ensureUserWorkspaceDir(username) {
+    try {
+        const workspaceDir = getUserWorkspaceDir(username);
+        await fsPromises.mkdir(workspaceDir, { recursive: true });
+        return workspaceDir;
+    } catch (error) {
+        console.error('Failed to create user workspace directory:', error.message);
+        throw error;
+    }
+}
+
+// Get user workspace quota in bytes
+async function getUserWorkspaceQuota(username) {
+    const users = await loadUsers();
+    const user = users[username];
+    const quotaMB = user && Number(user.workspaceQuotaMB) > 0
+        ? Number(user.workspaceQuotaMB)
+        : DEFAULT_WORKSPACE_QUOTA_MB;
+    
+    return quotaMB * 1024 * 1024;
+}
+
 module.exports = {
     registerUser,
     authenticateUser,
     issueToken,
     verifyToken,
     getUserInfo,
+    listUsers,
+    isAdmin,
     requireAuth,
+    requireAdmin,
     getUserDataDir,
     ensureUserDataDir,
     getUserFilePath,
     getUserMemoryFile,
     getUserCommandHistoryFile,
     getUserSchedulesFile,
+    getUserMacrosFile,
+    getUserJournalFile,
+    getUserTrashDir,
     getUserLogsDir,
     getUserCommandLogFile,
     getUserSecurityLogFile,
-    USERS_FILE
+    getUserWorkspaceDir,
+    ensureUserWorkspaceDir,
+    getUserWorkspaceQuota,
+    USERS_FILE,
+    WORKSPACES_ROOT
 };
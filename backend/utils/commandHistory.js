@@ -10,6 +10,13 @@ const DATA_DIR = path.join(PROJECT_ROOT, 'data');
 const LOGS_DIR = path.join(PROJECT_ROOT, 'logs');
 const HISTORY_FILE = path.join(LOGS_DIR, 'commandHistory.json');
 
+// Statuses a history entry can have
+const HISTORY_STATUSES = ['success', 'error', 'blocked', 'needs_confirmation'];
+// Largest page GET /history returns
+const MAX_PAGE_SIZE = 100;
+// Columns of a CSV export, in order
+const CSV_COLUMNS = ['id', 'timestamp', 'command', 'status', 'code', 'duration', 'scheduled', 'scheduleId', 'result'];
+
 // Ensure logs directory exists
 async function ensureLogsDirectory() {
     try {
@@ -144,18 +151,7 @@ async function clearHistory() {
  */
 async function getHistoryStats() {
     try {
-        const history = await loadHistory();
-        
-        const stats = {
-            totalCommands: history.length,
-            successCount: history.filter(cmd => cmd.status === 'success').length,
-            errorCount: history.filter(cmd => cmd.status === 'error').length,
-            blockedCount: history.filter(cmd => cmd.status === 'blocked').length,
-            lastCommand: history[0] || null,
-            oldestCommand: history[history.length - 1] || null
-        };
-        
-        return stats;
+        return summarizeHistory(await loadHistory());
     } catch (error) {
         console.error('Error getting history stats:', error.message);
         return {
@@ -178,14 +174,7 @@ async function getHistoryStats() {
 async function searchHistory(query, limit = 10) {
     try {
         const history = await loadHistory();
-        const searchTerm = query.toLowerCase();
-        
-        const results = history.filter(cmd => 
-            cmd.command.toLowerCase().includes(searchTerm) ||
-            (cmd.result && cmd.result.toLowerCase().includes(searchTerm))
-        );
-        
-        return results.slice(0, limit);
+        return history.filter(cmd => matchesSearch(cmd, query)).slice(0, limit);
     } catch (error) {
         console.error('Error searching command history:', error.message);
         return [];
@@ -214,6 +203,10 @@ async function addCommandForUser(username, commandData) {
             duration: commandData.duration || null,
             username: username
         };
+        if (commandData.scheduled) {
+            commandEntry.scheduled = true;
+            commandEntry.scheduleId = commandData.scheduleId || null;
+        }
         
         // Add to beginning of array (most recent first)
         history.unshift(commandEntry);
@@ -259,6 +252,184 @@ async function clearHistoryForUser(username) {
     }
 }
 
+async function getCommandByIdForUser(username, id) {
+    try {
+        const auth = require('./auth');
+        const history = await loadUserHistory(auth.getUserCommandHistoryFile(username));
+        return history.find(cmd => cmd.id === id) || null;
+    } catch (error) {
+        console.error('Error getting user command by ID:', error.message);
+        return null;
+    }
+}
+
+async function getHistoryStatsForUser(username) {
+    const auth = require('./auth');
+    return summarizeHistory(await loadUserHistory(auth.getUserCommandHistoryFile(username)));
+}
+
+async function searchHistoryForUser(username, query, limit = 10) {
+    const page = await queryHistoryForUser(username, { query, limit });
+    return page.commands;
+}
+
+/**
+ * Query a user's history, newest first
+ * @param {string} username - History owner
+ * @param {Object} options - Query options
+ * @param {string} options.query - Words that must all appear in the command, result or error code
+ * @param {Array<string>} options.statuses - Only these statuses
+ * @param {string} options.from - Only commands at or after this ISO date/time
+ * @param {string} options.to - Only commands at or before this date/time (a plain date includes the whole day)
+ * @param {boolean} options.scheduled - Only scheduled (true) or only interactive (false) commands
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit - Page size (default: 10, at most 100); 0 returns every match
+ * @returns {Promise<Object>} - { success, commands, total, nextCursor } or { success: false, message, code }
+ */
+async function queryHistoryForUser(username, options = {}) {
+    const filters = parseHistoryFilters(options);
+    if (filters.error) {
+        return { success: false, message: filters.error, code: 'E_INVALID_HISTORY_QUERY' };
+    }
+
+    const auth = require('./auth');
+    const history = await loadUserHistory(auth.getUserCommandHistoryFile(username));
+    const matching = history.filter(cmd =>
+        (!filters.query || matchesSearch(cmd, filters.query)) &&
+        (!filters.statuses || filters.statuses.includes(cmd.status)) &&
+        (filters.from === null || Date.parse(cmd.timestamp) >= filters.from) &&
+        (filters.to === null || Date.parse(cmd.timestamp) <= filters.to) &&
+        (filters.scheduled === null || Boolean(cmd.scheduled) === filters.scheduled)
+    );
+
+    let start = 0;
+    if (filters.cursor) {
+        // Continue after the last entry of the previous page; if it has since been trimmed
+        // from the history, continue with the entries older than it
+        const index = matching.findIndex(cmd => cmd.id === filters.cursor.id);
+        start = index !== -1 ? index + 1 : matching.findIndex(cmd => cmd.timestamp < filters.cursor.timestamp);
+        if (start === -1) start = matching.length;
+    }
+
+    const commands = filters.limit ? matching.slice(start, start + filters.limit) : matching.slice(start);
+    const last = commands[commands.length - 1];
+    return {
+        success: true,
+        commands,
+        total: matching.length,
+        nextCursor: last && start + commands.length < matching.length ? encodeCursor(last) : null
+    };
+}
+
+/**
+ * Format history entries for export
+ * @param {Array<Object>} commands - History entries
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} - Exported text
+ */
+function exportHistory(commands, format) {
+    if (format === 'json') {
+        return JSON.stringify(commands, null, 2);
+    }
+    const rows = commands.map(cmd => CSV_COLUMNS.map(column => csvField(cmd[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Counts and first/last entries of a history list
+function summarizeHistory(history) {
+    return {
+        totalCommands: history.length,
+        successCount: history.filter(cmd => cmd.status === 'success').length,
+        errorCount: history.filter(cmd => cmd.status === 'error').length,
+        blockedCount: history.filter(cmd => cmd.status === 'blocked').length,
+        scheduledCount: history.filter(cmd => cmd.scheduled).length,
+        lastCommand: history[0] || null,
+        oldestCommand: history[history.length - 1] || null
+    };
+}
+
+// Every word of the query appears in the command, its result or its error code (case-insensitive)
+function matchesSearch(cmd, query) {
+    const text = [cmd.command, typeof cmd.result === 'string' ? cmd.result : JSON.stringify(cmd.result), cmd.code]
+        .filter(Boolean).join('\n').toLowerCase();
+    return String(query).toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+// Validate the query options of queryHistoryForUser
+function parseHistoryFilters(options) {
+    const filters = {
+        query: options.query ? String(options.query).trim() : '',
+        statuses: null,
+        from: null,
+        to: null,
+        scheduled: null,
+        cursor: null
+    };
+
+    if (options.statuses && options.statuses.length) {
+        const unknown = options.statuses.filter(status => !HISTORY_STATUSES.includes(status));
+        if (unknown.length) {
+            return { error: `Unknown status '${unknown[0]}' (use ${HISTORY_STATUSES.join(', ')})` };
+        }
+        filters.statuses = options.statuses;
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (!options[bound]) continue;
+        const text = String(options[bound]);
+        const time = Date.parse(text);
+        if (Number.isNaN(time)) {
+            return { error: `'${bound}' must be a date or date/time, got '${text}'` };
+        }
+        // A plain date as the upper bound includes that whole day
+        filters[bound] = bound === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+    }
+    if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+        return { error: "'from' must not be after 'to'" };
+    }
+
+    if (options.scheduled !== undefined && options.scheduled !== null) {
+        filters.scheduled = Boolean(options.scheduled);
+    }
+
+    if (options.cursor) {
+        filters.cursor = decodeCursor(options.cursor);
+        if (!filters.cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    const limit = options.limit === undefined ? 10 : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+        return { error: `'limit' must be a whole number, got '${options.limit}'` };
+    }
+    filters.limit = limit === 0 ? 0 : Math.min(limit, MAX_PAGE_SIZE);
+    return filters;
+}
+
+function encodeCursor(cmd) {
+    return Buffer.from(JSON.stringify({ id: cmd.id, timestamp: cmd.timestamp })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return typeof decoded.id === 'string' && typeof decoded.timestamp === 'string' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Quote a CSV field; text that a spreadsheet would run as a formula gets a leading apostrophe
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'string' ? value : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 async function loadUserHistory(historyFile) {
     try {
         if (!fs.existsSync(historyFile)) {
@@ -291,5 +462,12 @@ module.exports = {
     addCommandForUser,
     getHistoryForUser,
     clearHistoryForUser,
+    getCommandByIdForUser,
+    getHistoryStatsForUser,
+    searchHistoryForUser,
+    queryHistoryForUser,
+    exportHistory,
+    HISTORY_STATUSES,
+    MAX_PAGE_SIZE,
     HISTORY_FILE
 };
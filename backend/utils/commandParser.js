@@ -1,8 +1,23 @@
 // VOICE-CMD Command Parser
 // Parses natural language commands and routes to file operations or shell commands
 
+const intentScorer = require('./intentScorer');
+
+// Commands that are passed straight to the shell when spoken verbatim
+// ("make" is left out on purpose: "make a folder called x" is an intent)
+const shellCommands = [
+    'ls', 'pwd', 'cd', 'mkdir', 'touch', 'rm', 'cp', 'mv', 'ps', 'kill', 
+    'nano', 'cat', 'grep', 'find', 'which', 'whoami', 'uname', 'df', 
+    'free', 'uptime', 'ping', 'curl', 'wget', 'echo', 'head', 'tail',
+    'wc', 'sort', 'uniq', 'du', 'date', 'cal', 'chmod', 'tar', 'zip',
+    'unzip', 'gzip', 'gunzip', 'git', 'whereis', 'node', 'python3',
+    // Interactive programs (opened in a terminal session)
+    'top', 'htop', 'man'
+];
+
 /**
  * Parse natural language command
+ * Intents come from the rule files in backend/intents (see utils/intentGrammar.js)
  * @param {string} input - Natural language command input
  * @returns {Object} - Parsed command with type and parameters
  */
@@ -16,155 +31,13 @@ function parseCommand(input) {
 
     const trimmedInput = input.trim().toLowerCase();
     
-    // Memory operation patterns
-    const memoryOpPatterns = [
-        {
-            regex: /remember\s+(.+?)\s+is\s+(.+)/i,
-            type: "memoryOp",
-            fn: "saveMemory",
-            args: (match) => [match[1].trim(), match[2].trim()]
-        },
-        {
-            regex: /remember\s+(.+)/i,
-            type: "memoryOp",
-            fn: "saveMemory",
-            args: (match) => [match[1].trim(), "true"]
-        },
-        {
-            regex: /recall\s+(.+)/i,
-            type: "memoryOp",
-            fn: "getMemory",
-            args: (match) => [match[1].trim()]
-        },
-        {
-            regex: /show\s+memory/i,
-            type: "memoryOp",
-            fn: "getAllMemory",
-            args: () => []
-        },
-        {
-            regex: /clear\s+memory/i,
-            type: "memoryOp",
-            fn: "clearMemory",
-            args: () => []
-        },
-        {
-            regex: /search\s+memory\s+(.+)/i,
-            type: "memoryOp",
-            fn: "searchMemory",
-            args: (match) => [match[1].trim()]
-        },
-        {
-            regex: /memory\s+stats/i,
-            type: "memoryOp",
-            fn: "getMemoryStats",
-            args: () => []
-        },
-        {
-            regex: /command\s+history/i,
-            type: "memoryOp",
-            fn: "getCommandHistory",
-            args: () => []
-        }
-    ];
-
-    // File operation patterns
-    const fileOpPatterns = [
-        {
-            regex: /create\s+file\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createFile",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /create\s+a\s+file\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createFile",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /create\s+directory\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createDirectory",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /create\s+a\s+directory\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createDirectory",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /make\s+directory\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createDirectory",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /mkdir\s+(\S+)/i,
-            type: "fileOp",
-            fn: "createDirectory",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /delete\s+file\s+(\S+)/i,
-            type: "fileOp",
-            fn: "deleteFile",
-            args: (match) => [match[1]]
-        },
-        {
-            regex: /copy\s+file\s+(\S+)\s+to\s+(\S+)/i,
-            type: "fileOp",
-            fn: "copyFile",
-            args: (match) => [match[1], match[2]]
-        },
-        {
-            regex: /move\s+file\s+(\S+)\s+to\s+(\S+)/i,
-            type: "fileOp",
-            fn: "moveFile",
-            args: (match) => [match[1], match[2]]
-        },
-        {
-            regex: /list\s+files/i,
-            type: "fileOp",
-            fn: "listFiles",
-            args: () => []
-        }
-    ];
-
-    // Check for memory operation patterns first
-    for (const pattern of memoryOpPatterns) {
-        const match = input.match(pattern.regex);
-        if (match) {
-            return {
-                type: pattern.type,
-                fn: pattern.fn,
-                args: pattern.args(match),
-                originalInput: input
-            };
-        }
-    }
-
-    // Check for file operation patterns
-    for (const pattern of fileOpPatterns) {
-        const match = input.match(pattern.regex);
-        if (match) {
-            return {
-                type: pattern.type,
-                fn: pattern.fn,
-                args: pattern.args(match),
-                originalInput: input
-            };
-        }
+    // Score the input against the intent grammar (exact matches first, then fuzzy)
+    const scored = intentScorer.scoreCommand(input);
+    if (scored.match && scored.confidence === 1) {
+        return intentResult(scored.match, input);
     }
 
     // Check for direct shell commands
-    const shellCommands = [
-        'ls', 'pwd', 'cd', 'mkdir', 'touch', 'rm', 'cp', 'mv', 'ps', 'kill', 
-        'nano', 'cat', 'grep', 'find', 'which', 'whoami', 'uname', 'df', 
-        'free', 'uptime', 'ping', 'curl', 'wget'
-    ];
-
     const firstWord = trimmedInput.split(' ')[0];
     if (shellCommands.includes(firstWord)) {
         return {
@@ -174,10 +47,45 @@ function parseCommand(input) {
         };
     }
 
-    // No pattern matched - treat as shell command
+    // Confident fuzzy match - run it, reporting how the input was interpreted
+    if (scored.match && !scored.needsConfirmation) {
+        return intentResult(scored.match, input);
+    }
+
+    // Unsure - ask the user to pick one of the suggestions
+    if (scored.suggestions.length > 0) {
+        return {
+            type: "needsConfirmation",
+            confidence: scored.confidence,
+            suggestions: scored.suggestions,
+            originalInput: input
+        };
+    }
+
+    // Nothing close enough to suggest
+    return {
+        type: "noIntent",
+        originalInput: input
+    };
+}
+
+/**
+ * Build a parse result from an intent match
+ * @param {Object} match - Match from intentGrammar.matchIntent
+ * @param {string} input - Original command text
+ * @returns {Object} - Parsed command
+ */
+function intentResult(match, input) {
     return {
-        type: "shell",
-        command: input,
+        type: match.intent.type,
+        fn: match.intent.fn,
+        args: match.args,
+        intent: match.intent.id,
+        slots: match.slots,
+        slotTypes: Object.fromEntries(Object.entries(match.intent.slots).map(([name, slot]) => [name, slot.type])),
+        context: match.intent.context,
+        confidence: match.confidence,
+        interpreted: match.interpreted,
         originalInput: input
     };
 }
@@ -204,8 +112,36 @@ async function executeFileOperation(operation, args, workingDir) {
             return await fileOps.copyFile(args[0], args[1]);
         case 'moveFile':
             return await fileOps.moveFile(args[0], args[1]);
+        case 'deleteDirectory':
+            return await fileOps.deleteDirectory(args[0]);
+        case 'copyDirectory':
+            return await fileOps.copyDirectory(args[0], args[1]);
+        case 'moveDirectory':
+            return await fileOps.moveDirectory(args[0], args[1]);
         case 'listFiles':
             return await fileOps.listFiles(args[0] || '.');
+        case 'readFile':
+            return await fileOps.readFile(args[0], args[1], args[2]);
+        case 'writeFile':
+            return await fileOps.writeFile(args[0], args[1]);
+        case 'appendText':
+            return await fileOps.appendText(args[0], args[1]);
+        case 'rename':
+            return await fileOps.rename(args[0], args[1]);
+        case 'tree':
+            return await fileOps.tree(args[0] || '.', args[1]);
+        case 'stat':
+            return await fileOps.stat(args[0]);
+        case 'findFiles':
+            return await fileOps.findFiles(args[0], args[1] || '.');
+        case 'grep':
+            return await fileOps.grep(args[0], args[1] || '.');
+        case 'compress':
+            return await fileOps.compress(args[0], args[1]);
+        case 'extract':
+            return await fileOps.extract(args[0], args[1]);
+        case 'listArchive':
+            return await fileOps.listArchive(args[0]);
         default:
             return {
                 action: "File Operation",
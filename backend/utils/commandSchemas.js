@@ -0,0 +1,162 @@
+// VOICE-CMD Command Schemas
+// Validates argv arrays against a command's declared options and positional arguments
+// before anything is executed (the declarations live with the allowlist in security.js)
+
+// Value checks for option values and positional arguments
+const VALUE_TYPES = {
+    text: () => true,
+    path: (value) => value.length > 0 && !value.includes('\0'),
+    number: (value) => /^\d+$/.test(value),
+    mode: (value) => /^[0-7]{3,4}$/.test(value) || /^[ugoa]*[-+=][rwxX]+(,[ugoa]*[-+=][rwxX]+)*$/.test(value),
+    host: (value) => /^[a-zA-Z0-9.-]+$/.test(value) && !value.startsWith('-'),
+    url: (value) => /^https?:\/\/[^\s]+$/.test(value),
+    command: (value) => /^[a-zA-Z0-9._+-]+$/.test(value)
+};
+
+// Shorthands for positional specs
+const paths = (name, min = 1) => ({ name, type: 'path', min, max: Infinity });
+const single = (name, type, extra = {}) => ({ name, type, min: 1, max: 1, ...extra });
+const optional = (name, type, extra = {}) => ({ name, type, min: 0, max: 1, ...extra });
+
+// Check a value against a type name or { type, values } / spec with values and pattern
+function checkValue(spec, value) {
+    const type = typeof spec === 'string' ? spec : spec.type;
+    if (!VALUE_TYPES[type](value)) {
+        return `must be a valid ${type}`;
+    }
+    if (spec.values && !spec.values.includes(value)) {
+        return `must be one of: ${spec.values.join(', ')}`;
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+        return 'has an unsupported format';
+    }
+    return null;
+}
+
+// Build a failed validation result
+function invalidArgs(program, reason, schema, option) {
+    const optionNames = Object.keys(schema.options);
+    return {
+        valid: false,
+        reason: `${program}: ${reason}`,
+        option,
+        suggestion: optionNames.length > 0
+            ? `Supported options for ${program}: ${optionNames.join(', ')}`
+            : `${program} takes no options`
+    };
+}
+
+/**
+ * Validate an argv array against a command schema
+ * Schema format:
+ *  options      - option name -> true for flags, or the value type for options that take a value
+ *                 ({ type, values } limits the value to a fixed list)
+ *  positionals  - ordered specs { name, type, min, max, values?, pattern?, skipWith? }
+ *                 (skipWith: the spec is left out when that option is given, e.g. grep -e)
+ *  noCombine    - single-dash options are whole words (e.g. find -name) and cannot be combined like -la
+ * @param {Array<string>} argv - Program name followed by its arguments
+ * @param {Object} schema - Schema for argv[0]
+ * @returns {Object} - { valid, options, positionals } with typed arguments, or
+ *                     { valid: false, reason, suggestion, option } (option: the rejected option, if any)
+ */
+function validateArgv(argv, schema) {
+    const program = argv[0];
+    const options = [];
+    const positionalValues = [];
+    const args = argv.slice(1);
+    let endOfOptions = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (endOfOptions || !arg.startsWith('-') || arg === '-') {
+            positionalValues.push(arg);
+            continue;
+        }
+
+        if (arg === '--') {
+            endOfOptions = true;
+            continue;
+        }
+
+        // --name=value form
+        const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        // Combined short flags: -la, -czf archive.tar.gz (only the last may take a value)
+        let names = [name];
+        if (!(name in schema.options) && !schema.noCombine && /^-[a-zA-Z0-9]{2,}$/.test(name)) {
+            names = name.slice(1).split('').map(flag => `-${flag}`);
+        }
+
+        for (let k = 0; k < names.length; k++) {
+            const optionName = names[k];
+            const spec = schema.options[optionName];
+
+            if (spec === undefined) {
+                return invalidArgs(program, `unsupported option "${optionName}"`, schema, optionName);
+            }
+
+            if (spec === true) {
+                if (inlineValue !== undefined) {
+                    return invalidArgs(program, `option "${optionName}" does not take a value`, schema);
+                }
+                options.push({ name: optionName, type: 'flag', value: true });
+                continue;
+            }
+
+            if (k < names.length - 1) {
+                return invalidArgs(program, `option "${optionName}" needs a value and must come last in "${name}"`, schema);
+            }
+
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) {
+                return invalidArgs(program, `option "${optionName}" needs a value`, schema);
+            }
+
+            const problem = checkValue(spec, value);
+            if (problem) {
+                return invalidArgs(program, `value "${value}" for "${optionName}" ${problem}`, schema);
+            }
+            options.push({ name: optionName, type: typeof spec === 'string' ? spec : spec.type, value });
+        }
+    }
+
+    // Hand out positional values in order, leaving enough for later required arguments
+    const specs = schema.positionals.filter(spec => !(spec.skipWith && options.some(o => o.name === spec.skipWith)));
+    const positionals = [];
+    let index = 0;
+
+    for (let s = 0; s < specs.length; s++) {
+        const spec = specs[s];
+        const laterMinimum = specs.slice(s + 1).reduce((sum, later) => sum + later.min, 0);
+        const take = Math.min(spec.max, positionalValues.length - index - laterMinimum);
+
+        if (take < spec.min) {
+            return invalidArgs(program, `missing ${spec.name}`, schema);
+        }
+
+        for (const value of positionalValues.slice(index, index + take)) {
+            const problem = checkValue(spec, value);
+            if (problem) {
+                return invalidArgs(program, `${spec.name} "${value}" ${problem}`, schema);
+            }
+            positionals.push({ name: spec.name, type: spec.type, value });
+        }
+        index += take;
+    }
+
+    if (index < positionalValues.length) {
+        return invalidArgs(program, `too many arguments ("${positionalValues.slice(index).join(' ')}")`, schema);
+    }
+
+    return { valid: true, options, positionals };
+}
+
+module.exports = {
+    validateArgv,
+    paths,
+    single,
+    optional
+};
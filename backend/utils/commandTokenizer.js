@@ -0,0 +1,277 @@
+// VOICE-CMD Command Tokenizer
+// Splits command text into argv arrays and an explicit pipeline model - no shell involved
+
+// Shell syntax we never emulate; rejected instead of being passed on as literal text.
+// The only operators understood are "|", "<", ">" and ">>" (see parsePipeline).
+const UNSUPPORTED_OPERATORS = {
+    ';': 'Command chaining with ";" is not supported',
+    '&&': 'Command chaining with "&&" is not supported',
+    '||': 'Command chaining with "||" is not supported',
+    '&': 'Background jobs with "&" are not supported',
+    '`': 'Command substitution with backticks is not supported',
+    '$(': 'Command substitution with "$(...)" is not supported'
+};
+
+// Wildcard characters; only unquoted ones make a word a glob pattern
+const GLOB_CHARS = '*?[';
+
+/**
+ * Split command text into words and operators
+ * Supports single quotes (literal), double quotes (with \" and \\ escapes) and
+ * backslash escapes outside quotes. A word with an unquoted "*", "?" or "[" also
+ * gets a "glob" pattern in which its quoted wildcard characters are escaped.
+ * @param {string} command - Command text
+ * @returns {Object} - { success, tokens } or { success: false, reason, code }
+ */
+function tokenize(command) {
+    if (!command || typeof command !== 'string') {
+        return { success: false, reason: 'Invalid command format', code: 'E_SHELL_SYNTAX' };
+    }
+
+    const tokens = [];
+    let word = '';
+    let pattern = '';
+    let isGlob = false;
+    let inWord = false;
+    let i = 0;
+
+    const endWord = () => {
+        if (inWord) {
+            tokens.push(isGlob ? { type: 'word', value: word, glob: pattern } : { type: 'word', value: word });
+        }
+        word = '';
+        pattern = '';
+        isGlob = false;
+        inWord = false;
+    };
+    // Quoted and escaped text is literal, also in a glob pattern
+    const addLiteral = (text) => {
+        word += text;
+        pattern += text.replace(/[*?[\]\\]/g, '\\$&');
+        inWord = true;
+    };
+
+    const unsupported = (operator) => ({
+        success: false,
+        reason: UNSUPPORTED_OPERATORS[operator],
+        code: 'E_SHELL_OPERATOR_NOT_ALLOWED',
+        operator
+    });
+
+    while (i < command.length) {
+        const char = command[i];
+        const next = command[i + 1];
+
+        if (/\s/.test(char)) {
+            endWord();
+            i++;
+            continue;
+        }
+
+        if (char === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) {
+                return { success: false, reason: 'Unterminated single quote', code: 'E_SHELL_SYNTAX' };
+            }
+            addLiteral(command.slice(i + 1, end));
+            i = end + 1;
+            continue;
+        }
+
+        if (char === '"') {
+            let j = i + 1;
+            let text = '';
+            while (j < command.length && command[j] !== '"') {
+                if (command[j] === '\\' && (command[j + 1] === '"' || command[j + 1] === '\\')) {
+                    j++;
+                }
+                text += command[j];
+                j++;
+            }
+            if (j >= command.length) {
+                return { success: false, reason: 'Unterminated double quote', code: 'E_SHELL_SYNTAX' };
+            }
+            addLiteral(text);
+            i = j + 1;
+            continue;
+        }
+
+        if (char === '\\') {
+            if (next === undefined) {
+                return { success: false, reason: 'Trailing backslash', code: 'E_SHELL_SYNTAX' };
+            }
+            addLiteral(next);
+            i += 2;
+            continue;
+        }
+
+        if (char === ';' || char === '`') {
+            return unsupported(char);
+        }
+        if (char === '$' && next === '(') {
+            return unsupported('$(');
+        }
+        if (char === '&') {
+            return unsupported(next === '&' ? '&&' : '&');
+        }
+
+        if (char === '|') {
+            if (next === '|') {
+                return unsupported('||');
+            }
+            endWord();
+            tokens.push({ type: 'operator', value: '|' });
+            i++;
+            continue;
+        }
+
+        if (char === '>' || char === '<') {
+            // "2>file" would silently become the argument "2" in a plain tokenizer
+            if (inWord && /^\d+$/.test(word)) {
+                return {
+                    success: false,
+                    reason: 'File descriptor redirection (e.g. "2>") is not supported',
+                    code: 'E_SHELL_OPERATOR_NOT_ALLOWED',
+                    operator: `${word}${char}`
+                };
+            }
+            if (next === '&') {
+                return unsupported('&');
+            }
+            endWord();
+            const operator = char === '>' && next === '>' ? '>>' : char;
+            tokens.push({ type: 'operator', value: operator });
+            i += operator.length;
+            continue;
+        }
+
+        word += char;
+        pattern += char;
+        isGlob = isGlob || GLOB_CHARS.includes(char);
+        inWord = true;
+        i++;
+    }
+
+    endWord();
+    return { success: true, tokens };
+}
+
+/**
+ * Parse command text into a validated pipeline
+ * Pipes connect stages; "<" may only feed the first stage and ">"/">>" may only
+ * take the output of the last stage.
+ * @param {string} command - Command text
+ * Each stage lists its wildcard arguments in "globs" ({ index, pattern }); they are
+ * expanded later against the workspace (see utils/globExpander.js).
+ * @returns {Object} - { success, pipeline: { stages: [{ argv, globs }], input, output } } or { success: false, reason, code }
+ */
+function parsePipeline(command) {
+    const tokenized = tokenize(command);
+    if (!tokenized.success) {
+        return tokenized;
+    }
+
+    const invalid = (reason) => ({ success: false, reason, code: 'E_PIPELINE_INVALID' });
+    const stages = [{ argv: [], globs: [] }];
+    let input = null;
+    let output = null;
+    const tokens = tokenized.tokens;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const stage = stages[stages.length - 1];
+
+        if (token.type === 'word') {
+            if (output) {
+                return invalid('Nothing may follow an output redirection');
+            }
+            if (token.glob) {
+                stage.globs.push({ index: stage.argv.length, pattern: token.glob });
+            }
+            stage.argv.push(token.value);
+            continue;
+        }
+
+        if (token.value === '|') {
+            if (stage.argv.length === 0) {
+                return invalid('Empty command in pipeline');
+            }
+            if (output) {
+                return invalid('Output redirection is only allowed at the end of the pipeline');
+            }
+            stages.push({ argv: [], globs: [] });
+            continue;
+        }
+
+        // Redirections need a target file
+        const target = tokens[i + 1];
+        if (!target || target.type !== 'word') {
+            return invalid(`Missing file name after "${token.value}"`);
+        }
+        if (target.glob) {
+            return invalid(`Wildcards are not expanded after "${token.value}"; name the file instead`);
+        }
+        i++;
+
+        if (token.value === '<') {
+            if (stages.length > 1) {
+                return invalid('Input redirection is only allowed on the first command');
+            }
+            if (input) {
+                return invalid('Only one input redirection is allowed');
+            }
+            input = { path: target.value };
+        } else {
+            if (output) {
+                return invalid('Only one output redirection is allowed');
+            }
+            output = { path: target.value, append: token.value === '>>' };
+        }
+    }
+
+    if (stages.some(stage => stage.argv.length === 0)) {
+        return invalid('Empty command in pipeline');
+    }
+
+    return { success: true, pipeline: { stages, input, output } };
+}
+
+/**
+ * Quote an argument so tokenize() reads it back as one word
+ * Single quotes are used unless the value contains one, then double quotes with escapes.
+ * @param {string} arg - Argument value
+ * @returns {string} - The argument, quoted where needed
+ */
+function quoteArg(arg) {
+    const value = String(arg);
+    if (/^[\w@%+=:,./-]+$/.test(value)) {
+        return value;
+    }
+    if (!value.includes("'")) {
+        return `'${value}'`;
+    }
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Render a pipeline back to readable text (for logs and messages)
+ * @param {Object} pipeline - Parsed pipeline
+ * @returns {string} - Display form with arguments quoted where needed
+ */
+function formatPipeline(pipeline) {
+    let text = pipeline.stages.map(stage => stage.argv.map(quoteArg).join(' ')).join(' | ');
+    if (pipeline.input) {
+        text += ` < ${quoteArg(pipeline.input.path)}`;
+    }
+    if (pipeline.output) {
+        text += ` ${pipeline.output.append ? '>>' : '>'} ${quoteArg(pipeline.output.path)}`;
+    }
+    return text;
+}
+
+module.exports = {
+    tokenize,
+    parsePipeline,
+    quoteArg,
+    formatPipeline
+};
@@ -1,18 +1,26 @@
 // VOICE-CMD Command Utilities
 // Updated to handle file operations and shell commands
 
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const commandParser = require('./commandParser');
 const FileOperations = require('./fileOps');
 const memory = require('../memory');
 const security = require('./security');
 const logger = require('./logger');
-
-// VOICE-CMD working directory
-const WORKING_DIR = path.join(os.homedir(), 'Desktop', 'VOICE-CMD');
+const auth = require('./auth');
+const contextResolver = require('./contextResolver');
+const commandTokenizer = require('./commandTokenizer');
+const pipelineRunner = require('./pipelineRunner');
+const globExpander = require('./globExpander');
+const jobManager = require('./jobManager');
+const ptySessions = require('./ptySessions');
+const processManager = require('./processManager');
+const confirmations = require('./confirmations');
+const fileJournal = require('./fileJournal');
+const fileWatcher = require('./fileWatcher');
+const macros = require('./macros');
+const cron = require('./cron');
 
 /**
  * Map Command to Shell (Legacy function - keeping for compatibility)
@@ -93,17 +101,64 @@ function mapCommandToShell(commandText) {
     return `echo "Unknown command: ${commandText}"`;
 }
 
+/**
+ * Resolve the sandboxed workspace for a user
+ * There is no shared fallback: the folder above the workspaces holds every user's sandbox.
+ * @param {string} username - Authenticated user
+ * @returns {Promise<Object>} - Workspace with workingDir and quotaBytes
+ * @throws {Error} - With code E_NO_USER when no user is given
+ */
+async function resolveWorkspace(username) {
+    if (!username) {
+        const error = new Error('Commands need a logged-in user');
+        error.code = 'E_NO_USER';
+        throw error;
+    }
+    
+    const workingDir = await auth.ensureUserWorkspaceDir(username);
+    const quotaBytes = await auth.getUserWorkspaceQuota(username);
+    return { workingDir, quotaBytes };
+}
+
 /**
  * Execute Command with File Operations Support
  * @param {string} commandText - The voice command received from frontend
+ * @param {Object} context - Execution context
+ * @param {string} context.username - Authenticated user whose workspace the command runs in
+ * @param {Object} context.job - Streaming job (utils/jobManager.js) whose output is pushed live
+ * @param {boolean} context.confirmed - The user already confirmed the command, so destructive
+ *                                      operations run without asking again
+ * @param {Function} context.onProgress - Receives progress of large folder deletes, copies and moves
+ * @param {Array<string>} context.macroStack - Macros running this command as one of their steps
  * @returns {Promise<Object>} - Execution result with action, result, and success status
  */
-async function executeCommand(commandText) {
+async function executeCommand(commandText, context = {}) {
     try {
         console.log(`Executing command: "${commandText}"`);
         
+        if (!context.username) {
+            return { input: commandText, action: "Command", result: "Commands need a logged-in user", success: false, code: "E_NO_USER" };
+        }
+        const workspace = await resolveWorkspace(context.username);
+        
+        // Resolve follow-up references ("copy it to backup", "delete that")
+        const resolution = await contextResolver.resolveReferences(commandText, context.username);
+        if (resolution.error) {
+            return {
+                input: commandText,
+                action: "Unresolved Reference",
+                result: resolution.error,
+                success: false,
+                code: "E_UNRESOLVED_REFERENCE"
+            };
+        }
+        if (resolution.resolved) {
+            console.log(`Resolved command: "${resolution.command}"`);
+        }
+        const resolvedCommand = resolution.resolved ? resolution.command : undefined;
+        
         // Parse the command
-        const parseResult = commandParser.parseCommand(commandText);
+        const parseResult = commandParser.parseCommand(resolution.command);
         
         if (parseResult.type === "error") {
             return {
@@ -118,16 +173,20 @@ async function executeCommand(commandText) {
     if (parseResult.type === "memoryOp") {
         // Handle memory operations
         try {
-            const result = await executeMemoryOperation(parseResult.fn, parseResult.args);
+            const result = await executeMemoryOperation(parseResult.fn, parseResult.args, context);
             
             // Add command to history
-            await memory.addCommandToHistory(commandText, result);
+            await memory.addCommandToHistory(context.username, commandText, result);
             
             return {
                 input: commandText,
                 action: result.action,
                 result: result.result,
-                success: result.success
+                success: result.success,
+                code: result.code,
+                resolvedCommand,
+                confidence: parseResult.confidence,
+                interpreted: parseResult.interpreted
             };
         } catch (error) {
             return {
@@ -141,19 +200,46 @@ async function executeCommand(commandText) {
     }
     
     if (parseResult.type === "fileOp") {
-        // Handle file operations
+        // Handle file operations (journaled per user so they can be undone)
         try {
-            const fileOps = new FileOperations(WORKING_DIR);
-            const result = await fileOps[parseResult.fn](...parseResult.args);
+            const fileOps = new FileOperations(workspace.workingDir, {
+                quotaBytes: workspace.quotaBytes,
+                journal: context.username ? fileJournal.createJournal(context.username, workspace.workingDir) : null,
+                onProgress: context.onProgress
+            });
+            
+            // Deleting or overwriting a file needs the user's confirmation first
+            if (!context.confirmed) {
+                const reason = await confirmations.getDestructiveReason(parseResult, fileOps);
+                if (reason) {
+                    return withCommandFields(requestCommandConfirmation(context.username, resolution.command, reason),
+                        commandText, resolvedCommand, parseResult);
+                }
+            }
+            
+            // A confirmed move or write may replace the existing file
+            const args = context.confirmed && ['moveFile', 'writeFile'].includes(parseResult.fn)
+                ? [...parseResult.args, { overwrite: true }]
+                : parseResult.args;
+            const result = await fileOps[parseResult.fn](...args);
             
             // Add command to history
-            await memory.addCommandToHistory(commandText, result);
+            await memory.addCommandToHistory(context.username, commandText, result);
+            
+            // Remember what the command referred to for follow-ups
+            if (result.success) {
+                await contextResolver.recordCommand(context.username, parseResult, workspace.workingDir);
+            }
             
             return {
                 input: commandText,
                 action: result.action,
                 result: result.result,
-                success: result.success
+                success: result.success,
+                blocked: result.blocked || false,
+                resolvedCommand,
+                confidence: parseResult.confidence,
+                interpreted: parseResult.interpreted
             };
         } catch (error) {
             return {
@@ -166,20 +252,57 @@ async function executeCommand(commandText) {
         }
     }
     
+    if (parseResult.type === "editorOp" || (parseResult.type === "shell" && isTerminalCommand(parseResult.command))) {
+        // Handle interactive programs: they run in a terminal session bridged over /ws
+        const result = await executeEditorOperation(parseResult, context, workspace);
+        
+        if (result.success && parseResult.type === "editorOp") {
+            await contextResolver.recordCommand(context.username, parseResult, workspace.workingDir);
+        }
+        
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            blocked: result.blocked || false,
+            code: result.code,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
     if (parseResult.type === "shell") {
         // Handle shell commands
         try {
-            const result = await executeShellCommand(parseResult.command);
+            // rm, chmod and chown need the user's confirmation first (blocked commands are refused below instead)
+            if (!context.confirmed) {
+                const reason = await confirmations.getDestructiveReason(parseResult);
+                if (reason && (await previewShellCommand(parseResult.command, workspace, false)).security.safe) {
+                    return withCommandFields(requestCommandConfirmation(context.username, resolution.command, reason),
+                        commandText, resolvedCommand, parseResult);
+                }
+            }
+            
+            const result = await executeShellCommand(parseResult.command, workspace, context.job);
             
             // Add command to history
-            await memory.addCommandToHistory(commandText, result);
+            await memory.addCommandToHistory(context.username, commandText, result);
+            
+            // Remember what the command referred to for follow-ups
+            if (result.success) {
+                await contextResolver.recordCommand(context.username, parseResult, workspace.workingDir);
+            }
             
             return {
                 input: commandText,
                 action: "Shell Command",
                 result: result.output,
                 success: result.success,
-                blocked: result.blocked || false
+                blocked: result.blocked || false,
+                code: result.success ? undefined : result.code,
+                resolvedCommand
             };
         } catch (error) {
             return {
@@ -192,6 +315,128 @@ async function executeCommand(commandText) {
         }
     }
     
+    if (parseResult.type === "jobOp") {
+        // Handle running job operations ("stop that", "cancel job")
+        const result = executeJobOperation(parseResult.fn, parseResult.args, context);
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            code: result.code,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "processOp") {
+        // Handle process operations ("list processes", "kill the python process")
+        const result = await executeProcessOperation(parseResult.fn, parseResult.args, context);
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            needsConfirmation: result.needsConfirmation || false,
+            confirmation: result.confirmation,
+            code: result.code,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "journalOp") {
+        // Handle undo/redo of file operations ("undo that")
+        const result = await executeJournalOperation(parseResult.fn, parseResult.args, context, workspace);
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            code: result.code,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "macroOp") {
+        // Handle macros ("run morning setup"): each step goes through executeCommand
+        const result = await executeMacroOperation(parseResult.fn, parseResult.args, context);
+        return {
+            input: commandText,
+            ...result,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "scheduleOp") {
+        // Handle schedules ("schedule list files every weekday at 9am")
+        const result = await executeScheduleOperation(parseResult.fn, parseResult.args, context);
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            code: result.code,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "watchOp") {
+        // Handle file watches ("tell me when report.pdf appears")
+        const result = await executeWatchOperation(parseResult.fn, parseResult.args, context);
+        return {
+            input: commandText,
+            action: result.action,
+            result: result.result,
+            success: result.success,
+            code: result.code,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "confirmationOp") {
+        // Handle answers to a pending confirmation ("yes", "never mind")
+        const result = await executeConfirmationOperation(parseResult.fn, context);
+        return {
+            ...result,
+            input: commandText,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    }
+    
+    if (parseResult.type === "needsConfirmation") {
+        const suggestions = parseResult.suggestions.map(s => `"${s.command}"`).join(', ');
+        return {
+            input: commandText,
+            action: "Needs Confirmation",
+            result: `I'm not sure what "${commandText}" means. Did you mean ${suggestions}?`,
+            success: false,
+            needsConfirmation: true,
+            code: "E_LOW_CONFIDENCE",
+            confidence: parseResult.confidence,
+            suggestions: parseResult.suggestions
+        };
+    }
+    
+    if (parseResult.type === "noIntent") {
+        return {
+            input: commandText,
+            action: "No Intent",
+            result: `I couldn't understand "${commandText}"`,
+            success: false,
+            code: "E_NO_INTENT"
+        };
+    }
+    
     // Fallback for unknown command types
     return {
         input: commandText,
@@ -214,31 +459,234 @@ async function executeCommand(commandText) {
     }
 }
 
+/**
+ * Preview a command without running it (dry run)
+ * Goes through the same reference resolution, parsing and security checks as
+ * executeCommand, but nothing is executed and no context is recorded.
+ * @param {string} commandText - The voice command received from frontend
+ * @param {Object} context - Execution context
+ * @param {string} context.username - Authenticated user whose workspace the command would run in
+ * @returns {Promise<Object>} - Result with preview { type, intent, fn, args, argv, security, paths, warnings }
+ */
+async function previewCommand(commandText, context = {}) {
+    try {
+        if (!context.username) {
+            return { input: commandText, action: "Preview", result: "Commands need a logged-in user", success: false, code: "E_NO_USER" };
+        }
+        const workspace = await resolveWorkspace(context.username);
+        
+        const resolution = await contextResolver.resolveReferences(commandText, context.username);
+        if (resolution.error) {
+            return {
+                input: commandText,
+                action: "Unresolved Reference",
+                result: resolution.error,
+                success: false,
+                code: "E_UNRESOLVED_REFERENCE"
+            };
+        }
+        const resolvedCommand = resolution.resolved ? resolution.command : undefined;
+        
+        const parseResult = commandParser.parseCommand(resolution.command);
+        if (parseResult.type === "error") {
+            return {
+                input: commandText,
+                action: "Parse Error",
+                result: parseResult.error,
+                success: false,
+                code: "E_PARSE_ERROR"
+            };
+        }
+        
+        const preview = {
+            type: parseResult.type,
+            intent: parseResult.intent || null,
+            fn: parseResult.fn || null,
+            args: parseResult.args || [],
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted,
+            argv: null,
+            security: { safe: true, reasons: [] },
+            paths: [],
+            warnings: []
+        };
+        
+        if (parseResult.type === "fileOp") {
+            const fileOps = new FileOperations(workspace.workingDir, { quotaBytes: workspace.quotaBytes });
+            const filePreview = await fileOps.previewOperation(parseResult.fn, parseResult.args);
+            const blocked = filePreview.paths.filter(entry => !entry.safe);
+            preview.paths = filePreview.paths;
+            preview.warnings = filePreview.warnings;
+            preview.security = { safe: blocked.length === 0, reasons: blocked.map(entry => entry.reason) };
+            const reason = await confirmations.getDestructiveReason(parseResult, fileOps);
+            if (reason) {
+                preview.warnings.push(`${reason}; asks for confirmation before running`);
+            }
+        } else if (parseResult.type === "shell" || (parseResult.type === "editorOp" && parseResult.fn === 'openEditor')) {
+            const command = parseResult.type === "shell"
+                ? parseResult.command
+                : commandTokenizer.formatPipeline({ stages: [{ argv: [ptySessions.DEFAULT_EDITOR, parseResult.args[0]] }] });
+            Object.assign(preview, await previewShellCommand(command, workspace, parseResult.type === "editorOp" || isTerminalCommand(command)));
+            if (parseResult.type === "editorOp") {
+                preview.paths.push(await new FileOperations(workspace.workingDir).describePath(parseResult.args[0], 'edit'));
+            }
+            const reason = parseResult.type === "shell" && await confirmations.getDestructiveReason(parseResult);
+            if (reason && preview.security.safe) {
+                preview.warnings.push(`${reason}; asks for confirmation before running`);
+            }
+        } else if (parseResult.type === "processOp" && parseResult.fn === 'killProcess') {
+            const check = await processManager.checkKillable(parseResult.args[0], context.username);
+            preview.security = { safe: check.success, reasons: check.success ? [] : [check.message] };
+            preview.warnings.push('Killing a process asks for confirmation first');
+        } else if (parseResult.type === "needsConfirmation") {
+            preview.suggestions = parseResult.suggestions;
+            preview.warnings.push(`Not sure what this means; did you mean ${parseResult.suggestions.map(s => `"${s.command}"`).join(', ')}?`);
+        } else if (parseResult.type === "noIntent") {
+            preview.warnings.push(`"${commandText}" does not match any command`);
+        }
+        
+        return {
+            input: commandText,
+            action: "Preview",
+            result: formatPreview(preview, resolvedCommand),
+            success: true,
+            dryRun: true,
+            preview,
+            resolvedCommand,
+            confidence: parseResult.confidence,
+            interpreted: parseResult.interpreted
+        };
+    } catch (error) {
+        console.error('Unexpected error in previewCommand:', error);
+        return {
+            input: commandText,
+            action: "System Error",
+            result: `An unexpected error occurred: ${error.message}`,
+            success: false,
+            code: "E_SYSTEM_ERROR"
+        };
+    }
+}
+
+/**
+ * Preview a shell command: its argv arrays, the security verdict and redirected files
+ * @param {string} command - Shell command
+ * @param {Object} workspace - Workspace it would run in
+ * @param {boolean} terminal - Whether it would open in a terminal session
+ * @returns {Promise<Object>} - { argv, mode, security, paths, warnings }
+ */
+async function previewShellCommand(command, workspace, terminal) {
+    const mode = terminal ? 'terminal' : 'execFile';
+    const safety = security.isCommandSafe(command);
+    const parsed = commandTokenizer.parsePipeline(command);
+    if (!parsed.success) {
+        return { argv: null, mode, security: { safe: false, reasons: [safety.reason] }, paths: [], warnings: [] };
+    }
+    
+    const expanded = await globExpander.expandPipeline(parsed.pipeline, workspace.workingDir);
+    if (!expanded.success) {
+        return { argv: null, mode, security: { safe: false, reasons: [expanded.reason] }, paths: [], warnings: [] };
+    }
+    
+    const pipeline = expanded.pipeline;
+    const reasons = safety.safe ? [] : [safety.reason];
+    const warnings = [];
+    
+    for (const stage of pipeline.stages) {
+        const policyCheck = security.checkArgvPolicy(stage.argv, workspace.workingDir, { terminal });
+        if (!policyCheck.safe && !reasons.includes(policyCheck.reason)) {
+            reasons.push(policyCheck.reason);
+        }
+        if (policyCheck.suggestion) {
+            warnings.push(`Suggestion: ${policyCheck.suggestion}`);
+        }
+    }
+    if (terminal && (pipeline.stages.length > 1 || pipeline.input || pipeline.output)) {
+        reasons.push('Interactive programs cannot be used with pipes or redirection');
+    }
+    
+    const fileOps = new FileOperations(workspace.workingDir);
+    const paths = [];
+    if (pipeline.input) {
+        paths.push(await fileOps.describePath(pipeline.input.path, 'read'));
+    }
+    if (pipeline.output) {
+        paths.push(await fileOps.describePath(pipeline.output.path, pipeline.output.append ? 'append' : 'write'));
+    }
+    for (const entry of paths.filter(entry => !entry.safe)) {
+        reasons.push(entry.reason);
+    }
+    
+    return {
+        argv: pipeline.stages.map(stage => stage.argv),
+        mode,
+        security: { safe: reasons.length === 0, reasons },
+        paths,
+        warnings
+    };
+}
+
+// Format a command preview as text for the output log and TTS
+function formatPreview(preview, resolvedCommand) {
+    const lines = ['Dry run - nothing was executed'];
+    if (resolvedCommand) {
+        lines.push(`Resolved to: ${resolvedCommand}`);
+    }
+    if (preview.intent) {
+        lines.push(`Intent: ${preview.intent} (${preview.fn}${preview.args.length ? ` ${preview.args.map(arg => JSON.stringify(arg)).join(' ')}` : ''})`);
+    } else {
+        lines.push(`Type: ${preview.type}`);
+    }
+    if (preview.argv) {
+        lines.push(`Would run${preview.mode === 'terminal' ? ' in a terminal session' : ''}: ${preview.argv.map(argv => JSON.stringify(argv)).join(' | ')}`);
+    }
+    lines.push(preview.security.safe ? 'Security: allowed' : `Security: blocked - ${preview.security.reasons.join('; ')}`);
+    for (const entry of preview.paths) {
+        const state = !entry.safe ? 'blocked' : (entry.exists ? `exists (${entry.type})` : 'does not exist');
+        lines.push(`  ${entry.role} ${entry.path}: ${state}`);
+    }
+    for (const warning of preview.warnings) {
+        lines.push(`⚠️ ${warning}`);
+    }
+    return lines.join('\n');
+}
+
 /**
  * Execute Memory Operation
+ * Each user has their own memory; there is none without a logged-in user.
  * @param {string} operation - Memory operation to execute
  * @param {Array} args - Arguments for the operation
+ * @param {Object} context - Execution context (username)
  * @returns {Promise<Object>} - Execution result
  */
-async function executeMemoryOperation(operation, args) {
+async function executeMemoryOperation(operation, args, context = {}) {
+    const { username } = context;
+    if (!username) {
+        return { action: "Memory", result: "Memory needs a logged-in user", success: false, code: "E_NO_USER" };
+    }
     try {
         let result;
         
         switch (operation) {
-            case 'saveMemory':
-                result = await memory.saveMemory(args[0], args[1]);
+            case 'saveMemory': {
+                // "10.0.0.5 for one week tagged servers as a string"
+                const { value, ...options } = memory.parseValueOptions(args[1]);
+                result = await memory.saveMemory(username, args[0], value, options);
+                const details = [result.type, result.tags && result.tags.length ? `tags: ${result.tags.join(', ')}` : null,
+                    result.expiresAt ? `until ${new Date(result.expiresAt).toLocaleString()}` : null].filter(Boolean);
                 return {
                     action: "Save Memory",
-                    result: result.message,
+                    result: result.status === "success" ? `${result.message} (${details.join(', ')})` : result.message,
                     success: result.status === "success"
                 };
+            }
                 
             case 'getMemory':
-                const memoryItem = await memory.getMemory(args[0]);
+                const memoryItem = await memory.getMemory(username, args[0]);
                 if (memoryItem.found) {
                     return {
                         action: "Recall Memory",
-                        result: `"${args[0]}" = "${memoryItem.value}" (saved: ${new Date(memoryItem.timestamp).toLocaleString()})`,
+                        result: `"${memoryItem.key}" = "${memoryItem.text}" (${describeMemoryEntry(memoryItem)})`,
                         success: true
                     };
                 } else {
@@ -250,18 +698,37 @@ async function executeMemoryOperation(operation, args) {
                 }
                 
             case 'getAllMemory':
-                const allMemory = await memory.getAllMemory();
-                const memoryList = Object.entries(allMemory.userData)
-                    .map(([key, item]) => `"${key}" = "${item.value}"`)
+                const allMemory = await memory.getAllMemory(username, args[0] || null);
+                const memoryList = allMemory.entries
+                    .map(item => `"${item.key}" = "${item.text}" (${item.type})`)
                     .join('\n');
                 return {
                     action: "Show Memory",
-                    result: `Memory contains ${allMemory.totalItems} items:\n${memoryList || 'No memories stored'}`,
+                    result: args[0]
+                        ? `${args[0]} memory contains ${allMemory.totalItems} items:\n${memoryList || 'No memories stored'}`
+                        : `Memory contains ${allMemory.totalItems} items:\n${memoryList || 'No memories stored'}`,
                     success: true
                 };
                 
+            case 'deleteMemory':
+                result = await memory.deleteMemory(username, args[0]);
+                return {
+                    action: "Forget Memory",
+                    result: result.message,
+                    success: result.status === "success"
+                };
+                
+            case 'tagMemory':
+                result = await memory.tagMemory(username, args[0],
+                    String(args[1]).split(/\s*,\s*|\s+and\s+/).filter(Boolean));
+                return {
+                    action: "Tag Memory",
+                    result: result.message,
+                    success: result.status === "success"
+                };
+                
             case 'clearMemory':
-                result = await memory.clearMemory();
+                result = await memory.clearMemory(username);
                 return {
                     action: "Clear Memory",
                     result: result.message,
@@ -269,10 +736,12 @@ async function executeMemoryOperation(operation, args) {
                 };
                 
             case 'searchMemory':
-                const searchResults = await memory.searchMemory(args[0]);
+                const searchResults = await memory.searchMemory(username, args[0]);
                 if (searchResults.count > 0) {
                     const results = searchResults.results
-                        .map(item => `"${item.key}" = "${item.value}" (${item.type})`)
+                        .map(item => item.type === 'context'
+                            ? `"${item.key}" = "${item.text}" (context)`
+                            : `"${item.key}" = "${item.text}" (${describeMemoryEntry(item)})`)
                         .join('\n');
                     return {
                         action: "Search Memory",
@@ -288,15 +757,22 @@ async function executeMemoryOperation(operation, args) {
                 }
                 
             case 'getMemoryStats':
-                const stats = await memory.getMemoryStats();
+                const stats = await memory.getMemoryStats(username);
+                const namespaceList = Object.entries(stats.namespaces)
+                    .map(([name, info]) => {
+                        const types = Object.entries(info.types).map(([type, count]) => `${count} ${type}`);
+                        if (info.expiring) types.push(`${info.expiring} expiring`);
+                        return `\n  - ${name}: ${info.items} items (${types.join(', ')})`;
+                    })
+                    .join('');
                 return {
                     action: "Memory Stats",
-                    result: `Memory Statistics:\n- User Data: ${stats.totalUserData} items\n- Context: ${stats.totalContext} items\n- Commands: ${stats.totalCommands} items\n- Last Updated: ${new Date(stats.lastUpdated).toLocaleString()}\n- Memory Size: ${Math.round(stats.memorySize / 1024)} KB`,
+                    result: `Memory Statistics:\n- User Data: ${stats.totalUserData} items${namespaceList}\n- Context: ${stats.totalContext} items\n- Commands: ${stats.totalCommands} items\n- Last Updated: ${new Date(stats.lastUpdated).toLocaleString()}\n- Memory Size: ${Math.round(stats.memorySize / 1024)} KB`,
                     success: true
                 };
                 
             case 'getCommandHistory':
-                const history = await memory.getCommandHistory();
+                const history = await memory.getCommandHistory(username);
                 if (history.length > 0) {
                     const historyList = history
                         .map((item, index) => `${index + 1}. "${item.command}" (${new Date(item.timestamp).toLocaleString()})`)
@@ -330,80 +806,858 @@ async function executeMemoryOperation(operation, args) {
     }
 }
 
+// Type, tags and expiry of a saved memory value for display
+function describeMemoryEntry(item) {
+    return [
+        item.type,
+        item.namespace !== 'general' ? `namespace: ${item.namespace}` : null,
+        item.tags.length ? `tags: ${item.tags.join(', ')}` : null,
+        item.expiresAt ? `expires: ${new Date(item.expiresAt).toLocaleString()}` : `saved: ${new Date(item.timestamp).toLocaleString()}`
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Execute Job Operation
+ * @param {string} operation - Job operation to execute
+ * @param {Array} args - Arguments for the operation
+ * @param {Object} context - Execution context (username and the job running this command, if any)
+ * @returns {Object} - Execution result
+ */
+function executeJobOperation(operation, args, context) {
+    const currentJobId = context.job ? context.job.id : null;
+    
+    switch (operation) {
+        case 'cancelJob': {
+            const result = jobManager.cancelJob(context.username, args[0] || null, currentJobId);
+            return {
+                action: "Cancel Job",
+                result: result.message,
+                success: result.success,
+                code: result.code
+            };
+        }
+            
+        case 'listJobs': {
+            const running = jobManager.listJobs(context.username)
+                .filter(job => job.status === 'running' && job.id !== currentJobId);
+            return {
+                action: "List Jobs",
+                result: running.length > 0
+                    ? `Running jobs:\n${running.map(job => `${job.id}: "${job.command}" (since ${new Date(job.startedAt).toLocaleTimeString()})`).join('\n')}`
+                    : 'Nothing is running right now',
+                success: true
+            };
+        }
+            
+        default:
+            return {
+                action: "Job Operation",
+                result: `Unknown job operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+/**
+ * Execute Journal Operation
+ * @param {string} operation - undo, redo or listRecoverable
+ * @param {Array} args - Arguments for the operation (number of steps for undo/redo)
+ * @param {Object} context - Execution context (username)
+ * @param {Object} workspace - Workspace the journaled operations ran in
+ * @returns {Promise<Object>} - Execution result
+ */
+async function executeJournalOperation(operation, args, context, workspace) {
+    if (!context.username) {
+        return { action: "Undo", result: "Undo needs a logged-in user", success: false, code: "E_NO_USER" };
+    }
+    
+    switch (operation) {
+        case 'undo':
+        case 'redo': {
+            const result = await fileJournal[operation](context.username, workspace.workingDir, args[0]);
+            return {
+                action: operation === 'undo' ? "Undo" : "Redo",
+                result: result.message,
+                success: result.success,
+                code: result.code
+            };
+        }
+            
+        case 'listRecoverable': {
+            const { trash, undo } = await fileJournal.listRecoverable(context.username);
+            const trashList = trash.map(item =>
+                `🗑️ ${item.originalPath} (deleted ${new Date(item.trashedAt).toLocaleString()}, kept until ${new Date(item.expiresAt).toLocaleDateString()})`);
+            const undoList = undo.slice(0, 10).map((entry, index) => `${index + 1}. ${entry.description}`);
+            return {
+                action: "Recoverable Files",
+                result: [
+                    trashList.length > 0 ? `Trash (${trashList.length}):\n${trashList.join('\n')}` : 'The trash is empty',
+                    undoList.length > 0 ? `Can be undone (most recent first):\n${undoList.join('\n')}` : 'Nothing to undo'
+                ].join('\n'),
+                success: true
+            };
+        }
+            
+        default:
+            return {
+                action: "Undo",
+                result: `Unknown journal operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+/**
+ * Execute a macro operation for the user
+ * @param {string} operation - runMacro, listMacros, getMacro, saveMacro, saveMacroFromHistory or deleteMacro
+ * @param {Array} args - Operation arguments (macro name, then arguments, steps or a command count)
+ * @param {Object} context - Execution context (username, confirmed, macroStack while a macro runs)
+ * @returns {Promise<Object>} - Result object with action, result, and success status
+ */
+async function executeMacroOperation(operation, args, context) {
+    if (!context.username) {
+        return { action: "Macro", result: "Macros need a logged-in user", success: false, code: "E_NO_USER" };
+    }
+    
+    switch (operation) {
+        case 'runMacro': {
+            // Steps run as the same user; only "confirmed" carries over (never set for a scheduled macro)
+            const runStep = (command, macroStack) => executeCommand(command, {
+                username: context.username,
+                confirmed: context.confirmed,
+                onProgress: context.onProgress,
+                macroStack
+            });
+            const run = await macros.runMacro(context.username, args[0], args[1], runStep, { macroStack: context.macroStack });
+            if (!run.macro) {
+                return { action: "Run Macro", result: run.message, success: false, code: run.code };
+            }
+            return {
+                action: "Run Macro",
+                result: formatMacroRun(run),
+                success: run.success,
+                code: run.success ? undefined : (run.needsConfirmation ? "E_CONFIRMATION_REQUIRED" : "E_MACRO_STEP_FAILED"),
+                ...(run.needsConfirmation ? { needsConfirmation: true, confirmation: run.needsConfirmation } : {})
+            };
+        }
+            
+        case 'listMacros': {
+            const list = await macros.listMacros(context.username);
+            const lines = list.map(macro => `▶️ ${macro.name} (${plural(macro.commands.length, 'step')}` +
+                `${macro.parameters ? `, ${plural(macro.parameters, 'argument')}` : ''})`);
+            return {
+                action: "Macros",
+                result: list.length > 0
+                    ? `${plural(list.length, 'macro')}:\n${lines.join('\n')}`
+                    : 'You have no macros yet. Say "create macro <name> as <command> then <command>" to make one',
+                success: true
+            };
+        }
+            
+        case 'getMacro': {
+            const macro = await macros.getMacro(context.username, args[0]);
+            if (!macro) {
+                return { action: "Show Macro", result: `No macro named '${args[0]}'`, success: false, code: "E_MACRO_NOT_FOUND" };
+            }
+            return { action: "Show Macro", result: formatMacro(macro), success: true };
+        }
+            
+        case 'saveMacro':
+        case 'saveMacroFromHistory': {
+            const result = operation === 'saveMacro'
+                ? await macros.saveMacro(context.username, { name: args[0], commands: args[1] })
+                : await macros.saveMacroFromHistory(context.username, { name: args[0], last: args[1] });
+            return {
+                action: "Create Macro",
+                result: result.success ? `Created ${formatMacro(result.macro)}` : result.message,
+                success: result.success,
+                code: result.code
+            };
+        }
+            
+        case 'deleteMacro': {
+            const result = await macros.deleteMacro(context.username, args[0]);
+            return {
+                action: "Delete Macro",
+                result: result.success ? `Deleted macro '${result.macro.name}'` : result.message,
+                success: result.success,
+                code: result.code
+            };
+        }
+            
+        default:
+            return {
+                action: "Macro",
+                result: `Unknown macro operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+// Describe a macro and its steps
+function formatMacro(macro) {
+    const policy = macro.onError === 'continue' ? 'keeps going after a failed step' : 'stops at the first failed step';
+    const steps = macro.commands.map((command, index) => `${index + 1}. ${command}`).join('\n');
+    return `macro '${macro.name}' (${policy}${macro.parameters ? `, takes ${plural(macro.parameters, 'argument')}` : ''}):\n${steps}`;
+}
+
+function stepIcon(step) {
+    if (step.success) return '✅';
+    return step.code === 'E_CONFIRMATION_REQUIRED' ? '⏸️' : '❌';
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Describe a macro run step by step
+function formatMacroRun(run) {
+    const total = run.macro.commands.length;
+    const succeeded = run.steps.filter(step => step.success).length;
+    let summary = `Macro '${run.macro.name}': ${succeeded} of ${plural(total, 'step')} succeeded`;
+    if (run.stoppedAt !== null) {
+        const step = run.steps[run.stoppedAt - 1];
+        summary += run.needsConfirmation
+            ? `, stopped at step ${run.stoppedAt} ("${step.command}") which needs confirmation; saying "yes" runs that step only`
+            : `, stopped at step ${run.stoppedAt} ("${step.command}")`;
+    }
+    const steps = run.steps.map((step, index) =>
+        `[${index + 1}/${total}] ${stepIcon(step)} ${step.command}\n${step.result || ''}`.trimEnd());
+    return [summary, ...steps].join('\n');
+}
+
+/**
+ * Execute a schedule operation
+ * Spoken schedules ("every weekday at 9am", "in 10 minutes") are parsed by cron.splitScheduleRequest;
+ * scheduled commands run as the user who scheduled them.
+ * @param {string} operation - scheduleCommand, listSchedules or cancelSchedule
+ * @param {Array} args - Operation arguments (command and schedule, or a schedule ID)
+ * @param {Object} context - Execution context with username
+ * @returns {Promise<Object>} - Result object with action, result, and success status
+ */
+async function executeScheduleOperation(operation, args, context) {
+    // Required here: the scheduler runs its commands through this module
+    const scheduler = require('./scheduler');
+    
+    if (!context.username) {
+        return { action: "Schedule", result: "Schedules need a logged-in user", success: false, code: "E_NO_USER" };
+    }
+    
+    switch (operation) {
+        case 'scheduleCommand': {
+            const request = cron.splitScheduleRequest(args[0]);
+            if (!request.success) {
+                return { action: "Schedule Command", result: request.message, success: false, code: request.code };
+            }
+            const parsed = commandParser.parseCommand(request.command);
+            if (['error', 'noIntent', 'needsConfirmation'].includes(parsed.type)) {
+                return {
+                    action: "Schedule Command",
+                    result: `I don't know how to run "${request.command}", so I didn't schedule it`,
+                    success: false,
+                    code: "E_NO_INTENT"
+                };
+            }
+            
+            const { schedule } = request;
+            return createSchedule({
+                command: request.command,
+                time: schedule.time,
+                repeat: schedule.repeat,
+                cron: schedule.cron,
+                timezone: schedule.timezone,
+                description: request.when
+            }, context);
+        }
+            
+        case 'listSchedules': {
+            const list = await scheduler.listSchedules(context.username);
+            const active = list.schedules.filter(schedule => schedule.status === 'active');
+            return {
+                action: "Schedules",
+                result: active.length > 0
+                    ? `${plural(active.length, 'active schedule')}:\n${active.map(schedule => `⏰ ${schedule.id}: "${schedule.command}" ${formatSchedule(schedule)}`).join('\n')}`
+                    : 'Nothing is scheduled. Say "schedule <command> every day at 9am" to add a schedule',
+                success: list.success
+            };
+        }
+            
+        case 'cancelSchedule': {
+            const result = await scheduler.cancelSchedule(context.username, args[0]);
+            return { action: "Cancel Schedule", result: result.message, success: result.success, code: result.code };
+        }
+            
+        default:
+            return {
+                action: "Schedule",
+                result: `Unknown schedule operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+// Save a schedule of the user (request: the fields of scheduler.scheduleCommand)
+// A destructive command is only saved once the user confirms it; confirmed is set when they have
+async function createSchedule(request, context, confirmed = false) {
+    const scheduler = require('./scheduler');
+    const result = await scheduler.scheduleCommand({ ...request, username: context.username, confirmed });
+    if (result.needsConfirmation) {
+        return {
+            action: "Schedule Command",
+            result: `${result.message}. Say "yes" to schedule it.`,
+            success: false,
+            needsConfirmation: true,
+            confirmation: result.confirmation,
+            code: result.code
+        };
+    }
+    if (!result.success) {
+        return { action: "Schedule Command", result: result.message, success: false, code: result.code };
+    }
+    await contextResolver.recordReference(context.username, 'schedule', result.scheduleId);
+    return {
+        action: "Schedule Command",
+        result: `Scheduled "${request.command}" ${formatSchedule(result.schedule, result.schedule.description || null)}`,
+        success: true
+    };
+}
+
+/**
+ * Why a command would ask for confirmation if it ran now in the user's workspace
+ * @param {string} commandText - Command as it will be run
+ * @param {string} username - User whose workspace it runs in
+ * @returns {Promise<string|null>} - The reason, or null if it would run right away
+ */
+async function getConfirmationReason(commandText, username) {
+    const workspace = await resolveWorkspace(username);
+    const parseResult = commandParser.parseCommand(commandText);
+    if (!['fileOp', 'shell'].includes(parseResult.type)) {
+        return null;
+    }
+    return confirmations.getDestructiveReason(parseResult, new FileOperations(workspace.workingDir, { quotaBytes: workspace.quotaBytes }));
+}
+
+// Describe when a schedule runs: "every weekday at 9am (cron 0 9 * * 1-5, Europe/Berlin), next run ..."
+function formatSchedule(schedule, label = null) {
+    const timezone = schedule.timezone || 'server time';
+    const nextRun = new Date(schedule.nextExecution).toLocaleString('en-US', schedule.timezone ? { timeZone: schedule.timezone } : {});
+    if (schedule.repeat === 'once') {
+        return `for ${nextRun} (${timezone})`;
+    }
+    const when = label || (schedule.repeat === 'cron' ? 'repeating' : schedule.repeat);
+    return `${when} (cron ${schedule.cron}, ${timezone}), next run ${nextRun}`;
+}
+
+/**
+ * Execute a file watch operation for the user
+ * @param {string} operation - waitForFile, listWaits or cancelWait
+ * @param {Array} args - Operation arguments (file name or path)
+ * @param {Object} context - Execution context with username
+ * @returns {Promise<Object>} - Result object with action, result, and success status
+ */
+async function executeWatchOperation(operation, args, context) {
+    if (!context.username) {
+        return { action: "Watch", result: "Watching for files needs a logged-in user", success: false, code: "E_NO_USER" };
+    }
+    
+    switch (operation) {
+        case 'waitForFile': {
+            const result = await fileWatcher.waitForFile(context.username, args[0]);
+            if (!result.success) {
+                return { action: "Watch for File", result: result.message, success: false, code: result.code };
+            }
+            return {
+                action: "Watch for File",
+                result: result.alreadyExists
+                    ? `'${result.path}' is already there`
+                    : `I'll tell you when '${result.wait.pattern}' appears (until ${new Date(result.wait.expiresAt).toLocaleString()})`,
+                success: true
+            };
+        }
+            
+        case 'listWaits': {
+            const waits = fileWatcher.listWaits(context.username);
+            return {
+                action: "File Watches",
+                result: waits.length > 0
+                    ? `Waiting for ${waits.length} file${waits.length === 1 ? '' : 's'}:\n${waits.map(wait => `👀 ${wait.pattern} (since ${new Date(wait.createdAt).toLocaleString()})`).join('\n')}`
+                    : 'I am not waiting for any files',
+                success: true
+            };
+        }
+            
+        case 'cancelWait': {
+            const result = fileWatcher.cancelWait(context.username, args[0] || null);
+            return {
+                action: "Stop Watching",
+                result: result.success ? `Stopped waiting for ${result.cancelled.map(pattern => `'${pattern}'`).join(', ')}` : result.message,
+                success: result.success,
+                code: result.code
+            };
+        }
+            
+        default:
+            return {
+                action: "Watch",
+                result: `Unknown watch operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+// Number of processes shown when listing
+const PROCESS_LIST_LIMIT = 20;
+// How long CPU use is sampled for "what's using the most cpu"
+const CPU_SAMPLE_MS = 500;
+
+// Format processes as a text table
+function formatProcessTable(processes) {
+    const header = `${'PID'.padStart(7)}  ${'USER'.padEnd(10)} ${'%CPU'.padStart(5)} ${'%MEM'.padStart(5)}  COMMAND`;
+    const rows = processes.map(p =>
+        `${String(p.pid).padStart(7)}  ${p.user.slice(0, 10).padEnd(10)} ${p.cpu.toFixed(1).padStart(5)} ${p.mem.toFixed(1).padStart(5)}  ${p.command.slice(0, 80)}`);
+    return [header, ...rows].join('\n');
+}
+
+// Ask the user to confirm killing a process before anything is sent to it
+async function requestKillConfirmation(username, target) {
+    await contextResolver.recordReference(username, 'pid', target.pid);
+    const description = `Kill process ${target.pid} (${target.command.slice(0, 80)})`;
+    const confirmation = confirmations.createConfirmation(username,
+        { type: 'killProcess', pid: target.pid, startTime: target.startTime }, description);
+    return {
+        action: "Kill Process",
+        result: `${description}? Say "yes" to confirm.`,
+        success: false,
+        needsConfirmation: true,
+        confirmation,
+        code: "E_CONFIRMATION_REQUIRED"
+    };
+}
+
+// Ask the user to confirm a destructive command; it is run again with context.confirmed once they do
+function requestCommandConfirmation(username, command, reason) {
+    const confirmation = confirmations.createConfirmation(username, { type: 'command', command }, `${reason} ("${command}")`);
+    return {
+        action: "Confirm Command",
+        result: `${reason}. Say "yes" to confirm.`,
+        success: false,
+        needsConfirmation: true,
+        confirmation,
+        code: "E_CONFIRMATION_REQUIRED"
+    };
+}
+
+// Add the fields every executeCommand result carries to a helper's result
+function withCommandFields(result, commandText, resolvedCommand, parseResult) {
+    return {
+        input: commandText,
+        ...result,
+        resolvedCommand,
+        confidence: parseResult.confidence,
+        interpreted: parseResult.interpreted
+    };
+}
+
+/**
+ * Run or cancel a pending confirmation
+ * @param {string} token - Confirmation token returned with E_CONFIRMATION_REQUIRED
+ * @param {Object} context - Execution context (username, job)
+ * @param {Object} options - Options
+ * @param {boolean} options.cancel - Drop the confirmation instead of running it
+ * @returns {Promise<Object>} - Execution result of the confirmed action
+ */
+async function executeConfirmation(token, context = {}, options = {}) {
+    if (options.cancel) {
+        const cancelled = confirmations.cancelConfirmation(context.username, token);
+        return {
+            action: "Cancel Confirmation",
+            result: cancelled.success ? `Cancelled: ${cancelled.description}` : cancelled.message,
+            success: cancelled.success,
+            code: cancelled.code
+        };
+    }
+    
+    const confirmation = confirmations.consumeConfirmation(context.username, token);
+    if (!confirmation.success) {
+        return { action: "Confirm", result: confirmation.message, success: false, code: confirmation.code };
+    }
+    
+    const { action } = confirmation;
+    if (action.type === 'command') {
+        return executeCommand(action.command, { ...context, confirmed: true });
+    }
+    if (action.type === 'schedule') {
+        return createSchedule(action.request, context, true);
+    }
+    if (action.type === 'killProcess') {
+        const result = await processManager.killProcess(action.pid, { username: context.username, startTime: action.startTime });
+        return {
+            action: "Kill Process",
+            result: result.message,
+            success: result.success,
+            code: result.code,
+            pid: action.pid,
+            signal: result.signal
+        };
+    }
+    return { action: "Confirm", result: `Unknown confirmation action: ${action.type}`, success: false, code: "E_CONFIRMATION_NOT_FOUND" };
+}
+
+/**
+ * Execute Confirmation Operation (a spoken "yes" or "no" to the latest pending confirmation)
+ * @param {string} operation - confirm or cancel
+ * @param {Object} context - Execution context (username, job)
+ * @returns {Promise<Object>} - Execution result
+ */
+async function executeConfirmationOperation(operation, context) {
+    const pendingConfirmation = confirmations.getPendingConfirmation(context.username);
+    if (!pendingConfirmation) {
+        return {
+            action: "Confirm",
+            result: "There is nothing waiting for confirmation",
+            success: false,
+            code: "E_CONFIRMATION_NOT_FOUND"
+        };
+    }
+    return executeConfirmation(pendingConfirmation.token, context, { cancel: operation === 'cancel' });
+}
+
+/**
+ * Execute Process Operation
+ * Kills are never run directly: they return a confirmation token that has to be
+ * presented to POST /command/confirm or POST /api/processes/:pid/kill.
+ * @param {string} operation - Process operation to execute
+ * @param {Array} args - Arguments for the operation
+ * @param {Object} context - Execution context (username)
+ * @returns {Promise<Object>} - Execution result
+ */
+async function executeProcessOperation(operation, args, context) {
+    switch (operation) {
+        case 'listProcesses':
+        case 'findProcesses': {
+            const name = operation === 'findProcesses' ? args[0] : undefined;
+            const list = await processManager.listProcesses({ name, sort: 'cpu', limit: PROCESS_LIST_LIMIT });
+            if (!list.success) {
+                return { action: "List Processes", result: list.message, success: false, code: list.code };
+            }
+            if (list.total === 0) {
+                return { action: "List Processes", result: `No ${name} processes are running`, success: false, code: "E_PROCESS_NOT_FOUND" };
+            }
+            if (list.total === 1) {
+                await contextResolver.recordReference(context.username, 'pid', list.processes[0].pid);
+            }
+            const shown = list.total > list.processes.length ? ` (showing the top ${list.processes.length} by CPU)` : '';
+            return {
+                action: "List Processes",
+                result: `${list.total} ${name ? `${name} ` : ''}process${list.total === 1 ? '' : 'es'}${shown}:\n${formatProcessTable(list.processes)}`,
+                success: true
+            };
+        }
+            
+        case 'topProcesses': {
+            const sort = args[0] === 'cpu' ? 'cpu' : 'mem';
+            const list = await processManager.listProcesses({ sort, limit: 5, sampleMs: sort === 'cpu' ? CPU_SAMPLE_MS : 0 });
+            if (!list.success || list.processes.length === 0) {
+                return { action: "Top Processes", result: list.message || 'No processes found', success: false, code: list.code };
+            }
+            const top = list.processes[0];
+            await contextResolver.recordReference(context.username, 'pid', top.pid);
+            const usage = sort === 'cpu'
+                ? `${top.cpu}% CPU`
+                : `${top.mem}% of memory (${Math.round(top.rssBytes / 1024 / 1024)} MB)`;
+            return {
+                action: "Top Processes",
+                result: `${top.name} (PID ${top.pid}) is using the most ${sort === 'cpu' ? 'CPU' : 'memory'}: ${usage}\n${formatProcessTable(list.processes)}`,
+                success: true
+            };
+        }
+            
+        case 'killProcess': {
+            const check = await processManager.checkKillable(args[0], context.username);
+            if (!check.success) {
+                return { action: "Kill Process", result: check.message, success: false, code: check.code };
+            }
+            return requestKillConfirmation(context.username, check.process);
+        }
+            
+        case 'killProcessByName': {
+            const name = String(args[0]).toLowerCase();
+            const list = await processManager.listProcesses({ name });
+            if (!list.success) {
+                return { action: "Kill Process", result: list.message, success: false, code: list.code };
+            }
+            
+            // Prefer processes whose program name matches over ones that only mention it in their arguments
+            const named = list.processes.filter(p => p.name.toLowerCase().startsWith(name));
+            const candidates = named.length > 0 ? named : list.processes;
+            const checks = await Promise.all(candidates.map(p => processManager.checkKillable(p.pid, context.username)));
+            const killable = checks.filter(check => check.success).map(check => check.process);
+            
+            if (killable.length === 0) {
+                const refused = checks.find(check => check.code !== 'E_PROCESS_NOT_FOUND');
+                return {
+                    action: "Kill Process",
+                    result: refused ? refused.message : `No ${args[0]} process is running`,
+                    success: false,
+                    code: refused ? refused.code : "E_PROCESS_NOT_FOUND"
+                };
+            }
+            if (killable.length > 1) {
+                return {
+                    action: "Kill Process",
+                    result: `${killable.length} ${args[0]} processes are running; say which one to kill, e.g. "kill process ${killable[0].pid}":\n${formatProcessTable(killable)}`,
+                    success: false,
+                    code: "E_PROCESS_AMBIGUOUS"
+                };
+            }
+            return requestKillConfirmation(context.username, killable[0]);
+        }
+            
+        default:
+            return {
+                action: "Process Operation",
+                result: `Unknown process operation: ${operation}`,
+                success: false
+            };
+    }
+}
+
+// Check whether a shell command starts an interactive program such as nano or top
+function isTerminalCommand(command) {
+    const parsed = commandTokenizer.parsePipeline(command);
+    return parsed.success && parsed.pipeline.stages.length === 1 &&
+        security.isTerminalCommand(parsed.pipeline.stages[0].argv[0]);
+}
+
+/**
+ * Execute Editor Operation
+ * Opens interactive programs in a terminal session and sends keystrokes to the
+ * active session for "save file" and "close editor".
+ * @param {Object} parseResult - Parsed editorOp intent, or a shell command for an interactive program
+ * @param {Object} context - Execution context (username)
+ * @param {Object} workspace - Workspace to run in
+ * @returns {Promise<Object>} - Execution result
+ */
+async function executeEditorOperation(parseResult, context, workspace) {
+    if (!context.username) {
+        return {
+            action: "Terminal Session",
+            result: "Interactive programs need a logged-in user with a terminal pane",
+            success: false,
+            code: "E_PTY_NO_USER"
+        };
+    }
+    
+    const actions = { saveEditor: 'save', closeEditor: 'close', discardEditor: 'discard' };
+    
+    if (parseResult.type === "shell" || parseResult.fn === 'openEditor') {
+        const quota = await new FileOperations(workspace.workingDir, { quotaBytes: workspace.quotaBytes }).checkQuota();
+        if (!quota.allowed) {
+            return { action: "Terminal Session", result: `🚫 ${quota.reason}`, success: false, blocked: true };
+        }
+        
+        const command = parseResult.type === "shell"
+            ? parseResult.command
+            : commandTokenizer.formatPipeline({ stages: [{ argv: [ptySessions.DEFAULT_EDITOR, parseResult.args[0]] }] });
+        const result = ptySessions.openSession(context.username, command, { cwd: workspace.workingDir });
+        
+        if (!result.success) {
+            if (result.blocked) {
+                logger.logSecurity(command, 'BLOCKED', result.message);
+            }
+            return {
+                action: "Terminal Session",
+                result: result.blocked
+                    ? `🚫 Command blocked for security: ${command}\nReason: ${result.message}${result.suggestion ? `\nSuggestion: ${result.suggestion}` : ''}`
+                    : result.message,
+                success: false,
+                blocked: result.blocked || false,
+                code: result.code
+            };
+        }
+        
+        logger.logCommand(command, 'SUCCESS', `Opened terminal session ${result.session.id}`);
+        return {
+            action: "Terminal Session",
+            result: `Opened "${command}" in the terminal pane`,
+            success: true
+        };
+    }
+    
+    if (actions[parseResult.fn]) {
+        const result = ptySessions.sendAction(context.username, actions[parseResult.fn]);
+        return {
+            action: "Terminal Session",
+            result: result.message,
+            success: result.success,
+            code: result.code
+        };
+    }
+    
+    return {
+        action: "Terminal Session",
+        result: `Unknown editor operation: ${parseResult.fn}`,
+        success: false
+    };
+}
+
 /**
  * Execute Shell Command
+ * The command is parsed into argv arrays and run without a shell; pipes and
+ * redirections go through the validated pipeline model in utils/commandTokenizer.js.
  * @param {string} command - Shell command to execute
+ * @param {Object} workspace - Workspace to run in (workingDir and quotaBytes)
+ * @param {Object} job - Streaming job from utils/jobManager.js (output is pushed as it arrives
+ *                       and the job can be cancelled), or null to wait for the result
  * @returns {Promise<Object>} - Execution result
  */
-async function executeShellCommand(command) {
-    return new Promise((resolve) => {
-        // Security check using the security module
-        const securityCheck = security.isCommandSafe(command);
+async function executeShellCommand(command, workspace, job = null) {
+    if (!workspace || !workspace.workingDir) {
+        return { success: false, output: '🚫 Command blocked: no workspace to run in', blocked: true };
+    }
+    
+    // Refuse to run anything once the workspace is over its quota
+    const quota = await new FileOperations(workspace.workingDir, { quotaBytes: workspace.quotaBytes }).checkQuota();
+    if (!quota.allowed) {
+        logger.logSecurity(command, 'BLOCKED', quota.reason);
+        return {
+            success: false,
+            output: `🚫 Command blocked: ${quota.reason}`,
+            blocked: true
+        };
+    }
+    
+    // Parse into argv arrays
+    const parsed = commandTokenizer.parsePipeline(command);
+    if (!parsed.success) {
+        const blocked = parsed.code === 'E_SHELL_OPERATOR_NOT_ALLOWED';
+        if (blocked) {
+            logger.logSecurity(command, 'BLOCKED', parsed.reason);
+        }
+        return {
+            success: false,
+            output: blocked
+                ? `🚫 Command blocked for security: ${command}\nReason: ${parsed.reason}`
+                : `Invalid command: ${parsed.reason}`,
+            blocked,
+            code: parsed.code
+        };
+    }
+    
+    // Expand wildcards inside the workspace, as a shell would
+    const expanded = await globExpander.expandPipeline(parsed.pipeline, workspace.workingDir);
+    if (!expanded.success) {
+        return {
+            success: false,
+            output: `Invalid command: ${expanded.reason}`,
+            blocked: expanded.code === 'E_GLOB_OUTSIDE_WORKSPACE',
+            code: expanded.code
+        };
+    }
+    const pipeline = expanded.pipeline;
+    
+    // Security and argument policy checks for every stage
+    for (const stage of pipeline.stages) {
+        const policyCheck = security.checkArgvPolicy(stage.argv, workspace.workingDir);
         
-        if (!securityCheck.safe) {
+        if (!policyCheck.safe) {
             // Log the blocked command
-            logger.logSecurity(command, 'BLOCKED', securityCheck.reason);
+            logger.logSecurity(command, 'BLOCKED', policyCheck.reason);
             
-            resolve({
+            return {
                 success: false,
-                output: `🚫 Command blocked for security: ${command}\nReason: ${securityCheck.reason}${securityCheck.suggestion ? `\nSuggestion: ${securityCheck.suggestion}` : ''}`,
+                output: `🚫 Command blocked for security: ${command}\nReason: ${policyCheck.reason}${policyCheck.suggestion ? `\nSuggestion: ${policyCheck.suggestion}` : ''}`,
                 blocked: true
-            });
-            return;
+            };
         }
+    }
+    
+    // Redirections must stay inside the workspace
+    for (const redirect of [pipeline.input, pipeline.output].filter(Boolean)) {
+        const pathCheck = security.isPathSafe(redirect.path, workspace.workingDir);
+        if (!pathCheck.safe) {
+            logger.logSecurity(command, 'BLOCKED', pathCheck.reason);
+            return {
+                success: false,
+                output: `🚫 Command blocked for security: ${command}\nReason: ${pathCheck.reason}`,
+                blocked: true
+            };
+        }
+        redirect.path = pathCheck.resolvedPath;
+    }
+    
+    // Log the allowed command
+    logger.logCommand(command, 'SUCCESS', 'Command passed security checks');
+    
+    const result = await pipelineRunner.runPipeline(pipeline, job
+        ? { cwd: workspace.workingDir, onData: job.onOutput, signal: job.signal, timeout: job.timeout, onSpawn: pid => job.pids.push(pid) }
+        : { cwd: workspace.workingDir });
+    
+    if (result.cancelled) {
+        logger.logCommand(command, 'ERROR', 'Command cancelled');
+        return {
+            success: false,
+            output: 'Command cancelled',
+            blocked: false,
+            code: "E_JOB_CANCELLED"
+        };
+    }
+    
+    if (!result.success) {
+        const program = pipeline.stages[0].argv[0];
+        const error = result.error;
         
-        // Log the allowed command
-        logger.logCommand(command, 'SUCCESS', 'Command passed security checks');
+        // Determine specific error type and code
+        let errorCode = "E_COMMAND_FAILED";
+        let errorMessage = result.stderr || (error ? error.message : `Command exited with code ${result.exitCode}`);
         
-        // Execute the command
-        exec(command, { 
-            cwd: WORKING_DIR,
-            timeout: 10000,
-            maxBuffer: 1024 * 1024
-        }, (error, stdout, stderr) => {
-            if (error) {
-                console.log(`Command execution error: ${error.message}`);
-                logger.logCommand(command, 'ERROR', error.message);
-                
-                // Determine specific error type and code
-                let errorCode = "E_COMMAND_FAILED";
-                let errorMessage = stderr || error.message;
-                
-                if (error.code === 'ENOENT') {
-                    errorCode = "E_COMMAND_NOT_FOUND";
-                    errorMessage = `Command not found: ${command.split(' ')[0]}`;
-                } else if (error.code === 'EACCES') {
-                    errorCode = "E_PERMISSION_DENIED";
-                    errorMessage = `Permission denied: ${error.message}`;
-                } else if (error.signal === 'SIGTERM') {
-                    errorCode = "E_COMMAND_TIMEOUT";
-                    errorMessage = `Command timed out after 10 seconds`;
-                } else if (error.code === 'ENOTDIR') {
-                    errorCode = "E_INVALID_DIRECTORY";
-                    errorMessage = `Invalid directory: ${error.message}`;
-                }
-                
-                resolve({
-                    success: false,
-                    output: errorMessage,
-                    blocked: false,
-                    code: errorCode
-                });
-            } else {
-                console.log(`Command executed successfully in ${WORKING_DIR}`);
-                logger.logCommand(command, 'SUCCESS', 'Command executed successfully');
-                resolve({
-                    success: true,
-                    output: stdout || 'Command executed successfully',
-                    blocked: false,
-                    code: "SUCCESS"
-                });
-            }
-        });
-    });
+        if (result.timedOut) {
+            errorCode = "E_COMMAND_TIMEOUT";
+            errorMessage = `Command timed out after ${(job ? job.timeout : pipelineRunner.DEFAULT_TIMEOUT) / 1000} seconds`;
+        } else if (error && error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+            errorCode = "E_COMMAND_NOT_FOUND";
+            errorMessage = `Command not found: ${error.path || program}`;
+        } else if (error && error.syscall === 'open') {
+            // Redirection file could not be opened
+            errorCode = error.code === 'ENOENT' ? "E_FILE_NOT_FOUND" : "E_COMMAND_FAILED";
+            errorMessage = `Cannot open '${path.relative(workspace.workingDir, error.path)}': ${error.code}`;
+        } else if (error && error.code === 'EACCES') {
+            errorCode = "E_PERMISSION_DENIED";
+            errorMessage = `Permission denied: ${error.message}`;
+        } else if (error && error.code === 'ENOTDIR') {
+            errorCode = "E_INVALID_DIRECTORY";
+            errorMessage = `Invalid directory: ${error.message}`;
+        } else if (error && error.code === 'E_OUTPUT_TOO_LARGE') {
+            errorCode = "E_OUTPUT_TOO_LARGE";
+            errorMessage = error.message;
+        }
+        
+        console.log(`Command execution error: ${errorMessage}`);
+        logger.logCommand(command, 'ERROR', errorMessage);
+        
+        return {
+            success: false,
+            output: errorMessage,
+            blocked: false,
+            code: errorCode
+        };
+    }
+    
+    console.log(`Command executed successfully in ${workspace.workingDir}`);
+    logger.logCommand(command, 'SUCCESS', 'Command executed successfully');
+    return {
+        success: true,
+        output: (result.stdout || 'Command executed successfully') + (result.truncated ? '\n[output truncated]' : ''),
+        blocked: false,
+        code: "SUCCESS"
+    };
 }
 
 module.exports = {
     mapCommandToShell,
-    executeCommand
+    executeCommand,
+    executeConfirmation,
+    previewCommand,
+    resolveWorkspace,
+    getConfirmationReason
 };
@@ -0,0 +1,169 @@
+// VOICE-CMD Confirmations
+// Destructive actions (deleting files or folders, overwriting with a move or write, copying or moving
+// large folders, killing processes, rm/chmod/chown)
+// are not run straight away: the caller gets a one-time token and the action only runs when the
+// same user confirms it ("yes" or POST /command/confirm) before it expires
+
+const crypto = require('crypto');
+const commandTokenizer = require('./commandTokenizer');
+
+const CONFIRMATION_TTL = parseInt(process.env.CONFIRMATION_TTL_MS, 10) || 60 * 1000; // 1 minute
+// Expired confirmations are remembered a little longer so a late "yes" gets a clear answer
+const EXPIRED_RETENTION = 5 * 60 * 1000; // 5 minutes
+
+// Shell programs that always need confirmation, with what they do
+const DESTRUCTIVE_SHELL_COMMANDS = {
+    rm: 'rm removes files permanently',
+    chmod: 'chmod changes file permissions',
+    chown: 'chown changes file owners'
+};
+
+// File operations that work on whole folders, with what they do to one
+const FOLDER_OPERATIONS = {
+    deleteFile: 'deletes',
+    deleteDirectory: 'deletes',
+    copyFile: 'copies',
+    copyDirectory: 'copies',
+    moveFile: 'moves',
+    moveDirectory: 'moves'
+};
+
+// In-memory storage for pending confirmations (token -> confirmation)
+const pending = new Map();
+
+/**
+ * Decide whether a parsed command is destructive and needs confirmation
+ * @param {Object} parseResult - Result of commandParser.parseCommand
+ * @param {Object} fileOps - FileOperations for the user's workspace (file operations only: checks what they would remove)
+ * @returns {Promise<string|null>} - Why the command needs confirmation, or null if it can run right away
+ */
+async function getDestructiveReason(parseResult, fileOps) {
+    if (parseResult.type === 'fileOp' && FOLDER_OPERATIONS[parseResult.fn]) {
+        const preview = await fileOps.previewOperation(parseResult.fn, parseResult.args);
+        const [source] = preview.paths;
+        if (source.safe && source.exists && source.type === 'directory') {
+            const tree = await fileOps.describeTree(source.path);
+            const verb = FOLDER_OPERATIONS[parseResult.fn];
+            // Deleting any non-empty folder asks; copies and moves only ask for large ones
+            if (!tree.overLimit && (verb === 'deletes' ? tree.items > 0 : tree.needsConfirmation)) {
+                return `This ${verb} the folder '${source.path}' with ${tree.summary}`;
+            }
+            return null;
+        }
+    }
+
+    if (parseResult.type === 'fileOp' && ['deleteFile', 'moveFile', 'writeFile'].includes(parseResult.fn)) {
+        const preview = await fileOps.previewOperation(parseResult.fn, parseResult.args);
+        const [source, destination] = preview.paths;
+
+        if (parseResult.fn === 'deleteFile' && source.safe && source.exists && source.type === 'file') {
+            return `This deletes '${source.path}'`;
+        }
+        if (parseResult.fn === 'moveFile' && source.exists && destination.safe && destination.exists && destination.type === 'file') {
+            return `This replaces the existing '${destination.path}'`;
+        }
+        if (parseResult.fn === 'writeFile' && source.safe && source.exists && source.type === 'file' && source.size > 0) {
+            return `This replaces the content of '${source.path}'`;
+        }
+        return null;
+    }
+
+    if (parseResult.type === 'shell') {
+        const parsed = commandTokenizer.parsePipeline(parseResult.command);
+        const program = parsed.success &&
+            parsed.pipeline.stages.map(stage => stage.argv[0]).find(name => Object.hasOwn(DESTRUCTIVE_SHELL_COMMANDS, name));
+        return program ? DESTRUCTIVE_SHELL_COMMANDS[program] : null;
+    }
+
+    return null;
+}
+
+/**
+ * Create a pending confirmation
+ * @param {string} username - User who must confirm
+ * @param {Object} action - What to run once confirmed: { type: 'command', command },
+ *                          { type: 'killProcess', pid, startTime } or { type: 'schedule', request }
+ * @param {string} description - Human-readable summary of the action
+ * @returns {Object} - { token, action, description, expiresAt }
+ */
+function createConfirmation(username, action, description) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const createdAt = Date.now();
+    const expiresAt = createdAt + CONFIRMATION_TTL;
+
+    pending.set(token, { username, action, description, createdAt, expiresAt });
+    setTimeout(() => pending.delete(token), CONFIRMATION_TTL + EXPIRED_RETENTION).unref();
+
+    return { token, action, description, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Use up a confirmation token
+ * A token can only be used once, and only by the user it was created for.
+ * @param {string} username - User presenting the token
+ * @param {string} token - Confirmation token
+ * @returns {Object} - { success, action, description } or { success: false, message, code }
+ */
+function consumeConfirmation(username, token) {
+    const confirmation = pending.get(token);
+    if (!confirmation || confirmation.username !== username) {
+        return {
+            success: false,
+            message: 'Nothing to confirm; the request may already have been used or cancelled',
+            code: 'E_CONFIRMATION_NOT_FOUND'
+        };
+    }
+
+    pending.delete(token);
+    if (Date.now() > confirmation.expiresAt) {
+        return {
+            success: false,
+            message: 'The confirmation has expired; please repeat the command',
+            code: 'E_CONFIRMATION_EXPIRED'
+        };
+    }
+
+    return { success: true, action: confirmation.action, description: confirmation.description };
+}
+
+/**
+ * Find the user's most recent confirmation that has not expired (what a spoken "yes" refers to)
+ * @param {string} username - User
+ * @returns {Object|null} - { token, action, description, expiresAt } or null
+ */
+function getPendingConfirmation(username) {
+    const latest = [...pending.entries()]
+        .filter(([, confirmation]) => confirmation.username === username && Date.now() <= confirmation.expiresAt)
+        .sort(([, a], [, b]) => b.createdAt - a.createdAt)[0];
+
+    if (!latest) return null;
+    const [token, { action, description, expiresAt }] = latest;
+    return { token, action, description, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Drop a pending confirmation without running it
+ * @param {string} username - User
+ * @param {string} token - Confirmation token, or null for the most recent one
+ * @returns {Object} - { success, description } or { success: false, message, code }
+ */
+function cancelConfirmation(username, token = null) {
+    const target = token || (getPendingConfirmation(username) || {}).token;
+    const confirmation = target ? pending.get(target) : null;
+    if (!confirmation || confirmation.username !== username) {
+        return { success: false, message: 'There is nothing waiting for confirmation', code: 'E_CONFIRMATION_NOT_FOUND' };
+    }
+
+    pending.delete(target);
+    return { success: true, description: confirmation.description };
+}
+
+module.exports = {
+    getDestructiveReason,
+    createConfirmation,
+    consumeConfirmation,
+    getPendingConfirmation,
+    cancelConfirmation,
+    DESTRUCTIVE_SHELL_COMMANDS,
+    CONFIRMATION_TTL
+};
@@ -0,0 +1,234 @@
+// VOICE-CMD Context Resolver
+// Tracks the last file, directory, PID and schedule each user referred to and
+// resolves follow-ups like "now copy it to backup" or "delete that"
+
+const fs = require('fs').promises;
+const path = require('path');
+const memory = require('../memory');
+const intentGrammar = require('./intentGrammar');
+const commandParser = require('./commandParser');
+const commandTokenizer = require('./commandTokenizer');
+
+// Context kinds stored per user; "path" is whichever file or directory came last
+const CONTEXT_KEYS = ['file', 'directory', 'path', 'pid', 'schedule'];
+
+// Reference phrases, longest first; a null kind depends on the command's verb
+const REFERENCE_PHRASES = [
+    { words: ['that', 'file'], kind: 'file' },
+    { words: ['this', 'file'], kind: 'file' },
+    { words: ['the', 'same', 'file'], kind: 'file' },
+    { words: ['that', 'folder'], kind: 'directory' },
+    { words: ['this', 'folder'], kind: 'directory' },
+    { words: ['that', 'directory'], kind: 'directory' },
+    { words: ['this', 'directory'], kind: 'directory' },
+    { words: ['that', 'process'], kind: 'pid' },
+    { words: ['this', 'process'], kind: 'pid' },
+    { words: ['that', 'schedule'], kind: 'schedule' },
+    { words: ['that', 'job'], kind: 'schedule' },
+    { words: ['there'], kind: 'directory', there: true },
+    { words: ['it'], kind: null },
+    { words: ['that'], kind: null },
+    { words: ['this'], kind: null }
+];
+
+// Single words that stand for a referenced value when they fill a slot
+const REFERENCE_WORDS = ['it', 'that', 'this', 'there'];
+
+// Filler words spoken before the verb ("now copy it", "ok then delete that")
+const FILLER_WORDS = ['now', 'then', 'and', 'ok', 'okay', 'please', 'also'];
+const PROCESS_VERBS = ['kill', 'terminate', 'stop', 'end'];
+const SCHEDULE_VERBS = ['cancel', 'unschedule'];
+const TRANSFER_VERBS = ['copy', 'move'];
+// Verbs whose "it" usually means a file or a directory rather than whichever came last
+const FILE_VERBS = ['copy', 'move', 'delete', 'remove', 'rename', 'open', 'read', 'edit'];
+const DIRECTORY_VERBS = ['list', 'show', 'cd'];
+const PREPOSITIONS = ['in', 'into', 'inside', 'to', 'from'];
+// Words after "echo" are text to print, up to the next pipe or redirection
+const TEXT_VERBS = ['echo'];
+const TEXT_ENDS = ['|', '>', '>>', '<'];
+
+const KIND_LABELS = {
+    file: 'file',
+    directory: 'folder',
+    path: 'file or folder',
+    pid: 'process',
+    schedule: 'schedule'
+};
+
+// Context entries are kept in each user's memory (memory.js)
+function contextKey(kind) {
+    return `last_${kind}`;
+}
+
+/**
+ * Get the remembered references for a user
+ * @param {string} username - Authenticated user
+ * @returns {Promise<Object>} - Last file, directory, path, pid and schedule (missing ones are undefined)
+ */
+async function getSessionContext(username) {
+    const session = {};
+    for (const kind of CONTEXT_KEYS) {
+        const item = await memory.getContext(username, contextKey(kind));
+        if (item.found) {
+            session[kind] = item.value;
+        }
+    }
+    return session;
+}
+
+/**
+ * Remember a reference for follow-up commands
+ * @param {string} username - Authenticated user
+ * @param {string} kind - file, directory, pid or schedule
+ * @param {string|number} value - Referenced value
+ */
+async function recordReference(username, kind, value) {
+    await memory.setContext(username, contextKey(kind), String(value));
+    if (kind === 'file' || kind === 'directory') {
+        await memory.setContext(username, contextKey('path'), String(value));
+    }
+}
+
+// Check whether a successfully parsed command already makes sense on its own
+function parsesWithoutReferences(commandText) {
+    const parsed = commandParser.parseCommand(commandText);
+    if (!['fileOp', 'memoryOp', 'jobOp', 'editorOp', 'processOp', 'journalOp', 'confirmationOp', 'watchOp'].includes(parsed.type) || parsed.confidence !== 1) {
+        return false;
+    }
+
+    // A pronoun filling a path, PID or name slot ("delete that", "kill that process") still needs resolving
+    return !Object.entries(parsed.slots).some(([name, value]) =>
+        ['path', 'number', 'word'].includes(parsed.slotTypes[name]) &&
+        REFERENCE_WORDS.includes(String(value).toLowerCase()));
+}
+
+// Decide what a bare "it"/"that"/"this" refers to from the command's verb
+function pronounKind(verb, session) {
+    if (PROCESS_VERBS.includes(verb)) return 'pid';
+    if (SCHEDULE_VERBS.includes(verb)) return 'schedule';
+    if (FILE_VERBS.includes(verb) && session.file !== undefined) return 'file';
+    if (DIRECTORY_VERBS.includes(verb) && session.directory !== undefined) return 'directory';
+    return 'path';
+}
+
+/**
+ * Replace references like "it", "that file" and "there" with remembered values
+ * Values are quoted for the tokenizer ("my report.txt" stays one argument); the rest
+ * of the command is kept as typed, and text after "echo" is never substituted.
+ * @param {string} commandText - Command as spoken
+ * @param {string} username - Authenticated user
+ * @returns {Promise<Object>} - { command, resolved, references } or { error } when a reference is unknown
+ */
+async function resolveReferences(commandText, username) {
+    const tokens = intentGrammar.tokenize(commandText);
+
+    // Quoted words are literal, and so is echo text ("echo that is done")
+    let inText = false;
+    const candidates = tokens.map((token, i) => {
+        if (TEXT_ENDS.includes(token.raw) && !token.quoted) {
+            inText = false;
+            return false;
+        }
+        const previous = i > 0 ? tokens[i - 1] : null;
+        const commandPosition = !previous || (!previous.quoted && previous.raw === '|') || FILLER_WORDS.includes(previous.lower);
+        if (commandPosition && TEXT_VERBS.includes(token.lower)) {
+            inText = true;
+            return false;
+        }
+        return !inText && !token.quoted;
+    });
+    const hasReference = tokens.some((token, i) => candidates[i] && REFERENCE_WORDS.includes(token.lower));
+
+    if (!hasReference || parsesWithoutReferences(commandText)) {
+        return { command: commandText, resolved: false, references: [] };
+    }
+
+    const session = await getSessionContext(username);
+    const verb = (tokens.find(token => !FILLER_WORDS.includes(token.lower)) || {}).lower;
+    let command = '';
+    let copied = tokens[0].start;
+    const references = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const phrase = REFERENCE_PHRASES.find(p =>
+            p.words.every((word, k) => candidates[i + k] && tokens[i + k].lower === word));
+        if (!phrase) continue;
+
+        const kind = phrase.kind || pronounKind(verb, session);
+        const last = tokens[i + phrase.words.length - 1];
+
+        const spoken = tokens.slice(i, i + phrase.words.length).map(t => t.raw).join(' ');
+        const value = session[kind];
+        if (value === undefined) {
+            return {
+                error: `I don't know which ${KIND_LABELS[kind]} "${spoken}" refers to yet`,
+                reference: spoken
+            };
+        }
+
+        // "move it there" -> "move notes.txt to backup"
+        const previous = i > 0 ? tokens[i - 1].lower : null;
+        let replacement = commandTokenizer.quoteArg(value);
+        if (phrase.there && !PREPOSITIONS.includes(previous)) {
+            replacement = `${TRANSFER_VERBS.includes(verb) ? 'to' : 'in'} ${replacement}`;
+        }
+
+        command += commandText.slice(copied, tokens[i].start) + replacement;
+        copied = last.end;
+        references.push({ phrase: spoken, kind, value });
+        i += phrase.words.length - 1;
+    }
+
+    command += commandText.slice(copied, tokens[tokens.length - 1].end);
+    return { command, resolved: true, references };
+}
+
+/**
+ * Remember what a successful command referred to
+ * Intents declare which slots to remember with "context" in their rule file
+ * @param {string} username - Authenticated user
+ * @param {Object} parseResult - Parsed command
+ * @param {string} workingDir - Workspace the command ran in
+ */
+async function recordCommand(username, parseResult, workingDir) {
+    try {
+        if (parseResult.type === 'shell') {
+            const killMatch = parseResult.command.match(/^\s*kill\s+(?:-\S+\s+)*(\d+)\s*$/);
+            if (killMatch) {
+                await recordReference(username, 'pid', killMatch[1]);
+            }
+            return;
+        }
+
+        for (const [kind, slot] of Object.entries(parseResult.context || {})) {
+            const value = parseResult.slots[slot];
+            if (value === undefined) continue;
+
+            if (kind !== 'file') {
+                await recordReference(username, kind, value);
+                continue;
+            }
+
+            // A file that turns out to be a directory is where the source was put
+            const stats = await fs.stat(path.resolve(workingDir, value)).catch(() => null);
+            if (stats && stats.isDirectory()) {
+                await recordReference(username, 'directory', value);
+                if (parseResult.slots.source) {
+                    await recordReference(username, 'file', path.join(value, path.basename(parseResult.slots.source)));
+                }
+            } else {
+                await recordReference(username, 'file', value);
+            }
+        }
+    } catch (error) {
+        // Losing context must never fail the command itself
+        console.error('Context: failed to record references:', error.message);
+    }
+}
+
+module.exports = {
+    resolveReferences,
+    recordCommand,
+    recordReference,
+    getSessionContext
+};
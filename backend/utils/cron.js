@@ -0,0 +1,665 @@
+// VOICE-CMD Cron Expressions
+// Parses 5-field cron expressions (minute hour day-of-month month day-of-week) and finds
+// their next run in a time zone. Wall-clock times that do not exist (the hour skipped when
+// clocks go forward) run right after the change; times that happen twice run once, the first time.
+// Also turns spoken schedules ("every weekday at 9am", "in 10 minutes") into cron expressions or one-off times.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Give up looking for a next run this many years ahead ("0 0 30 2 *" never runs)
+const MAX_YEARS_AHEAD = 5;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Time zone used when a schedule does not name one
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Intl formatters are slow to create, so one is kept per time zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Check a time zone name and get its canonical spelling ("europe/berlin" -> "Europe/Berlin")
+ * @param {string} timeZone - IANA time zone name, or "UTC"
+ * @returns {string|null} - Canonical name, or null if the zone is unknown
+ */
+function normalizeTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return null;
+    try {
+        return formatterFor(timeZone).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date|number} instant - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+function wallClock(instant, timeZone) {
+    const parts = {};
+    for (const part of formatterFor(timeZone).formatToParts(new Date(instant))) {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// The wall clock as milliseconds of a UTC calendar (wall-clock arithmetic without time zones)
+function wallMs(wall) {
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0);
+}
+
+// How far the time zone is ahead of UTC at an instant, in milliseconds
+function offsetAt(instant, timeZone) {
+    const time = Math.floor(Number(instant) / 1000) * 1000;
+    return wallMs(wallClock(time, timeZone)) - time;
+}
+
+/**
+ * Instant at which a time zone's clocks show a wall-clock time
+ * A time that happens twice gives the first; a time that is skipped gives the moment
+ * the same distance after the skipped hour started.
+ * @param {Object} wall - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - Time zone name
+ * @returns {Date} - Instant
+ */
+function zonedTimeToInstant(wall, timeZone) {
+    const local = wallMs(wall);
+    // Offsets a day either side cover any clock change around this time
+    const before = local - offsetAt(local - DAY_MS, timeZone);
+    const after = local - offsetAt(local + DAY_MS, timeZone);
+    const matches = [before, after]
+        .filter(instant => wallMs(wallClock(instant, timeZone)) === local)
+        .sort((a, b) => a - b);
+    return new Date(matches.length > 0 ? matches[0] : before);
+}
+
+// Parse one field ("*/15", "1-5", "mon,wed,fri") into the set of values it allows
+function parseField(text, field) {
+    const values = new Set();
+    const toNumber = (token) => {
+        const lower = token.toLowerCase();
+        const named = field.names ? field.names.indexOf(lower) : -1;
+        if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+        return /^\d+$/.test(token) ? Number(token) : NaN;
+    };
+
+    for (const item of text.split(',')) {
+        const match = item.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+        if (!match) {
+            return { error: `Invalid ${field.name} "${item}"` };
+        }
+        const [, range, stepText] = match;
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max === 7 ? 6 : field.max;
+        } else {
+            const [first, last] = range.split('-');
+            start = toNumber(first);
+            // "5/15" means from 5 to the end of the range in steps of 15
+            end = last !== undefined ? toNumber(last) : (stepText !== undefined ? field.max : start);
+        }
+
+        if ([start, end].some(value => Number.isNaN(value) || value < field.min || value > field.max)) {
+            return { error: `${field.name} "${item}" must be between ${field.min} and ${field.max}` };
+        }
+        if (start > end) {
+            return { error: `Invalid ${field.name} range "${item}"` };
+        }
+        if (!(step >= 1)) {
+            return { error: `Invalid ${field.name} step "${item}"` };
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+        }
+    }
+    return { values };
+}
+
+/**
+ * Parse a cron expression
+ * Five fields: minute, hour, day of month, month (1-12 or jan-dec), day of week (0-7 or sun-sat,
+ * 0 and 7 are Sunday). Fields take "*", lists, ranges and steps; @hourly, @daily, @weekly,
+ * @monthly and @yearly are also understood. When both day fields are restricted, a day matching
+ * either one runs (as in standard cron).
+ * @param {string} expression - Cron expression
+ * @returns {Object} - { success, expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ *                     or { success: false, message, code }
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim().replace(/\s+/g, ' ');
+    const normalized = ALIASES[text.toLowerCase()] || text;
+    const parts = normalized.split(' ');
+    if (parts.length !== 5) {
+        return {
+            success: false,
+            message: `A cron expression has 5 fields (minute hour day month weekday), got ${parts.length === 1 && !parts[0] ? 0 : parts.length}`,
+            code: 'E_INVALID_CRON'
+        };
+    }
+
+    const sets = [];
+    for (let i = 0; i < FIELDS.length; i++) {
+        const parsed = parseField(parts[i], FIELDS[i]);
+        if (parsed.error) {
+            return { success: false, message: parsed.error, code: 'E_INVALID_CRON' };
+        }
+        sets.push(parsed.values);
+    }
+
+    return {
+        success: true,
+        expression: normalized,
+        minutes: sets[0],
+        hours: sets[1],
+        days: sets[2],
+        months: sets[3],
+        weekdays: sets[4],
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*')
+    };
+}
+
+function dayMatches(cron, date) {
+    const day = cron.days.has(date.getUTCDate());
+    const weekday = cron.weekdays.has(date.getUTCDay());
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return weekday;
+    if (cron.anyWeekday) return day;
+    return day || weekday;
+}
+
+/**
+ * Find the next time a cron expression runs
+ * @param {string|Object} cron - Cron expression, or the result of parseCron
+ * @param {Date|number} after - The run is strictly after this instant
+ * @param {string} timeZone - Time zone the expression's times are in
+ * @returns {Date|null} - Next run, or null if it never runs (or the expression is invalid)
+ */
+function nextRun(cron, after, timeZone = DEFAULT_TIMEZONE) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    if (!parsed || !parsed.success) return null;
+
+    const afterMs = Number(new Date(after));
+    const start = wallClock(afterMs, timeZone);
+    // Walk the wall clock (as a UTC calendar) from the minute after `after`
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute + 1));
+    const lastYear = start.year + MAX_YEARS_AHEAD;
+
+    while (date.getUTCFullYear() <= lastYear) {
+        if (!parsed.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        const instant = zonedTimeToInstant({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes()
+        }, timeZone);
+        if (instant.getTime() > afterMs) {
+            return instant;
+        }
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    }
+    return null;
+}
+
+// Spoken schedules ("every weekday at 9am", "in 10 minutes") -> cron expressions or one-off times
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SCHEDULE_NUMBERS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45, other: 2
+};
+const SCHEDULE_ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, tenth: 10, fifteenth: 15, twentieth: 20 };
+// Units for "every N ..." and "in N ...", in milliseconds for "in N ..."
+const SCHEDULE_UNITS = {
+    minute: 60 * 1000, minutes: 60 * 1000, min: 60 * 1000, mins: 60 * 1000,
+    hour: 60 * 60 * 1000, hours: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000, days: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000, weeks: 7 * 24 * 60 * 60 * 1000,
+    month: null, months: null
+};
+const SCHEDULE_ADVERBS = { hourly: 'hour', daily: 'day', nightly: 'day', weekly: 'week', monthly: 'month' };
+// Words a schedule phrase usually starts with
+const SCHEDULE_STARTERS = ['every', 'each', 'at', 'today', 'tonight', 'tomorrow', 'between', 'cron', ...Object.keys(SCHEDULE_ADVERBS)];
+
+function scheduleNumber(token) {
+    if (token === undefined) return null;
+    if (/^\d+$/.test(token)) return Number(token);
+    return SCHEDULE_NUMBERS[token] !== undefined ? SCHEDULE_NUMBERS[token] : null;
+}
+
+function scheduleUnit(token) {
+    if (token === undefined || !(token in SCHEDULE_UNITS)) return null;
+    return token.replace(/s$/, '').replace(/^min$/, 'minute');
+}
+
+// "monday"/"mondays"/"mon" -> 1
+function weekdayNumber(token) {
+    if (!token) return null;
+    const index = WEEKDAY_NAMES.findIndex(name => token === name || token === `${name}s` || token === name.slice(0, 3));
+    return index === -1 ? null : index;
+}
+
+// "9am", "9:30 pm", "17:45", "noon" at tokens[i]; returns { hour, minute, meridiem, next } or null
+function parseClock(tokens, i) {
+    const token = tokens[i];
+    if (token === 'noon') return { hour: 12, minute: 0, meridiem: true, next: i + 1 };
+    if (token === 'midnight') return { hour: 0, minute: 0, meridiem: true, next: i + 1 };
+
+    const match = token && token.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match) return null;
+    let next = i + 1;
+    let meridiem = match[3];
+    if (!meridiem && ['am', 'pm'].includes(tokens[next])) {
+        meridiem = tokens[next++];
+    } else if (!meridiem && ["o'clock", 'oclock'].includes(tokens[next])) {
+        next++;
+    }
+
+    let hour = Number(match[1]);
+    const minute = match[2] === undefined ? 0 : Number(match[2]);
+    if (minute > 59) return null;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    }
+    return { hour, minute, meridiem: Boolean(meridiem || match[2] !== undefined), next };
+}
+
+// "1st", "15th", "first" -> day of month
+function parseOrdinal(token) {
+    const match = token && token.match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+    const day = match ? Number(match[1]) : SCHEDULE_ORDINALS[token];
+    return day >= 1 && day <= 31 ? day : null;
+}
+
+// A list of items joined by "and" or commas ("monday, wednesday and friday"); returns { values, next }
+function parseList(tokens, i, parseItem) {
+    const values = [];
+    let next = i;
+    while (next < tokens.length) {
+        const value = parseItem(tokens[next]);
+        if (value === null) break;
+        values.push(value);
+        next++;
+        if (tokens[next] === 'and' && parseItem(tokens[next + 1]) !== null) next++;
+    }
+    return values.length > 0 ? { values, next } : null;
+}
+
+function scheduleError(message) {
+    return { success: false, message, code: 'E_INVALID_SCHEDULE' };
+}
+
+/**
+ * Parse a spoken schedule
+ * Recurring: "every 15 minutes", "every 2 hours between 9am and 5pm", "every day at 7:30",
+ * "every weekday at 9am", "every monday and friday at 5pm", "on weekends at 10", "every month on the 1st",
+ * "on the 15th of every month at noon", "hourly", "daily at 6pm", or a cron expression ("0 9 * * 1-5").
+ * One-off: "at 5pm", "tomorrow at 9am", "on friday at 4pm", "in 10 minutes", "in an hour".
+ * A trailing time zone ("at 9am in Europe/Berlin", "at noon UTC") overrides options.timezone.
+ * @param {string} text - Schedule phrase
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Time zone of the times (the scheduler's default otherwise)
+ * @param {Date} options.now - Current time (for one-off times)
+ * @returns {Object} - { success, repeat: 'cron', cron, timezone } or { success, repeat: 'once', time (ISO), timezone }
+ *                     or { success: false, message, code }
+ */
+function parseSchedulePhrase(text, options = {}) {
+    const phrase = String(text || '').trim();
+    let timezone = normalizeTimeZone(options.timezone || DEFAULT_TIMEZONE);
+    const now = options.now || new Date();
+    if (!phrase) {
+        return scheduleError('Say when, for example "every weekday at 9am" or "in 10 minutes"');
+    }
+
+    // A cron expression as is
+    const expression = phrase.replace(/^cron\s+/i, '');
+    if (expression !== phrase || /^@\w+$/.test(expression) || expression.split(/\s+/).length === 5) {
+        const parsed = parseCron(expression);
+        if (parsed.success) {
+            return nextRun(parsed, now, timezone)
+                ? { success: true, repeat: 'cron', cron: parsed.expression, timezone }
+                : scheduleError(`'${parsed.expression}' never runs`);
+        }
+        if (expression !== phrase) return scheduleError(parsed.message);
+    }
+
+    const tokens = phrase.toLowerCase()
+        .replace(/\b([ap])\.m\.?/g, '$1m')
+        .replace(/,/g, ' ')
+        .split(/\s+/)
+        .map(token => token.replace(/\.$/, ''))
+        .filter(Boolean);
+    const state = { unit: null, interval: 1, weekdays: null, monthDays: null, clock: null, window: null, relativeMs: null, dayOffset: null };
+
+    let i = 0;
+    while (i < tokens.length) {
+        const token = tokens[i];
+        let next = -1;
+
+        if ((token === 'every' || token === 'each') && !state.unit) {
+            const j = i + 1;
+            if (tokens[j] === 'half' && tokens[j + 1] === 'hour') {
+                state.unit = 'minute';
+                state.interval = 30;
+                next = j + 2;
+            } else if (scheduleNumber(tokens[j]) !== null && scheduleUnit(tokens[j + 1])) {
+                state.unit = scheduleUnit(tokens[j + 1]);
+                state.interval = scheduleNumber(tokens[j]);
+                next = j + 2;
+            } else if (scheduleUnit(tokens[j])) {
+                state.unit = scheduleUnit(tokens[j]);
+                next = j + 1;
+            } else if (['weekday', 'weekdays'].includes(tokens[j])) {
+                state.unit = 'day';
+                state.weekdays = [1, 2, 3, 4, 5];
+                next = j + 1;
+            } else if (['weekend', 'weekends'].includes(tokens[j])) {
+                state.unit = 'day';
+                state.weekdays = [0, 6];
+                next = j + 1;
+            } else if (['night', 'morning', 'evening'].includes(tokens[j])) {
+                state.unit = 'day';
+                next = j + 1;
+            } else {
+                const days = parseList(tokens, j, weekdayNumber);
+                if (days) {
+                    state.unit = 'day';
+                    state.weekdays = days.values;
+                    next = days.next;
+                }
+            }
+        } else if (SCHEDULE_ADVERBS[token] && !state.unit) {
+            state.unit = SCHEDULE_ADVERBS[token];
+            next = i + 1;
+        } else if (token === 'at' && parseClock(tokens, i + 1) && !state.clock) {
+            const clock = parseClock(tokens, i + 1);
+            state.clock = clock;
+            next = clock.next;
+        } else if (parseClock(tokens, i) && parseClock(tokens, i).meridiem && !state.clock) {
+            state.clock = parseClock(tokens, i);
+            next = state.clock.next;
+        } else if (['between', 'from'].includes(token) && !state.window) {
+            const from = parseClock(tokens, i + 1);
+            const to = from && ['and', 'to', 'until'].includes(tokens[from.next]) ? parseClock(tokens, from.next + 1) : null;
+            if (to) {
+                state.window = { from, to };
+                next = to.next;
+            }
+        } else if (token === 'on' && tokens[i + 1] === 'the') {
+            const days = parseList(tokens, i + 2, parseOrdinal);
+            if (days && !state.monthDays) {
+                state.monthDays = days.values;
+                next = days.next;
+                // "on the 1st of every month"
+                if (tokens[next] === 'of' && ['every', 'each', 'the'].includes(tokens[next + 1]) && tokens[next + 2] === 'month') {
+                    state.unit = state.unit || 'month';
+                    next += 3;
+                }
+            }
+        } else if (token === 'on' && !state.weekdays) {
+            if (['weekdays', 'weekends'].includes(tokens[i + 1])) {
+                state.weekdays = tokens[i + 1] === 'weekdays' ? [1, 2, 3, 4, 5] : [0, 6];
+                state.unit = state.unit || 'day';
+                next = i + 2;
+            } else {
+                const days = parseList(tokens, i + 1, weekdayNumber);
+                if (days) {
+                    state.weekdays = days.values;
+                    // "on mondays" repeats, "on monday" is the next one
+                    if (tokens.slice(i + 1, days.next).some(day => day.endsWith('days'))) {
+                        state.unit = state.unit || 'day';
+                    }
+                    next = days.next;
+                }
+            }
+        } else if (token === 'in' && state.relativeMs === null && !normalizeTimeZone(tokens[i + 1])) {
+            const j = i + 1;
+            const count = scheduleNumber(tokens[j]);
+            if (tokens[j] === 'half' && ['an', 'a'].includes(tokens[j + 1]) && tokens[j + 2] === 'hour') {
+                state.relativeMs = SCHEDULE_UNITS.hour / 2;
+                next = j + 3;
+            } else if (count !== null && SCHEDULE_UNITS[tokens[j + 1]]) {
+                state.relativeMs = count * SCHEDULE_UNITS[tokens[j + 1]];
+                next = j + 2;
+            }
+        } else if (['today', 'tonight', 'tomorrow'].includes(token) && state.dayOffset === null) {
+            state.dayOffset = token === 'tomorrow' ? 1 : 0;
+            state.tonight = token === 'tonight';
+            next = i + 1;
+        } else if (i > 0 && (normalizeTimeZone(token) || (token === 'in' && normalizeTimeZone(tokens[i + 1])))) {
+            const name = token === 'in' ? tokens[i + 1] : token;
+            // Keep the original spelling for the lookup ("Europe/Berlin")
+            timezone = normalizeTimeZone(phrase.split(/\s+/).find(word => word.toLowerCase() === name) || name);
+            next = token === 'in' ? i + 2 : i + 1;
+        }
+
+        if (next === -1) {
+            return scheduleError(`I don't understand "${tokens.slice(i).join(' ')}" in "${phrase}"`);
+        }
+        i = next;
+    }
+
+    if (state.unit) {
+        return recurringSchedule(state, timezone, now);
+    }
+    return oneOffSchedule(state, timezone, now);
+}
+
+// Cron field for a list of numbers, with runs as ranges ([1, 2, 3, 4, 5] -> "1-5")
+function cronList(values) {
+    const sorted = [...new Set(values)].sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < sorted.length; i++) {
+        let end = i;
+        while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) end++;
+        parts.push(end - i >= 2 ? `${sorted[i]}-${sorted[end]}` : sorted.slice(i, end + 1).join(','));
+        i = end;
+    }
+    return parts.join(',');
+}
+
+// Build the cron expression of a recurring schedule phrase
+function recurringSchedule(state, timezone, now) {
+    const { unit, interval, clock, window } = state;
+    if (state.relativeMs !== null || state.dayOffset !== null) {
+        return scheduleError('A schedule repeats with "every", or runs once "in" some time or "tomorrow", not both');
+    }
+    if (!Number.isInteger(interval) || interval < 1) {
+        return scheduleError('Say how often as a whole number');
+    }
+    if (window && !['minute', 'hour'].includes(unit)) {
+        return scheduleError('"between" only works with minutes or hours, for example "every 15 minutes between 9am and 5pm"');
+    }
+
+    const weekdays = state.weekdays ? cronList(state.weekdays) : '*';
+    const monthDays = state.monthDays ? cronList(state.monthDays) : '*';
+    const hourRange = window ? `${window.from.hour}-${Math.max(window.from.hour, window.to.minute > 0 ? window.to.hour : window.to.hour - 1)}` : '*';
+    let expression;
+
+    switch (unit) {
+        case 'minute':
+            if (clock) return scheduleError('"every N minutes" cannot also run "at" a time; try "between 9am and 5pm"');
+            if (interval > 59) return scheduleError('Say "every N hours" for intervals of an hour or more');
+            expression = `${interval === 1 ? '*' : `*/${interval}`} ${hourRange} ${monthDays} * ${weekdays}`;
+            break;
+        case 'hour':
+            if (interval > 23) return scheduleError('Say "every N days" for intervals of a day or more');
+            expression = `${clock ? clock.minute : 0} ${interval === 1 ? hourRange : `${hourRange}/${interval}`} ${monthDays} * ${weekdays}`;
+            break;
+        case 'day':
+            if (interval > 1 && state.weekdays) return scheduleError('"every N days" cannot be on particular weekdays');
+            expression = `${clock ? clock.minute : 0} ${clock ? clock.hour : 0} ${interval > 1 ? `*/${interval}` : monthDays} * ${weekdays}`;
+            break;
+        case 'week':
+            if (interval > 1) return scheduleError('Every few weeks cannot be written as a cron schedule; use particular days of the month');
+            expression = `${clock ? clock.minute : 0} ${clock ? clock.hour : 0} ${monthDays} * ${state.weekdays ? weekdays : 0}`;
+            break;
+        case 'month':
+            if (interval > 11) return scheduleError('Say "every N months" with fewer than 12 months');
+            expression = `${clock ? clock.minute : 0} ${clock ? clock.hour : 0} ${state.monthDays ? monthDays : 1} ${interval === 1 ? '*' : `*/${interval}`} ${weekdays}`;
+            break;
+        default:
+            return scheduleError(`Unknown interval: ${unit}`);
+    }
+
+    const parsed = parseCron(expression);
+    if (!parsed.success) {
+        return scheduleError(parsed.message);
+    }
+    if (!nextRun(parsed, now, timezone)) {
+        return scheduleError(`'${expression}' never runs`);
+    }
+    return { success: true, repeat: 'cron', cron: parsed.expression, timezone };
+}
+
+// Work out the time of a one-off schedule phrase
+function oneOffSchedule(state, timezone, now) {
+    if (state.window || state.monthDays) {
+        return scheduleError('Say how often it repeats, for example "every day" or "every month"');
+    }
+    if (state.relativeMs !== null) {
+        if (state.clock || state.dayOffset !== null || state.weekdays) {
+            return scheduleError('Say either "in ..." or a time, not both');
+        }
+        return { success: true, repeat: 'once', time: new Date(now.getTime() + state.relativeMs).toISOString(), timezone };
+    }
+    if (!state.clock) {
+        return scheduleError('Say what time, for example "tomorrow at 9am"');
+    }
+    if (state.weekdays && (state.weekdays.length > 1 || state.dayOffset !== null)) {
+        return scheduleError('Say one day, or "every ..." for a repeating schedule');
+    }
+
+    let { hour } = state.clock;
+    if (state.tonight && !state.clock.meridiem && hour < 12) {
+        hour += 12;
+    }
+    const today = wallClock(now, timezone);
+    const at = day => {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + day));
+        return zonedTimeToInstant({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour,
+            minute: state.clock.minute
+        }, timezone);
+    };
+
+    let offset = state.dayOffset || 0;
+    if (state.weekdays) {
+        // The next such day, today included if the time is still ahead
+        const weekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+        offset = (state.weekdays[0] - weekday + 7) % 7;
+        if (at(offset) <= now) offset += 7;
+    } else if (state.dayOffset === null && at(0) <= now) {
+        offset = 1;
+    }
+
+    const time = at(offset);
+    if (time <= now) {
+        return scheduleError(`${String(state.clock.hour).padStart(2, '0')}:${String(state.clock.minute).padStart(2, '0')} today has already passed`);
+    }
+    return { success: true, repeat: 'once', time: time.toISOString(), timezone };
+}
+
+/**
+ * Split "list files every weekday at 9am" into the command and its schedule
+ * The schedule may come last (the longest schedule phrase wins) or first ("every day at 9am df").
+ * @param {string} text - Command followed or preceded by a schedule phrase
+ * @param {Object} options - Same as parseSchedulePhrase
+ * @returns {Object} - { success, command, when, schedule } or { success: false, message, code }
+ */
+function splitScheduleRequest(text, options = {}) {
+    const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+    // Why the longest phrase that looks like a schedule ("every 90 minutes") was refused
+    let refused = null;
+    for (let i = 1; i < words.length; i++) {
+        const schedule = parseSchedulePhrase(words.slice(i).join(' '), options);
+        if (schedule.success) {
+            return { success: true, command: words.slice(0, i).join(' '), when: words.slice(i).join(' '), schedule };
+        }
+        if (!refused && SCHEDULE_STARTERS.includes(words[i].toLowerCase())) {
+            refused = schedule;
+        }
+    }
+    for (let i = words.length - 1; i > 0; i--) {
+        const schedule = parseSchedulePhrase(words.slice(0, i).join(' '), options);
+        if (schedule.success) {
+            return { success: true, command: words.slice(i).join(' '), when: words.slice(0, i).join(' '), schedule };
+        }
+    }
+    return refused || scheduleError(`I couldn't find when to run it in "${text}". Try "schedule <command> every day at 9am"`);
+}
+
+module.exports = {
+    parseCron,
+    nextRun,
+    parseSchedulePhrase,
+    splitScheduleRequest,
+    normalizeTimeZone,
+    wallClock,
+    zonedTimeToInstant,
+    DEFAULT_TIMEZONE
+};
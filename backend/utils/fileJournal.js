@@ -0,0 +1,490 @@
+// VOICE-CMD File Journal
+// Records every file operation a user makes so "undo that" can reverse it. Deleted
+// files go to a per-user trash area instead of being unlinked and expire after a while;
+// when the trash grows past its limit the oldest files in it are removed first.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const auth = require('./auth');
+const security = require('./security');
+
+// Operations kept per user; older ones can no longer be undone
+const MAX_JOURNAL_ENTRIES = 100;
+// Most operations one undo/redo request may reverse
+const MAX_STEPS = 20;
+// Trashed files are removed after this many days
+const TRASH_RETENTION_MS = (parseFloat(process.env.TRASH_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const USERS_DATA_DIR = path.join(__dirname, '..', 'data', 'users');
+
+// Most the trash may hold per user (TRASH_LIMIT_MB); by default as much as the user's workspace quota
+const TRASH_LIMIT_MB = parseInt(process.env.TRASH_LIMIT_MB, 10) || null;
+
+// Journal reads and writes are serialized per user (username -> promise of the last update)
+const locks = new Map();
+
+function withLock(username, fn) {
+    const previous = locks.get(username) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    locks.set(username, next);
+    return next;
+}
+
+async function loadJournal(username) {
+    try {
+        const data = await fs.readFile(auth.getUserJournalFile(username), 'utf8');
+        return { undo: [], redo: [], trash: [], ...JSON.parse(data) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Journal: failed to load journal of ${username}:`, error.message);
+        }
+        return { undo: [], redo: [], trash: [] };
+    }
+}
+
+async function saveJournal(username, journal) {
+    await auth.ensureUserDataDir(username);
+    await fs.writeFile(auth.getUserJournalFile(username), JSON.stringify(journal, null, 2), 'utf8');
+}
+
+// Rename, falling back to copy + delete when trash and workspace are on different filesystems
+async function movePath(source, destination) {
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    try {
+        await fs.rename(source, destination);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.cp(source, destination, { recursive: true, errorOnExist: true });
+        await fs.rm(source, { recursive: true, force: true });
+    }
+}
+
+// Resolve a journaled (workspace-relative) path, refusing anything outside the workspace
+function resolveInWorkspace(relativePath, workingDir) {
+    const pathCheck = security.isPathSafe(relativePath, workingDir);
+    if (!pathCheck.safe) {
+        throw Object.assign(new Error(pathCheck.reason), { code: 'E_PATH_BLOCKED' });
+    }
+    return pathCheck.resolvedPath;
+}
+
+async function exists(targetPath) {
+    return fs.lstat(targetPath).then(() => true, () => false);
+}
+
+// Size of a file, or of everything in a folder
+async function pathSize(targetPath) {
+    const stats = await fs.lstat(targetPath);
+    if (!stats.isDirectory()) return stats.size;
+    let total = 0;
+    for (const name of await fs.readdir(targetPath)) {
+        total += await pathSize(path.join(targetPath, name));
+    }
+    return total;
+}
+
+// Move a file from the workspace into the user's trash and add it to the trash index
+async function trashPath(username, journal, workingDir, absolutePath, reason) {
+    const stats = await fs.lstat(absolutePath);
+    const size = await pathSize(absolutePath);
+    const id = crypto.randomBytes(8).toString('hex');
+    const trashFile = path.join(auth.getUserTrashDir(username), id, path.basename(absolutePath));
+
+    await movePath(absolutePath, trashFile);
+    journal.trash.push({
+        id,
+        originalPath: path.relative(workingDir, absolutePath),
+        trashFile,
+        type: stats.isDirectory() ? 'directory' : 'file',
+        size,
+        reason,
+        trashedAt: new Date().toISOString()
+    });
+    return id;
+}
+
+// Remove trashed files for good; journal entries that need one of them can no longer be undone or redone
+async function dropTrash(journal, items) {
+    for (const item of items) {
+        await fs.rm(path.dirname(item.trashFile), { recursive: true, force: true });
+    }
+    const droppedIds = new Set(items.map(item => item.id));
+    const stillValid = entry => !droppedIds.has(entry.trashId) && !droppedIds.has(entry.replacedTrashId) &&
+        !(entry.trashIds || []).some(id => droppedIds.has(id));
+    journal.trash = journal.trash.filter(item => !droppedIds.has(item.id));
+    journal.undo = journal.undo.filter(stillValid);
+    journal.redo = journal.redo.filter(stillValid);
+}
+
+// Remove the oldest trashed files until the trash fits in the user's trash limit
+async function enforceTrashLimit(username, journal) {
+    const limit = TRASH_LIMIT_MB ? TRASH_LIMIT_MB * 1024 * 1024 : await auth.getUserWorkspaceQuota(username);
+    let total = journal.trash.reduce((sum, item) => sum + (item.size || 0), 0);
+    const evicted = [];
+    for (const item of journal.trash) {
+        if (total <= limit) break;
+        evicted.push(item);
+        total -= item.size || 0;
+    }
+    if (evicted.length > 0) {
+        await dropTrash(journal, evicted);
+        console.log(`Journal: removed ${evicted.length} old trash item(s) of ${username} to stay within the trash limit`);
+    }
+}
+
+// Move a trashed file back to a path in the workspace
+async function restoreFromTrash(journal, trashId, absolutePath) {
+    const item = journal.trash.find(entry => entry.id === trashId);
+    if (!item || !(await exists(item.trashFile))) {
+        throw Object.assign(new Error('the file is no longer in the trash'), { code: 'E_TRASH_EXPIRED' });
+    }
+    if (await exists(absolutePath)) {
+        throw Object.assign(new Error(`'${path.basename(absolutePath)}' already exists`), { code: 'E_UNDO_CONFLICT' });
+    }
+
+    await movePath(item.trashFile, absolutePath);
+    await fs.rm(path.dirname(item.trashFile), { recursive: true, force: true });
+    journal.trash = journal.trash.filter(entry => entry.id !== trashId);
+}
+
+// Move a file or directory within the workspace, refusing to overwrite
+async function moveWithin(source, destination) {
+    if (!(await exists(source))) {
+        throw Object.assign(new Error(`'${path.basename(source)}' no longer exists`), { code: 'E_UNDO_CONFLICT' });
+    }
+    if (await exists(destination)) {
+        throw Object.assign(new Error(`'${path.basename(destination)}' already exists`), { code: 'E_UNDO_CONFLICT' });
+    }
+    await movePath(source, destination);
+}
+
+// Make sure a file still has the size an append left it with (otherwise it was changed since)
+async function checkSize(target, expectedSize) {
+    const stats = await fs.stat(target).catch(() => null);
+    if (!stats) {
+        throw Object.assign(new Error(`'${path.basename(target)}' no longer exists`), { code: 'E_UNDO_CONFLICT' });
+    }
+    if (stats.size !== expectedSize) {
+        throw Object.assign(new Error(`'${path.basename(target)}' was changed since`), { code: 'E_UNDO_CONFLICT' });
+    }
+}
+
+// Reverse a journaled operation
+async function undoEntry(username, journal, entry, workingDir) {
+    switch (entry.operation) {
+        case 'createFile':
+        case 'copyFile':
+        case 'copyDirectory':
+        case 'writeFile': {
+            // The created file goes to the trash, so redo can bring back whatever it contained
+            const target = resolveInWorkspace(entry.destination || entry.path, workingDir);
+            if (!(await exists(target))) {
+                throw Object.assign(new Error(`'${path.basename(target)}' no longer exists`), { code: 'E_UNDO_CONFLICT' });
+            }
+            entry.trashId = await trashPath(username, journal, workingDir, target, 'undo');
+            // Put back the version a write replaced
+            if (entry.replacedTrashId) {
+                await restoreFromTrash(journal, entry.replacedTrashId, target);
+            }
+            return;
+        }
+        case 'appendText': {
+            const target = resolveInWorkspace(entry.path, workingDir);
+            if (entry.previousSize === null) {
+                // The append created the file
+                entry.trashId = await trashPath(username, journal, workingDir, target, 'undo');
+                return;
+            }
+            await checkSize(target, entry.previousSize + Buffer.byteLength(entry.appended));
+            await fs.truncate(target, entry.previousSize);
+            return;
+        }
+        case 'createDirectory':
+            try {
+                await fs.rmdir(resolveInWorkspace(entry.path, workingDir));
+            } catch (error) {
+                if (error.code === 'ENOTEMPTY') {
+                    throw Object.assign(new Error(`folder '${entry.path}' is not empty`), { code: 'E_UNDO_CONFLICT' });
+                }
+                if (error.code !== 'ENOENT') throw error;
+            }
+            return;
+        case 'deleteFile':
+        case 'deleteDirectory':
+            await restoreFromTrash(journal, entry.trashId, resolveInWorkspace(entry.path, workingDir));
+            return;
+        case 'extractArchive': {
+            // Everything the extraction created goes to the trash together
+            const targets = entry.created.map(created => resolveInWorkspace(created, workingDir));
+            for (const target of targets) {
+                if (!(await exists(target))) {
+                    throw Object.assign(new Error(`'${path.basename(target)}' no longer exists`), { code: 'E_UNDO_CONFLICT' });
+                }
+            }
+            entry.trashIds = [];
+            for (const target of targets) {
+                entry.trashIds.push(await trashPath(username, journal, workingDir, target, 'undo'));
+            }
+            return;
+        }
+        case 'moveFile':
+        case 'moveDirectory': {
+            const destination = resolveInWorkspace(entry.destination, workingDir);
+            await moveWithin(destination, resolveInWorkspace(entry.source, workingDir));
+            // Put back the file the move replaced
+            if (entry.replacedTrashId) {
+                await restoreFromTrash(journal, entry.replacedTrashId, destination);
+            }
+            return;
+        }
+        default:
+            throw new Error(`Cannot undo ${entry.operation}`);
+    }
+}
+
+// Replay an undone operation
+async function redoEntry(username, journal, entry, workingDir) {
+    switch (entry.operation) {
+        case 'createFile':
+        case 'copyFile':
+        case 'copyDirectory':
+        case 'writeFile': {
+            const target = resolveInWorkspace(entry.destination || entry.path, workingDir);
+            // Replace the restored previous version again if the write originally replaced one
+            if (entry.replacedTrashId) {
+                entry.replacedTrashId = await exists(target)
+                    ? await trashPath(username, journal, workingDir, target, 'replace')
+                    : null;
+            }
+            await restoreFromTrash(journal, entry.trashId, target);
+            delete entry.trashId;
+            return;
+        }
+        case 'appendText': {
+            const target = resolveInWorkspace(entry.path, workingDir);
+            if (entry.previousSize === null) {
+                await restoreFromTrash(journal, entry.trashId, target);
+                delete entry.trashId;
+                return;
+            }
+            await checkSize(target, entry.previousSize);
+            await fs.appendFile(target, entry.appended, 'utf8');
+            return;
+        }
+        case 'createDirectory':
+            await fs.mkdir(resolveInWorkspace(entry.path, workingDir), { recursive: true });
+            return;
+        case 'deleteFile':
+        case 'deleteDirectory': {
+            const target = resolveInWorkspace(entry.path, workingDir);
+            if (!(await exists(target))) {
+                throw Object.assign(new Error(`'${entry.path}' no longer exists`), { code: 'E_UNDO_CONFLICT' });
+            }
+            entry.trashId = await trashPath(username, journal, workingDir, target, 'delete');
+            return;
+        }
+        case 'extractArchive':
+            for (const [index, trashId] of entry.trashIds.entries()) {
+                await restoreFromTrash(journal, trashId, resolveInWorkspace(entry.created[index], workingDir));
+            }
+            delete entry.trashIds;
+            return;
+        case 'moveFile':
+        case 'moveDirectory': {
+            const destination = resolveInWorkspace(entry.destination, workingDir);
+            // Replace the destination again if the move originally replaced a file
+            if (entry.replacedTrashId) {
+                entry.replacedTrashId = await exists(destination)
+                    ? await trashPath(username, journal, workingDir, destination, 'replace')
+                    : null;
+            }
+            await moveWithin(resolveInWorkspace(entry.source, workingDir), destination);
+            return;
+        }
+        default:
+            throw new Error(`Cannot redo ${entry.operation}`);
+    }
+}
+
+/**
+ * Create the journal hooks FileOperations uses for a user's workspace
+ * @param {string} username - Workspace owner
+ * @param {string} workingDir - The user's workspace
+ * @returns {Object} - { moveToTrash(absolutePath), record(entry) }
+ */
+function createJournal(username, workingDir) {
+    return {
+        // Move a file into the trash instead of deleting it; returns the trash item ID
+        moveToTrash: (absolutePath) => withLock(username, async () => {
+            const journal = await loadJournal(username);
+            const id = await trashPath(username, journal, workingDir, absolutePath, 'delete');
+            await enforceTrashLimit(username, journal);
+            await saveJournal(username, journal);
+            return id;
+        }),
+
+        // Record a completed operation; paths are stored relative to the workspace
+        record: (entry) => withLock(username, async () => {
+            const journal = await loadJournal(username);
+            const relative = (value) => path.relative(workingDir, value);
+            journal.undo.push({
+                id: crypto.randomBytes(6).toString('hex'),
+                operation: entry.operation,
+                ...(entry.path ? { path: relative(entry.path) } : {}),
+                ...(entry.source ? { source: relative(entry.source), destination: relative(entry.destination) } : {}),
+                ...(entry.trashId ? { trashId: entry.trashId } : {}),
+                ...(entry.replacedTrashId ? { replacedTrashId: entry.replacedTrashId } : {}),
+                ...(entry.created ? { created: entry.created.map(relative) } : {}),
+                ...(entry.appended !== undefined ? { previousSize: entry.previousSize, appended: entry.appended } : {}),
+                description: entry.description,
+                timestamp: new Date().toISOString()
+            });
+            journal.undo = journal.undo.slice(-MAX_JOURNAL_ENTRIES);
+            // A new change makes the undone ones impossible to replay
+            journal.redo = [];
+            await saveJournal(username, journal);
+        })
+    };
+}
+
+// Undo or redo up to count operations, stopping at the first one that fails
+function replay(username, workingDir, count, direction) {
+    return withLock(username, async () => {
+        const journal = await loadJournal(username);
+        const [from, to, apply] = direction === 'undo'
+            ? ['undo', 'redo', undoEntry]
+            : ['redo', 'undo', redoEntry];
+        const steps = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_STEPS);
+
+        if (journal[from].length === 0) {
+            return {
+                success: false,
+                message: direction === 'undo' ? 'There is nothing to undo' : 'There is nothing to redo',
+                code: direction === 'undo' ? 'E_NOTHING_TO_UNDO' : 'E_NOTHING_TO_REDO',
+                entries: []
+            };
+        }
+
+        const done = [];
+        let failure = null;
+        while (done.length < steps && journal[from].length > 0) {
+            const entry = journal[from][journal[from].length - 1];
+            try {
+                await apply(username, journal, entry, workingDir);
+            } catch (error) {
+                failure = { entry, message: error.message, code: error.code || 'E_UNDO_FAILED' };
+                break;
+            }
+            journal[from].pop();
+            journal[to].push(entry);
+            done.push(entry);
+        }
+        await enforceTrashLimit(username, journal);
+        await saveJournal(username, journal);
+
+        const verb = direction === 'undo' ? 'Undid' : 'Redid';
+        const summary = done.map(entry => `${verb} "${entry.description}"`);
+        if (failure) {
+            summary.push(`Could not ${direction} "${failure.entry.description}": ${failure.message}`);
+        }
+        return {
+            success: !failure,
+            message: summary.join('\n'),
+            code: failure ? failure.code : undefined,
+            entries: done.map(({ id, operation, description, timestamp }) => ({ id, operation, description, timestamp }))
+        };
+    });
+}
+
+/**
+ * Undo a user's most recent file operations
+ * @param {string} username - Workspace owner
+ * @param {string} workingDir - The user's workspace
+ * @param {number} count - Number of operations to undo (default 1)
+ * @returns {Promise<Object>} - { success, message, code, entries }
+ */
+function undo(username, workingDir, count = 1) {
+    return replay(username, workingDir, count, 'undo');
+}
+
+/**
+ * Replay a user's most recently undone file operations
+ * @param {string} username - Workspace owner
+ * @param {string} workingDir - The user's workspace
+ * @param {number} count - Number of operations to redo (default 1)
+ * @returns {Promise<Object>} - { success, message, code, entries }
+ */
+function redo(username, workingDir, count = 1) {
+    return replay(username, workingDir, count, 'redo');
+}
+
+/**
+ * List the files in a user's trash and the operations that can be undone
+ * @param {string} username - Workspace owner
+ * @returns {Promise<Object>} - { trash, undo, redo } (most recent first)
+ */
+async function listRecoverable(username) {
+    const journal = await loadJournal(username);
+    const summarize = entries => entries.slice().reverse()
+        .map(({ id, operation, description, timestamp }) => ({ id, operation, description, timestamp }));
+
+    return {
+        trash: journal.trash.slice().reverse().map(({ trashFile, ...item }) => ({
+            ...item,
+            expiresAt: new Date(new Date(item.trashedAt).getTime() + TRASH_RETENTION_MS).toISOString()
+        })),
+        undo: summarize(journal.undo),
+        redo: summarize(journal.redo)
+    };
+}
+
+/**
+ * Remove trashed files older than the retention period, for every user
+ * Journal entries that need an expired file can no longer be undone and are dropped.
+ * @returns {Promise<number>} - Number of files removed
+ */
+async function purgeExpiredTrash() {
+    const usernames = await fs.readdir(USERS_DATA_DIR).catch(() => []);
+    let removed = 0;
+
+    for (const username of usernames) {
+        removed += await withLock(username, async () => {
+            const journal = await loadJournal(username);
+            const cutoff = Date.now() - TRASH_RETENTION_MS;
+            const expired = journal.trash.filter(item => new Date(item.trashedAt).getTime() < cutoff);
+            if (expired.length === 0) return 0;
+
+            await dropTrash(journal, expired);
+            await saveJournal(username, journal);
+            return expired.length;
+        }).catch(error => {
+            console.error(`Journal: failed to expire trash of ${username}:`, error.message);
+            return 0;
+        });
+    }
+
+    if (removed > 0) {
+        console.log(`Journal: removed ${removed} expired trash item(s)`);
+    }
+    return removed;
+}
+
+/**
+ * Expire old trash now and then every hour
+ */
+function startTrashExpiry() {
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, EXPIRY_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    createJournal,
+    undo,
+    redo,
+    listRecoverable,
+    purgeExpiredTrash,
+    startTrashExpiry,
+    TRASH_RETENTION_MS
+};
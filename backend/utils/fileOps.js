@@ -2,16 +2,162 @@
 // Safe file operations using Node.js fs/promises API
 
 const fs = require('fs/promises');
+const { constants: fsConstants, createWriteStream } = require('fs');
 const path = require('path');
-const os = require('os');
+const { pipeline } = require('stream/promises');
+const security = require('./security');
+const archives = require('./archives');
+
+// Most content readFile returns; longer files are cut off (ask for a line range instead)
+const READ_MAX_BYTES = 100 * 1024;
+// Largest text writeFile/appendText accept in one go
+const WRITE_MAX_BYTES = 1024 * 1024;
+// tree: default and maximum depth, and the most entries shown
+const TREE_DEFAULT_DEPTH = 3;
+const TREE_MAX_DEPTH = 6;
+const TREE_MAX_ENTRIES = 500;
+// findFiles/grep: most results returned, and files larger than this are not searched
+const SEARCH_MAX_RESULTS = 200;
+const GREP_MAX_MATCHES = 100;
+const GREP_MAX_FILE_BYTES = 1024 * 1024;
+// Recursive delete/copy/move: trees above maxItems/maxBytes are refused, trees above
+// confirmItems/confirmBytes ask for confirmation first (deleting a non-empty folder always does),
+// and trees with at least progressItems entries report progress
+const RECURSIVE_LIMITS = {
+    maxItems: parseInt(process.env.RECURSIVE_MAX_ITEMS, 10) || 10000,
+    maxBytes: (parseInt(process.env.RECURSIVE_MAX_MB, 10) || 1024) * 1024 * 1024,
+    confirmItems: 100,
+    confirmBytes: 100 * 1024 * 1024,
+    progressItems: 100
+};
+const PROGRESS_INTERVAL_MS = 250;
+// Most entries listArchive shows, and most offending entries named when an archive is refused
+const ARCHIVE_LIST_MAX_ENTRIES = 500;
+const ARCHIVE_PROBLEMS_SHOWN = 5;
+// Uploads: size per file, files per request, and file types that are never accepted
+const UPLOAD_LIMITS = {
+    maxFileBytes: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 50) * 1024 * 1024,
+    maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20,
+    blockedExtensions: (process.env.UPLOAD_BLOCKED_TYPES || 'exe,dll,msi,bat,cmd,com,scr,ps1,vbs,apk')
+        .split(',').map(ext => ext.trim().toLowerCase()).filter(Boolean)
+};
 
 /**
  * File Operations Class
  * Handles all file system operations with proper error handling
  */
 class FileOperations {
-    constructor(workingDir) {
-        this.workingDir = workingDir || path.join(os.homedir(), 'Desktop', 'VOICE-CMD');
+    /**
+     * @param {string} workingDir - Sandbox root all paths are resolved against
+     * @param {Object} options - Optional settings
+     * @param {number} options.quotaBytes - Maximum total size of the sandbox (no limit when omitted)
+     * @param {Object} options.journal - Undo journal from utils/fileJournal.js; when set, changes are
+     *                                   recorded and deleted files go to the trash instead of being unlinked
+     * @param {Function} options.onProgress - Called with { id, operation, path, itemsDone, itemsTotal,
+     *                                        bytesDone, bytesTotal, done } while large folders are processed
+     */
+    constructor(workingDir, options = {}) {
+        if (!workingDir) {
+            throw new Error('FileOperations needs the workspace to work in');
+        }
+        this.workingDir = workingDir;
+        this.quotaBytes = options.quotaBytes || null;
+        this.journal = options.journal || null;
+        this.onProgress = options.onProgress || null;
+    }
+
+    /**
+     * Record a completed change in the undo journal (if there is one)
+     * A journal failure is logged but does not fail the operation, which already happened.
+     * @param {Object} entry - { operation, path } or { operation, source, destination }, plus description
+     */
+    async recordChange(entry) {
+        if (!this.journal) return;
+        try {
+            await this.journal.record(entry);
+        } catch (error) {
+            console.error(`Failed to record ${entry.operation} in the journal:`, error.message);
+        }
+    }
+
+    /**
+     * Resolve a user supplied path and make sure it stays inside the sandbox
+     * @param {string} target - Path relative to the working directory
+     * @returns {Object} - Path safety result with resolvedPath when safe
+     */
+    resolvePath(target) {
+        return security.isPathSafe(target, this.workingDir);
+    }
+
+    /**
+     * Build the result object returned when a path or quota check fails
+     * @param {string} action - Action name for the result
+     * @param {string} reason - Why the operation was refused
+     * @param {Object} details - Extra fields to include in the result
+     * @returns {Object} - Result object with blocked flag set
+     */
+    blockedResult(action, reason, details = {}) {
+        return {
+            action: action,
+            result: `🚫 ${reason} ❌`,
+            success: false,
+            blocked: true,
+            ...details
+        };
+    }
+
+    /**
+     * Calculate the total size of the sandbox
+     * @returns {Promise<number>} - Size in bytes
+     */
+    async getUsage() {
+        const walk = async (dir) => {
+            let total = 0;
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                return 0;
+            }
+            
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    total += await walk(entryPath);
+                } else {
+                    try {
+                        const stats = await fs.lstat(entryPath);
+                        total += stats.size;
+                    } catch (error) {
+                        // Entry vanished while walking, skip
+                    }
+                }
+            }
+            return total;
+        };
+        
+        return walk(this.workingDir);
+    }
+
+    /**
+     * Check whether the sandbox has room for additional data
+     * @param {number} additionalBytes - Bytes the operation is about to add
+     * @returns {Promise<Object>} - Quota result with allowed flag and usage numbers
+     */
+    async checkQuota(additionalBytes = 0) {
+        if (!this.quotaBytes) {
+            return { allowed: true, usedBytes: null, quotaBytes: null };
+        }
+        
+        const usedBytes = await this.getUsage();
+        const allowed = usedBytes + additionalBytes <= this.quotaBytes;
+        
+        return {
+            allowed: allowed,
+            usedBytes: usedBytes,
+            quotaBytes: this.quotaBytes,
+            reason: allowed ? null : `Workspace quota exceeded (${formatBytes(usedBytes + additionalBytes)} of ${formatBytes(this.quotaBytes)})`
+        };
     }
 
     /**
@@ -21,7 +167,16 @@ class FileOperations {
      */
     async createDirectory(dirname) {
         try {
-            const dirPath = path.resolve(this.workingDir, dirname);
+            const pathCheck = this.resolvePath(dirname);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Create Directory", pathCheck.reason, { dirname: dirname });
+            }
+            const dirPath = pathCheck.resolvedPath;
+            
+            const quota = await this.checkQuota();
+            if (!quota.allowed) {
+                return this.blockedResult("Create Directory", quota.reason, { dirname: dirname, dirPath: dirPath });
+            }
             
             // Check if directory already exists
             try {
@@ -41,6 +196,7 @@ class FileOperations {
 
             // Create the directory
             await fs.mkdir(dirPath, { recursive: true });
+            await this.recordChange({ operation: 'createDirectory', path: dirPath, description: `create folder ${dirname}` });
             
             return {
                 action: "Create Directory",
@@ -67,7 +223,16 @@ class FileOperations {
      */
     async createFile(filename) {
         try {
-            const filePath = path.resolve(this.workingDir, filename);
+            const pathCheck = this.resolvePath(filename);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Create File", pathCheck.reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
+            
+            const quota = await this.checkQuota();
+            if (!quota.allowed) {
+                return this.blockedResult("Create File", quota.reason, { filename: filename, filePath: filePath });
+            }
             
             // Check if file already exists
             try {
@@ -85,6 +250,7 @@ class FileOperations {
 
             // Create the file
             await fs.writeFile(filePath, '');
+            await this.recordChange({ operation: 'createFile', path: filePath, description: `create file ${filename}` });
             
             return {
                 action: "Create File",
@@ -111,7 +277,11 @@ class FileOperations {
      */
     async deleteFile(filename) {
         try {
-            const filePath = path.resolve(this.workingDir, filename);
+            const pathCheck = this.resolvePath(filename);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Delete File", pathCheck.reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
             
             // Check if file exists
             try {
@@ -126,24 +296,23 @@ class FileOperations {
                 };
             }
 
-            // Get file stats to determine if it's a file or directory
+            // Directories are deleted with everything in them
             const stats = await fs.stat(filePath);
             if (stats.isDirectory()) {
-                return {
-                    action: "Delete File",
-                    result: `'${filename}' is a directory, not a file ❌`,
-                    success: false,
-                    filename: filename,
-                    filePath: filePath
-                };
+                return this.deleteDirectory(filename);
             }
 
-            // Delete the file
-            await fs.unlink(filePath);
+            // Delete the file (into the trash when changes are journaled, so it can be undone)
+            if (this.journal) {
+                const trashId = await this.journal.moveToTrash(filePath);
+                await this.recordChange({ operation: 'deleteFile', path: filePath, trashId, description: `delete file ${filename}` });
+            } else {
+                await fs.unlink(filePath);
+            }
             
             return {
                 action: "Delete File",
-                result: `File '${filename}' deleted successfully ✅`,
+                result: `File '${filename}' deleted successfully ✅${this.journal ? ' (say "undo that" to restore it)' : ''}`,
                 success: true,
                 filename: filename,
                 filePath: filePath
@@ -167,8 +336,29 @@ class FileOperations {
      */
     async copyFile(sourceFilename, destFilename) {
         try {
-            const sourcePath = path.resolve(this.workingDir, sourceFilename);
-            const destPath = path.resolve(this.workingDir, destFilename);
+            const sourceCheck = this.resolvePath(sourceFilename);
+            const destCheck = this.resolvePath(destFilename);
+            if (!sourceCheck.safe || !destCheck.safe) {
+                return this.blockedResult("Copy File", (sourceCheck.safe ? destCheck : sourceCheck).reason, {
+                    sourceFilename: sourceFilename,
+                    destFilename: destFilename
+                });
+            }
+            const sourcePath = sourceCheck.resolvedPath;
+            let destPath = destCheck.resolvedPath;
+            
+            // Copying into an existing directory keeps the original filename
+            const destStats = await fs.stat(destPath).catch(() => null);
+            if (destStats && destStats.isDirectory()) {
+                const intoCheck = this.resolvePath(path.join(destFilename, path.basename(sourceFilename)));
+                if (!intoCheck.safe) {
+                    return this.blockedResult("Copy File", intoCheck.reason, {
+                        sourceFilename: sourceFilename,
+                        destFilename: destFilename
+                    });
+                }
+                destPath = intoCheck.resolvedPath;
+            }
             
             // Check if source file exists
             try {
@@ -185,18 +375,10 @@ class FileOperations {
                 };
             }
 
-            // Check if source is a file
+            // Directories are copied with everything in them
             const sourceStats = await fs.stat(sourcePath);
             if (sourceStats.isDirectory()) {
-                return {
-                    action: "Copy File",
-                    result: `'${sourceFilename}' is a directory, not a file ❌`,
-                    success: false,
-                    sourceFilename: sourceFilename,
-                    destFilename: destFilename,
-                    sourcePath: sourcePath,
-                    destPath: destPath
-                };
+                return this.copyDirectory(sourceFilename, destFilename);
             }
 
             // Check if destination already exists
@@ -215,8 +397,25 @@ class FileOperations {
                 // Destination doesn't exist, proceed with copy
             }
 
+            // Make sure the copy fits in the workspace quota
+            const quota = await this.checkQuota(sourceStats.size);
+            if (!quota.allowed) {
+                return this.blockedResult("Copy File", quota.reason, {
+                    sourceFilename: sourceFilename,
+                    destFilename: destFilename,
+                    sourcePath: sourcePath,
+                    destPath: destPath
+                });
+            }
+
             // Copy the file
             await fs.copyFile(sourcePath, destPath);
+            await this.recordChange({
+                operation: 'copyFile',
+                source: sourcePath,
+                destination: destPath,
+                description: `copy ${sourceFilename} to ${destFilename}`
+            });
             
             return {
                 action: "Copy File",
@@ -243,11 +442,20 @@ class FileOperations {
      * Move a file
      * @param {string} sourceFilename - Source file name
      * @param {string} destPath - Destination path (can be filename or directory)
+     * @param {Object} options - Move options
+     * @param {boolean} options.overwrite - Replace an existing destination file (confirmed by the user)
      * @returns {Object} - Result object with action, result, and success status
      */
-    async moveFile(sourceFilename, destPath) {
+    async moveFile(sourceFilename, destPath, options = {}) {
         try {
-            const sourceFilePath = path.resolve(this.workingDir, sourceFilename);
+            const sourceCheck = this.resolvePath(sourceFilename);
+            if (!sourceCheck.safe) {
+                return this.blockedResult("Move File", sourceCheck.reason, {
+                    sourceFilename: sourceFilename,
+                    destPath: destPath
+                });
+            }
+            const sourceFilePath = sourceCheck.resolvedPath;
             let destFilePath;
             
             // Check if source file exists
@@ -264,31 +472,39 @@ class FileOperations {
                 };
             }
 
-            // Check if source is a file
+            // Directories are moved with everything in them
             const sourceStats = await fs.stat(sourceFilePath);
             if (sourceStats.isDirectory()) {
-                return {
-                    action: "Move File",
-                    result: `'${sourceFilename}' is a directory, not a file ❌`,
-                    success: false,
+                return this.moveDirectory(sourceFilename, destPath);
+            }
+
+            // Determine destination path; it is checked before anything looks at it
+            const targetCheck = this.resolvePath(destPath);
+            if (!targetCheck.safe) {
+                return this.blockedResult("Move File", targetCheck.reason, {
                     sourceFilename: sourceFilename,
                     destPath: destPath,
                     sourceFilePath: sourceFilePath
-                };
+                });
             }
-
-            // Determine destination path
-            if (destPath.endsWith('/') || destPath.endsWith('\\')) {
+            const destStats = await fs.stat(targetCheck.resolvedPath).catch(() => null);
+            const destCheck = (destPath.endsWith('/') || destPath.endsWith('\\') || (destStats && destStats.isDirectory()))
                 // Destination is a directory, keep original filename
-                destFilePath = path.resolve(this.workingDir, destPath, sourceFilename);
-            } else {
+                ? this.resolvePath(path.join(destPath, path.basename(sourceFilename)))
                 // Destination is a filename
-                destFilePath = path.resolve(this.workingDir, destPath);
+                : targetCheck;
+            if (!destCheck.safe) {
+                return this.blockedResult("Move File", destCheck.reason, {
+                    sourceFilename: sourceFilename,
+                    destPath: destPath,
+                    sourceFilePath: sourceFilePath
+                });
             }
+            destFilePath = destCheck.resolvedPath;
 
-            // Check if destination already exists
-            try {
-                await fs.access(destFilePath);
+            // Check if destination already exists (only files may be replaced, and only when asked to)
+            const existing = await fs.stat(destFilePath).catch(() => null);
+            if (existing && (!options.overwrite || existing.isDirectory())) {
                 return {
                     action: "Move File",
                     result: `Destination '${destPath}' already exists ❌`,
@@ -298,8 +514,16 @@ class FileOperations {
                     sourceFilePath: sourceFilePath,
                     destFilePath: destFilePath
                 };
-            } catch (error) {
-                // Destination doesn't exist, proceed with move
+            }
+            
+            // The replaced file goes to the trash when changes are journaled, so undo can bring it back
+            let replacedTrashId = null;
+            if (existing) {
+                if (this.journal) {
+                    replacedTrashId = await this.journal.moveToTrash(destFilePath);
+                } else {
+                    await fs.unlink(destFilePath);
+                }
             }
 
             // Ensure destination directory exists
@@ -312,10 +536,17 @@ class FileOperations {
 
             // Move the file
             await fs.rename(sourceFilePath, destFilePath);
+            await this.recordChange({
+                operation: 'moveFile',
+                source: sourceFilePath,
+                destination: destFilePath,
+                replacedTrashId,
+                description: `move ${sourceFilename} to ${destPath}`
+            });
             
             return {
                 action: "Move File",
-                result: `File '${sourceFilename}' moved to '${destPath}' successfully ✅`,
+                result: `File '${sourceFilename}' moved to '${destPath}'${existing ? ', replacing the existing file' : ''} successfully ✅`,
                 success: true,
                 sourceFilename: sourceFilename,
                 destPath: destPath,
@@ -341,7 +572,11 @@ class FileOperations {
      */
     async listFiles(dir = ".") {
         try {
-            const targetDir = dir === "." ? this.workingDir : path.resolve(this.workingDir, dir);
+            const pathCheck = this.resolvePath(dir);
+            if (!pathCheck.safe) {
+                return this.blockedResult("List Files", pathCheck.reason, { directory: dir });
+            }
+            const targetDir = pathCheck.resolvedPath;
             
             // Check if directory exists
             try {
@@ -363,13 +598,15 @@ class FileOperations {
             const fileList = await Promise.all(
                 files.map(async (file) => {
                     const filePath = path.join(targetDir, file.name);
-                    const stats = await fs.stat(filePath);
+                    // A broken symbolic link has nothing to stat but itself
+                    const stats = await fs.stat(filePath).catch(() => fs.lstat(filePath));
                     
                     return {
                         name: file.name,
                         type: file.isDirectory() ? 'directory' : 'file',
                         size: stats.size,
-                        modified: stats.mtime.toISOString().split('T')[0]
+                        modified: stats.mtime.toISOString().split('T')[0],
+                        modifiedAt: stats.mtime.toISOString()
                     };
                 })
             );
@@ -409,6 +646,1676 @@ class FileOperations {
             };
         }
     }
-}
+
+    /**
+     * Read a text file, optionally only a range of lines
+     * Files larger than READ_MAX_BYTES are cut off; ask for a line range to see the rest.
+     * @param {string} filename - File to read
+     * @param {number|string} startLine - First line to return (1-based, default 1)
+     * @param {number|string} endLine - Last line to return (default: end of file)
+     * @returns {Object} - Result object with action, result, success status and content
+     */
+    async readFile(filename, startLine, endLine) {
+        try {
+            const pathCheck = this.resolvePath(filename);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Read File", pathCheck.reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
+            
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (!stats) {
+                return { action: "Read File", result: `File '${filename}' not found ❌`, success: false, filename: filename };
+            }
+            if (stats.isDirectory()) {
+                return { action: "Read File", result: `'${filename}' is a directory, not a file ❌`, success: false, filename: filename };
+            }
+            // "What's in backup.zip" lists the archive rather than refusing a binary file
+            if (archives.archiveFormat(filename) && startLine === undefined && endLine === undefined) {
+                return await this.listArchive(filename);
+            }
+            
+            const start = Math.max(parseInt(startLine, 10) || 1, 1);
+            const end = endLine !== undefined && endLine !== null ? parseInt(endLine, 10) : Infinity;
+            if (Number.isNaN(end) || end < start) {
+                return {
+                    action: "Read File",
+                    result: `Invalid line range ${start}-${endLine} ❌`,
+                    success: false,
+                    filename: filename
+                };
+            }
+            
+            if (await isBinaryFile(filePath)) {
+                return {
+                    action: "Read File",
+                    result: `'${filename}' looks like a binary file and cannot be shown as text ❌`,
+                    success: false,
+                    filename: filename,
+                    size: stats.size
+                };
+            }
+            
+            // Read line by line so a small range of a large file does not load all of it
+            const lines = [];
+            let lineNumber = 0;
+            let bytes = 0;
+            let truncated = false;
+            const handle = await fs.open(filePath);
+            try {
+                for await (const line of handle.readLines({ encoding: 'utf8' })) {
+                    lineNumber++;
+                    if (lineNumber < start) continue;
+                    if (lineNumber > end) break;
+                    bytes += Buffer.byteLength(line) + 1;
+                    if (bytes > READ_MAX_BYTES) {
+                        truncated = true;
+                        break;
+                    }
+                    lines.push(line);
+                }
+            } finally {
+                await handle.close();
+            }
+            
+            if (lines.length === 0 && !truncated && (start > 1 || stats.size > 0)) {
+                return {
+                    action: "Read File",
+                    result: `'${filename}' has only ${lineNumber} line${lineNumber === 1 ? '' : 's'} ❌`,
+                    success: false,
+                    filename: filename,
+                    totalLines: lineNumber
+                };
+            }
+            
+            const lastLine = start + lines.length - 1;
+            const range = start > 1 || end !== Infinity ? ` (lines ${start}-${lastLine})` : '';
+            const note = truncated ? `\n… cut off after ${formatBytes(READ_MAX_BYTES)}; ask for lines ${lastLine + 1} onwards to see more` : '';
+            
+            return {
+                action: "Read File",
+                result: lines.length > 0 ? `📄 ${filename}${range}:\n${lines.join('\n')}${note}` : `📄 ${filename} is empty`,
+                success: true,
+                filename: filename,
+                filePath: filePath,
+                content: lines.join('\n'),
+                startLine: start,
+                endLine: lastLine,
+                truncated: truncated,
+                size: stats.size
+            };
+        } catch (error) {
+            return {
+                action: "Read File",
+                result: `Error reading file '${filename}': ${error.message} ❌`,
+                success: false,
+                filename: filename,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Write text to a file, creating it if needed
+     * An existing file with content is only replaced with options.overwrite (confirmed by the user);
+     * when changes are journaled the old version goes to the trash.
+     * @param {string} filename - File to write
+     * @param {string} content - Text to write (surrounding quotes are removed)
+     * @param {Object} options - Write options
+     * @param {boolean} options.overwrite - Replace the content of an existing file
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async writeFile(filename, content, options = {}) {
+        try {
+            const pathCheck = this.resolvePath(filename);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Write File", pathCheck.reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
+            const text = withTrailingNewline(unquote(content));
+            const size = Buffer.byteLength(text);
+            
+            if (size > WRITE_MAX_BYTES) {
+                return this.blockedResult("Write File", `Text is too large (${formatBytes(size)}, limit ${formatBytes(WRITE_MAX_BYTES)})`, { filename: filename });
+            }
+            
+            const existing = await fs.stat(filePath).catch(() => null);
+            if (existing && existing.isDirectory()) {
+                return { action: "Write File", result: `'${filename}' is a directory, not a file ❌`, success: false, filename: filename };
+            }
+            if (existing && existing.size > 0 && !options.overwrite) {
+                return {
+                    action: "Write File",
+                    result: `File '${filename}' already has content; add to it instead or confirm replacing it ❌`,
+                    success: false,
+                    filename: filename,
+                    filePath: filePath
+                };
+            }
+            
+            const quota = await this.checkQuota(size - (existing ? existing.size : 0));
+            if (!quota.allowed) {
+                return this.blockedResult("Write File", quota.reason, { filename: filename, filePath: filePath });
+            }
+            
+            // The previous version goes to the trash when changes are journaled, so undo can bring it back
+            let replacedTrashId = null;
+            if (existing && this.journal) {
+                replacedTrashId = await this.journal.moveToTrash(filePath);
+            }
+            
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, text, 'utf8');
+            await this.recordChange({ operation: 'writeFile', path: filePath, replacedTrashId, description: `write to ${filename}` });
+            
+            return {
+                action: "Write File",
+                result: `Wrote ${formatBytes(size)} to '${filename}'${existing && existing.size > 0 ? ', replacing its content' : ''} ✅`,
+                success: true,
+                filename: filename,
+                filePath: filePath,
+                size: size
+            };
+        } catch (error) {
+            return {
+                action: "Write File",
+                result: `Error writing file '${filename}': ${error.message} ❌`,
+                success: false,
+                filename: filename,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Append a line of text to a file, creating it if needed
+     * @param {string} filename - File to append to
+     * @param {string} text - Text to add (surrounding quotes are removed)
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async appendText(filename, text) {
+        try {
+            const pathCheck = this.resolvePath(filename);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Append Text", pathCheck.reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
+            
+            const existing = await fs.stat(filePath).catch(() => null);
+            if (existing && existing.isDirectory()) {
+                return { action: "Append Text", result: `'${filename}' is a directory, not a file ❌`, success: false, filename: filename };
+            }
+            
+            // Start on a new line if the file does not end with one
+            let appended = withTrailingNewline(unquote(text));
+            if (existing && existing.size > 0) {
+                const handle = await fs.open(filePath);
+                const lastByte = Buffer.alloc(1);
+                await handle.read(lastByte, 0, 1, existing.size - 1);
+                await handle.close();
+                if (lastByte[0] !== 0x0a) {
+                    appended = `\n${appended}`;
+                }
+            }
+            
+            const size = Buffer.byteLength(appended);
+            if (size > WRITE_MAX_BYTES) {
+                return this.blockedResult("Append Text", `Text is too large (${formatBytes(size)}, limit ${formatBytes(WRITE_MAX_BYTES)})`, { filename: filename });
+            }
+            const quota = await this.checkQuota(size);
+            if (!quota.allowed) {
+                return this.blockedResult("Append Text", quota.reason, { filename: filename, filePath: filePath });
+            }
+            
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, appended, 'utf8');
+            await this.recordChange({
+                operation: 'appendText',
+                path: filePath,
+                previousSize: existing ? existing.size : null,
+                appended,
+                description: `add text to ${filename}`
+            });
+            
+            return {
+                action: "Append Text",
+                result: `Added "${unquote(text).trim()}" to '${filename}'${existing ? '' : ' (new file)'} ✅`,
+                success: true,
+                filename: filename,
+                filePath: filePath,
+                size: (existing ? existing.size : 0) + size
+            };
+        } catch (error) {
+            return {
+                action: "Append Text",
+                result: `Error adding text to '${filename}': ${error.message} ❌`,
+                success: false,
+                filename: filename,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Rename a file or directory in place
+     * @param {string} target - File or directory to rename
+     * @param {string} newName - New name (a plain name; use moveFile to move elsewhere)
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async rename(target, newName) {
+        try {
+            if (!newName || newName !== path.basename(newName) || newName === '.' || newName === '..') {
+                return {
+                    action: "Rename",
+                    result: `'${newName}' is not a plain name; use "move" to put '${target}' somewhere else ❌`,
+                    success: false,
+                    target: target,
+                    newName: newName
+                };
+            }
+            
+            const sourceCheck = this.resolvePath(target);
+            const destCheck = this.resolvePath(path.join(path.dirname(target), newName));
+            if (!sourceCheck.safe || !destCheck.safe) {
+                return this.blockedResult("Rename", (sourceCheck.safe ? destCheck : sourceCheck).reason, { target: target, newName: newName });
+            }
+            const sourcePath = sourceCheck.resolvedPath;
+            const destPath = destCheck.resolvedPath;
+            
+            const stats = await fs.lstat(sourcePath).catch(() => null);
+            if (!stats) {
+                return { action: "Rename", result: `'${target}' not found ❌`, success: false, target: target, newName: newName };
+            }
+            if (sourcePath === this.workingDir) {
+                return this.blockedResult("Rename", 'The workspace itself cannot be renamed', { target: target, newName: newName });
+            }
+            if (await fs.lstat(destPath).catch(() => null)) {
+                return { action: "Rename", result: `'${newName}' already exists ❌`, success: false, target: target, newName: newName };
+            }
+            
+            await fs.rename(sourcePath, destPath);
+            await this.recordChange({
+                operation: 'moveFile',
+                source: sourcePath,
+                destination: destPath,
+                description: `rename ${target} to ${newName}`
+            });
+            
+            return {
+                action: "Rename",
+                result: `${stats.isDirectory() ? 'Folder' : 'File'} '${target}' renamed to '${newName}' ✅`,
+                success: true,
+                target: target,
+                newName: newName,
+                sourcePath: sourcePath,
+                destPath: destPath
+            };
+        } catch (error) {
+            return {
+                action: "Rename",
+                result: `Error renaming '${target}' to '${newName}': ${error.message} ❌`,
+                success: false,
+                target: target,
+                newName: newName,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Show a directory and its contents recursively as a tree
+     * Symbolic links are shown but not followed.
+     * @param {string} dir - Directory to show (defaults to working directory)
+     * @param {number|string} depth - Levels to descend (default 3, at most 6)
+     * @returns {Object} - Result object with action, result, success status and the nested tree
+     */
+    async tree(dir = ".", depth) {
+        try {
+            const pathCheck = this.resolvePath(dir);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Tree", pathCheck.reason, { directory: dir });
+            }
+            const rootPath = pathCheck.resolvedPath;
+            
+            const stats = await fs.stat(rootPath).catch(() => null);
+            if (!stats || !stats.isDirectory()) {
+                return {
+                    action: "Tree",
+                    result: stats ? `'${dir}' is a file, not a directory ❌` : `Directory '${dir}' not found ❌`,
+                    success: false,
+                    directory: dir
+                };
+            }
+            
+            const maxDepth = Math.min(Math.max(parseInt(depth, 10) || TREE_DEFAULT_DEPTH, 1), TREE_MAX_DEPTH);
+            const counts = { files: 0, directories: 0, shown: 0, truncated: false };
+            const lines = [];
+            
+            const walk = async (dirPath, level, prefix) => {
+                const entries = (await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []))
+                    .sort((a, b) => (a.isDirectory() === b.isDirectory() ? a.name.localeCompare(b.name) : (a.isDirectory() ? -1 : 1)));
+                const children = [];
+                
+                for (const [index, entry] of entries.entries()) {
+                    if (counts.shown >= TREE_MAX_ENTRIES) {
+                        counts.truncated = true;
+                        break;
+                    }
+                    counts.shown++;
+                    
+                    const last = index === entries.length - 1;
+                    const isDirectory = entry.isDirectory();
+                    const node = { name: entry.name, type: isDirectory ? 'directory' : (entry.isSymbolicLink() ? 'symlink' : 'file') };
+                    lines.push(`${prefix}${last ? '└── ' : '├── '}${entry.name}${isDirectory ? '/' : ''}`);
+                    
+                    if (isDirectory) {
+                        counts.directories++;
+                        if (level < maxDepth) {
+                            node.children = await walk(path.join(dirPath, entry.name), level + 1, `${prefix}${last ? '    ' : '│   '}`);
+                        }
+                    } else {
+                        counts.files++;
+                    }
+                    children.push(node);
+                }
+                return children;
+            };
+            
+            const children = await walk(rootPath, 1, '');
+            const summary = `${counts.directories} director${counts.directories === 1 ? 'y' : 'ies'}, ${counts.files} file${counts.files === 1 ? '' : 's'}`;
+            const note = counts.truncated ? `\n… stopped after ${TREE_MAX_ENTRIES} entries` : '';
+            
+            return {
+                action: "Tree",
+                result: `${dir === '.' ? '.' : dir}/\n${lines.join('\n')}${lines.length ? '\n' : ''}\n${summary} (${maxDepth} level${maxDepth === 1 ? '' : 's'} deep)${note}`,
+                success: true,
+                directory: dir,
+                depth: maxDepth,
+                tree: { name: dir, type: 'directory', children },
+                totalFiles: counts.files,
+                totalDirectories: counts.directories,
+                truncated: counts.truncated
+            };
+        } catch (error) {
+            return {
+                action: "Tree",
+                result: `Error showing tree of '${dir}': ${error.message} ❌`,
+                success: false,
+                directory: dir,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Show details about a file or directory
+     * @param {string} target - File or directory
+     * @returns {Object} - Result object with action, result, success status and the details
+     */
+    async stat(target) {
+        try {
+            const pathCheck = this.resolvePath(target);
+            if (!pathCheck.safe) {
+                return this.blockedResult("File Info", pathCheck.reason, { target: target });
+            }
+            const targetPath = pathCheck.resolvedPath;
+            
+            const stats = await fs.lstat(targetPath).catch(() => null);
+            if (!stats) {
+                return { action: "File Info", result: `'${target}' not found ❌`, success: false, target: target };
+            }
+            
+            const type = stats.isDirectory() ? 'directory' : (stats.isSymbolicLink() ? 'symlink' : 'file');
+            const details = {
+                name: path.basename(targetPath),
+                path: path.relative(this.workingDir, targetPath) || '.',
+                type,
+                size: stats.size,
+                mode: (stats.mode & 0o777).toString(8).padStart(3, '0'),
+                modified: stats.mtime.toISOString(),
+                created: stats.birthtime.toISOString(),
+                accessed: stats.atime.toISOString()
+            };
+            if (type === 'directory') {
+                details.entries = (await fs.readdir(targetPath)).length;
+            }
+            if (type === 'symlink') {
+                details.linkTarget = await fs.readlink(targetPath);
+            }
+            
+            const lines = [
+                `${type === 'directory' ? '📁' : '📄'} ${details.path} (${type})`,
+                type === 'directory' ? `Entries: ${details.entries}` : `Size: ${formatBytes(details.size)} (${details.size} bytes)`,
+                `Permissions: ${details.mode}`,
+                `Modified: ${stats.mtime.toLocaleString()}`,
+                `Created: ${stats.birthtime.toLocaleString()}`
+            ];
+            if (details.linkTarget) {
+                lines.push(`Points to: ${details.linkTarget}`);
+            }
+            
+            return {
+                action: "File Info",
+                result: lines.join('\n'),
+                success: true,
+                target: target,
+                stat: details
+            };
+        } catch (error) {
+            return {
+                action: "File Info",
+                result: `Error reading details of '${target}': ${error.message} ❌`,
+                success: false,
+                target: target,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Find files by name with a glob pattern (*, ?, **, [abc], {a,b})
+     * A pattern without a slash matches file names at any depth; one without wildcards
+     * matches names that contain it.
+     * @param {string} pattern - Glob pattern, e.g. "*.txt" or "reports/**\/*.csv"
+     * @param {string} dir - Directory to search (defaults to working directory)
+     * @returns {Object} - Result object with action, result, success status and the matches
+     */
+    async findFiles(pattern, dir = ".") {
+        try {
+            const pathCheck = this.resolvePath(dir);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Find Files", pathCheck.reason, { pattern: pattern, directory: dir });
+            }
+            const rootPath = pathCheck.resolvedPath;
+            
+            const glob = unquote(String(pattern || '')).trim();
+            if (!glob) {
+                return { action: "Find Files", result: 'Say what to look for, e.g. "find files named *.txt" ❌', success: false, pattern: pattern };
+            }
+            const matchPath = glob.includes('/');
+            const regex = globToRegExp(/[*?[{]/.test(glob) ? glob : `*${glob}*`);
+            
+            const matches = [];
+            let truncated = false;
+            for await (const entry of walkFiles(rootPath)) {
+                const relative = path.relative(rootPath, entry.path).split(path.sep).join('/');
+                if (regex.test(matchPath ? relative : path.basename(relative))) {
+                    if (matches.length >= SEARCH_MAX_RESULTS) {
+                        truncated = true;
+                        break;
+                    }
+                    matches.push({ path: path.join(dir === '.' ? '' : dir, relative) || '.', type: entry.type, size: entry.size });
+                }
+            }
+            
+            if (matches.length === 0) {
+                return {
+                    action: "Find Files",
+                    result: `No files matching '${glob}' in '${dir}'`,
+                    success: true,
+                    pattern: glob,
+                    directory: dir,
+                    matches: []
+                };
+            }
+            
+            const list = matches.map(match => `${match.type === 'directory' ? '📁' : '📄'} ${match.path}`).join('\n');
+            return {
+                action: "Find Files",
+                result: `Found ${matches.length}${truncated ? '+' : ''} match${matches.length === 1 ? '' : 'es'} for '${glob}':\n${list}${truncated ? `\n… showing the first ${SEARCH_MAX_RESULTS}` : ''}`,
+                success: true,
+                pattern: glob,
+                directory: dir,
+                matches: matches,
+                truncated: truncated
+            };
+        } catch (error) {
+            return {
+                action: "Find Files",
+                result: `Error finding files matching '${pattern}': ${error.message} ❌`,
+                success: false,
+                pattern: pattern,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Search file contents for text (case-insensitive)
+     * Binary files and files larger than GREP_MAX_FILE_BYTES are skipped.
+     * @param {string} text - Text to look for (surrounding quotes are removed)
+     * @param {string} target - File or directory to search (defaults to working directory)
+     * @returns {Object} - Result object with action, result, success status and the matching lines
+     */
+    async grep(text, target = ".") {
+        try {
+            const pathCheck = this.resolvePath(target);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Search Text", pathCheck.reason, { text: text, target: target });
+            }
+            const targetPath = pathCheck.resolvedPath;
+            
+            const needle = unquote(String(text || '')).trim();
+            if (!needle) {
+                return { action: "Search Text", result: 'Say what text to search for ❌', success: false, text: text };
+            }
+            
+            const stats = await fs.stat(targetPath).catch(() => null);
+            if (!stats) {
+                return { action: "Search Text", result: `'${target}' not found ❌`, success: false, text: needle, target: target };
+            }
+            
+            const files = [];
+            if (stats.isDirectory()) {
+                for await (const entry of walkFiles(targetPath)) {
+                    if (entry.type === 'file') files.push(entry);
+                }
+            } else {
+                files.push({ path: targetPath, type: 'file', size: stats.size });
+            }
+            
+            const lowerNeedle = needle.toLowerCase();
+            const matches = [];
+            let skipped = 0;
+            let truncated = false;
+            
+            for (const file of files) {
+                if (file.size > GREP_MAX_FILE_BYTES || await isBinaryFile(file.path)) {
+                    skipped++;
+                    continue;
+                }
+                const content = await fs.readFile(file.path, 'utf8').catch(() => null);
+                if (content === null) continue;
+                
+                const relative = path.relative(this.workingDir, file.path);
+                for (const [index, line] of content.split('\n').entries()) {
+                    if (!line.toLowerCase().includes(lowerNeedle)) continue;
+                    if (matches.length >= GREP_MAX_MATCHES) {
+                        truncated = true;
+                        break;
+                    }
+                    matches.push({ file: relative, line: index + 1, text: line.trim().slice(0, 200) });
+                }
+                if (truncated) break;
+            }
+            
+            const fileCount = new Set(matches.map(match => match.file)).size;
+            const skippedNote = skipped > 0 ? ` (${skipped} binary or large file${skipped === 1 ? '' : 's'} skipped)` : '';
+            if (matches.length === 0) {
+                return {
+                    action: "Search Text",
+                    result: `'${needle}' was not found in '${target}'${skippedNote}`,
+                    success: true,
+                    text: needle,
+                    target: target,
+                    matches: []
+                };
+            }
+            
+            const list = matches.map(match => `${match.file}:${match.line}: ${match.text}`).join('\n');
+            return {
+                action: "Search Text",
+                result: `Found '${needle}' ${matches.length}${truncated ? '+' : ''} time${matches.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}${skippedNote}:\n${list}${truncated ? `\n… showing the first ${GREP_MAX_MATCHES}` : ''}`,
+                success: true,
+                text: needle,
+                target: target,
+                matches: matches,
+                truncated: truncated
+            };
+        } catch (error) {
+            return {
+                action: "Search Text",
+                result: `Error searching for '${text}' in '${target}': ${error.message} ❌`,
+                success: false,
+                text: text,
+                target: target,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Check whether an uploaded file name is acceptable
+     * @param {string} name - Name the file was uploaded with
+     * @returns {Object} - { allowed, reason }
+     */
+    checkUploadName(name) {
+        if (!name || name !== path.basename(name) || name === '.' || name === '..' || name.includes('\0')) {
+            return { allowed: false, reason: `'${name}' is not a valid file name` };
+        }
+        const extension = path.extname(name).slice(1).toLowerCase();
+        if (UPLOAD_LIMITS.blockedExtensions.includes(extension)) {
+            return { allowed: false, reason: `.${extension} files cannot be uploaded` };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Move an uploaded file from the temporary upload area into the workspace
+     * The upload is journaled, so "undo that" removes it again (and brings back a file it replaced).
+     * @param {string} tempPath - Where the upload was stored
+     * @param {string} dir - Target directory relative to the working directory
+     * @param {string} name - File name to save it as
+     * @param {Object} options - Upload options
+     * @param {boolean} options.overwrite - Replace an existing file with the same name
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async importFile(tempPath, dir, name, options = {}) {
+        const filename = path.join(dir, name);
+        try {
+            const nameCheck = this.checkUploadName(name);
+            if (!nameCheck.allowed) {
+                return this.blockedResult("Upload File", nameCheck.reason, { filename: name });
+            }
+            const dirCheck = this.resolvePath(dir);
+            const pathCheck = this.resolvePath(filename);
+            if (!dirCheck.safe || !pathCheck.safe) {
+                return this.blockedResult("Upload File", (dirCheck.safe ? pathCheck : dirCheck).reason, { filename: filename });
+            }
+            const filePath = pathCheck.resolvedPath;
+            
+            const dirStats = await fs.stat(dirCheck.resolvedPath).catch(() => null);
+            if (!dirStats || !dirStats.isDirectory()) {
+                return {
+                    action: "Upload File",
+                    result: `Folder '${dir}' not found ❌`,
+                    success: false,
+                    filename: filename
+                };
+            }
+            
+            const { size } = await fs.stat(tempPath);
+            const quota = await this.checkQuota(size);
+            if (!quota.allowed) {
+                return this.blockedResult("Upload File", quota.reason, { filename: filename });
+            }
+            
+            const existing = await fs.lstat(filePath).catch(() => null);
+            if (existing && (!options.overwrite || existing.isDirectory())) {
+                return {
+                    action: "Upload File",
+                    result: existing.isDirectory()
+                        ? `'${filename}' is a directory ❌`
+                        : `File '${filename}' already exists ❌`,
+                    success: false,
+                    exists: true,
+                    filename: filename,
+                    filePath: filePath
+                };
+            }
+            
+            // The replaced file goes to the trash so the upload can be undone
+            let replacedTrashId = null;
+            if (existing && this.journal) {
+                replacedTrashId = await this.journal.moveToTrash(filePath);
+            }
+            
+            try {
+                await fs.rename(tempPath, filePath);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                await fs.copyFile(tempPath, filePath);
+                await fs.unlink(tempPath);
+            }
+            
+            await this.recordChange({
+                operation: replacedTrashId ? 'writeFile' : 'createFile',
+                path: filePath,
+                replacedTrashId,
+                description: `upload ${filename}`
+            });
+            
+            return {
+                action: "Upload File",
+                result: `File '${filename}' uploaded (${formatBytes(size)}) ✅`,
+                success: true,
+                replaced: Boolean(existing),
+                filename: filename,
+                filePath: filePath,
+                size: size
+            };
+        } catch (error) {
+            return {
+                action: "Upload File",
+                result: `Error uploading '${filename}': ${error.message} ❌`,
+                success: false,
+                filename: filename,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Count the entries and bytes in a folder, stopping once the recursive limits are exceeded
+     * @param {string} target - Path relative to the working directory
+     * @returns {Promise<Object>} - { path, safe, reason, exists, type, items, bytes, symlinks,
+     *                              overLimit, needsConfirmation, summary }
+     */
+    async describeTree(target) {
+        const pathCheck = this.resolvePath(target);
+        if (!pathCheck.safe) {
+            return { path: target, safe: false, reason: pathCheck.reason, exists: null, type: null };
+        }
+
+        const stats = await fs.stat(pathCheck.resolvedPath).catch(() => null);
+        if (!stats || !stats.isDirectory()) {
+            return { path: target, safe: true, exists: Boolean(stats), type: stats ? 'file' : null };
+        }
+
+        const measured = await measureTree(pathCheck.resolvedPath);
+        return {
+            path: target,
+            safe: true,
+            exists: true,
+            type: 'directory',
+            ...measured,
+            summary: describeCount(measured),
+            needsConfirmation: measured.items >= RECURSIVE_LIMITS.confirmItems || measured.bytes >= RECURSIVE_LIMITS.confirmBytes
+        };
+    }
+
+    /**
+     * Check a folder against the recursive limits before working on it
+     * @param {string} action - Action name for the result
+     * @param {string} dirPath - Absolute folder path
+     * @param {string} label - Folder as the user named it
+     * @returns {Promise<Object>} - { tree } or { refused: result object }
+     */
+    async checkTreeLimits(action, dirPath, label) {
+        const tree = await measureTree(dirPath);
+        if (tree.overLimit) {
+            return {
+                refused: this.blockedResult(action,
+                    `'${label}' is too large to handle at once (more than ${RECURSIVE_LIMITS.maxItems} items or ${formatBytes(RECURSIVE_LIMITS.maxBytes)})`,
+                    { items: tree.items, bytes: tree.bytes })
+            };
+        }
+        return { tree };
+    }
+
+    /**
+     * Delete a directory and everything in it
+     * With a journal the whole folder goes to the trash (one undoable step).
+     * @param {string} dirname - Directory to delete
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async deleteDirectory(dirname) {
+        try {
+            const pathCheck = this.resolvePath(dirname);
+            if (!pathCheck.safe) {
+                return this.blockedResult("Delete Directory", pathCheck.reason, { dirname: dirname });
+            }
+            const dirPath = pathCheck.resolvedPath;
+            if (dirPath === this.workingDir) {
+                return this.blockedResult("Delete Directory", 'The workspace itself cannot be deleted', { dirname: dirname });
+            }
+            
+            const stats = await fs.lstat(dirPath).catch(() => null);
+            if (!stats || !stats.isDirectory()) {
+                return {
+                    action: "Delete Directory",
+                    result: stats ? `'${dirname}' is a file, not a directory ❌` : `Directory '${dirname}' not found ❌`,
+                    success: false,
+                    dirname: dirname
+                };
+            }
+            
+            const { tree, refused } = await this.checkTreeLimits("Delete Directory", dirPath, dirname);
+            if (refused) return refused;
+            
+            if (this.journal) {
+                const trashId = await this.journal.moveToTrash(dirPath);
+                await this.recordChange({ operation: 'deleteDirectory', path: dirPath, trashId, description: `delete folder ${dirname}` });
+            } else {
+                const progress = this.startProgress('delete', dirname, tree);
+                for await (const entry of walkFiles(dirPath)) {
+                    if (entry.type !== 'directory') {
+                        await fs.unlink(entry.path);
+                        progress.advance(entry.size);
+                    }
+                }
+                await fs.rm(dirPath, { recursive: true, force: true });
+                progress.finish();
+            }
+            
+            return {
+                action: "Delete Directory",
+                result: `Directory '${dirname}' deleted${tree.items > 0 ? ` with ${describeCount(tree)}` : ''} ✅${this.journal ? ' (say "undo that" to restore it)' : ''}`,
+                success: true,
+                dirname: dirname,
+                dirPath: dirPath,
+                items: tree.items,
+                bytes: tree.bytes
+            };
+        } catch (error) {
+            return {
+                action: "Delete Directory",
+                result: `Error deleting directory '${dirname}': ${error.message} ❌`,
+                success: false,
+                dirname: dirname,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Copy a directory and everything in it
+     * Symbolic links are skipped, since they could point outside the workspace.
+     * @param {string} source - Directory to copy
+     * @param {string} destination - New directory, or an existing one to copy into
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async copyDirectory(source, destination) {
+        try {
+            const target = await this.resolveTreeDestination("Copy Directory", source, destination);
+            if (target.result) return target.result;
+            const { sourcePath, destPath } = target;
+            
+            const { tree, refused } = await this.checkTreeLimits("Copy Directory", sourcePath, source);
+            if (refused) return refused;
+            
+            const quota = await this.checkQuota(tree.bytes);
+            if (!quota.allowed) {
+                return this.blockedResult("Copy Directory", quota.reason, { source: source, destination: destination });
+            }
+            
+            const progress = this.startProgress('copy', source, tree);
+            try {
+                await copyTree(sourcePath, destPath, progress);
+            } catch (error) {
+                // Do not leave half a copy behind
+                await fs.rm(destPath, { recursive: true, force: true });
+                throw error;
+            }
+            progress.finish();
+            
+            await this.recordChange({
+                operation: 'copyDirectory',
+                source: sourcePath,
+                destination: destPath,
+                description: `copy folder ${source} to ${destination}`
+            });
+            
+            const skipped = tree.symlinks > 0 ? ` (${tree.symlinks} symbolic link${tree.symlinks === 1 ? '' : 's'} skipped)` : '';
+            return {
+                action: "Copy Directory",
+                result: `Directory '${source}' copied to '${path.relative(this.workingDir, destPath)}' with ${describeCount(tree)}${skipped} ✅`,
+                success: true,
+                source: source,
+                destination: destination,
+                sourcePath: sourcePath,
+                destPath: destPath,
+                items: tree.items,
+                bytes: tree.bytes
+            };
+        } catch (error) {
+            return {
+                action: "Copy Directory",
+                result: `Error copying directory '${source}' to '${destination}': ${error.message} ❌`,
+                success: false,
+                source: source,
+                destination: destination,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Move a directory and everything in it
+     * @param {string} source - Directory to move
+     * @param {string} destination - New location, or an existing directory to move into
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async moveDirectory(source, destination) {
+        try {
+            const target = await this.resolveTreeDestination("Move Directory", source, destination);
+            if (target.result) return target.result;
+            const { sourcePath, destPath } = target;
+            
+            const { tree, refused } = await this.checkTreeLimits("Move Directory", sourcePath, source);
+            if (refused) return refused;
+            
+            try {
+                await fs.rename(sourcePath, destPath);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                // Different filesystem: copy, then remove the original
+                const progress = this.startProgress('move', source, tree);
+                try {
+                    await copyTree(sourcePath, destPath, progress);
+                } catch (copyError) {
+                    await fs.rm(destPath, { recursive: true, force: true });
+                    throw copyError;
+                }
+                await fs.rm(sourcePath, { recursive: true, force: true });
+                progress.finish();
+            }
+            
+            await this.recordChange({
+                operation: 'moveDirectory',
+                source: sourcePath,
+                destination: destPath,
+                description: `move folder ${source} to ${destination}`
+            });
+            
+            return {
+                action: "Move Directory",
+                result: `Directory '${source}' moved to '${path.relative(this.workingDir, destPath)}' with ${describeCount(tree)} ✅`,
+                success: true,
+                source: source,
+                destination: destination,
+                sourcePath: sourcePath,
+                destPath: destPath,
+                items: tree.items,
+                bytes: tree.bytes
+            };
+        } catch (error) {
+            return {
+                action: "Move Directory",
+                result: `Error moving directory '${source}' to '${destination}': ${error.message} ❌`,
+                success: false,
+                source: source,
+                destination: destination,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Resolve and check the source and destination of a directory copy or move
+     * Copying or moving into an existing directory keeps the folder's name.
+     * @param {string} action - Action name for the result
+     * @param {string} source - Directory to copy or move
+     * @param {string} destination - New location or existing directory
+     * @returns {Promise<Object>} - { sourcePath, destPath } or { result } when the operation cannot go ahead
+     */
+    async resolveTreeDestination(action, source, destination) {
+        const sourceCheck = this.resolvePath(source);
+        const destCheck = this.resolvePath(destination);
+        if (!sourceCheck.safe || !destCheck.safe) {
+            return { result: this.blockedResult(action, (sourceCheck.safe ? destCheck : sourceCheck).reason, { source, destination }) };
+        }
+        const sourcePath = sourceCheck.resolvedPath;
+        let destPath = destCheck.resolvedPath;
+        
+        const sourceStats = await fs.lstat(sourcePath).catch(() => null);
+        if (!sourceStats || !sourceStats.isDirectory()) {
+            return {
+                result: {
+                    action,
+                    result: sourceStats ? `'${source}' is a file, not a directory ❌` : `Directory '${source}' not found ❌`,
+                    success: false,
+                    source,
+                    destination
+                }
+            };
+        }
+        if (sourcePath === this.workingDir) {
+            return { result: this.blockedResult(action, 'The workspace itself cannot be copied or moved', { source, destination }) };
+        }
+        
+        const destStats = await fs.stat(destPath).catch(() => null);
+        if (destStats && destStats.isDirectory()) {
+            destPath = path.join(destPath, path.basename(sourcePath));
+        }
+        if (destPath === sourcePath || destPath.startsWith(sourcePath + path.sep)) {
+            return { result: { action, result: `Cannot put '${source}' inside itself ❌`, success: false, source, destination } };
+        }
+        if (await fs.lstat(destPath).catch(() => null)) {
+            return {
+                result: {
+                    action,
+                    result: `Destination '${path.relative(this.workingDir, destPath)}' already exists ❌`,
+                    success: false,
+                    source,
+                    destination
+                }
+            };
+        }
+        if (!(await fs.stat(path.dirname(destPath)).catch(() => null))) {
+            return { result: { action, result: `Folder '${path.dirname(destination)}' not found ❌`, success: false, source, destination } };
+        }
+        
+        return { sourcePath, destPath };
+    }
+
+    /**
+     * Start reporting progress for a recursive operation (only large trees are reported)
+     * @param {string} operation - delete, copy or move
+     * @param {string} target - Folder as the user named it
+     * @param {Object} tree - Result of measureTree
+     * @returns {Object} - { advance(bytes), finish() }
+     */
+    startProgress(operation, target, tree) {
+        const report = this.onProgress && tree.items >= RECURSIVE_LIMITS.progressItems ? this.onProgress : null;
+        const state = {
+            id: `${operation}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            operation,
+            path: target,
+            itemsDone: 0,
+            itemsTotal: tree.items,
+            bytesDone: 0,
+            bytesTotal: tree.bytes,
+            done: false
+        };
+        let lastReport = 0;
+        const send = () => {
+            lastReport = Date.now();
+            try {
+                report({ ...state });
+            } catch (error) {
+                console.error('Failed to report progress:', error.message);
+            }
+        };
+
+        if (report) send();
+        return {
+            advance: (bytes = 0) => {
+                state.itemsDone++;
+                state.bytesDone += bytes;
+                if (report && Date.now() - lastReport >= PROGRESS_INTERVAL_MS) send();
+            },
+            finish: () => {
+                state.itemsDone = state.itemsTotal;
+                state.bytesDone = state.bytesTotal;
+                state.done = true;
+                if (report) send();
+            }
+        };
+    }
+
+    /**
+     * Pack a file or folder into a .zip, .tar or .tar.gz archive
+     * Symbolic links are left out. Without an archive name, "reports" becomes "reports.zip" next to it.
+     * @param {string} source - File or folder to pack
+     * @param {string} archive - Archive to create (".zip" is added when the name has no archive extension)
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async compress(source, archive) {
+        const sourceName = String(source || '').replace(/\/+$/, '') || '.';
+        const archiveName = archiveNameFor(sourceName, archive);
+        try {
+            const sourceCheck = this.resolvePath(sourceName);
+            const archiveCheck = this.resolvePath(archiveName);
+            if (!sourceCheck.safe || !archiveCheck.safe) {
+                return this.blockedResult("Compress", (sourceCheck.safe ? archiveCheck : sourceCheck).reason, { source: source, archive: archiveName });
+            }
+            const sourcePath = sourceCheck.resolvedPath;
+            const archivePath = archiveCheck.resolvedPath;
+            
+            const stats = await fs.lstat(sourcePath).catch(() => null);
+            if (!stats || !(stats.isFile() || stats.isDirectory())) {
+                return { action: "Compress", result: `'${source}' not found ❌`, success: false, source: source, archive: archiveName };
+            }
+            if (archivePath === sourcePath || archivePath.startsWith(sourcePath + path.sep)) {
+                return { action: "Compress", result: `Cannot put the archive inside '${source}' itself ❌`, success: false, source: source, archive: archiveName };
+            }
+            if (await fs.lstat(archivePath).catch(() => null)) {
+                return { action: "Compress", result: `'${archiveName}' already exists ❌`, success: false, source: source, archive: archiveName };
+            }
+            if (!(await fs.stat(path.dirname(archivePath)).catch(() => null))) {
+                return { action: "Compress", result: `Folder '${path.dirname(archiveName)}' not found ❌`, success: false, source: source, archive: archiveName };
+            }
+            
+            let tree = { items: 1, bytes: stats.size, symlinks: 0 };
+            if (stats.isDirectory()) {
+                const limits = await this.checkTreeLimits("Compress", sourcePath, source);
+                if (limits.refused) return limits.refused;
+                tree = limits.tree;
+            }
+            // An archive is at most about as large as what goes into it
+            const quota = await this.checkQuota(tree.bytes);
+            if (!quota.allowed) {
+                return this.blockedResult("Compress", quota.reason, { source: source, archive: archiveName });
+            }
+            
+            const progress = this.startProgress('compress', source, tree);
+            const output = createWriteStream(archivePath, { flags: 'wx' });
+            try {
+                await new Promise((resolve, reject) => output.once('open', resolve).once('error', reject));
+                await archives.writeArchive(archives.archiveFormat(archiveName), sourcePath, output, {
+                    onEntry: (name, size) => progress.advance(size)
+                });
+                await new Promise((resolve, reject) => output.once('error', reject).end(resolve));
+            } catch (error) {
+                // Do not leave half an archive behind
+                output.destroy();
+                await fs.rm(archivePath, { force: true });
+                throw error;
+            }
+            progress.finish();
+            
+            const archiveStats = await fs.stat(archivePath);
+            await this.recordChange({ operation: 'createFile', path: archivePath, description: `compress ${source} into ${archiveName}` });
+            
+            const skipped = tree.symlinks > 0 ? `, ${tree.symlinks} symbolic link${tree.symlinks === 1 ? '' : 's'} skipped` : '';
+            return {
+                action: "Compress",
+                result: `'${source}' compressed into '${path.relative(this.workingDir, archivePath)}' (${formatBytes(tree.bytes)} → ${formatBytes(archiveStats.size)}${skipped}) ✅`,
+                success: true,
+                source: source,
+                archive: archiveName,
+                archivePath: archivePath,
+                items: tree.items,
+                bytes: tree.bytes,
+                archiveBytes: archiveStats.size
+            };
+        } catch (error) {
+            return {
+                action: "Compress",
+                result: `Error compressing '${source}': ${error.message} ❌`,
+                success: false,
+                source: source,
+                archive: archiveName,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * List what is in a .zip, .tar or .tar.gz archive without unpacking it
+     * Entries that extract would refuse or skip are marked.
+     * @param {string} archive - Archive to list
+     * @returns {Object} - Result object with action, result, success status and the entries
+     */
+    async listArchive(archive) {
+        try {
+            const opened = await this.openArchive("List Archive", archive);
+            if (opened.result) return opened.result;
+            
+            const entries = [];
+            const counts = { files: 0, directories: 0, bytes: 0, unsafe: 0, truncated: false };
+            for await (const entry of archives.readArchive(opened.format, opened.archivePath)) {
+                const problem = archiveEntryProblem(entry);
+                if (entry.type === 'directory') counts.directories++;
+                if (entry.type === 'file') counts.files++;
+                if (problem && problem.unsafe) counts.unsafe++;
+                counts.bytes += entry.size;
+                if (entries.length < ARCHIVE_LIST_MAX_ENTRIES) {
+                    entries.push({ name: entry.name, type: entry.type, size: entry.size, problem: problem ? problem.reason : null });
+                } else {
+                    counts.truncated = true;
+                }
+            }
+            
+            const lines = entries.map(entry => {
+                const icon = entry.type === 'directory' ? '📁' : '📄';
+                const size = entry.type === 'file' ? ` (${formatBytes(entry.size)})` : '';
+                return `${icon} ${entry.name}${entry.type === 'directory' ? '/' : ''}${size}${entry.problem ? ` ⚠️ ${entry.problem}` : ''}`;
+            });
+            const summary = `${counts.files} file${counts.files === 1 ? '' : 's'}, ${counts.directories} folder${counts.directories === 1 ? '' : 's'}, ${formatBytes(counts.bytes)} unpacked`;
+            const notes = [
+                counts.truncated ? `… stopped after ${ARCHIVE_LIST_MAX_ENTRIES} entries` : null,
+                counts.unsafe ? `⚠️ ${counts.unsafe} entr${counts.unsafe === 1 ? 'y points' : 'ies point'} outside the folder it would be unpacked into, so it cannot be extracted` : null
+            ].filter(Boolean);
+            
+            return {
+                action: "List Archive",
+                result: `Contents of '${archive}':\n${lines.join('\n')}${lines.length ? '\n' : ''}\n${summary}${notes.map(note => `\n${note}`).join('')}`,
+                success: true,
+                archive: archive,
+                format: opened.format,
+                entries: entries,
+                totalFiles: counts.files,
+                totalDirectories: counts.directories,
+                bytes: counts.bytes,
+                unsafeEntries: counts.unsafe,
+                truncated: counts.truncated
+            };
+        } catch (error) {
+            return {
+                action: "List Archive",
+                result: `Error reading archive '${archive}': ${error.message} ❌`,
+                success: false,
+                archive: archive,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Unpack a .zip, .tar or .tar.gz archive
+     * Every entry is checked before anything is written: the archive is refused as a whole when an
+     * entry would land outside the destination or the workspace (zip-slip) or replace an existing
+     * file. Symbolic links, hard links and special files are skipped.
+     * @param {string} archive - Archive to unpack
+     * @param {string} destination - Folder to unpack into, created if needed (default: the archive's folder)
+     * @returns {Object} - Result object with action, result, and success status
+     */
+    async extract(archive, destination) {
+        const destLabel = destination || path.dirname(String(archive || ''));
+        try {
+            const opened = await this.openArchive("Extract", archive);
+            if (opened.result) return opened.result;
+            
+            const destCheck = this.resolvePath(destLabel);
+            if (!destCheck.safe) {
+                return this.blockedResult("Extract", destCheck.reason, { archive: archive, destination: destLabel });
+            }
+            const destPath = destCheck.resolvedPath;
+            const destStats = await fs.stat(destPath).catch(() => null);
+            if (destStats && !destStats.isDirectory()) {
+                return { action: "Extract", result: `'${destLabel}' is a file, not a directory ❌`, success: false, archive: archive, destination: destLabel };
+            }
+            
+            // First pass: decide where every entry goes before anything is written
+            const targets = [];
+            const unsafe = [];
+            const refused = [];
+            const conflicts = [];
+            const created = new Set();
+            const existing = new Map();
+            const tree = { items: 0, bytes: 0, skipped: 0 };
+            for await (const entry of archives.readArchive(opened.format, opened.archivePath)) {
+                const problem = archiveEntryProblem(entry);
+                const target = problem ? null : this.archiveEntryTarget(entry, destPath);
+                targets.push(target);
+                if (problem && problem.skip) {
+                    tree.skipped++;
+                } else if (problem) {
+                    (problem.unsafe ? unsafe : refused).push(`'${entry.name}' ${problem.reason}`);
+                } else if (!target) {
+                    unsafe.push(`'${entry.name}' would land outside your workspace`);
+                } else {
+                    tree.items++;
+                    tree.bytes += entry.size;
+                    const root = await createdRoot(target, existing);
+                    if (root) {
+                        created.add(root);
+                    } else if (entry.type === 'file' || !(await fs.stat(target)).isDirectory()) {
+                        conflicts.push(path.relative(this.workingDir, target));
+                    }
+                }
+                if (tree.items > RECURSIVE_LIMITS.maxItems || tree.bytes > RECURSIVE_LIMITS.maxBytes) {
+                    return this.blockedResult("Extract",
+                        `'${archive}' is too large to unpack at once (more than ${RECURSIVE_LIMITS.maxItems} items or ${formatBytes(RECURSIVE_LIMITS.maxBytes)})`,
+                        { archive: archive, destination: destLabel });
+                }
+            }
+            
+            const listed = (items) => items.slice(0, ARCHIVE_PROBLEMS_SHOWN).join(', ') +
+                (items.length > ARCHIVE_PROBLEMS_SHOWN ? ` and ${items.length - ARCHIVE_PROBLEMS_SHOWN} more` : '');
+            if (unsafe.length > 0) {
+                return this.blockedResult("Extract",
+                    `'${archive}' has entries that escape the folder it is unpacked into: ${listed(unsafe)}. Nothing was extracted`,
+                    { archive: archive, destination: destLabel, unsafeEntries: unsafe });
+            }
+            if (refused.length > 0 || conflicts.length > 0) {
+                return {
+                    action: "Extract",
+                    result: refused.length > 0
+                        ? `Cannot unpack ${listed(refused)}. Nothing was extracted ❌`
+                        : `Unpacking '${archive}' would replace ${listed(conflicts.map(name => `'${name}'`))}. Nothing was extracted ❌`,
+                    success: false,
+                    archive: archive,
+                    destination: destLabel,
+                    conflicts: conflicts
+                };
+            }
+            const quota = await this.checkQuota(tree.bytes);
+            if (!quota.allowed) {
+                return this.blockedResult("Extract", quota.reason, { archive: archive, destination: destLabel });
+            }
+            
+            // Only the topmost new paths need removing if unpacking fails (or is undone)
+            const roots = [...created].filter(root => ![...created].some(other => root.startsWith(other + path.sep)));
+            const progress = this.startProgress('extract', archive, tree);
+            try {
+                let index = 0;
+                for await (const entry of archives.readArchive(opened.format, opened.archivePath)) {
+                    const target = targets[index++];
+                    if (!target) continue;
+                    if (entry.type === 'directory') {
+                        await fs.mkdir(target, { recursive: true });
+                    } else {
+                        await fs.mkdir(path.dirname(target), { recursive: true });
+                        await pipeline(entry.content(), createWriteStream(target, { flags: 'wx' }));
+                    }
+                    progress.advance(entry.size);
+                }
+                await fs.mkdir(destPath, { recursive: true });
+            } catch (error) {
+                // Do not leave half an archive behind
+                await Promise.all(roots.map(root => fs.rm(root, { recursive: true, force: true })));
+                throw error;
+            }
+            progress.finish();
+            
+            if (roots.length > 0) {
+                await this.recordChange({
+                    operation: 'extractArchive',
+                    path: opened.archivePath,
+                    created: roots,
+                    description: `extract ${archive} into ${destLabel}`
+                });
+            }
+            
+            const skipped = tree.skipped > 0 ? ` (${tree.skipped} link${tree.skipped === 1 ? '' : 's'} or special file${tree.skipped === 1 ? '' : 's'} skipped)` : '';
+            return {
+                action: "Extract",
+                result: `'${archive}' extracted into '${path.relative(this.workingDir, destPath) || '.'}' with ${describeCount(tree)}${skipped} ✅`,
+                success: true,
+                archive: archive,
+                destination: destLabel,
+                destPath: destPath,
+                items: tree.items,
+                bytes: tree.bytes,
+                skipped: tree.skipped
+            };
+        } catch (error) {
+            return {
+                action: "Extract",
+                result: `Error extracting '${archive}': ${error.message} ❌`,
+                success: false,
+                archive: archive,
+                destination: destLabel,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Resolve and check an archive to list or unpack
+     * @param {string} action - Action name for the result
+     * @param {string} archive - Archive path relative to the working directory
+     * @returns {Promise<Object>} - { archivePath, format } or { result } when it cannot be read
+     */
+    async openArchive(action, archive) {
+        const pathCheck = this.resolvePath(archive);
+        if (!pathCheck.safe) {
+            return { result: this.blockedResult(action, pathCheck.reason, { archive }) };
+        }
+        const format = archives.archiveFormat(archive);
+        if (!format) {
+            return { result: { action, result: `'${archive}' is not a .zip, .tar or .tar.gz archive ❌`, success: false, archive } };
+        }
+        const stats = await fs.stat(pathCheck.resolvedPath).catch(() => null);
+        if (!stats || !stats.isFile()) {
+            return { result: { action, result: stats ? `'${archive}' is a directory, not an archive ❌` : `Archive '${archive}' not found ❌`, success: false, archive } };
+        }
+        return { archivePath: pathCheck.resolvedPath, format };
+    }
+
+    /**
+     * Where an archive entry would be unpacked, if that is inside both the destination and the workspace
+     * Existing symbolic links on the way are followed, so a link cannot redirect an entry outside.
+     * @param {Object} entry - Archive entry with a name already checked by archiveEntryProblem
+     * @param {string} destPath - Absolute destination folder
+     * @returns {string|null} - Absolute target path, or null when the entry would escape
+     */
+    archiveEntryTarget(entry, destPath) {
+        const target = path.resolve(destPath, entry.name.replace(/\\/g, '/'));
+        // Archives made with "tar -C dir ." start with a "./" entry for the destination itself
+        const isDestination = target === destPath && entry.type === 'directory';
+        if (!isDestination && !target.startsWith(destPath + path.sep)) {
+            return null;
+        }
+        const pathCheck = this.resolvePath(path.relative(this.workingDir, target));
+        return pathCheck.safe ? pathCheck.resolvedPath : null;
+    }
+
+    /**
+     * Describe a path an operation would touch, without changing anything
+     * @param {string} target - Path relative to the working directory
+     * @param {string} role - What the operation does with it (create, delete, read, ...)
+     * @returns {Promise<Object>} - Path details with safety verdict and whether it exists
+     */
+    async describePath(target, role) {
+        const pathCheck = this.resolvePath(target);
+        if (!pathCheck.safe) {
+            return { role, path: target, safe: false, reason: pathCheck.reason, exists: null, type: null };
+        }
+
+        const stats = await fs.stat(pathCheck.resolvedPath).catch(() => null);
+        return {
+            role,
+            path: target,
+            resolvedPath: pathCheck.resolvedPath,
+            safe: true,
+            exists: Boolean(stats),
+            type: stats ? (stats.isDirectory() ? 'directory' : 'file') : null,
+            size: stats && !stats.isDirectory() ? stats.size : null
+        };
+    }
+
+    /**
+     * Preview a file operation: the paths it would touch and what would go wrong
+     * @param {string} operation - Operation name (createFile, moveFile, ...)
+     * @param {Array} args - Operation arguments
+     * @returns {Promise<Object>} - { operation, paths, warnings }
+     */
+    async previewOperation(operation, args) {
+        // Copying or moving into an existing directory keeps the original filename
+        // (a destination outside the workspace is left as it is and reported as blocked)
+        const destination = async (source, dest) => {
+            const destCheck = this.resolvePath(dest);
+            if (!destCheck.safe) return dest;
+            const stats = await fs.stat(destCheck.resolvedPath).catch(() => null);
+            return dest.endsWith('/') || (stats && stats.isDirectory()) ? path.join(dest, path.basename(source)) : dest;
+        };
+
+        const targets = {
+            createDirectory: () => [['create', args[0]]],
+            createFile: () => [['create', args[0]]],
+            deleteFile: () => [['delete', args[0]]],
+            deleteDirectory: () => [['delete', args[0]]],
+            copyFile: async () => [['copy', args[0]], ['create', await destination(args[0], args[1])]],
+            copyDirectory: async () => [['copy', args[0]], ['create', await destination(args[0], args[1])]],
+            moveFile: async () => [['remove', args[0]], ['create', await destination(args[0], args[1])]],
+            moveDirectory: async () => [['remove', args[0]], ['create', await destination(args[0], args[1])]],
+            listFiles: () => [['list', args[0] || '.']],
+            readFile: () => [['read', args[0]]],
+            writeFile: () => [['write', args[0]]],
+            appendText: () => [['append', args[0]]],
+            rename: () => [['rename', args[0]], ['create', path.join(path.dirname(args[0]), String(args[1]))]],
+            tree: () => [['list', args[0] || '.']],
+            stat: () => [['inspect', args[0]]],
+            findFiles: () => [['search', args[1] || '.']],
+            grep: () => [['search', args[1] || '.']],
+            compress: () => [['compress', args[0]], ['create', archiveNameFor(String(args[0]).replace(/\/+$/, ''), args[1])]],
+            extract: () => [['extract', args[0]], ['unpack', args[1] || path.dirname(String(args[0]))]],
+            listArchive: () => [['read', args[0]]]
+        }[operation];
+
+        if (!targets) {
+            return { operation, paths: [], warnings: [`Unknown file operation: ${operation}`] };
+        }
+
+        const paths = await Promise.all((await targets()).map(([role, target]) => this.describePath(target, role)));
+        const warnings = paths.map(entry => {
+            if (!entry.safe) return `'${entry.path}' is blocked: ${entry.reason}`;
+            if (entry.role === 'create' && entry.exists) return `'${entry.path}' already exists`;
+            if (entry.role === 'write' && entry.exists && entry.size > 0) return `'${entry.path}' already has content that would be replaced`;
+            if (!['create', 'write', 'append', 'unpack'].includes(entry.role) && !entry.exists) return `'${entry.path}' does not exist`;
+            if (['read', 'write', 'append'].includes(entry.role) && entry.type === 'directory') {
+                return `'${entry.path}' is a directory, not a file`;
+            }
+            return null;
+        }).filter(Boolean);
+
+        // Folders that would be deleted, copied or moved with everything in them
+        for (const entry of paths.filter(e => ['delete', 'copy', 'remove'].includes(e.role) && e.type === 'directory')) {
+            const tree = await this.describeTree(entry.path);
+            warnings.push(tree.overLimit
+                ? `'${entry.path}' is too large to handle at once (more than ${RECURSIVE_LIMITS.maxItems} items or ${formatBytes(RECURSIVE_LIMITS.maxBytes)})`
+                : `'${entry.path}' is a folder with ${tree.summary}`);
+        }
+
+        return { operation, paths, warnings };
+    }
+}
+
+// Format a byte count for display
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Describe how much a folder holds ("12 items, 3.4 MB")
+function describeCount(tree) {
+    return `${tree.items} item${tree.items === 1 ? '' : 's'}, ${formatBytes(tree.bytes)}`;
+}
+
+// Count the entries, bytes and symbolic links below a folder, stopping early once the limits are exceeded
+async function measureTree(dirPath) {
+    const tree = { items: 0, bytes: 0, symlinks: 0, overLimit: false };
+    for await (const entry of walkFiles(dirPath)) {
+        tree.items++;
+        tree.bytes += entry.size;
+        if (entry.type === 'symlink') tree.symlinks++;
+        if (tree.items > RECURSIVE_LIMITS.maxItems || tree.bytes > RECURSIVE_LIMITS.maxBytes) {
+            tree.overLimit = true;
+            break;
+        }
+    }
+    return tree;
+}
+
+// Copy a folder's contents to a new folder, skipping symbolic links
+async function copyTree(sourceDir, destDir, progress) {
+    await fs.mkdir(destDir);
+    for await (const entry of walkFiles(sourceDir)) {
+        const target = path.join(destDir, path.relative(sourceDir, entry.path));
+        if (entry.type === 'directory') {
+            await fs.mkdir(target);
+        } else if (entry.type === 'file') {
+            await fs.copyFile(entry.path, target, fsConstants.COPYFILE_EXCL);
+        }
+        progress.advance(entry.size);
+    }
+}
+
+// Name of the archive compress creates: "<source>.zip" by default, ".zip" added to names without an archive extension
+function archiveNameFor(source, archive) {
+    if (!archive) return `${source}.zip`;
+    return archives.archiveFormat(archive) ? String(archive) : `${archive}.zip`;
+}
+
+// Why an archive entry cannot be unpacked as it is: { reason, unsafe } for names that try to escape
+// ("../x", "/etc/x"), { reason, skip } for links and special files, or null when it can
+function archiveEntryProblem(entry) {
+    const name = entry.name.replace(/\\/g, '/');
+    if (!name || name.startsWith('/') || /^[a-zA-Z]:/.test(name) || name.includes('\0') || name.split('/').includes('..')) {
+        return { reason: 'points outside the folder it is unpacked into', unsafe: true };
+    }
+    if (name.split('/').some(segment => segment.toLowerCase() === '.git')) {
+        return { reason: 'is inside a .git folder, whose hooks and settings can make git run programs' };
+    }
+    if (entry.type === 'symlink') return { reason: 'symbolic link, not unpacked', skip: true };
+    if (entry.type === 'link') return { reason: 'hard link, not unpacked', skip: true };
+    if (entry.type === 'other') return { reason: 'special file, not unpacked', skip: true };
+    return entry.problem ? { reason: entry.problem } : null;
+}
+
+// The topmost path that writing target would create (target itself or a missing parent folder),
+// or null when target already exists; existence checks are cached in existing
+async function createdRoot(target, existing) {
+    const exists = async (candidate) => {
+        if (!existing.has(candidate)) {
+            existing.set(candidate, await fs.lstat(candidate).then(() => true, () => false));
+        }
+        return existing.get(candidate);
+    };
+    if (await exists(target)) return null;
+    let root = target;
+    while (!(await exists(path.dirname(root)))) {
+        root = path.dirname(root);
+    }
+    return root;
+}
+
+// Remove one pair of matching quotes around spoken or typed text ("'buy milk'" -> "buy milk")
+function unquote(text) {
+    const value = String(text === undefined || text === null ? '' : text);
+    const match = value.match(/^\s*(['"])([\s\S]*)\1\s*$/);
+    return match ? match[2] : value;
+}
+
+// Text files end with a newline
+function withTrailingNewline(text) {
+    return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+// Treat a file as binary when its first 8 KB contain a NUL byte or are not valid UTF-8
+async function isBinaryFile(filePath) {
+    const handle = await fs.open(filePath);
+    try {
+        const buffer = Buffer.alloc(8192);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        const sample = buffer.subarray(0, bytesRead);
+        if (sample.includes(0)) return true;
+        try {
+            // Streaming mode tolerates a character cut off at the end of the sample
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Walk a directory tree depth-first, yielding { path, type, size } without following symbolic links
+async function* walkFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield { path: entryPath, type: 'directory', size: 0 };
+            yield* walkFiles(entryPath);
+        } else if (entry.isFile()) {
+            const stats = await fs.stat(entryPath).catch(() => null);
+            yield { path: entryPath, type: 'file', size: stats ? stats.size : 0 };
+        } else if (entry.isSymbolicLink()) {
+            yield { path: entryPath, type: 'symlink', size: 0 };
+        }
+    }
+}
+
+// Convert a glob pattern to a case-insensitive regular expression matching a whole name or path
+function globToRegExp(glob) {
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            regex += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                regex += '\\[';
+            } else {
+                regex += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i + 1);
+            if (end === -1) {
+                regex += '\\{';
+            } else {
+                regex += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+                i = end;
+            }
+        } else {
+            regex += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${regex}$`, 'i');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+FileOperations.RECURSIVE_LIMITS = RECURSIVE_LIMITS;
+FileOperations.UPLOAD_LIMITS = UPLOAD_LIMITS;
 
 module.exports = FileOperations;
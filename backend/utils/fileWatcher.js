@@ -0,0 +1,242 @@
+// VOICE-CMD File Watcher
+// Watches a user's workspace while they have a browser connected or are waiting for a file
+// ("tell me when report.pdf appears"). Changes are batched and emitted as events that
+// utils/ws.js bridges to /ws, so changes made by scheduled jobs or other sessions show up live.
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const auth = require('./auth');
+const security = require('./security');
+
+// Changes are reported once the workspace has been quiet this long, but at least every MAX_DELAY_MS
+const DEBOUNCE_MS = parseInt(process.env.FILE_WATCH_DEBOUNCE_MS, 10) || 300;
+const MAX_DELAY_MS = 2000;
+const MAX_CHANGES_PER_EVENT = 200;
+// "Tell me when X appears" requests are dropped after this long
+const WAIT_TTL = (parseFloat(process.env.FILE_WAIT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_WAITS_PER_USER = 20;
+
+// Watcher events: 'changed' (username, changes, truncated), 'appeared' (username, wait, relativePath)
+const events = new EventEmitter();
+
+// Watched workspaces (username -> { workingDir, watcher, holders, pending, timer, firstPendingAt, waits, ready })
+const watched = new Map();
+
+/**
+ * Start watching a user's workspace (or keep the existing watcher)
+ * Every call must be matched by unwatchWorkspace; the watcher stops when nobody needs it.
+ * @param {string} username - Workspace owner
+ * @returns {Promise<void>} - Resolves once the watcher is running
+ */
+function watchWorkspace(username) {
+    let entry = watched.get(username);
+    if (!entry) {
+        entry = {
+            workingDir: null,
+            watcher: null,
+            holders: 0,
+            pending: new Map(), // relative path -> fs.watch event type ('rename' or 'change')
+            timer: null,
+            firstPendingAt: 0,
+            waits: new Map() // wait id -> wait
+        };
+        watched.set(username, entry);
+        entry.ready = startWatcher(username, entry);
+    }
+    entry.holders++;
+    return entry.ready;
+}
+
+/**
+ * Release one hold on a user's workspace watcher
+ * @param {string} username - Workspace owner
+ */
+function unwatchWorkspace(username) {
+    const entry = watched.get(username);
+    if (!entry) return;
+
+    entry.holders = Math.max(entry.holders - 1, 0);
+    if (entry.holders === 0) {
+        if (entry.watcher) entry.watcher.close();
+        clearTimeout(entry.timer);
+        watched.delete(username);
+    }
+}
+
+async function startWatcher(username, entry) {
+    try {
+        entry.workingDir = await auth.ensureUserWorkspaceDir(username);
+        // Released while the workspace was being resolved
+        if (watched.get(username) !== entry) return;
+
+        entry.watcher = fs.watch(entry.workingDir, { recursive: true }, (eventType, filename) => {
+            if (filename) queueChange(username, entry, eventType, filename.toString());
+        });
+        entry.watcher.on('error', (error) => {
+            console.error(`File watcher: stopped watching the workspace of ${username}:`, error.message);
+            entry.watcher.close();
+            entry.watcher = null;
+        });
+    } catch (error) {
+        console.error(`File watcher: cannot watch the workspace of ${username}:`, error.message);
+    }
+}
+
+// Remember a change and (re)start the quiet-period timer
+function queueChange(username, entry, eventType, relativePath) {
+    // A 'rename' (created or deleted) says more than a 'change' to the same path
+    if (entry.pending.get(relativePath) !== 'rename') {
+        entry.pending.set(relativePath, eventType);
+    }
+    if (entry.pending.size === 1 && !entry.timer) {
+        entry.firstPendingAt = Date.now();
+    }
+
+    clearTimeout(entry.timer);
+    const delay = Math.min(DEBOUNCE_MS, Math.max(entry.firstPendingAt + MAX_DELAY_MS - Date.now(), 0));
+    entry.timer = setTimeout(() => {
+        flushChanges(username, entry).catch(error => {
+            console.error(`File watcher: failed to report changes for ${username}:`, error.message);
+        });
+    }, delay);
+}
+
+// Report the batched changes and check them against waiting requests
+async function flushChanges(username, entry) {
+    entry.timer = null;
+    const pending = [...entry.pending];
+    entry.pending.clear();
+
+    const changes = await Promise.all(pending.slice(0, MAX_CHANGES_PER_EVENT).map(async ([relativePath, eventType]) => {
+        const stats = await fs.promises.lstat(path.join(entry.workingDir, relativePath)).catch(() => null);
+        return {
+            path: relativePath,
+            change: !stats ? 'deleted' : (eventType === 'rename' ? 'created' : 'modified'),
+            type: stats ? (stats.isDirectory() ? 'directory' : 'file') : null
+        };
+    }));
+
+    events.emit('changed', username, changes, pending.length > MAX_CHANGES_PER_EVENT);
+
+    for (const change of changes.filter(c => c.change === 'created')) {
+        for (const wait of [...entry.waits.values()]) {
+            if (matchesWait(wait, change.path)) {
+                removeWait(username, entry, wait.id);
+                events.emit('appeared', username, wait, change.path);
+            }
+        }
+    }
+}
+
+// A name without a folder matches anywhere in the workspace, a path only that path (case-insensitive)
+function matchesWait(wait, relativePath) {
+    const candidate = wait.pattern.includes('/') ? relativePath : path.basename(relativePath);
+    return candidate.toLowerCase() === wait.pattern.toLowerCase();
+}
+
+function removeWait(username, entry, waitId) {
+    const wait = entry.waits.get(waitId);
+    if (!wait) return;
+    clearTimeout(wait.timer);
+    entry.waits.delete(waitId);
+    unwatchWorkspace(username);
+}
+
+/**
+ * Wait for a file to appear in a user's workspace ("tell me when report.pdf appears")
+ * An 'appeared' event is emitted when it does; the request expires after a day.
+ * @param {string} username - Workspace owner
+ * @param {string} pattern - File name (matched anywhere) or path relative to the workspace
+ * @returns {Promise<Object>} - { success, wait, alreadyExists } or { success: false, message, code }
+ */
+async function waitForFile(username, pattern) {
+    const normalized = path.normalize(String(pattern || '').trim()).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+    if (!normalized || normalized === '.') {
+        return { success: false, message: 'Which file should I wait for?', code: 'E_MISSING_FILENAME' };
+    }
+
+    const workingDir = await auth.ensureUserWorkspaceDir(username);
+    const pathCheck = security.isPathSafe(normalized, workingDir);
+    if (!pathCheck.safe) {
+        return { success: false, message: pathCheck.reason, code: 'E_PATH_BLOCKED' };
+    }
+    if (await fs.promises.lstat(pathCheck.resolvedPath).then(() => true, () => false)) {
+        return { success: true, alreadyExists: true, wait: null, path: normalized };
+    }
+
+    const existing = listWaits(username).find(wait => wait.pattern.toLowerCase() === normalized.toLowerCase());
+    if (existing) {
+        return { success: true, alreadyExists: false, wait: existing };
+    }
+    if (listWaits(username).length >= MAX_WAITS_PER_USER) {
+        return {
+            success: false,
+            message: `You can wait for at most ${MAX_WAITS_PER_USER} files at a time`,
+            code: 'E_TOO_MANY_WAITS'
+        };
+    }
+
+    await watchWorkspace(username);
+    const entry = watched.get(username);
+    const now = Date.now();
+    const wait = {
+        id: crypto.randomBytes(6).toString('hex'),
+        pattern: normalized,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + WAIT_TTL).toISOString()
+    };
+    entry.waits.set(wait.id, {
+        ...wait,
+        timer: setTimeout(() => removeWait(username, entry, wait.id), WAIT_TTL).unref()
+    });
+
+    return { success: true, alreadyExists: false, wait };
+}
+
+/**
+ * List the files a user is waiting for
+ * @param {string} username - Workspace owner
+ * @returns {Array} - [{ id, pattern, createdAt, expiresAt }]
+ */
+function listWaits(username) {
+    const entry = watched.get(username);
+    if (!entry) return [];
+    return [...entry.waits.values()].map(({ timer, ...wait }) => wait);
+}
+
+/**
+ * Stop waiting for a file
+ * @param {string} username - Workspace owner
+ * @param {string|null} pattern - File name or path, or null to stop waiting for all files
+ * @returns {Object} - { success, cancelled } or { success: false, message, code }
+ */
+function cancelWait(username, pattern = null) {
+    const entry = watched.get(username);
+    const normalized = pattern ? path.normalize(String(pattern).trim()).replace(/^(\.\/)+/, '').toLowerCase() : null;
+    const matching = entry
+        ? [...entry.waits.values()].filter(wait => !normalized || wait.pattern.toLowerCase() === normalized)
+        : [];
+
+    if (matching.length === 0) {
+        return {
+            success: false,
+            message: pattern ? `I was not waiting for '${pattern}'` : 'I was not waiting for any files',
+            code: 'E_WAIT_NOT_FOUND'
+        };
+    }
+
+    matching.forEach(wait => removeWait(username, entry, wait.id));
+    return { success: true, cancelled: matching.map(wait => wait.pattern) };
+}
+
+module.exports = {
+    watchWorkspace,
+    unwatchWorkspace,
+    waitForFile,
+    listWaits,
+    cancelWait,
+    events,
+    DEBOUNCE_MS
+};
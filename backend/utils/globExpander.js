@@ -0,0 +1,175 @@
+// VOICE-CMD Glob Expander
+// Expands unquoted wildcards ("ls *.txt") against the user's workspace, since
+// commands run without a shell that would do it for them
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// More matches than this is almost certainly not what was meant
+const MAX_MATCHES = 1000;
+
+// Split a pattern segment into characters, keeping track of which were escaped
+function readSegment(segment) {
+    const chars = [];
+    for (let i = 0; i < segment.length; i++) {
+        if (segment[i] === '\\' && i + 1 < segment.length) {
+            chars.push({ char: segment[i + 1], escaped: true });
+            i++;
+        } else {
+            chars.push({ char: segment[i], escaped: false });
+        }
+    }
+    return chars;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+
+/**
+ * Turn one path segment of a glob into a regular expression
+ * Supports "*", "?" and bracket expressions ("[abc]", "[a-z]", "[!0-9]").
+ * @param {string} segment - Pattern segment with quoted wildcards escaped by a backslash
+ * @returns {Object} - { regex, literal } where literal is the plain name when there are no wildcards
+ */
+function compileSegment(segment) {
+    const chars = readSegment(segment);
+    let source = '';
+    let literal = '';
+    let wild = false;
+
+    for (let i = 0; i < chars.length; i++) {
+        const { char, escaped } = chars[i];
+        literal += char;
+        if (escaped || !'*?['.includes(char)) {
+            source += escapeRegExp(char);
+            continue;
+        }
+        if (char === '*') {
+            source += '.*';
+            wild = true;
+            continue;
+        }
+        if (char === '?') {
+            source += '.';
+            wild = true;
+            continue;
+        }
+
+        // "[" starts a bracket expression if a "]" closes it ("]" right after "[" or "[!" is a member)
+        let j = i + 1;
+        const negated = chars[j] && !chars[j].escaped && (chars[j].char === '!' || chars[j].char === '^');
+        if (negated) j++;
+        const first = j;
+        while (j < chars.length && !(chars[j].char === ']' && !chars[j].escaped && j > first)) {
+            j++;
+        }
+        if (j >= chars.length) {
+            source += '\\[';
+            continue;
+        }
+        const members = chars.slice(first, j).map(c => (c.char === '-' && !c.escaped ? '-' : escapeRegExp(c.char)));
+        source += `[${negated ? '^' : ''}${members.join('')}]`;
+        wild = true;
+        i = j;
+    }
+
+    return { regex: new RegExp(`^${source}$`), literal: wild ? null : literal };
+}
+
+/**
+ * Find the workspace entries a glob pattern matches
+ * Patterns are relative to the workspace; absolute patterns and ".." are refused so
+ * nothing outside it is listed. Hidden files only match when the pattern names the dot,
+ * and symlinked folders are not descended into.
+ * @param {string} pattern - Glob pattern from the tokenizer
+ * @param {string} workingDir - Workspace root
+ * @returns {Promise<Object>} - { success, matches } or { success: false, reason, code }
+ */
+async function expandGlob(pattern, workingDir) {
+    const segments = pattern.split('/').filter(Boolean);
+    if (path.isAbsolute(pattern) || segments.includes('..')) {
+        return {
+            success: false,
+            reason: `Wildcards only expand inside your workspace: "${pattern}"`,
+            code: 'E_GLOB_OUTSIDE_WORKSPACE'
+        };
+    }
+    // "dir*/" only matches folders, like in a shell
+    const foldersOnly = pattern.endsWith('/');
+    const join = (dir, name) => (dir === '' ? name : `${dir}/${name}`);
+
+    let matches = [''];
+    for (let s = 0; s < segments.length; s++) {
+        const segment = segments[s];
+        const last = s === segments.length - 1;
+        const { regex, literal } = compileSegment(segment);
+        const next = [];
+
+        for (const match of matches) {
+            if (literal !== null) {
+                next.push(join(match, literal));
+                continue;
+            }
+            const entries = await fs.readdir(path.join(workingDir, match), { withFileTypes: true }).catch(() => []);
+            for (const entry of entries) {
+                if (entry.name.startsWith('.') && !segment.startsWith('.')) continue;
+                if ((!last || foldersOnly) && !entry.isDirectory()) continue;
+                if (regex.test(entry.name)) {
+                    next.push(join(match, entry.name));
+                }
+            }
+        }
+        if (next.length > MAX_MATCHES) {
+            return {
+                success: false,
+                reason: `"${pattern}" matches more than ${MAX_MATCHES} files; narrow it down`,
+                code: 'E_GLOB_TOO_MANY'
+            };
+        }
+        matches = next;
+    }
+
+    // Names after the last wildcard still have to exist
+    const existing = [];
+    for (const match of matches) {
+        if (await fs.lstat(path.join(workingDir, match)).then(() => true, () => false)) {
+            existing.push(foldersOnly ? `${match}/` : match);
+        }
+    }
+
+    if (existing.length === 0) {
+        return { success: false, reason: `No files match "${pattern}"`, code: 'E_GLOB_NO_MATCH' };
+    }
+    return { success: true, matches: existing.sort() };
+}
+
+/**
+ * Expand the wildcard arguments of every pipeline stage
+ * @param {Object} pipeline - Parsed pipeline (see utils/commandTokenizer.js)
+ * @param {string} workingDir - Workspace root
+ * @returns {Promise<Object>} - { success, pipeline } with plain argv arrays, or { success: false, reason, code }
+ */
+async function expandPipeline(pipeline, workingDir) {
+    const stages = [];
+    for (const stage of pipeline.stages) {
+        const globs = new Map((stage.globs || []).map(glob => [glob.index, glob.pattern]));
+        const argv = [];
+        for (let i = 0; i < stage.argv.length; i++) {
+            if (!globs.has(i)) {
+                argv.push(stage.argv[i]);
+                continue;
+            }
+            const expanded = await expandGlob(globs.get(i), workingDir);
+            if (!expanded.success) {
+                return expanded;
+            }
+            argv.push(...expanded.matches);
+        }
+        stages.push({ argv, globs: [] });
+    }
+    return { success: true, pipeline: { ...pipeline, stages } };
+}
+
+module.exports = {
+    expandGlob,
+    expandPipeline
+};
@@ -0,0 +1,483 @@
+// VOICE-CMD Intent Grammar
+// Loads intent rules from JSON/YAML files and matches spoken commands against them
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const INTENTS_DIR = process.env.INTENTS_DIR || path.join(__dirname, '..', 'intents');
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const INTENT_TYPES = ['fileOp', 'memoryOp', 'jobOp', 'editorOp', 'processOp', 'journalOp', 'confirmationOp', 'watchOp', 'macroOp', 'scheduleOp'];
+const SLOT_TYPES = ['word', 'path', 'number', 'text', 'words'];
+// Things a slot can be remembered as for follow-ups like "delete it" (see utils/contextResolver.js)
+const CONTEXT_KINDS = ['file', 'directory', 'pid', 'schedule'];
+// Polite or filler words skipped in front of a command ("please list files", "can you create file x")
+const FILLER_PHRASES = [
+    'please', 'now', 'just', 'ok', 'okay', 'hey', 'so', 'then', 'and', 'also', 'kindly',
+    'can you', 'could you', 'would you', 'will you', 'go ahead and', 'i want to', 'i would like to',
+    "i'd like to", "let's", 'lets'
+].map(phrase => phrase.split(' '));
+// A command after one of these is never run ("don't delete file report.txt")
+const NEGATION_PHRASES = [
+    'not', 'never', "don't", 'dont', 'do not', "didn't", 'didnt', "won't", 'wont', "shouldn't",
+    'shouldnt', "can't", 'cant', 'cannot', 'no need to'
+].map(phrase => phrase.split(' '));
+
+// Compiled intents sorted by priority (highest first)
+let intents = [];
+let loadedFiles = [];
+let loaded = false;
+
+// A single- or double-quoted argument ("delete 'my report.txt'") or a plain word
+const TOKEN_PATTERN = /'([^']*)'(?=\s|$)|"((?:[^"\\]|\\.)*)"(?=\s|$)|\S+/g;
+
+/**
+ * Split input into tokens, keeping the raw text for slot values
+ * Quoted arguments stay one token with the quotes removed; apostrophes inside
+ * words ("what's", "don't") are not quotes.
+ * @param {string} input - Command text
+ * @returns {Array<Object>} - Tokens with raw and lowercase forms and their offsets in the input
+ */
+function tokenize(input) {
+    const text = input.trimEnd().replace(/[.?!,]+$/, '');
+    const tokens = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        let raw = match[0];
+        if (match[1] !== undefined) {
+            raw = match[1];
+        } else if (match[2] !== undefined) {
+            raw = match[2].replace(/\\(["\\])/g, '$1');
+        }
+        tokens.push({
+            raw,
+            lower: raw.toLowerCase(),
+            quoted: raw !== match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Compile a pattern string into a list of elements
+ * Syntax: literal words, "a|b" alternatives, "[a|b]" optional words and "{slot}" slots
+ * @param {string} pattern - Pattern string from a rule file
+ * @param {Object} slots - Slot definitions of the rule
+ * @param {Object} synonyms - Synonym map (canonical word -> alternatives)
+ * @returns {Array<Object>} - Compiled pattern elements
+ */
+function compilePattern(pattern, slots, synonyms) {
+    return pattern.trim().split(/\s+/).map(token => {
+        const slotMatch = token.match(/^\{(\w+)\}$/);
+        if (slotMatch) {
+            const name = slotMatch[1];
+            if (!slots[name]) {
+                throw new Error(`Pattern "${pattern}" uses undeclared slot "${name}"`);
+            }
+            return { kind: 'slot', name, type: slots[name].type };
+        }
+
+        const optional = token.startsWith('[') && token.endsWith(']');
+        const body = optional ? token.slice(1, -1) : token;
+        const words = new Set();
+        const canonical = body.toLowerCase().split('|').filter(Boolean);
+
+        for (const word of canonical) {
+            words.add(word);
+            (synonyms[word] || []).forEach(synonym => words.add(synonym.toLowerCase()));
+        }
+
+        if (words.size === 0) {
+            throw new Error(`Pattern "${pattern}" contains an empty word group`);
+        }
+
+        return { kind: 'literal', words, canonical: canonical[0], optional };
+    });
+}
+
+// Check whether a token can fill a single-token slot of the given type
+function slotAccepts(type, token) {
+    if (type === 'number') {
+        return /^\d+$/.test(token.raw);
+    }
+    return true;
+}
+
+// Default word comparison: exact (case-insensitive) matches only
+function exactWord(words, token) {
+    return words.has(token.lower) ? { word: token.raw, similarity: 1 } : null;
+}
+
+/**
+ * Match tokens against compiled pattern elements with backtracking
+ * @param {Array<Object>} elements - Compiled pattern
+ * @param {Array<Object>} tokens - Input tokens
+ * @param {number} i - Current element index
+ * @param {number} j - Current token index
+ * @param {Object} state - Slot values, interpreted words and literal similarities so far
+ * @param {Function} matchWord - Compares a literal's words with a token
+ * @returns {Object|null} - Final match state or null when there is no match
+ */
+function matchElements(elements, tokens, i, j, state, matchWord) {
+    if (i === elements.length) {
+        return j === tokens.length ? state : null;
+    }
+
+    const element = elements[i];
+
+    if (element.kind === 'literal') {
+        const word = j < tokens.length ? matchWord(element.words, tokens[j]) : null;
+        if (word) {
+            const result = matchElements(elements, tokens, i + 1, j + 1, {
+                ...state,
+                words: [...state.words, word.word],
+                similarities: [...state.similarities, word.similarity]
+            }, matchWord);
+            if (result) return result;
+        }
+        return element.optional ? matchElements(elements, tokens, i + 1, j, state, matchWord) : null;
+    }
+
+    if (element.type === 'text' || element.type === 'words') {
+        // Text slots take as few tokens as possible so later literals can still match;
+        // a "words" slot keeps them as a list, so a quoted argument stays one
+        for (let end = j + 1; end <= tokens.length; end++) {
+            const raw = tokens.slice(j, end).map(t => t.raw);
+            const text = raw.join(' ');
+            const result = matchElements(elements, tokens, i + 1, end, {
+                ...state,
+                values: { ...state.values, [element.name]: element.type === 'words' ? raw : text },
+                words: [...state.words, text]
+            }, matchWord);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    if (j < tokens.length && slotAccepts(element.type, tokens[j])) {
+        return matchElements(elements, tokens, i + 1, j + 1, {
+            ...state,
+            values: { ...state.values, [element.name]: tokens[j].raw },
+            words: [...state.words, tokens[j].raw]
+        }, matchWord);
+    }
+    return null;
+}
+
+/**
+ * Validate and compile one intent rule
+ * @param {Object} rule - Raw rule from a rule file
+ * @param {Object} synonyms - Synonyms declared in the rule file
+ * @param {string} source - File the rule came from
+ * @returns {Object} - Compiled intent
+ */
+function compileIntent(rule, synonyms, source) {
+    if (!rule || !rule.id) {
+        throw new Error('Intent is missing an "id"');
+    }
+    if (!INTENT_TYPES.includes(rule.type)) {
+        throw new Error(`Intent "${rule.id}" has invalid type "${rule.type}"`);
+    }
+    if (!rule.fn) {
+        throw new Error(`Intent "${rule.id}" is missing "fn"`);
+    }
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+        throw new Error(`Intent "${rule.id}" needs at least one pattern`);
+    }
+
+    // Slots may be declared as "name": "type" or "name": { "type": "..." }
+    const slots = {};
+    for (const [name, definition] of Object.entries(rule.slots || {})) {
+        const type = typeof definition === 'string' ? definition : (definition.type || 'word');
+        if (!SLOT_TYPES.includes(type)) {
+            throw new Error(`Intent "${rule.id}" slot "${name}" has invalid type "${type}"`);
+        }
+        slots[name] = { type };
+    }
+
+    const defaults = rule.defaults || {};
+    const args = rule.args || [];
+    for (const arg of args) {
+        if (!slots[arg] && !(arg in defaults)) {
+            throw new Error(`Intent "${rule.id}" argument "${arg}" is neither a slot nor a default`);
+        }
+    }
+
+    const context = rule.context || {};
+    for (const [kind, slot] of Object.entries(context)) {
+        if (!CONTEXT_KINDS.includes(kind)) {
+            throw new Error(`Intent "${rule.id}" has invalid context kind "${kind}"`);
+        }
+        if (!slots[slot]) {
+            throw new Error(`Intent "${rule.id}" context "${kind}" refers to unknown slot "${slot}"`);
+        }
+    }
+
+    const ruleSynonyms = { ...synonyms, ...(rule.synonyms || {}) };
+    const patterns = rule.patterns.map(pattern => ({
+        source: pattern,
+        elements: compilePattern(pattern, slots, ruleSynonyms)
+    }));
+
+    return {
+        id: rule.id,
+        type: rule.type,
+        fn: rule.fn,
+        priority: Number(rule.priority) || 0,
+        slots,
+        args,
+        defaults,
+        context,
+        patterns,
+        // Required words only: optional ones ("a", "the", ...) say little about intent
+        vocabulary: new Set(patterns.flatMap(p => p.elements
+            .filter(e => e.kind === 'literal' && !e.optional)
+            .flatMap(e => [...e.words]))),
+        examples: rule.examples || rule.patterns.map(p => p.replace(/\{(\w+)\}/g, '<$1>').replace(/[[\]]/g, '')),
+        source
+    };
+}
+
+/**
+ * Read and compile a single rule file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Array<Object>} - Compiled intents from the file
+ */
+function loadRuleFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const data = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+
+    if (!data || !Array.isArray(data.intents)) {
+        throw new Error('Rule file must contain an "intents" list');
+    }
+
+    const source = path.basename(filePath);
+    return data.intents.map(rule => compileIntent(rule, data.synonyms || {}, source));
+}
+
+/**
+ * Load all rule files from the intents directory
+ * @returns {Object} - Compiled intents plus per-file errors
+ */
+function readRuleFiles() {
+    const files = fs.readdirSync(INTENTS_DIR)
+        .filter(file => RULE_FILE_EXTENSIONS.includes(path.extname(file)))
+        .sort();
+
+    const compiled = [];
+    const errors = [];
+
+    for (const file of files) {
+        try {
+            compiled.push(...loadRuleFile(path.join(INTENTS_DIR, file)));
+        } catch (error) {
+            errors.push({ file, error: error.message });
+        }
+    }
+
+    // Sort by priority, keeping file order for equal priorities
+    compiled.sort((a, b) => b.priority - a.priority);
+
+    return { compiled, files, errors };
+}
+
+/**
+ * Load intents on first use
+ */
+function ensureLoaded() {
+    if (loaded) return;
+
+    try {
+        const { compiled, files, errors } = readRuleFiles();
+        intents = compiled;
+        loadedFiles = files;
+        errors.forEach(e => console.error(`Intent rules: failed to load ${e.file}: ${e.error}`));
+        console.log(`Intent rules: loaded ${intents.length} intents from ${files.length} files`);
+    } catch (error) {
+        console.error('Intent rules: failed to read intents directory:', error.message);
+    }
+    loaded = true;
+}
+
+/**
+ * Reload intents from disk
+ * The current grammar is kept when any rule file fails to load
+ * @returns {Object} - Reload result with counts and errors
+ */
+function reloadIntents() {
+    try {
+        const { compiled, files, errors } = readRuleFiles();
+
+        if (errors.length > 0) {
+            return {
+                success: false,
+                message: `Failed to reload intents: ${errors.length} rule file(s) have errors`,
+                code: 'E_INTENT_RULES_INVALID',
+                errors
+            };
+        }
+
+        intents = compiled;
+        loadedFiles = files;
+        loaded = true;
+        console.log(`Intent rules: reloaded ${intents.length} intents from ${files.length} files`);
+
+        return {
+            success: true,
+            message: `Reloaded ${intents.length} intents from ${files.length} files`,
+            intents: intents.length,
+            files,
+            errors: []
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Failed to reload intents: ${error.message}`,
+            code: 'E_INTENT_RELOAD_FAILED',
+            errors: [{ file: null, error: error.message }]
+        };
+    }
+}
+
+// Length of a phrase found at tokens[index], or 0
+function phraseAt(tokens, index, phrases) {
+    const found = phrases.find(words => words.every((word, offset) =>
+        tokens[index + offset] && tokens[index + offset].lower === word));
+    return found ? found.length : 0;
+}
+
+/**
+ * Find where a command can start: after any run of leading filler words
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Object} - { starts: token indexes to try, negated: a negation comes before the command }
+ */
+function commandStarts(tokens) {
+    const starts = [0];
+    let index = 0;
+    while (index < tokens.length) {
+        if (phraseAt(tokens, index, NEGATION_PHRASES) > 0) {
+            return { starts: [], negated: true };
+        }
+        const length = phraseAt(tokens, index, FILLER_PHRASES);
+        if (length === 0) break;
+        index += length;
+        starts.push(index);
+    }
+    return { starts: starts.filter(start => start < tokens.length), negated: false };
+}
+
+/**
+ * Check whether a command is negated ("don't delete file x", "please do not create folder y")
+ * @param {string} input - Command text
+ * @returns {boolean} - True if a negation comes before the command
+ */
+function isNegated(input) {
+    return commandStarts(tokenize(input)).negated;
+}
+
+/**
+ * Build the argument list for a matched intent
+ * @param {Object} intent - Compiled intent
+ * @param {Object} values - Captured slot values
+ * @returns {Array} - Arguments for the operation
+ */
+function buildArgs(intent, values) {
+    return intent.args.map(arg => (values[arg] !== undefined ? values[arg] : intent.defaults[arg]));
+}
+
+/**
+ * Match input against the loaded intents
+ * Leading filler words ("please", "now", "can you") are skipped; the rest must match the
+ * pattern. Negated commands ("don't delete file x") never match.
+ * With the default exact comparison the first match in priority order wins; with a
+ * custom matchWord (see utils/intentScorer.js) the most confident match wins.
+ * @param {string} input - Command text
+ * @param {Object} options - Matching options
+ * @param {Function} options.matchWord - (words, token) => { word, similarity } or null
+ * @returns {Object|null} - Matched intent with slot values, args and confidence
+ */
+function matchIntent(input, options = {}) {
+    ensureLoaded();
+    const matchWord = options.matchWord || exactWord;
+    const tokens = tokenize(input);
+    if (tokens.length === 0) return null;
+    const { starts, negated } = commandStarts(tokens);
+    if (negated) return null;
+
+    let best = null;
+
+    for (const intent of intents) {
+        for (const pattern of intent.patterns) {
+            for (const start of starts) {
+                const state = matchElements(pattern.elements, tokens.slice(start), 0, 0, {
+                    values: {},
+                    words: [],
+                    similarities: []
+                }, matchWord);
+                if (!state) continue;
+
+                const confidence = state.similarities.length > 0
+                    ? state.similarities.reduce((sum, s) => sum + s, 0) / state.similarities.length
+                    : 1;
+
+                if (!best || confidence > best.confidence) {
+                    best = {
+                        intent,
+                        pattern: pattern.source,
+                        slots: state.values,
+                        args: buildArgs(intent, state.values),
+                        confidence: Number(confidence.toFixed(2)),
+                        interpreted: state.words.join(' ')
+                    };
+                }
+                if (best.confidence === 1) return best;
+
+                // Later starts only drop more filler words from the same pattern
+                break;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Get the compiled intents in priority order
+ * @returns {Array<Object>} - Compiled intents (treat as read-only)
+ */
+function getCompiledIntents() {
+    ensureLoaded();
+    return intents;
+}
+
+/**
+ * List loaded intents (without compiled internals)
+ * @returns {Object} - Intents summary and loaded files
+ */
+function getIntents() {
+    ensureLoaded();
+    return {
+        files: [...loadedFiles],
+        intents: intents.map(intent => ({
+            id: intent.id,
+            type: intent.type,
+            fn: intent.fn,
+            priority: intent.priority,
+            patterns: intent.patterns.map(p => p.source),
+            examples: intent.examples,
+            source: intent.source
+        }))
+    };
+}
+
+module.exports = {
+    matchIntent,
+    getCompiledIntents,
+    reloadIntents,
+    getIntents,
+    tokenize,
+    isNegated,
+    INTENTS_DIR,
+    CONTEXT_KINDS
+};
@@ -0,0 +1,167 @@
+// VOICE-CMD Intent Scorer
+// Fuzzy intent matching for noisy speech transcripts ("creat file", "least files")
+
+const intentGrammar = require('./intentGrammar');
+
+// Matches below this confidence are sent back to the user for confirmation
+const CONFIDENCE_THRESHOLD = Number(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.85;
+// Words less similar than this are not treated as the same word
+const MIN_WORD_SIMILARITY = 0.6;
+// Shorter words are too ambiguous to correct ("a" vs "i")
+const MIN_FUZZY_WORD_LENGTH = 3;
+const MAX_SUGGESTIONS = 3;
+// Suggestions scoring below this share of the best one are dropped as noise
+const RELATIVE_SUGGESTION_CUTOFF = 0.6;
+// Inputs whose best match or suggestion scores below this are not commands at all ("hello world")
+const MIN_RELEVANCE = 0.5;
+// Words too common to say anything about which command was meant
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'it', 'are', 'am', 'be', 'to', 'of', 'in', 'on', 'at', 'for', 'and', 'or',
+    'me', 'my', 'i', 'you', 'your', 'what', 'whats', "what's", 'how', 'when', 'this', 'that', 'please'
+]);
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of insertions, deletions and substitutions
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two words between 0 (unrelated) and 1 (identical)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Similarity score
+ */
+function wordSimilarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Find the closest word in a set of words
+ * @param {Set<string>} words - Candidate words
+ * @param {string} word - Lowercase input word
+ * @returns {Object|null} - Closest word with its similarity, or null if none is close enough
+ */
+function closestWord(words, word) {
+    if (words.has(word)) return { word, similarity: 1 };
+    if (word.length < MIN_FUZZY_WORD_LENGTH) return null;
+
+    let best = null;
+    for (const candidate of words) {
+        const similarity = wordSimilarity(word, candidate);
+        if (similarity >= MIN_WORD_SIMILARITY && (!best || similarity > best.similarity)) {
+            best = { word: candidate, similarity };
+        }
+    }
+    return best;
+}
+
+// Word comparison for intentGrammar.matchIntent that tolerates misheard words
+function fuzzyWord(words, token) {
+    const match = closestWord(words, token.lower);
+    if (!match) return null;
+    return { word: match.similarity === 1 ? token.raw : match.word, similarity: match.similarity };
+}
+
+/**
+ * Rank intents by how many (possibly misheard) words they share with the input
+ * Common words ("the", "is", "what") are left out; candidates below MIN_RELEVANCE are dropped.
+ * @param {string} input - Command text
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array<Object>} - Candidates with intent id, example and score
+ */
+function rankCandidates(input, limit = MAX_SUGGESTIONS) {
+    const inputWords = [...new Set(intentGrammar.tokenize(input).map(t => t.lower))]
+        .filter(word => !STOP_WORDS.has(word));
+    if (inputWords.length === 0) return [];
+
+    const candidates = intentGrammar.getCompiledIntents().map(intent => {
+        const overlap = inputWords.reduce((sum, word) => {
+            const match = closestWord(intent.vocabulary, word);
+            return sum + (match ? match.similarity : 0);
+        }, 0);
+
+        return {
+            intent: intent.id,
+            example: intent.examples[0],
+            score: Number((overlap / inputWords.length).toFixed(2))
+        };
+    });
+
+    return candidates
+        .filter(c => c.score >= MIN_RELEVANCE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Score a command against the intent grammar
+ * Exact matches get confidence 1; otherwise misheard words are corrected by edit
+ * distance and the result is combined with the token-overlap ranking.
+ * Negated commands ("don't delete file x") and noise that nothing matches well enough
+ * (best score below MIN_RELEVANCE) get no match and no suggestions.
+ * @param {string} input - Command text
+ * @returns {Object} - Best match (or null), its confidence and suggestions for the user
+ */
+function scoreCommand(input) {
+    const noMatch = { match: null, confidence: 0, needsConfirmation: false, suggestions: [] };
+    if (intentGrammar.isNegated(input)) {
+        return noMatch;
+    }
+
+    const exact = intentGrammar.matchIntent(input);
+    if (exact) {
+        return { match: exact, confidence: 1, needsConfirmation: false, suggestions: [] };
+    }
+
+    const fuzzy = intentGrammar.matchIntent(input, { matchWord: fuzzyWord });
+    const match = fuzzy && fuzzy.confidence >= MIN_RELEVANCE ? fuzzy : null;
+    const suggestions = [];
+
+    if (match) {
+        suggestions.push({ command: match.interpreted, intent: match.intent.id, confidence: match.confidence });
+    }
+
+    for (const candidate of rankCandidates(input)) {
+        if (suggestions.some(s => s.intent === candidate.intent)) continue;
+        suggestions.push({ command: candidate.example, intent: candidate.intent, confidence: candidate.score });
+    }
+    if (suggestions.length === 0) {
+        return noMatch;
+    }
+
+    return {
+        match,
+        confidence: match ? match.confidence : 0,
+        needsConfirmation: !match || match.confidence < CONFIDENCE_THRESHOLD,
+        suggestions: suggestions
+            .filter(s => s.confidence >= suggestions[0].confidence * RELATIVE_SUGGESTION_CUTOFF)
+            .slice(0, MAX_SUGGESTIONS)
+    };
+}
+
+module.exports = {
+    scoreCommand,
+    rankCandidates,
+    editDistance,
+    wordSimilarity,
+    CONFIDENCE_THRESHOLD,
+    MIN_RELEVANCE
+};
@@ -0,0 +1,137 @@
+// VOICE-CMD Job Manager
+// Tracks commands started in streaming mode so their output can be pushed as it
+// arrives and they can be cancelled ("cancel job" over WebSocket, or "stop that")
+
+// Streaming jobs are not limited to the 10 second timeout of regular commands
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT_MS, 10) || 10 * 60 * 1000; // 10 minutes
+// Finished jobs stay visible for a while so late cancel requests get a clear answer
+const FINISHED_JOB_RETENTION = 5 * 60 * 1000; // 5 minutes
+
+// In-memory storage for jobs (jobId -> job)
+const jobs = new Map();
+let jobIdCounter = 1;
+
+/**
+ * Create a running job
+ * @param {string} username - User that started the job
+ * @param {string} command - Command text
+ * @param {Object} options - Job options
+ * @param {Function} options.onOutput - Called with (stream, chunk) for every stdout/stderr chunk
+ * @returns {Object} - Job with id, status, AbortSignal and output callback
+ */
+function createJob(username, command, options = {}) {
+    const controller = new AbortController();
+    const job = {
+        id: `job_${jobIdCounter++}_${Date.now()}`,
+        username,
+        command,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        timeout: JOB_TIMEOUT,
+        signal: controller.signal,
+        controller,
+        // Processes the job started; only these may be killed on the user's behalf
+        pids: [],
+        onOutput: options.onOutput || (() => {})
+    };
+
+    jobs.set(job.id, job);
+    return job;
+}
+
+/**
+ * Mark a job as finished
+ * @param {string} jobId - Job ID
+ * @param {string} status - Final status (success, error, blocked, cancelled, ...)
+ */
+function finishJob(jobId, status) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    job.status = job.signal.aborted ? 'cancelled' : status;
+    job.finishedAt = new Date().toISOString();
+
+    setTimeout(() => jobs.delete(jobId), FINISHED_JOB_RETENTION).unref();
+}
+
+/**
+ * Find the most recently started running job of a user
+ * @param {string} username - Job owner
+ * @param {string} excludeId - Job to skip (e.g. the "stop that" command itself)
+ * @returns {Object|null} - Job or null
+ */
+function getLatestJob(username, excludeId = null) {
+    const running = [...jobs.values()].filter(job =>
+        job.username === username && job.status === 'running' && job.id !== excludeId);
+    return running.length > 0 ? running[running.length - 1] : null;
+}
+
+/**
+ * Cancel a running job
+ * Only the job's owner may cancel it; without a job ID the user's latest job is cancelled.
+ * @param {string} username - User asking to cancel
+ * @param {string} jobId - Job ID, or null for the latest running job
+ * @param {string} excludeId - Job to skip when picking the latest one
+ * @returns {Object} - { success, message, code, jobId }
+ */
+function cancelJob(username, jobId = null, excludeId = null) {
+    const job = jobId ? jobs.get(jobId) : getLatestJob(username, excludeId);
+
+    if (!job || job.username !== username) {
+        return {
+            success: false,
+            message: jobId ? `Job not found: ${jobId}` : 'Nothing is running right now',
+            code: 'E_JOB_NOT_FOUND'
+        };
+    }
+
+    if (job.status !== 'running') {
+        return {
+            success: false,
+            message: `Job ${job.id} already finished (${job.status})`,
+            code: 'E_JOB_NOT_RUNNING',
+            jobId: job.id
+        };
+    }
+
+    job.controller.abort();
+    job.status = 'cancelled';
+    return {
+        success: true,
+        message: `Stopped "${job.command}"`,
+        jobId: job.id
+    };
+}
+
+/**
+ * Get the IDs of the processes a user's running jobs started
+ * @param {string} username - Job owner
+ * @returns {Array<number>} - Process IDs
+ */
+function getProcessIds(username) {
+    return [...jobs.values()]
+        .filter(job => job.username === username && job.status === 'running')
+        .flatMap(job => job.pids);
+}
+
+/**
+ * List a user's jobs
+ * @param {string} username - Job owner
+ * @returns {Array<Object>} - Jobs without their internal controller
+ */
+function listJobs(username) {
+    return [...jobs.values()]
+        .filter(job => job.username === username)
+        .map(({ id, command, status, startedAt, finishedAt }) => ({ id, command, status, startedAt, finishedAt }));
+}
+
+module.exports = {
+    createJob,
+    finishJob,
+    cancelJob,
+    getLatestJob,
+    getProcessIds,
+    listJobs,
+    JOB_TIMEOUT
+};
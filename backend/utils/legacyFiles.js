@@ -0,0 +1,44 @@
+// VOICE-CMD Legacy Files
+// Older versions kept all users' memory and schedules in shared files. Moving them into per-user
+// files (memory.migrateLegacyMemory, scheduler.migrateLegacySchedules) keeps the old file as a
+// backup, and sets aside whatever belongs to no known user until an owner is named.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Rename a migrated shared file to its backup name
+ * An earlier backup is kept rather than overwritten: the new one then gets a timestamp in its name.
+ * @param {string} file - The old shared file
+ * @param {string} backupFile - Backup name (ending in .json)
+ * @returns {Promise<string>} - Where the old file is now
+ */
+async function backUpLegacyFile(file, backupFile) {
+    const backupExists = await fs.access(backupFile).then(() => true, () => false);
+    const target = backupExists ? backupFile.replace(/\.json$/, `.${Date.now()}.json`) : backupFile;
+    await fs.rename(file, target);
+    return target;
+}
+
+/**
+ * Keep what belongs to no known user in the unclaimed file, or remove the file once nothing is left
+ * Nobody gets it without a named owner, so it waits there for a later start.
+ * @param {string} file - Unclaimed file
+ * @param {Object|Array|null} contents - What to keep, or null when nothing is left unclaimed
+ * @returns {Promise<void>}
+ */
+async function saveUnclaimed(file, contents) {
+    if (contents === null) {
+        await fs.unlink(file).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+        return;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(contents, null, 2), 'utf8');
+}
+
+module.exports = {
+    backUpLegacyFile,
+    saveUnclaimed
+};
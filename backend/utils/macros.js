@@ -0,0 +1,351 @@
+// VOICE-CMD Macros
+// Named command sequences per user ("morning setup" = create directory logs-today, list files, df).
+// Each step is an ordinary command run through commandUtils.executeCommand, so steps get the same
+// parsing, security checks and confirmations as typed commands. Steps can use $1..$9 for arguments
+// given when the macro is run ("run backup with report.txt").
+
+const fs = require('fs').promises;
+const auth = require('./auth');
+const commandHistory = require('./commandHistory');
+const commandTokenizer = require('./commandTokenizer');
+
+const MAX_MACROS = 50;
+const MAX_STEPS = 20;
+const MAX_NAME_LENGTH = 60;
+// Macros may run other macros, but not deeper than this (and never themselves)
+const MAX_NESTING = 3;
+// What happens when a step fails: stop the macro, or run the remaining steps anyway
+const ERROR_POLICIES = ['stop', 'continue'];
+
+// Macro file reads and writes are serialized per user (username -> promise of the last update)
+const locks = new Map();
+
+function withLock(username, fn) {
+    const previous = locks.get(username) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    locks.set(username, next);
+    return next;
+}
+
+async function loadMacros(username) {
+    try {
+        const data = await fs.readFile(auth.getUserMacrosFile(username), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Macros: failed to load macros of ${username}:`, error.message);
+        }
+        return [];
+    }
+}
+
+async function saveMacros(username, macros) {
+    await auth.ensureUserDataDir(username);
+    await fs.writeFile(auth.getUserMacrosFile(username), JSON.stringify(macros, null, 2), 'utf8');
+}
+
+// Macro names are compared without case or repeated spaces
+function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+function findMacro(macros, name) {
+    const wanted = normalizeName(name).toLowerCase();
+    return macros.find(macro => macro.name.toLowerCase() === wanted) || null;
+}
+
+// Highest $N a macro's steps use
+function parameterCount(commands) {
+    let count = 0;
+    for (const command of commands) {
+        for (const match of command.matchAll(/\$([1-9])/g)) {
+            count = Math.max(count, Number(match[1]));
+        }
+    }
+    return count;
+}
+
+// Split spoken or typed arguments into words; quotes keep spaces ('run backup with "my file.txt"')
+function splitArguments(text) {
+    if (Array.isArray(text)) return text.map(String);
+    return (String(text || '').match(/"[^"]*"|'[^']*'|\S+/g) || []).map(word => word.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+// Whether a position in a step is inside '...' or "..." (a quote only opens at the start of a word)
+function insideQuotes(text, position) {
+    let quote = null;
+    for (let i = 0; i < position; i++) {
+        const char = text[i];
+        if (quote === '"' && char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && (i === 0 || /\s/.test(text[i - 1]))) {
+            quote = char;
+        }
+    }
+    return quote !== null;
+}
+
+// Put the arguments into a step: a $N standing alone becomes one argument, quoted where needed,
+// so a value with spaces, "|" or ">" stays a single argument; inside a word or quotes only plain
+// values fit. Returns { command } or { error }.
+function fillStep(command, values) {
+    let refused = null;
+    const filled = command.replace(/\$([1-9])/g, (match, index, offset) => {
+        const value = values[index - 1];
+        const before = command[offset - 1];
+        const after = command[offset + match.length];
+        const alone = (before === undefined || /\s/.test(before)) && (after === undefined || /\s/.test(after));
+        if (alone && !insideQuotes(command, offset)) {
+            return commandTokenizer.quoteArg(value);
+        }
+        if (commandTokenizer.quoteArg(value) !== value && refused === null) {
+            refused = value;
+        }
+        return value;
+    });
+    return refused === null
+        ? { command: filled }
+        : { error: `'${refused}' cannot be used inside a word or quotes in '${command}'; only a single plain word fits there` };
+}
+
+// Split "create directory logs then list files; df" into steps
+function splitSteps(text) {
+    return String(text).split(/\s*;\s*|\s+(?:and\s+)?then\s+/i).map(step => step.trim()).filter(Boolean);
+}
+
+// Check a macro definition; returns the cleaned macro or { error, code }
+function validateMacro({ name, commands, onError = 'stop', description = '' }) {
+    const cleanName = normalizeName(name);
+    if (!cleanName) {
+        return { error: 'A macro needs a name', code: 'E_INVALID_MACRO' };
+    }
+    if (cleanName.length > MAX_NAME_LENGTH || !/^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u.test(cleanName)) {
+        return {
+            error: `Macro names use letters, numbers, spaces, "-" and "_" (at most ${MAX_NAME_LENGTH} characters)`,
+            code: 'E_INVALID_MACRO'
+        };
+    }
+
+    const steps = (Array.isArray(commands) ? commands : splitSteps(commands || ''))
+        .map(command => String(command).trim())
+        .filter(Boolean);
+    if (steps.length === 0) {
+        return { error: `Macro '${cleanName}' has no commands`, code: 'E_INVALID_MACRO' };
+    }
+    if (steps.length > MAX_STEPS) {
+        return { error: `A macro can have at most ${MAX_STEPS} commands`, code: 'E_INVALID_MACRO' };
+    }
+    if (!ERROR_POLICIES.includes(onError)) {
+        return { error: `onError must be ${ERROR_POLICIES.join(' or ')}`, code: 'E_INVALID_MACRO' };
+    }
+
+    return { name: cleanName, commands: steps, onError, description: String(description || '').trim() };
+}
+
+// Public shape of a stored macro
+function describeMacro(macro) {
+    return { ...macro, parameters: parameterCount(macro.commands) };
+}
+
+/**
+ * List a user's macros
+ * @param {string} username - Macro owner
+ * @returns {Promise<Array>} - Macros sorted by name
+ */
+async function listMacros(username) {
+    const macros = await loadMacros(username);
+    return macros.map(describeMacro).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one macro by name (case-insensitive)
+ * @param {string} username - Macro owner
+ * @param {string} name - Macro name
+ * @returns {Promise<Object|null>} - Macro or null
+ */
+async function getMacro(username, name) {
+    const macro = findMacro(await loadMacros(username), name);
+    return macro ? describeMacro(macro) : null;
+}
+
+/**
+ * Create or replace a macro
+ * @param {string} username - Macro owner
+ * @param {Object} definition - { name, commands (array, or text split at ";" and "then"), onError, description }
+ * @param {Object} options - Options
+ * @param {boolean} options.overwrite - Replace an existing macro with the same name
+ * @returns {Promise<Object>} - { success, macro, replaced } or { success: false, message, code }
+ */
+function saveMacro(username, definition, options = {}) {
+    const macro = validateMacro(definition);
+    if (macro.error) {
+        return Promise.resolve({ success: false, message: macro.error, code: macro.code });
+    }
+
+    return withLock(username, async () => {
+        const macros = await loadMacros(username);
+        const existing = findMacro(macros, macro.name);
+        if (existing && !options.overwrite) {
+            return { success: false, message: `A macro named '${existing.name}' already exists`, code: 'E_MACRO_EXISTS' };
+        }
+        if (!existing && macros.length >= MAX_MACROS) {
+            return { success: false, message: `You can have at most ${MAX_MACROS} macros`, code: 'E_TOO_MANY_MACROS' };
+        }
+
+        const now = new Date().toISOString();
+        const stored = { ...macro, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+        if (existing) {
+            macros[macros.indexOf(existing)] = stored;
+        } else {
+            macros.push(stored);
+        }
+        await saveMacros(username, macros);
+        return { success: true, macro: describeMacro(stored), replaced: Boolean(existing) };
+    });
+}
+
+/**
+ * Create a macro from commands in the user's history
+ * @param {string} username - Macro owner
+ * @param {Object} definition - { name, historyIds, onError, description }; or { name, last } for the
+ *                              last N commands. The steps keep the order the commands were run in.
+ * @param {Object} options - Same as saveMacro
+ * @returns {Promise<Object>} - Same as saveMacro
+ */
+async function saveMacroFromHistory(username, definition, options = {}) {
+    let entries;
+    if (definition.historyIds) {
+        const ids = Array.isArray(definition.historyIds) ? definition.historyIds : [definition.historyIds];
+        entries = [];
+        for (const id of ids) {
+            const entry = await commandHistory.getCommandByIdForUser(username, String(id));
+            if (!entry) {
+                return { success: false, message: `Command ${id} is not in your history`, code: 'E_COMMAND_NOT_FOUND' };
+            }
+            entries.push(entry);
+        }
+        entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } else {
+        const count = Number(definition.last);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_STEPS) {
+            return { success: false, message: `Say how many recent commands to use (1 to ${MAX_STEPS})`, code: 'E_INVALID_MACRO' };
+        }
+        entries = (await commandHistory.getHistoryForUser(username, count)).reverse();
+        if (entries.length < count) {
+            return {
+                success: false,
+                message: `Your history only has ${entries.length} command${entries.length === 1 ? '' : 's'}`,
+                code: 'E_COMMAND_NOT_FOUND'
+            };
+        }
+    }
+
+    return saveMacro(username, { ...definition, commands: entries.map(entry => entry.command) }, options);
+}
+
+/**
+ * Delete a macro
+ * @param {string} username - Macro owner
+ * @param {string} name - Macro name
+ * @returns {Promise<Object>} - { success, macro } or { success: false, message, code }
+ */
+function deleteMacro(username, name) {
+    return withLock(username, async () => {
+        const macros = await loadMacros(username);
+        const macro = findMacro(macros, name);
+        if (!macro) {
+            return { success: false, message: `No macro named '${normalizeName(name)}'`, code: 'E_MACRO_NOT_FOUND' };
+        }
+        macros.splice(macros.indexOf(macro), 1);
+        await saveMacros(username, macros);
+        return { success: true, macro: describeMacro(macro) };
+    });
+}
+
+/**
+ * Run a macro: its steps run one after another through runStep
+ * A step that fails stops the macro unless its policy is 'continue'. A step that needs
+ * confirmation always stops it; confirming runs that step only.
+ * @param {string} username - Macro owner
+ * @param {string} name - Macro name
+ * @param {Array|string} args - Values for $1..$9 (an array, or text split at spaces)
+ * @param {Function} runStep - (commandText, macroStack) => executeCommand result
+ * @param {Object} options - Options
+ * @param {Array<string>} options.macroStack - Macros already running (when run from another macro)
+ * @returns {Promise<Object>} - { success, macro, steps: [{ command, success, result, code }], stoppedAt, needsConfirmation }
+ *                              or { success: false, message, code } when the macro cannot start
+ */
+async function runMacro(username, name, args, runStep, options = {}) {
+    const macro = findMacro(await loadMacros(username), name);
+    if (!macro) {
+        return { success: false, message: `No macro named '${normalizeName(name)}'`, code: 'E_MACRO_NOT_FOUND' };
+    }
+
+    const stack = options.macroStack || [];
+    if (stack.some(running => running.toLowerCase() === macro.name.toLowerCase())) {
+        return { success: false, message: `Macro '${macro.name}' cannot run itself`, code: 'E_MACRO_RECURSION' };
+    }
+    if (stack.length >= MAX_NESTING) {
+        return { success: false, message: `Macros can only run other macros ${MAX_NESTING} levels deep`, code: 'E_MACRO_RECURSION' };
+    }
+
+    const values = splitArguments(args);
+    const needed = parameterCount(macro.commands);
+    if (values.length !== needed) {
+        return {
+            success: false,
+            message: needed === 0
+                ? `Macro '${macro.name}' takes no arguments`
+                : `Macro '${macro.name}' needs ${needed} argument${needed === 1 ? '' : 's'} ($1${needed > 1 ? `..$${needed}` : ''}), got ${values.length}`,
+            code: 'E_MACRO_ARGUMENTS'
+        };
+    }
+
+    const filled = macro.commands.map(command => fillStep(command, values));
+    const unfilled = filled.find(step => step.error);
+    if (unfilled) {
+        return { success: false, message: unfilled.error, code: 'E_MACRO_ARGUMENTS' };
+    }
+
+    const steps = [];
+    let stoppedAt = null;
+    let needsConfirmation = null;
+
+    for (let i = 0; i < filled.length; i++) {
+        const { command } = filled[i];
+        const result = await runStep(command, [...stack, macro.name]);
+        steps.push({ command, success: Boolean(result.success), result: result.result, code: result.code || null });
+
+        if (result.needsConfirmation) {
+            stoppedAt = i + 1;
+            needsConfirmation = result.confirmation;
+            break;
+        }
+        if (!result.success && macro.onError === 'stop') {
+            stoppedAt = i + 1;
+            break;
+        }
+    }
+
+    return {
+        success: stoppedAt === null && steps.every(step => step.success),
+        macro: describeMacro(macro),
+        steps,
+        stoppedAt,
+        needsConfirmation
+    };
+}
+
+module.exports = {
+    listMacros,
+    getMacro,
+    saveMacro,
+    saveMacroFromHistory,
+    deleteMacro,
+    runMacro,
+    splitSteps,
+    ERROR_POLICIES,
+    MAX_STEPS
+};
@@ -0,0 +1,235 @@
+// VOICE-CMD Pipeline Runner
+// Runs parsed pipelines with execFile/spawn - arguments never pass through a shell
+
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const DEFAULT_MAX_BUFFER = 1024 * 1024; // 1MB
+// How long a stage gets to exit after SIGTERM before SIGKILL is sent
+const KILL_GRACE_MS = 3000;
+
+/**
+ * Run a pipeline
+ * Redirection paths must already be validated and resolved by the caller.
+ * @param {Object} pipeline - { stages: [{ argv }], input: { path }|null, output: { path, append }|null }
+ * @param {Object} options - Execution options
+ * @param {string} options.cwd - Working directory for every stage
+ * @param {number} options.timeout - Milliseconds before all stages are terminated
+ * @param {number} options.killGrace - Milliseconds between SIGTERM and SIGKILL for stages that keep running
+ * @param {number} options.maxBuffer - Maximum bytes of stdout/stderr to collect
+ * @param {Function} options.onData - Streaming mode: called with (stream, chunk) as output arrives;
+ *                                    output beyond maxBuffer is still streamed but no longer collected
+ * @param {AbortSignal} options.signal - Terminates all stages when aborted
+ * @param {Function} options.onSpawn - Called with the process ID of every stage once it starts
+ * @returns {Promise<Object>} - { success, stdout, stderr, exitCode, error, timedOut, cancelled, truncated }
+ */
+function runPipeline(pipeline, options = {}) {
+    const settings = {
+        cwd: options.cwd,
+        timeout: options.timeout || DEFAULT_TIMEOUT,
+        killGrace: options.killGrace >= 0 ? options.killGrace : KILL_GRACE_MS,
+        maxBuffer: options.maxBuffer || DEFAULT_MAX_BUFFER,
+        onData: options.onData || null,
+        signal: options.signal || null,
+        onSpawn: options.onSpawn || null
+    };
+
+    if (settings.signal && settings.signal.aborted) {
+        return Promise.resolve({
+            success: false, stdout: '', stderr: '', exitCode: null, error: null, timedOut: false, cancelled: true
+        });
+    }
+
+    // Streaming and cancellation need the spawned processes themselves
+    if (pipeline.stages.length === 1 && !pipeline.input && !pipeline.output && !settings.onData && !settings.signal && !settings.onSpawn) {
+        return runSingle(pipeline.stages[0].argv, settings);
+    }
+    return runStages(pipeline, settings);
+}
+
+// A child that has neither exited nor been ended by a signal
+function isRunning(child) {
+    return child.exitCode === null && child.signalCode === null;
+}
+
+/**
+ * Stop processes: SIGTERM first, SIGKILL for any still running after the grace period
+ * @param {Array<ChildProcess>} children - Processes to stop
+ * @param {number} killGrace - Milliseconds to wait before SIGKILL
+ */
+function terminate(children, killGrace) {
+    const running = children.filter(isRunning);
+    if (running.length === 0) return;
+
+    running.forEach(child => child.kill('SIGTERM'));
+    const timer = setTimeout(() => {
+        running.filter(isRunning).forEach(child => child.kill('SIGKILL'));
+    }, killGrace);
+    running.forEach(child => child.once('exit', () => {
+        if (!running.some(isRunning)) {
+            clearTimeout(timer);
+        }
+    }));
+}
+
+// Single command: execFile handles the buffer limit, the timeout is ours so it can escalate to SIGKILL
+function runSingle(argv, settings) {
+    return new Promise((resolve) => {
+        const { cwd, maxBuffer } = settings;
+        let timedOut = false;
+        const child = execFile(argv[0], argv.slice(1), { cwd, maxBuffer }, (error, stdout, stderr) => {
+            clearTimeout(timer);
+            resolve({
+                success: !error && !timedOut,
+                stdout: stdout || '',
+                stderr: stderr || '',
+                exitCode: error ? (typeof error.code === 'number' ? error.code : null) : 0,
+                error: error && typeof error.code !== 'number' && !timedOut ? error : null,
+                timedOut
+            });
+        });
+        const timer = setTimeout(() => {
+            timedOut = true;
+            terminate([child], settings.killGrace);
+        }, settings.timeout);
+    });
+}
+
+// Pipes and redirections: spawn every stage and connect the streams ourselves
+function runStages(pipeline, settings) {
+    return new Promise((resolve) => {
+        let stdout = '';
+        let stderr = '';
+        let failure = null;
+        let timedOut = false;
+        let cancelled = false;
+        let truncated = false;
+
+        const children = pipeline.stages.map(stage =>
+            spawn(stage.argv[0], stage.argv.slice(1), { cwd: settings.cwd, stdio: ['pipe', 'pipe', 'pipe'] }));
+
+        const killAll = () => terminate(children, settings.killGrace);
+        const fail = (error) => {
+            failure = failure || error;
+        };
+
+        if (settings.onSpawn) {
+            children.filter(child => child.pid).forEach(child => settings.onSpawn(child.pid));
+        }
+
+        const exits = children.map(child => new Promise((done) => {
+            child.on('error', (error) => {
+                fail(error);
+                done({ code: null });
+            });
+            child.on('close', (code) => done({ code }));
+        }));
+
+        children.forEach((child, i) => {
+            // A stage that exits early (e.g. head) closes its stdin; that is not an error
+            child.stdin.on('error', () => {});
+            child.stderr.on('data', (chunk) => {
+                if (settings.onData) {
+                    settings.onData('stderr', chunk.toString());
+                }
+                if (stderr.length < settings.maxBuffer) {
+                    stderr += chunk.toString();
+                }
+            });
+            if (i < children.length - 1) {
+                child.stdout.pipe(children[i + 1].stdin);
+                // Once the next stage is gone, stop reading so this one gets SIGPIPE like in a shell
+                children[i + 1].on('close', () => child.stdout.destroy());
+            }
+        });
+
+        // Input redirection feeds the first stage
+        if (pipeline.input) {
+            const input = fs.createReadStream(pipeline.input.path);
+            input.on('error', (error) => {
+                fail(error);
+                children[0].stdin.end();
+            });
+            input.pipe(children[0].stdin);
+        } else {
+            children[0].stdin.end();
+        }
+
+        // Output redirection takes the last stage, otherwise collect it
+        const last = children[children.length - 1];
+        let outputDone = Promise.resolve();
+        if (pipeline.output) {
+            const output = fs.createWriteStream(pipeline.output.path, { flags: pipeline.output.append ? 'a' : 'w' });
+            outputDone = new Promise((done) => {
+                output.on('finish', done);
+                output.on('error', (error) => {
+                    fail(error);
+                    killAll();
+                    done();
+                });
+            });
+            last.stdout.pipe(output);
+        } else {
+            last.stdout.on('data', (chunk) => {
+                if (settings.onData) {
+                    settings.onData('stdout', chunk.toString());
+                    // The chunks were already delivered; only keep the first maxBuffer bytes
+                    if (stdout.length + chunk.length > settings.maxBuffer) {
+                        truncated = true;
+                    }
+                    if (stdout.length < settings.maxBuffer) {
+                        stdout = (stdout + chunk.toString()).slice(0, settings.maxBuffer);
+                    }
+                    return;
+                }
+                stdout += chunk.toString();
+                if (stdout.length > settings.maxBuffer) {
+                    const error = new Error(`Output exceeded ${settings.maxBuffer} bytes`);
+                    error.code = 'E_OUTPUT_TOO_LARGE';
+                    fail(error);
+                    stdout = stdout.slice(0, settings.maxBuffer);
+                    killAll();
+                }
+            });
+        }
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killAll();
+        }, settings.timeout);
+
+        const onAbort = () => {
+            cancelled = true;
+            killAll();
+        };
+        if (settings.signal) {
+            settings.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        Promise.all([...exits, outputDone]).then((results) => {
+            clearTimeout(timer);
+            if (settings.signal) {
+                settings.signal.removeEventListener('abort', onAbort);
+            }
+            const exitCode = results[children.length - 1].code;
+            resolve({
+                success: !failure && !timedOut && !cancelled && exitCode === 0,
+                stdout,
+                stderr,
+                exitCode,
+                error: failure,
+                timedOut,
+                cancelled,
+                truncated
+            });
+        });
+    });
+}
+
+module.exports = {
+    runPipeline,
+    DEFAULT_TIMEOUT,
+    DEFAULT_MAX_BUFFER,
+    KILL_GRACE_MS
+};
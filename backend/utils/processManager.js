@@ -0,0 +1,320 @@
+// VOICE-CMD Process Manager
+// Lists processes from /proc as structured data and terminates processes a user
+// started with SIGTERM, escalating to SIGKILL when they do not exit in time
+
+const fs = require('fs').promises;
+const path = require('path');
+const jobManager = require('./jobManager');
+const ptySessions = require('./ptySessions');
+
+const PROC_DIR = '/proc';
+// Kernel clock ticks per second and page size (the usual Linux values)
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+// How long a process gets to exit after SIGTERM before SIGKILL is sent
+const DEFAULT_GRACE_MS = 3000;
+const POLL_INTERVAL_MS = 100;
+const SORT_FIELDS = ['pid', 'cpu', 'mem', 'start', 'name', 'user'];
+
+let usernamesByUid = null;
+
+// Map numeric uids to names using /etc/passwd (read once)
+function getUsernames() {
+    if (!usernamesByUid) {
+        usernamesByUid = fs.readFile('/etc/passwd', 'utf8')
+            .then(passwd => new Map(passwd.split('\n')
+                .map(line => line.split(':'))
+                .filter(([name, , uid]) => name && uid !== undefined)
+                .map(([name, , uid]) => [Number(uid), name])))
+            .catch(error => {
+                console.error('Processes: failed to read /etc/passwd:', error.message);
+                return new Map();
+            });
+    }
+    return usernamesByUid;
+}
+
+// System boot time and total memory, needed for start times and memory percentages
+async function getSystemInfo() {
+    const [stat, meminfo, uptime] = await Promise.all([
+        fs.readFile(path.join(PROC_DIR, 'stat'), 'utf8'),
+        fs.readFile(path.join(PROC_DIR, 'meminfo'), 'utf8'),
+        fs.readFile(path.join(PROC_DIR, 'uptime'), 'utf8')
+    ]);
+
+    const bootTime = Number((stat.match(/^btime\s+(\d+)/m) || [])[1]);
+    const memTotalKb = Number((meminfo.match(/^MemTotal:\s+(\d+)/m) || [])[1]);
+    return {
+        bootTime,
+        memTotalBytes: memTotalKb * 1024,
+        uptimeSeconds: parseFloat(uptime.split(' ')[0])
+    };
+}
+
+/**
+ * Read one process from /proc
+ * @param {number} pid - Process ID
+ * @param {Object} system - Result of getSystemInfo
+ * @returns {Promise<Object|null>} - Process details, or null if it no longer exists
+ */
+async function readProcess(pid, system) {
+    try {
+        const dir = path.join(PROC_DIR, String(pid));
+        const [stat, status, cmdline] = await Promise.all([
+            fs.readFile(path.join(dir, 'stat'), 'utf8'),
+            fs.readFile(path.join(dir, 'status'), 'utf8'),
+            fs.readFile(path.join(dir, 'cmdline'), 'utf8')
+        ]);
+
+        // The name is in parentheses and may itself contain spaces or parentheses
+        const name = stat.slice(stat.indexOf('(') + 1, stat.lastIndexOf(')'));
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const cpuTicks = Number(fields[11]) + Number(fields[12]); // utime + stime
+        const startTicks = Number(fields[19]);
+        const rssBytes = Number(fields[21]) * PAGE_SIZE;
+        const uid = Number((status.match(/^Uid:\s+(\d+)/m) || [])[1]);
+        const usernames = await getUsernames();
+
+        // Average CPU use over the process lifetime (like ps); listProcesses can sample instead
+        const elapsedSeconds = Math.max(system.uptimeSeconds - startTicks / CLOCK_TICKS, 0.01);
+
+        return {
+            pid,
+            ppid: Number(fields[1]),
+            name,
+            command: cmdline.split('\0').filter(Boolean).join(' ') || `[${name}]`,
+            state: fields[0],
+            uid,
+            user: usernames.get(uid) || String(uid),
+            cpu: Number((cpuTicks / CLOCK_TICKS / elapsedSeconds * 100).toFixed(1)),
+            mem: Number((rssBytes / system.memTotalBytes * 100).toFixed(1)),
+            rssBytes,
+            cpuTicks,
+            startTime: new Date((system.bootTime + startTicks / CLOCK_TICKS) * 1000).toISOString()
+        };
+    } catch (error) {
+        // The process exited while we were reading it
+        return null;
+    }
+}
+
+// Read every process currently in /proc
+async function readAllProcesses() {
+    const system = await getSystemInfo();
+    const entries = await fs.readdir(PROC_DIR);
+    const pids = entries.filter(entry => /^\d+$/.test(entry)).map(Number);
+    const processes = await Promise.all(pids.map(pid => readProcess(pid, system)));
+    return processes.filter(Boolean);
+}
+
+/**
+ * List processes
+ * @param {Object} options - Filter and sort options
+ * @param {string} options.user - Only processes of this user
+ * @param {string} options.name - Only processes whose name or command contains this text
+ * @param {number} options.pid - Only this process
+ * @param {string} options.sort - pid, cpu, mem, start, name or user (default pid)
+ * @param {string} options.order - asc or desc (default desc for cpu/mem/start, asc otherwise)
+ * @param {number} options.limit - Maximum number of processes
+ * @param {number} options.sampleMs - Measure current CPU use over this many milliseconds
+ *                                    instead of the lifetime average
+ * @returns {Promise<Object>} - { success, processes, total } or { success: false, message, code }
+ */
+async function listProcesses(options = {}) {
+    const sort = options.sort || 'pid';
+    if (!SORT_FIELDS.includes(sort)) {
+        return {
+            success: false,
+            message: `Invalid sort field "${sort}"; use one of: ${SORT_FIELDS.join(', ')}`,
+            code: 'E_INVALID_SORT'
+        };
+    }
+
+    try {
+        let processes = await readAllProcesses();
+
+        if (options.sampleMs > 0) {
+            const before = new Map(processes.map(p => [p.pid, p.cpuTicks]));
+            await new Promise(resolve => setTimeout(resolve, options.sampleMs));
+            processes = (await readAllProcesses()).map(p => ({
+                ...p,
+                cpu: before.has(p.pid)
+                    ? Number(((p.cpuTicks - before.get(p.pid)) / CLOCK_TICKS / (options.sampleMs / 1000) * 100).toFixed(1))
+                    : 0
+            }));
+        }
+
+        if (options.user) {
+            processes = processes.filter(p => p.user === options.user);
+        }
+        if (options.name) {
+            const name = String(options.name).toLowerCase();
+            processes = processes.filter(p =>
+                p.name.toLowerCase().includes(name) || p.command.toLowerCase().includes(name));
+        }
+        if (options.pid) {
+            processes = processes.filter(p => p.pid === Number(options.pid));
+        }
+
+        const key = { start: 'startTime' }[sort] || sort;
+        const descending = options.order ? options.order === 'desc' : ['cpu', 'mem', 'start'].includes(sort);
+        processes.sort((a, b) => {
+            const result = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+            return descending ? -result : result;
+        });
+
+        const total = processes.length;
+        if (options.limit > 0) {
+            processes = processes.slice(0, options.limit);
+        }
+
+        return {
+            success: true,
+            processes: processes.map(({ cpuTicks, ...p }) => p),
+            total
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Failed to read processes: ${error.message}`,
+            code: 'E_PROCESS_LIST_FAILED'
+        };
+    }
+}
+
+// Processes a user started and that are still tracked: streaming jobs and terminal sessions
+function getOwnedProcessIds(username) {
+    if (!username) return new Set();
+    return new Set([
+        ...jobManager.getProcessIds(username),
+        ...ptySessions.listSessions(username).map(session => session.pid)
+    ]);
+}
+
+/**
+ * Check whether a process may be killed
+ * Only processes the user started (see getOwnedProcessIds) are allowed, never PID 1,
+ * the server itself or its parent.
+ * @param {number} pid - Process ID
+ * @param {string} username - User asking to kill it
+ * @returns {Promise<Object>} - { success, process } or { success: false, message, code }
+ */
+async function checkKillable(pid, username) {
+    const id = Number(pid);
+    if (!Number.isInteger(id) || id <= 0) {
+        return { success: false, message: `Invalid process ID: ${pid}`, code: 'E_INVALID_PID' };
+    }
+
+    const system = await getSystemInfo();
+    const target = await readProcess(id, system);
+    if (!target) {
+        return { success: false, message: `No process with ID ${id}`, code: 'E_PROCESS_NOT_FOUND' };
+    }
+
+    if ([1, process.pid, process.ppid].includes(id)) {
+        return {
+            success: false,
+            message: `Process ${id} (${target.name}) is protected and cannot be killed`,
+            code: 'E_PROCESS_PROTECTED'
+        };
+    }
+
+    if (!getOwnedProcessIds(username).has(id)) {
+        return {
+            success: false,
+            message: `Process ${id} (${target.name}) was not started by you; only your running jobs and terminal sessions can be killed`,
+            code: 'E_PROCESS_NOT_OWNED'
+        };
+    }
+
+    const { cpuTicks, ...details } = target;
+    return { success: true, process: details };
+}
+
+// Check whether a process is gone (zombies count as gone: they only wait to be reaped)
+async function hasExited(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+    const stat = await fs.readFile(path.join(PROC_DIR, String(pid), 'stat'), 'utf8').catch(() => null);
+    return !stat || stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) === 'Z';
+}
+
+// Wait up to a number of milliseconds for a process to exit
+async function waitForExit(pid, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await hasExited(pid)) return true;
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+    return hasExited(pid);
+}
+
+/**
+ * Terminate a process: SIGTERM first, SIGKILL if it is still running after the grace period
+ * Callers are responsible for asking the user to confirm first; the start time seen then
+ * must still match, so a PID that was reused by another process is not killed.
+ * @param {number} pid - Process ID
+ * @param {Object} options - Kill options
+ * @param {string} options.username - User asking to kill it
+ * @param {string} options.startTime - Start time of the process the user confirmed
+ * @param {number} options.graceMs - Milliseconds to wait after SIGTERM
+ * @returns {Promise<Object>} - { success, message, pid, signal } or { success: false, message, code }
+ */
+async function killProcess(pid, options = {}) {
+    const check = await checkKillable(pid, options.username);
+    if (!check.success) {
+        return check;
+    }
+
+    const target = check.process;
+    if (target.startTime !== options.startTime) {
+        return {
+            success: false,
+            message: `Process ${target.pid} is no longer the process you confirmed; nothing was killed`,
+            code: 'E_PROCESS_CHANGED'
+        };
+    }
+    const graceMs = options.graceMs >= 0 ? options.graceMs : DEFAULT_GRACE_MS;
+
+    try {
+        process.kill(target.pid, 'SIGTERM');
+        if (await waitForExit(target.pid, graceMs)) {
+            return { success: true, message: `Process ${target.pid} (${target.name}) terminated`, pid: target.pid, signal: 'SIGTERM' };
+        }
+
+        process.kill(target.pid, 'SIGKILL');
+        if (await waitForExit(target.pid, 1000)) {
+            return {
+                success: true,
+                message: `Process ${target.pid} (${target.name}) did not exit after SIGTERM and was killed`,
+                pid: target.pid,
+                signal: 'SIGKILL'
+            };
+        }
+
+        return {
+            success: false,
+            message: `Process ${target.pid} (${target.name}) is still running after SIGKILL`,
+            code: 'E_PROCESS_KILL_FAILED'
+        };
+    } catch (error) {
+        if (error.code === 'ESRCH') {
+            return { success: true, message: `Process ${target.pid} (${target.name}) already exited`, pid: target.pid, signal: null };
+        }
+        return {
+            success: false,
+            message: `Failed to kill process ${target.pid}: ${error.message}`,
+            code: error.code === 'EPERM' ? 'E_PERMISSION_DENIED' : 'E_PROCESS_KILL_FAILED'
+        };
+    }
+}
+
+module.exports = {
+    listProcesses,
+    checkKillable,
+    killProcess,
+    SORT_FIELDS
+};
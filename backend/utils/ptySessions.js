@@ -0,0 +1,273 @@
+// VOICE-CMD PTY Sessions
+// Runs interactive programs (nano, top, ...) in pseudo-terminals inside the user's
+// workspace; output and exits are emitted as events that utils/ws.js bridges to /ws
+
+const { EventEmitter } = require('events');
+const pty = require('node-pty');
+const security = require('./security');
+const commandTokenizer = require('./commandTokenizer');
+
+const MAX_SESSIONS_PER_USER = 3;
+// Sessions nobody typed into for this long are closed
+const IDLE_TIMEOUT = parseInt(process.env.PTY_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000; // 30 minutes
+// Editor opened by "edit <file>"; nano is the only editor that stays in the workspace
+const DEFAULT_EDITOR = 'nano';
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+
+// Keystrokes for voice commands like "save file" and "close editor", per program
+const KEYSTROKES = {
+    nano: {
+        save: '\x0f\r', // Ctrl+O, confirm the file name
+        close: '\x18', // Ctrl+X (nano asks before discarding changes)
+        discard: '\x18n' // Ctrl+X, answer "no" to saving
+    },
+    top: { close: 'q' },
+    htop: { close: 'q' },
+    man: { close: 'q' }
+};
+
+// Session events: 'opened' (session), 'data' (session, data), 'exit' (session, exitCode)
+const events = new EventEmitter();
+
+// In-memory storage for sessions (sessionId -> session)
+const sessions = new Map();
+let sessionIdCounter = 1;
+
+/**
+ * Open an interactive program in a terminal session
+ * @param {string} username - Session owner
+ * @param {string} command - Command text, e.g. "nano notes.txt"
+ * @param {Object} options - Session options
+ * @param {string} options.cwd - Workspace to run in
+ * @param {number} options.cols - Terminal width
+ * @param {number} options.rows - Terminal height
+ * @returns {Object} - { success, session } or { success: false, message, code }
+ */
+function openSession(username, command, options = {}) {
+    const parsed = commandTokenizer.parsePipeline(command);
+    if (!parsed.success) {
+        return { success: false, message: parsed.reason, code: parsed.code };
+    }
+
+    const { stages, input, output } = parsed.pipeline;
+    if (stages.length > 1 || input || output) {
+        return {
+            success: false,
+            message: 'Interactive programs cannot be used with pipes or redirection',
+            code: 'E_PTY_INVALID_COMMAND'
+        };
+    }
+
+    // Sessions open synchronously, so wildcards are not expanded here
+    if (stages[0].globs.length > 0) {
+        return {
+            success: false,
+            message: 'Wildcards are not expanded for interactive programs; name the file instead',
+            code: 'E_PTY_INVALID_COMMAND'
+        };
+    }
+
+    const argv = stages[0].argv;
+    const policyCheck = security.checkArgvPolicy(argv, options.cwd, { terminal: true });
+    if (!policyCheck.safe) {
+        return {
+            success: false,
+            message: policyCheck.reason,
+            suggestion: policyCheck.suggestion,
+            blocked: true,
+            code: 'E_COMMAND_BLOCKED'
+        };
+    }
+
+    if (listSessions(username).length >= MAX_SESSIONS_PER_USER) {
+        return {
+            success: false,
+            message: `You already have ${MAX_SESSIONS_PER_USER} terminal sessions open; close one first`,
+            code: 'E_PTY_LIMIT'
+        };
+    }
+
+    const program = argv[0];
+    const settings = security.getTerminalSettings(program);
+    let term;
+    try {
+        term = pty.spawn(program, [...settings.args, ...argv.slice(1)], {
+            name: 'xterm-256color',
+            cols: validSize(options.cols, 500) || DEFAULT_COLS,
+            rows: validSize(options.rows, 200) || DEFAULT_ROWS,
+            cwd: options.cwd,
+            // Keep the server's environment out; HOME is the workspace, so programs that read
+            // config files from it are started without them (nano --ignorercfiles)
+            env: {
+                PATH: process.env.PATH,
+                LANG: process.env.LANG || 'C.UTF-8',
+                TERM: 'xterm-256color',
+                HOME: options.cwd,
+                ...settings.env
+            }
+        });
+    } catch (error) {
+        return { success: false, message: `Failed to start ${program}: ${error.message}`, code: 'E_PTY_FAILED' };
+    }
+
+    const session = {
+        id: `pty_${sessionIdCounter++}_${Date.now()}`,
+        username,
+        command,
+        program,
+        pid: term.pid,
+        startedAt: new Date().toISOString(),
+        lastActivity: Date.now(),
+        term,
+        idleTimer: null
+    };
+
+    sessions.set(session.id, session);
+    resetIdleTimer(session);
+
+    term.onData((data) => events.emit('data', session, data));
+    term.onExit(({ exitCode }) => {
+        clearTimeout(session.idleTimer);
+        sessions.delete(session.id);
+        events.emit('exit', session, exitCode);
+    });
+
+    events.emit('opened', session);
+    return { success: true, session };
+}
+
+// Parse a terminal dimension, or null when it is missing or out of range
+function validSize(value, max) {
+    const size = parseInt(value, 10);
+    return size > 0 && size <= max ? size : null;
+}
+
+// Close sessions that have been left alone for too long
+function resetIdleTimer(session) {
+    clearTimeout(session.idleTimer);
+    session.lastActivity = Date.now();
+    session.idleTimer = setTimeout(() => {
+        console.log(`Closing idle terminal session ${session.id}`);
+        session.term.kill();
+    }, IDLE_TIMEOUT);
+    session.idleTimer.unref();
+}
+
+// Look up a session owned by the user; without an ID use the most recently used one
+function findSession(username, sessionId = null) {
+    if (sessionId) {
+        const session = sessions.get(sessionId);
+        return session && session.username === username ? session : null;
+    }
+
+    const owned = [...sessions.values()].filter(session => session.username === username);
+    return owned.sort((a, b) => b.lastActivity - a.lastActivity)[0] || null;
+}
+
+/**
+ * Send keyboard input to a session
+ * @param {string} username - Session owner
+ * @param {string} sessionId - Session ID
+ * @param {string} data - Raw input
+ * @returns {Object} - { success } or { success: false, message, code }
+ */
+function writeInput(username, sessionId, data) {
+    const session = findSession(username, sessionId);
+    if (!session) {
+        return { success: false, message: `Terminal session not found: ${sessionId}`, code: 'E_PTY_NOT_FOUND' };
+    }
+
+    session.term.write(String(data));
+    resetIdleTimer(session);
+    return { success: true };
+}
+
+/**
+ * Resize a session's terminal
+ * @param {string} username - Session owner
+ * @param {string} sessionId - Session ID
+ * @param {number} cols - Terminal width
+ * @param {number} rows - Terminal height
+ * @returns {Object} - { success } or { success: false, message, code }
+ */
+function resizeSession(username, sessionId, cols, rows) {
+    const session = findSession(username, sessionId);
+    if (!session) {
+        return { success: false, message: `Terminal session not found: ${sessionId}`, code: 'E_PTY_NOT_FOUND' };
+    }
+
+    const width = validSize(cols, 500);
+    const height = validSize(rows, 200);
+    if (!width || !height) {
+        return { success: false, message: 'Invalid terminal size', code: 'E_PTY_INVALID_SIZE' };
+    }
+
+    session.term.resize(width, height);
+    return { success: true };
+}
+
+/**
+ * Send the keystrokes for an editor action ("save file", "close editor") to a session
+ * @param {string} username - Session owner
+ * @param {string} action - save, close or discard
+ * @param {string} sessionId - Session ID, or null for the most recently used session
+ * @returns {Object} - { success, message, session } or { success: false, message, code }
+ */
+function sendAction(username, action, sessionId = null) {
+    const session = findSession(username, sessionId);
+    if (!session) {
+        return { success: false, message: 'No terminal session is open', code: 'E_PTY_NOT_FOUND' };
+    }
+
+    const keys = (KEYSTROKES[session.program] || {})[action];
+    if (!keys) {
+        return {
+            success: false,
+            message: `"${action}" is not supported in ${session.program}`,
+            code: 'E_PTY_UNSUPPORTED_ACTION'
+        };
+    }
+
+    session.term.write(keys);
+    resetIdleTimer(session);
+    return { success: true, message: `Sent ${action} to ${session.program}`, session };
+}
+
+/**
+ * Kill a session's program
+ * @param {string} username - Session owner
+ * @param {string} sessionId - Session ID
+ * @returns {Object} - { success } or { success: false, message, code }
+ */
+function closeSession(username, sessionId) {
+    const session = findSession(username, sessionId);
+    if (!session) {
+        return { success: false, message: `Terminal session not found: ${sessionId}`, code: 'E_PTY_NOT_FOUND' };
+    }
+
+    session.term.kill();
+    return { success: true };
+}
+
+/**
+ * List a user's open sessions
+ * @param {string} username - Session owner
+ * @returns {Array<Object>} - Sessions without their terminal handle
+ */
+function listSessions(username) {
+    return [...sessions.values()]
+        .filter(session => session.username === username)
+        .map(({ id, command, program, pid, startedAt }) => ({ id, command, program, pid, startedAt }));
+}
+
+module.exports = {
+    openSession,
+    writeInput,
+    resizeSession,
+    sendAction,
+    closeSession,
+    listSessions,
+    events,
+    DEFAULT_EDITOR
+};
@@ -1,80 +1,160 @@
 // Command Scheduler Utility
-// Handles scheduling, managing, and executing automated commands
+// Handles scheduling, managing, and executing automated commands.
+// Recurring schedules are cron expressions (utils/cron.js) evaluated in the schedule's time zone;
+// a single timer wakes up for the earliest due schedule and works out each schedule's next run.
+// Each schedule has a misfire policy (runs missed while the server was down or busy) and an
+// overlap policy (a run falls due while the previous one is still going), and keeps a run log.
+// Schedules belong to the user who created them: they are stored in that user's data directory
+// and run in that user's workspace, and their results go to that user's history.
+// A destructive command is confirmed once, when it is scheduled; anything else that would ask for
+// confirmation when it runs is not run, and the run waits for the owner's "yes" instead.
 
-const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const { EventEmitter } = require('events');
+const auth = require('./auth');
 const commandUtils = require('./commandUtils');
+const confirmations = require('./confirmations');
 const logger = require('./logger');
 const commandHistory = require('./commandHistory');
+const cron = require('./cron');
+const legacyFiles = require('./legacyFiles');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
 const LOGS_DIR = path.join(PROJECT_ROOT, 'logs');
-const SCHEDULES_FILE = path.join(LOGS_DIR, 'scheduledJobs.json');
+// Where all users' schedules used to live; migrateLegacySchedules moves them into per-user files
+const LEGACY_SCHEDULES_FILE = path.join(LOGS_DIR, 'scheduledJobs.json');
+const LEGACY_BACKUP_FILE = path.join(LOGS_DIR, 'scheduledJobs.legacy.json');
+// Old shared schedules of no known user, kept until SCHEDULE_MIGRATION_USER names an owner
+const UNCLAIMED_SCHEDULES_FILE = path.join(PROJECT_ROOT, 'data', 'system', 'scheduledJobs.unclaimed.json');
 
-// In-memory storage for active schedules
+// Repeat values accepted when scheduling; hourly, daily and weekly become cron expressions
+const REPEAT_OPTIONS = ['once', 'hourly', 'daily', 'weekly', 'cron'];
+// The timer never sleeps longer than this, so clock changes and suspends are noticed
+const MAX_TICK_MS = 60 * 1000;
+// Missed runs: run once now, skip them, or run every one of them (one after another)
+const MISFIRE_POLICIES = ['once', 'skip', 'all'];
+// A run still going when the next is due: skip the new one, queue it, or run both at once
+const OVERLAP_POLICIES = ['skip', 'queue', 'parallel'];
+const DEFAULT_MISFIRE_POLICY = 'once';
+const DEFAULT_OVERLAP_POLICY = 'skip';
+// misfireGraceMs: a run starting later than this after its time was missed;
+// maxCatchUpRuns: missed runs caught up with the 'all' policy; maxQueuedRuns: runs waiting behind a running one
+const RUN_LIMITS = {
+    misfireGraceMs: 60 * 1000,
+    maxCatchUpRuns: 25,
+    maxQueuedRuns: 5
+};
+// Runs kept in each schedule's run log, and how much of each result
+const MAX_RUN_LOG = 50;
+const MAX_RUN_RESULT_LENGTH = 500;
+
+// In-memory storage for active schedules of all users (schedule ID -> schedule, with its username)
 let activeSchedules = new Map();
 let scheduleIdCounter = 1;
+let tickTimer = null;
+let runIdCounter = 1;
 
-// Ensure logs directory exists
-async function ensureLogsDirectory() {
-    try {
-        await fsPromises.mkdir(LOGS_DIR, { recursive: true });
-    } catch (error) {
-        console.error('Failed to create logs directory:', error.message);
-    }
-}
+// Runs in progress per schedule (schedule ID -> { active, queued, tail: promise of the last queued run })
+const runStates = new Map();
 
-// Load schedules from file
-async function loadSchedules() {
+// Scheduler events: 'triggered' (schedule, run, confirmation) when a run has finished
+// (confirmation: what the owner has to confirm when the run is waiting for it, otherwise null)
+const events = new EventEmitter();
+
+// Schedule file updates are serialized per user (username -> promise of the last update)
+const saveQueues = new Map();
+
+// Load a user's schedules from file
+async function loadSchedules(username) {
     try {
-        await ensureLogsDirectory();
-        
-        if (!fs.existsSync(SCHEDULES_FILE)) {
-            return [];
-        }
-        
-        const data = await fsPromises.readFile(SCHEDULES_FILE, 'utf8');
+        const data = await fsPromises.readFile(auth.getUserSchedulesFile(username), 'utf8');
         return JSON.parse(data);
     } catch (error) {
-        console.error('Error loading schedules:', error.message);
+        if (error.code !== 'ENOENT') {
+            console.error(`Error loading schedules of ${username}:`, error.message);
+        }
         return [];
     }
 }
 
-// Save schedules to file
-async function saveSchedules(schedules) {
+// Save a user's schedules to file
+// Written to a temporary file and renamed, so listing schedules during a run never reads half a file
+async function saveSchedules(username, schedules) {
     try {
-        await ensureLogsDirectory();
-        await fsPromises.writeFile(SCHEDULES_FILE, JSON.stringify(schedules, null, 2), 'utf8');
+        await auth.ensureUserDataDir(username);
+        const file = auth.getUserSchedulesFile(username);
+        await fsPromises.writeFile(`${file}.tmp`, JSON.stringify(schedules, null, 2), 'utf8');
+        await fsPromises.rename(`${file}.tmp`, file);
     } catch (error) {
-        console.error('Error saving schedules:', error.message);
+        console.error(`Error saving schedules of ${username}:`, error.message);
     }
 }
 
-// Execute a scheduled command
-async function executeScheduledCommand(scheduleId, command, isRecurring = false) {
+// Load, change and save a user's schedule file without losing concurrent changes
+// fn receives the stored schedules, may change them in place, and its return value is passed on
+function updateSchedules(username, fn) {
+    const previous = saveQueues.get(username) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+        const schedules = await loadSchedules(username);
+        const result = await fn(schedules);
+        await saveSchedules(username, schedules);
+        return result;
+    });
+    saveQueues.set(username, update);
+    return update;
+}
+
+// Run a scheduled command as its owner: in their workspace, with their macros and references
+// An owner whose account is gone or deactivated keeps their schedules, but the runs are blocked
+async function runAsOwner(schedule) {
+    const owner = (await auth.listUsers()).find(user => user.username === schedule.username);
+    if (!owner || !owner.isActive) {
+        return {
+            success: false,
+            blocked: true,
+            result: `Account ${schedule.username} is ${owner ? 'deactivated' : 'unknown'}`,
+            code: 'E_ACCOUNT_DEACTIVATED'
+        };
+    }
+    
+    // Only a command confirmed when it was scheduled runs without asking; macro steps are never pre-confirmed
+    return commandUtils.executeCommand(schedule.command, { confirmed: schedule.confirmed === true, username: schedule.username });
+}
+
+// Run and history status of a scheduled command's result
+function resultStatus(result) {
+    if (result.success) return 'success';
+    if (result.blocked) return 'blocked';
+    return result.needsConfirmation ? 'needs_confirmation' : 'error';
+}
+
+// Execute a scheduled command and add it to its owner's history
+async function executeScheduledCommand(schedule) {
+    const { id: scheduleId, command, username } = schedule;
     try {
-        console.log(`Executing scheduled command: ${command} (ID: ${scheduleId})`);
+        console.log(`Executing scheduled command of ${username}: ${command} (ID: ${scheduleId})`);
         
-        // Execute the command
-        const result = await commandUtils.executeCommand(command);
+        const result = await runAsOwner(schedule);
         
         // Log the execution
+        const details = { username, scheduleId };
         if (result.success) {
-            logger.logCommand(command, 'SUCCESS', `Scheduled command executed successfully`);
+            logger.logCommand(command, 'SUCCESS', `Scheduled command executed successfully`, details);
+        } else if (result.needsConfirmation) {
+            logger.logCommand(command, 'NEEDS_CONFIRMATION', `Scheduled command waiting for confirmation: ${result.result}`, details);
         } else if (result.blocked) {
-            logger.logCommand(command, 'BLOCKED', `Scheduled command blocked: ${result.result}`);
-            logger.logSecurity(command, 'BLOCKED', `Scheduled command blocked: ${result.result}`);
+            logger.logCommand(command, 'BLOCKED', `Scheduled command blocked: ${result.result}`, details);
+            logger.logSecurity(command, 'BLOCKED', `Scheduled command blocked: ${result.result}`, details);
         } else {
-            logger.logCommand(command, 'ERROR', `Scheduled command failed: ${result.result}`);
+            logger.logCommand(command, 'ERROR', `Scheduled command failed: ${result.result}`, details);
         }
         
-        // Add to command history
+        // Add to the owner's command history
         const timestamp = new Date().toISOString();
-        await commandHistory.addCommand({
+        await commandHistory.addCommandForUser(username, {
             command: command,
-            status: result.success ? 'success' : (result.blocked ? 'blocked' : 'error'),
+            status: resultStatus(result),
             result: result.result,
             timestamp: timestamp,
             code: result.code || null,
@@ -82,22 +162,17 @@ async function executeScheduledCommand(scheduleId, command, isRecurring = false)
             scheduleId: scheduleId
         });
         
-        // If it's not recurring, mark as completed
-        if (!isRecurring) {
-            await markScheduleCompleted(scheduleId);
-        }
-        
         return result;
         
     } catch (error) {
         console.error('Error executing scheduled command:', error);
         
         // Log the error
-        logger.logCommand(command, 'ERROR', `Scheduled command execution failed: ${error.message}`);
+        logger.logCommand(command, 'ERROR', `Scheduled command execution failed: ${error.message}`, { username, scheduleId });
         
-        // Add to command history
+        // Add to the owner's command history
         const timestamp = new Date().toISOString();
-        await commandHistory.addCommand({
+        await commandHistory.addCommandForUser(username, {
             command: command,
             status: 'error',
             result: `Scheduled command execution failed: ${error.message}`,
@@ -116,19 +191,20 @@ async function executeScheduledCommand(scheduleId, command, isRecurring = false)
 }
 
 // Mark a schedule as completed
-async function markScheduleCompleted(scheduleId) {
+async function markScheduleCompleted(schedule) {
+    const scheduleId = schedule.id;
     try {
-        const schedules = await loadSchedules();
-        const scheduleIndex = schedules.findIndex(s => s.id === scheduleId);
+        activeSchedules.delete(scheduleId);
+        const found = await updateSchedules(schedule.username, schedules => {
+            const stored = schedules.find(s => s.id === scheduleId);
+            if (stored) {
+                stored.status = 'completed';
+                stored.completedAt = new Date().toISOString();
+            }
+            return Boolean(stored);
+        });
         
-        if (scheduleIndex !== -1) {
-            schedules[scheduleIndex].status = 'completed';
-            schedules[scheduleIndex].completedAt = new Date().toISOString();
-            await saveSchedules(schedules);
-            
-            // Remove from active schedules
-            activeSchedules.delete(scheduleId);
-            
+        if (found) {
             console.log(`Schedule ${scheduleId} marked as completed`);
         }
     } catch (error) {
@@ -136,104 +212,399 @@ async function markScheduleCompleted(scheduleId) {
     }
 }
 
-// Parse time string to Date object
-function parseTimeString(timeString) {
+// Parse a time string to a Date; times without a zone ("2026-10-19T09:00") are read in timeZone
+// Returns null for text that is not a time
+function parseTimeString(timeString, timeZone) {
     const now = new Date();
-    const time = new Date(timeString);
+    const local = String(timeString).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    const wall = local && {
+        year: Number(local[1]),
+        month: Number(local[2]),
+        day: Number(local[3]),
+        hour: Number(local[4]),
+        minute: Number(local[5]),
+        second: Number(local[6] || 0)
+    };
+    const time = wall ? cron.zonedTimeToInstant(wall, timeZone) : new Date(timeString);
+    if (Number.isNaN(time.getTime())) {
+        return null;
+    }
     
-    // If the time is in the past, schedule for tomorrow
+    // If the time is in the past, schedule for tomorrow (same wall-clock time)
     if (time <= now) {
-        time.setDate(time.getDate() + 1);
+        const wallTime = cron.wallClock(time, timeZone);
+        const tomorrow = new Date(Date.UTC(wallTime.year, wallTime.month - 1, wallTime.day + 1));
+        return cron.zonedTimeToInstant({
+            ...wallTime,
+            year: tomorrow.getUTCFullYear(),
+            month: tomorrow.getUTCMonth() + 1,
+            day: tomorrow.getUTCDate()
+        }, timeZone);
     }
     
     return time;
 }
 
-// Calculate next execution time for recurring schedules
-function calculateNextExecution(schedule) {
+// Cron expression for the old hourly/daily/weekly repeats, keeping the first run's wall-clock time
+function repeatToCron(repeat, firstRun, timeZone) {
+    const wall = cron.wallClock(firstRun, timeZone);
+    const weekday = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+    switch (repeat) {
+        case 'hourly':
+            return `${wall.minute} * * * *`;
+        case 'daily':
+            return `${wall.minute} ${wall.hour} * * *`;
+        case 'weekly':
+            return `${wall.minute} ${wall.hour} * * ${weekday}`;
+        default:
+            return null;
+    }
+}
+
+// Calculate the next execution of a recurring schedule after a moment (null when it never runs again)
+function calculateNextExecution(schedule, after = new Date()) {
+    if (!schedule.cron) {
+        return null;
+    }
+    return cron.nextRun(schedule.cron, after, schedule.timezone || cron.DEFAULT_TIMEZONE);
+}
+
+// Arm the timer for the earliest active schedule
+function armTimer() {
+    if (tickTimer) {
+        clearTimeout(tickTimer);
+        tickTimer = null;
+    }
+    if (activeSchedules.size === 0) {
+        return;
+    }
+    
+    const earliest = Math.min(...[...activeSchedules.values()].map(s => new Date(s.nextExecution).getTime()));
+    const delay = Math.min(Math.max(earliest - Date.now(), 0), MAX_TICK_MS);
+    tickTimer = setTimeout(tick, delay);
+}
+
+// Add or update a run in a schedule's run log
+async function recordRun(schedule, run) {
+    await updateSchedules(schedule.username, schedules => {
+        const stored = schedules.find(s => s.id === schedule.id);
+        if (!stored) {
+            return;
+        }
+        stored.runs = stored.runs || [];
+        const index = stored.runs.findIndex(r => r.id === run.id);
+        if (index === -1) {
+            stored.runs.push({ ...run });
+        } else {
+            stored.runs[index] = { ...run };
+        }
+        stored.runs = stored.runs.slice(-MAX_RUN_LOG);
+        if (run.startedAt) {
+            stored.lastExecution = run.startedAt;
+        }
+    });
+}
+
+function newRun(plannedAt, trigger) {
+    return {
+        id: `run_${runIdCounter++}_${Date.now()}`,
+        plannedAt: new Date(plannedAt).toISOString(),
+        trigger: trigger,
+        status: 'running',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        result: null,
+        code: null
+    };
+}
+
+// Note a run that did not happen (missed, or skipped because the previous one was still going)
+async function recordSkippedRun(schedule, plannedAt, trigger, reason) {
+    const run = newRun(plannedAt, trigger);
+    run.status = 'skipped';
+    run.result = reason;
+    console.log(`Schedule ${schedule.id}: ${reason}`);
+    await recordRun(schedule, run);
+}
+
+// Run a schedule's command once, recording it in the run log
+// last: the schedule has no runs after this one, so it is completed afterwards
+async function runSchedule(schedule, run, last) {
+    const state = runStates.get(schedule.id);
+    state.active++;
+    try {
+        run.startedAt = new Date().toISOString();
+        await recordRun(schedule, run);
+        
+        const result = await executeScheduledCommand(schedule);
+        
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+        run.status = resultStatus(result);
+        run.result = String(result.result || '').slice(0, MAX_RUN_RESULT_LENGTH);
+        run.code = result.code || null;
+        await recordRun(schedule, run);
+        events.emit('triggered', schedule, run, result.needsConfirmation ? result.confirmation : null);
+    } finally {
+        state.active--;
+        if (state.active === 0 && state.queued === 0) {
+            runStates.delete(schedule.id);
+        }
+        if (last) {
+            await markScheduleCompleted(schedule);
+        }
+    }
+}
+
+// Start a due run, applying the schedule's overlap policy if its previous run is still going
+// Catch-up runs ('all' misfire policy) always queue, so they run one after another
+function dispatchRun(schedule, plannedAt, trigger, last) {
+    if (!runStates.has(schedule.id)) {
+        runStates.set(schedule.id, { active: 0, queued: 0, tail: Promise.resolve() });
+    }
+    const state = runStates.get(schedule.id);
+    const busy = state.active > 0 || state.queued > 0;
+    const policy = trigger === 'catch-up' ? 'queue' : (schedule.overlapPolicy || DEFAULT_OVERLAP_POLICY);
+    const run = newRun(plannedAt, trigger);
+    const start = () => runSchedule(schedule, run, last).catch(error => {
+        console.error(`Error running schedule ${schedule.id}:`, error.message);
+    });
+    
+    if (!busy || policy === 'parallel') {
+        const running = start();
+        if (!busy) {
+            state.tail = running;
+        }
+        return;
+    }
+    
+    if (policy === 'queue' && state.queued < RUN_LIMITS.maxQueuedRuns) {
+        state.queued++;
+        state.tail = state.tail.then(() => {
+            state.queued--;
+            return start();
+        });
+        return;
+    }
+    
+    recordSkippedRun(schedule, plannedAt, trigger, policy === 'queue'
+        ? `Skipped: ${RUN_LIMITS.maxQueuedRuns} runs are already queued`
+        : 'Skipped: the previous run was still running').catch(() => {});
+    if (last) {
+        markScheduleCompleted(schedule);
+    }
+}
+
+// Runs of a schedule that were due between its next execution and now (at most RUN_LIMITS.maxCatchUpRuns + 1)
+function dueRuns(schedule, now) {
+    const due = [new Date(schedule.nextExecution)];
+    if (schedule.repeat === 'once') {
+        return due;
+    }
+    while (due.length <= RUN_LIMITS.maxCatchUpRuns) {
+        const next = calculateNextExecution(schedule, due[due.length - 1]);
+        if (!next || next > now) {
+            break;
+        }
+        due.push(next);
+    }
+    return due;
+}
+
+// Start the runs of a due schedule, applying its misfire policy to runs that were missed
+async function fireSchedule(schedule, now) {
+    const due = dueRuns(schedule, now);
+    const missed = due.filter(time => now - time > RUN_LIMITS.misfireGraceMs);
+    // Work out the next run before this one starts, so a slow command cannot make it run twice
+    const next = schedule.repeat === 'once' ? null : calculateNextExecution(schedule, now);
+    
+    let runs = due.map(time => ({ plannedAt: time, trigger: 'scheduled' }));
+    if (missed.length > 0) {
+        const policy = schedule.misfirePolicy || DEFAULT_MISFIRE_POLICY;
+        const more = due.length > RUN_LIMITS.maxCatchUpRuns ? ' or more' : '';
+        if (policy === 'skip') {
+            runs = runs.filter(run => now - run.plannedAt <= RUN_LIMITS.misfireGraceMs);
+            await recordSkippedRun(schedule, missed[0], 'misfire',
+                `Skipped ${missed.length}${more} missed run${missed.length === 1 && !more ? '' : 's'} (first due ${missed[0].toISOString()})`);
+        } else if (policy === 'all') {
+            runs = due.slice(0, RUN_LIMITS.maxCatchUpRuns).map(time => ({ plannedAt: time, trigger: 'catch-up' }));
+        } else {
+            runs = [{ plannedAt: due[due.length - 1], trigger: 'catch-up' }];
+        }
+    }
+    
+    if (next) {
+        schedule.nextExecution = next.toISOString();
+        await updateSchedules(schedule.username, schedules => {
+            const stored = schedules.find(s => s.id === schedule.id);
+            if (stored) {
+                stored.nextExecution = schedule.nextExecution;
+            }
+        });
+    } else {
+        activeSchedules.delete(schedule.id);
+    }
+    
+    // Cancelled while the file was being updated
+    if (next && !activeSchedules.has(schedule.id)) {
+        return;
+    }
+    if (runs.length === 0 && !next) {
+        await markScheduleCompleted(schedule);
+    }
+    runs.forEach((run, index) => dispatchRun(schedule, run.plannedAt, run.trigger, !next && index === runs.length - 1));
+}
+
+// Run every schedule that is due, then re-arm the timer
+async function tick() {
+    tickTimer = null;
     const now = new Date();
-    const next = new Date(schedule.nextExecution);
+    const due = [...activeSchedules.values()].filter(s => new Date(s.nextExecution) <= now);
     
-    if (schedule.repeat === 'daily') {
-        next.setDate(next.getDate() + 1);
-    } else if (schedule.repeat === 'weekly') {
-        next.setDate(next.getDate() + 7);
-    } else if (schedule.repeat === 'hourly') {
-        next.setHours(next.getHours() + 1);
+    for (const schedule of due) {
+        try {
+            await fireSchedule(schedule, now);
+        } catch (error) {
+            console.error(`Error running schedule ${schedule.id}:`, error.message);
+        }
     }
     
-    return next;
+    armTimer();
 }
 
 // Schedule a command
-async function scheduleCommand({ command, time, repeat = 'once', description = '' }) {
+// time: first run (once, hourly, daily, weekly) or earliest run (cron); times without a zone are in timezone
+// cron: 5-field cron expression (repeat becomes 'cron')
+// when: spoken schedule such as "every weekday at 9am" or "in 10 minutes", instead of time/repeat/cron
+// timezone: IANA time zone of the times and the cron expression (SCHEDULER_TIMEZONE or the system's by default)
+// misfirePolicy: once, skip or all (see MISFIRE_POLICIES); overlapPolicy: skip, queue or parallel
+// username: owner of the schedule; the command runs as them (their workspace, macros and history)
+// confirmed: the owner confirmed the token returned with E_CONFIRMATION_REQUIRED; a command that would
+// ask for confirmation now is only scheduled then, and its runs do not ask again
+async function scheduleCommand({
+    command,
+    time,
+    repeat = 'once',
+    cron: cronExpression = null,
+    when = null,
+    timezone = null,
+    misfirePolicy = DEFAULT_MISFIRE_POLICY,
+    overlapPolicy = DEFAULT_OVERLAP_POLICY,
+    description = '',
+    username = null,
+    confirmed = false
+}) {
     try {
-        const scheduleId = `schedule_${scheduleIdCounter++}_${Date.now()}`;
-        const executionTime = parseTimeString(time);
+        if (!username) {
+            return { success: false, message: 'Schedules need a logged-in user', code: 'E_NO_USER' };
+        }
+        const timeZone = timezone ? cron.normalizeTimeZone(timezone) : cron.DEFAULT_TIMEZONE;
+        if (!timeZone) {
+            return { success: false, message: `Unknown time zone: ${timezone}`, code: 'E_INVALID_TIMEZONE' };
+        }
+        if (!MISFIRE_POLICIES.includes(misfirePolicy)) {
+            return { success: false, message: `misfirePolicy must be one of: ${MISFIRE_POLICIES.join(', ')}`, code: 'E_INVALID_POLICY' };
+        }
+        if (!OVERLAP_POLICIES.includes(overlapPolicy)) {
+            return { success: false, message: `overlapPolicy must be one of: ${OVERLAP_POLICIES.join(', ')}`, code: 'E_INVALID_POLICY' };
+        }
+        
+        let schedule = { time, repeat, cron: cronExpression, timezone: timeZone };
+        if (when) {
+            const parsed = cron.parseSchedulePhrase(when, { timezone: timeZone });
+            if (!parsed.success) {
+                return { success: false, message: parsed.message, code: parsed.code };
+            }
+            schedule = { time: parsed.time, repeat: parsed.repeat, cron: parsed.cron, timezone: parsed.timezone };
+        }
+        
+        if (schedule.cron) {
+            schedule.repeat = 'cron';
+        } else if (!REPEAT_OPTIONS.includes(schedule.repeat) || schedule.repeat === 'cron') {
+            return {
+                success: false,
+                message: schedule.repeat === 'cron'
+                    ? 'Missing cron expression'
+                    : `Invalid repeat value. Must be one of: ${REPEAT_OPTIONS.join(', ')}`,
+                code: schedule.repeat === 'cron' ? 'E_INVALID_CRON' : 'E_INVALID_REPEAT'
+            };
+        }
+        if (!schedule.time && schedule.repeat !== 'cron') {
+            return { success: false, message: 'Missing time', code: 'E_MISSING_TIME' };
+        }
+        
+        const startTime = schedule.time ? parseTimeString(schedule.time, schedule.timezone) : null;
+        if (schedule.time && !startTime) {
+            return { success: false, message: `Invalid time: ${schedule.time}`, code: 'E_INVALID_TIME' };
+        }
+        
+        let executionTime = startTime;
+        if (schedule.repeat === 'cron') {
+            const parsedCron = cron.parseCron(schedule.cron);
+            if (!parsedCron.success) {
+                return { success: false, message: parsedCron.message, code: parsedCron.code };
+            }
+            schedule.cron = parsedCron.expression;
+            // A cron schedule with a time starts then; the run may be at that very minute
+            const after = startTime ? new Date(Math.max(startTime.getTime() - 1, Date.now())) : new Date();
+            executionTime = cron.nextRun(parsedCron, after, schedule.timezone);
+            if (!executionTime) {
+                return { success: false, message: `'${schedule.cron}' never runs`, code: 'E_INVALID_CRON' };
+            }
+        } else if (schedule.repeat !== 'once') {
+            schedule.cron = repeatToCron(schedule.repeat, startTime, schedule.timezone);
+        }
         
-        const schedule = {
+        const reason = await commandUtils.getConfirmationReason(command, username);
+        if (reason && !confirmed) {
+            const request = { command, time, repeat, cron: cronExpression, when, timezone, misfirePolicy, overlapPolicy, description };
+            return {
+                success: false,
+                message: `${reason} each time it runs`,
+                code: 'E_CONFIRMATION_REQUIRED',
+                needsConfirmation: true,
+                confirmation: confirmations.createConfirmation(username, { type: 'schedule', request }, `Schedule: ${reason} ("${command}")`)
+            };
+        }
+        
+        const scheduleId = `schedule_${scheduleIdCounter++}_${Date.now()}`;
+        const stored = {
             id: scheduleId,
             command: command,
-            scheduledTime: time,
+            scheduledTime: schedule.time || null,
             nextExecution: executionTime.toISOString(),
-            repeat: repeat,
+            repeat: schedule.repeat,
+            cron: schedule.cron || null,
+            timezone: schedule.timezone,
+            misfirePolicy: misfirePolicy,
+            overlapPolicy: overlapPolicy,
+            // Reaching here with a reason means the owner confirmed it
+            confirmed: Boolean(reason),
             status: 'active',
-            description: description,
+            description: description || (when ? String(when).trim() : ''),
+            username: username,
             createdAt: new Date().toISOString(),
-            completedAt: null
+            lastExecution: null,
+            completedAt: null,
+            runs: []
         };
         
-        // Save to file
-        const schedules = await loadSchedules();
-        schedules.push(schedule);
-        await saveSchedules(schedules);
+        // Save to the owner's file
+        await updateSchedules(username, schedules => {
+            schedules.push(stored);
+        });
         
-        // Schedule the execution
-        const delay = executionTime.getTime() - Date.now();
+        activeSchedules.set(scheduleId, stored);
+        armTimer();
         
-        if (repeat === 'once') {
-            // One-time execution
-            const timeoutId = setTimeout(async () => {
-                await executeScheduledCommand(scheduleId, command, false);
-            }, delay);
-            
-            activeSchedules.set(scheduleId, {
-                type: 'timeout',
-                id: timeoutId,
-                schedule: schedule
-            });
-        } else {
-            // Recurring execution
-            const intervalId = setInterval(async () => {
-                await executeScheduledCommand(scheduleId, command, true);
-                
-                // Update next execution time
-                const nextExecution = calculateNextExecution(schedule);
-                schedule.nextExecution = nextExecution.toISOString();
-                
-                // Update in file
-                const schedules = await loadSchedules();
-                const scheduleIndex = schedules.findIndex(s => s.id === scheduleId);
-                if (scheduleIndex !== -1) {
-                    schedules[scheduleIndex].nextExecution = nextExecution.toISOString();
-                    await saveSchedules(schedules);
-                }
-            }, delay);
-            
-            activeSchedules.set(scheduleId, {
-                type: 'interval',
-                id: intervalId,
-                schedule: schedule
-            });
-        }
-        
-        console.log(`Scheduled command: ${command} for ${executionTime.toLocaleString()}`);
+        console.log(`Scheduled command of ${username}: ${command} for ${executionTime.toLocaleString()}${stored.cron ? ` (cron ${stored.cron}, ${stored.timezone})` : ''}`);
         
         return {
             success: true,
             scheduleId: scheduleId,
-            message: `Command scheduled for ${executionTime.toLocaleString()}`,
-            schedule: schedule
+            message: `Command scheduled for ${executionTime.toLocaleString('en-US', { timeZone: stored.timezone })} (${stored.timezone})`,
+            schedule: stored
         };
         
     } catch (error) {
@@ -246,20 +617,21 @@ async function scheduleCommand({ command, time, repeat = 'once', description = '
     }
 }
 
-// List all schedules
-async function listSchedules() {
+// List a user's schedules
+async function listSchedules(username) {
     try {
-        const schedules = await loadSchedules();
+        const schedules = await loadSchedules(username);
         
-        // Update active schedules with current status
+        // Update active schedules with current status; the run log is summed up by the last run
         const now = new Date();
-        const updatedSchedules = schedules.map(schedule => {
+        const updatedSchedules = schedules.map(({ runs = [], ...schedule }) => {
             if (schedule.status === 'active') {
                 const nextExecution = new Date(schedule.nextExecution);
                 if (nextExecution <= now && schedule.repeat === 'once') {
                     schedule.status = 'overdue';
                 }
             }
+            schedule.lastRun = runs.length > 0 ? runs[runs.length - 1] : null;
             return schedule;
         });
         
@@ -286,31 +658,27 @@ async function listSchedules() {
     }
 }
 
-// Cancel a schedule
-async function cancelSchedule(scheduleId) {
+// Cancel one of a user's schedules (other users' schedules are not found)
+async function cancelSchedule(username, scheduleId) {
     try {
-        // Cancel the active schedule
-        if (activeSchedules.has(scheduleId)) {
-            const activeSchedule = activeSchedules.get(scheduleId);
-            
-            if (activeSchedule.type === 'timeout') {
-                clearTimeout(activeSchedule.id);
-            } else if (activeSchedule.type === 'interval') {
-                clearInterval(activeSchedule.id);
-            }
-            
+        // Stop the active schedule
+        const active = activeSchedules.get(scheduleId);
+        if (active && active.username === username) {
             activeSchedules.delete(scheduleId);
+            armTimer();
         }
         
-        // Update in file
-        const schedules = await loadSchedules();
-        const scheduleIndex = schedules.findIndex(s => s.id === scheduleId);
+        // Update in the owner's file
+        const found = await updateSchedules(username, schedules => {
+            const schedule = schedules.find(s => s.id === scheduleId);
+            if (schedule) {
+                schedule.status = 'cancelled';
+                schedule.cancelledAt = new Date().toISOString();
+            }
+            return Boolean(schedule);
+        });
         
-        if (scheduleIndex !== -1) {
-            schedules[scheduleIndex].status = 'cancelled';
-            schedules[scheduleIndex].cancelledAt = new Date().toISOString();
-            await saveSchedules(schedules);
-            
+        if (found) {
             console.log(`Schedule ${scheduleId} cancelled`);
             
             return {
@@ -335,10 +703,20 @@ async function cancelSchedule(scheduleId) {
     }
 }
 
-// Get schedule statistics
-async function getScheduleStats() {
+// Get the run log of one of a user's schedules, newest first
+async function getScheduleRuns(username, scheduleId) {
+    const schedule = (await loadSchedules(username)).find(s => s.id === scheduleId);
+    if (!schedule) {
+        return { success: false, message: `Schedule ${scheduleId} not found`, code: 'E_SCHEDULE_NOT_FOUND' };
+    }
+    const { runs = [], ...details } = schedule;
+    return { success: true, schedule: details, runs: runs.slice().reverse() };
+}
+
+// Get statistics of a user's schedules
+async function getScheduleStats(username) {
     try {
-        const schedules = await loadSchedules();
+        const schedules = await loadSchedules(username);
         const now = new Date();
         
         const stats = {
@@ -377,67 +755,147 @@ async function getScheduleStats() {
     }
 }
 
-// Initialize scheduler on startup
-async function initializeScheduler() {
+// Read a schedules file written by an older version, or null when there is none
+async function readOldSchedulesFile(file) {
+    try {
+        const schedules = JSON.parse(await fsPromises.readFile(file, 'utf8'));
+        return Array.isArray(schedules) ? schedules : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+// Move the old shared logs/scheduledJobs.json into per-user files (run at startup; see utils/legacyFiles.js).
+// Schedules keep the user who created them. Schedules of no known user (created before schedules
+// had owners, or by an account that is gone) would run as whoever gets them, so they only go to
+// SCHEDULE_MIGRATION_USER. Schedules the user already has are kept.
+// options.legacyFile, options.backupFile and options.unclaimedFile replace those files.
+async function migrateLegacySchedules(options = {}) {
+    const legacyFile = options.legacyFile || LEGACY_SCHEDULES_FILE;
+    const backupBase = options.backupFile || LEGACY_BACKUP_FILE;
+    const unclaimedFile = options.unclaimedFile || UNCLAIMED_SCHEDULES_FILE;
+    const legacy = await readOldSchedulesFile(legacyFile);
+    const unclaimed = await readOldSchedulesFile(unclaimedFile);
+    if (!legacy && !unclaimed) {
+        return { migrated: false };
+    }
+    
+    const users = await auth.listUsers();
+    const owner = process.env.SCHEDULE_MIGRATION_USER || null;
+    if (owner && !users.some(user => user.username === owner)) {
+        throw new Error(`SCHEDULE_MIGRATION_USER "${owner}" is not a registered user`);
+    }
+    if (!legacy && !owner) {
+        return { migrated: false, unclaimedFile: unclaimedFile };
+    }
+    
+    // username -> schedules that belong to them; unowned: set aside earlier, then from the old file
+    const parts = new Map();
+    const unowned = unclaimed || [];
+    const give = (username, schedule) => {
+        if (!parts.has(username)) {
+            parts.set(username, []);
+        }
+        // Old schedules were never confirmed by their owner, so their runs ask when they need to
+        parts.get(username).push({ ...schedule, username: username, confirmed: false });
+    };
+    for (const schedule of legacy || []) {
+        if (users.some(user => user.username === schedule.username)) {
+            give(schedule.username, schedule);
+        } else {
+            unowned.push(schedule);
+        }
+    }
+    if (owner) {
+        unowned.forEach(schedule => give(owner, schedule));
+    }
+    
+    const summary = [];
+    for (const [username, part] of parts) {
+        const added = await updateSchedules(username, schedules => {
+            const fresh = part.filter(schedule => !schedules.some(s => s.id === schedule.id));
+            schedules.push(...fresh);
+            return fresh.length;
+        });
+        summary.push({ username: username, schedules: added });
+    }
+    
+    const keepAside = !owner && unowned.length > 0;
+    await legacyFiles.saveUnclaimed(unclaimedFile, keepAside ? unowned : null);
+    const backupFile = legacy ? await legacyFiles.backUpLegacyFile(legacyFile, backupBase) : null;
+    
+    return {
+        migrated: true,
+        owner: owner,
+        users: summary,
+        unclaimed: keepAside ? unowned.length : 0,
+        unclaimedFile: unclaimedFile,
+        backupFile: backupFile
+    };
+}
+
+// Initialize scheduler on startup: load every user's active schedules
+// options: passed on to migrateLegacySchedules
+async function initializeScheduler(options = {}) {
     try {
         console.log('Initializing scheduler...');
         
-        // Load existing schedules
-        const schedules = await loadSchedules();
-        const now = new Date();
+        try {
+            const migration = await migrateLegacySchedules(options);
+            if (migration.migrated) {
+                for (const part of migration.users) {
+                    console.log(`Scheduler: Migrated ${part.schedules} schedules to ${part.username}`);
+                }
+                if (migration.unclaimed) {
+                    console.warn(`Scheduler: ${migration.unclaimed} schedules belong to no known user; they are kept in ${migration.unclaimedFile} and do not run until SCHEDULE_MIGRATION_USER names their owner`);
+                }
+                if (migration.backupFile) {
+                    console.log(`Scheduler: Old shared schedules kept as ${migration.backupFile}`);
+                }
+            } else if (migration.unclaimedFile) {
+                console.warn(`Scheduler: Old shared schedules in ${migration.unclaimedFile} are waiting for SCHEDULE_MIGRATION_USER to name their owner`);
+            }
+        } catch (error) {
+            console.error('Scheduler: Old shared schedules were not migrated:', error.message);
+        }
         
-        for (const schedule of schedules) {
-            if (schedule.status === 'active') {
-                const nextExecution = new Date(schedule.nextExecution);
-                
-                if (nextExecution > now) {
-                    // Schedule is still valid, reschedule it
-                    const delay = nextExecution.getTime() - now.getTime();
+        const now = new Date().toISOString();
+        
+        for (const { username } of await auth.listUsers()) {
+            await updateSchedules(username, schedules => {
+                for (const schedule of schedules) {
+                    // Runs cut short by the server stopping
+                    for (const run of schedule.runs || []) {
+                        if (run.status === 'running') {
+                            run.status = 'interrupted';
+                            run.finishedAt = now;
+                        }
+                    }
                     
-                    if (schedule.repeat === 'once') {
-                        const timeoutId = setTimeout(async () => {
-                            await executeScheduledCommand(schedule.id, schedule.command, false);
-                        }, delay);
-                        
-                        activeSchedules.set(schedule.id, {
-                            type: 'timeout',
-                            id: timeoutId,
-                            schedule: schedule
-                        });
-                    } else {
-                        const intervalId = setInterval(async () => {
-                            await executeScheduledCommand(schedule.id, schedule.command, true);
-                            
-                            // Update next execution time
-                            const nextExecution = calculateNextExecution(schedule);
-                            schedule.nextExecution = nextExecution.toISOString();
-                            
-                            // Update in file
-                            const schedules = await loadSchedules();
-                            const scheduleIndex = schedules.findIndex(s => s.id === schedule.id);
-                            if (scheduleIndex !== -1) {
-                                schedules[scheduleIndex].nextExecution = nextExecution.toISOString();
-                                await saveSchedules(schedules);
-                            }
-                        }, delay);
-                        
-                        activeSchedules.set(schedule.id, {
-                            type: 'interval',
-                            id: intervalId,
-                            schedule: schedule
-                        });
+                    if (schedule.status !== 'active') {
+                        continue;
                     }
                     
-                    console.log(`Rescheduled: ${schedule.command} for ${nextExecution.toLocaleString()}`);
-                } else {
-                    // Schedule is overdue, mark as completed if one-time
-                    if (schedule.repeat === 'once') {
-                        await markScheduleCompleted(schedule.id);
+                    // The file a schedule is in decides who owns it
+                    schedule.username = username;
+                    
+                    // Schedules saved before cron support repeat by a fixed period from their next run
+                    schedule.timezone = schedule.timezone || cron.DEFAULT_TIMEZONE;
+                    if (schedule.repeat !== 'once' && !schedule.cron) {
+                        schedule.cron = repeatToCron(schedule.repeat, new Date(schedule.nextExecution), schedule.timezone);
                     }
+                    
+                    // Overdue schedules are picked up by the first tick, which applies their misfire policy
+                    activeSchedules.set(schedule.id, schedule);
+                    console.log(`Rescheduled: ${schedule.command} (${username}) for ${new Date(schedule.nextExecution).toLocaleString()}`);
                 }
-            }
+            });
         }
         
+        armTimer();
         console.log(`Scheduler initialized with ${activeSchedules.size} active schedules`);
         
     } catch (error) {
@@ -450,6 +908,12 @@ module.exports = {
     listSchedules,
     cancelSchedule,
     getScheduleStats,
+    getScheduleRuns,
     initializeScheduler,
-    SCHEDULES_FILE
+    migrateLegacySchedules,
+    events,
+    REPEAT_OPTIONS,
+    MISFIRE_POLICIES,
+    OVERLAP_POLICIES,
+    RUN_LIMITS
 };
@@ -5,32 +5,332 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const logger = require('./logger');
+const commandTokenizer = require('./commandTokenizer');
+const { validateArgv, paths, single, optional } = require('./commandSchemas');
 
 // Project configuration
 const PROJECT_ROOT = path.join(os.homedir(), 'Desktop', 'VOICE-CMD');
 
-// ✅ Allowlist & Denylist for commands
-const allowedCommands = [
+// ✅ Allowlist with per-command argument policies
+//  options        - permitted flags: true for plain flags, or the value type for flags that take a value
+//                   ({ type, values } limits the value to a fixed list)
+//  positionals    - ordered argument specs { name, type, min, max, values?, pattern?, skipWith? };
+//                   arguments (and option values) of type 'path' must stay inside the workspace
+//  forbiddenFlags - flag -> why it is refused
+//  suggestion     - shown when a flag is refused
+//  noCombine      - single-dash options are whole words (find -name) and cannot be combined like -la
+//  terminal       - interactive program; runs only in a terminal session (see utils/ptySessions.js),
+//                   started with terminalArgs and terminalEnv added
+//  refused        - known command that is never run from here, with the reason
+const commandPolicies = {
     // File operations
-    'mkdir', 'touch', 'ls', 'cp', 'mv', 'cat', 'head', 'tail', 'grep', 'find',
-    'chmod', 'chown', 'tar', 'zip', 'unzip', 'gzip', 'gunzip',
-    
+    mkdir: {
+        options: { '-p': true, '-v': true },
+        positionals: [paths('directory')]
+    },
+    touch: {
+        options: { '-c': true },
+        positionals: [paths('file')]
+    },
+    ls: {
+        options: {
+            '-l': true, '-a': true, '-A': true, '-h': true, '-R': true, '-1': true,
+            '-t': true, '-S': true, '-r': true, '-F': true, '-d': true
+        },
+        positionals: [paths('path', 0)]
+    },
+    cp: {
+        options: { '-r': true, '-R': true, '-v': true, '-n': true, '-u': true, '-p': true },
+        positionals: [paths('source'), single('destination', 'path')],
+        forbiddenFlags: {
+            '-l': 'hard links can expose files outside your workspace',
+            '-s': 'symbolic links can point outside your workspace'
+        }
+    },
+    mv: {
+        options: { '-v': true, '-n': true, '-u': true },
+        positionals: [paths('source'), single('destination', 'path')]
+    },
+    // Always asks for confirmation first (see utils/confirmations.js)
+    rm: {
+        options: { '-v': true },
+        positionals: [paths('file')],
+        forbiddenFlags: {
+            '-r': 'removes whole folders',
+            '-R': 'removes whole folders',
+            '-f': 'hides what could not be removed'
+        },
+        suggestion: 'Remove files one at a time, or say "delete file <name>" or "delete folder <name>" so it can be undone'
+    },
+    cat: {
+        options: { '-n': true, '-b': true, '-s': true, '-E': true },
+        positionals: [paths('file', 0)]
+    },
+    head: {
+        options: { '-n': 'number', '-c': 'number', '-q': true, '--lines': 'number', '--bytes': 'number' },
+        positionals: [paths('file', 0)],
+        suggestion: 'Use "-n 5" instead of "-5"'
+    },
+    tail: {
+        options: { '-n': 'number', '-c': 'number', '-q': true, '--lines': 'number', '--bytes': 'number' },
+        positionals: [paths('file', 0)],
+        forbiddenFlags: {
+            '-f': 'following a file never finishes',
+            '-F': 'following a file never finishes',
+            '--follow': 'following a file never finishes'
+        },
+        suggestion: 'Use "tail -n 20 <file>" to see the end of a file'
+    },
+    wc: {
+        options: { '-l': true, '-w': true, '-c': true, '-m': true },
+        positionals: [paths('file', 0)]
+    },
+    sort: {
+        options: { '-r': true, '-n': true, '-u': true, '-f': true, '-k': 'text', '-t': 'text' },
+        positionals: [paths('file', 0)],
+        forbiddenFlags: {
+            '-o': 'writes to a file; use "> file" instead so the target is checked',
+            '--output': 'writes to a file; use "> file" instead so the target is checked',
+            '--compress-program': 'runs an arbitrary program'
+        }
+    },
+    uniq: {
+        options: { '-c': true, '-d': true, '-u': true, '-i': true },
+        positionals: [optional('input', 'path')]
+    },
+    grep: {
+        options: {
+            '-i': true, '-v': true, '-n': true, '-c': true, '-l': true, '-L': true, '-r': true, '-R': true,
+            '-w': true, '-x': true, '-E': true, '-F': true, '-o': true, '-H': true, '-h': true, '-s': true,
+            '-m': 'number', '-A': 'number', '-B': 'number', '-C': 'number', '-e': 'text'
+        },
+        positionals: [single('pattern', 'text', { skipWith: '-e' }), paths('file', 0)],
+        forbiddenFlags: {
+            '-f': 'reads patterns from an arbitrary file'
+        }
+    },
+    find: {
+        noCombine: true,
+        options: {
+            '-name': 'text', '-iname': 'text', '-path': 'text',
+            '-type': { type: 'text', values: ['f', 'd', 'l'] },
+            '-maxdepth': 'number', '-mindepth': 'number',
+            '-size': 'text', '-mtime': 'text', '-mmin': 'text', '-newer': 'path',
+            '-empty': true, '-print': true
+        },
+        positionals: [paths('path', 0)],
+        forbiddenFlags: {
+            '-delete': 'deletes every match without confirmation',
+            '-exec': 'runs a command for every match',
+            '-execdir': 'runs a command for every match',
+            '-ok': 'runs a command for every match',
+            '-okdir': 'runs a command for every match',
+            '-fprint': 'writes to an arbitrary file',
+            '-fprintf': 'writes to an arbitrary file',
+            '-fls': 'writes to an arbitrary file'
+        },
+        suggestion: 'Use find to list matches, then "delete file <name>" for the ones you want gone'
+    },
+    chmod: {
+        options: { '-R': true, '-v': true },
+        positionals: [single('mode', 'mode'), paths('file')],
+        forbiddenFlags: {
+            '--reference': 'copies permissions from an arbitrary file'
+        }
+    },
+    chown: { refused: 'changing file owners is not allowed from voice commands' },
+    tar: {
+        options: {
+            '-c': true, '-x': true, '-t': true, '-v': true, '-z': true, '-j': true,
+            '-f': 'path', '-C': 'path'
+        },
+        positionals: [paths('file', 0)],
+        forbiddenFlags: {
+            '-P': 'absolute names let an archive write outside your workspace',
+            '--absolute-names': 'absolute names let an archive write outside your workspace',
+            '--to-command': 'runs a command for every archive member',
+            '-I': 'runs an arbitrary compression program',
+            '--use-compress-program': 'runs an arbitrary compression program',
+            '--checkpoint-action': 'can run arbitrary commands',
+            '-x': 'tar does not stop archive members from landing outside your workspace',
+            '--extract': 'tar does not stop archive members from landing outside your workspace',
+            '--get': 'tar does not stop archive members from landing outside your workspace'
+        },
+        suggestion: 'Say "extract <archive> into <folder>" to unpack it safely, or "list archive <archive>" to see what is in it'
+    },
+    zip: {
+        options: { '-r': true, '-q': true, '-j': true },
+        positionals: [single('archive', 'path'), paths('file')],
+        forbiddenFlags: {
+            '-T': 'runs an unzip command to test the archive',
+            '-TT': 'runs an arbitrary command to test the archive',
+            '--unzip-command': 'runs an arbitrary command to test the archive'
+        }
+    },
+    unzip: {
+        refused: 'unzip does not stop archive members from landing outside your workspace; say "extract <archive> into <folder>" instead'
+    },
+    gzip: {
+        options: { '-k': true, '-d': true, '-v': true, '-l': true },
+        positionals: [paths('file')]
+    },
+    gunzip: {
+        options: { '-k': true, '-v': true, '-l': true },
+        positionals: [paths('file')]
+    },
+
     // Text editing
-    'nano', 'vim', 'vi', 'emacs',
-    
+    nano: {
+        terminal: true,
+        // Restricted: only the files named on the command line, no history or backup files;
+        // no nanorc from the workspace (HOME), which could point nano at other files
+        terminalArgs: ['--restricted', '--ignorercfiles'],
+        options: { '-l': true, '-m': true },
+        positionals: [paths('file', 0)]
+    },
+    vim: { refused: 'vim can open and write files outside your workspace (and reads a .vimrc from it); use nano' },
+    vi: { refused: 'vi can open and write files outside your workspace; use nano' },
+    emacs: { refused: 'emacs can start shells outside your workspace' },
+
     // System info
-    'pwd', 'whoami', 'uname', 'df', 'du', 'free', 'uptime', 'ps', 'top', 'htop',
-    
+    pwd: { options: {}, positionals: [] },
+    whoami: { options: {}, positionals: [] },
+    uptime: { options: { '-p': true, '-s': true }, positionals: [] },
+    uname: {
+        options: { '-a': true, '-r': true, '-s': true, '-m': true, '-n': true, '-o': true, '-v': true },
+        positionals: []
+    },
+    df: { options: { '-h': true, '-T': true, '-i': true }, positionals: [paths('path', 0)] },
+    du: {
+        options: { '-h': true, '-s': true, '-c': true, '-a': true, '-d': 'number', '--max-depth': 'number' },
+        positionals: [paths('path', 0)]
+    },
+    free: { options: { '-h': true, '-m': true, '-g': true, '-b': true }, positionals: [] },
+    ps: {
+        options: { '-e': true, '-f': true, '-a': true, '-u': true, '-x': true, '-l': true, '-p': 'number' },
+        // BSD-style "ps aux"
+        positionals: [optional('bsdOptions', 'text', { pattern: /^[auxefl]+$/ })]
+    },
+    top: {
+        terminal: true,
+        // Secure mode: no killing or renicing from inside top (and no -d)
+        terminalArgs: ['-s'],
+        options: {},
+        positionals: []
+    },
+    htop: {
+        terminal: true,
+        terminalArgs: ['--readonly'],
+        options: { '-d': 'number', '-t': true },
+        positionals: []
+    },
+
     // Network
-    'ping', 'curl', 'wget', 'ssh', 'scp',
-    
+    ping: {
+        options: { '-c': 'number', '-W': 'number', '-i': 'number', '-4': true, '-6': true, '-q': true },
+        positionals: [single('host', 'host')],
+        forbiddenFlags: {
+            '-f': 'flood pings are not allowed'
+        },
+        suggestion: 'Use "ping -c 4 <host>" so it finishes'
+    },
+    curl: {
+        options: {
+            '-s': true, '-S': true, '-L': true, '-I': true, '-f': true, '-i': true,
+            '-o': 'path', '--output': 'path', '-m': 'number', '--max-time': 'number'
+        },
+        positionals: [single('url', 'url')],
+        forbiddenFlags: {
+            '-K': 'reads options from an arbitrary file',
+            '--config': 'reads options from an arbitrary file',
+            '-T': 'uploads local files',
+            '--upload-file': 'uploads local files',
+            '-F': 'can upload local files',
+            '--form': 'can upload local files',
+            '-d': 'can send local files',
+            '--data': 'can send local files'
+        },
+        suggestion: 'Use "curl -o <file> <url>" with a file inside your workspace'
+    },
+    wget: {
+        options: { '-q': true, '-O': 'path', '-P': 'path', '-T': 'number' },
+        positionals: [single('url', 'url')],
+        forbiddenFlags: {
+            '-i': 'reads URLs from an arbitrary file',
+            '--input-file': 'reads URLs from an arbitrary file',
+            '-e': 'runs wgetrc commands',
+            '--execute': 'runs wgetrc commands',
+            '--post-file': 'uploads local files'
+        },
+        suggestion: 'Use "wget -O <file> <url>" with a file inside your workspace'
+    },
+    ssh: { refused: 'remote logins are not allowed from voice commands' },
+    scp: { refused: 'copying files to other machines is not allowed from voice commands' },
+
     // Development
-    'git', 'npm', 'node', 'python', 'python3', 'gcc', 'g++', 'make',
-    
+    git: {
+        noCombine: true,
+        options: {
+            '--oneline': true, '--stat': true, '--short': true, '-s': true, '--all': true, '-a': true,
+            '-n': 'number', '--cached': true, '--name-only': true, '-b': 'text'
+        },
+        positionals: [
+            // No commit, merge, checkout and the like: they run the repository's hooks
+            single('subcommand', 'text', { values: ['status', 'log', 'diff', 'add', 'init', 'branch', 'show'] }),
+            paths('pathspec', 0)
+        ],
+        forbiddenFlags: {
+            '-c': 'can override configuration such as core.sshCommand',
+            '--config-env': 'can override configuration such as core.sshCommand',
+            '-C': 'runs git in another directory',
+            '--git-dir': 'points git at a repository outside your workspace',
+            '--work-tree': 'points git at files outside your workspace',
+            '--exec-path': 'changes which helper programs git runs',
+            '--upload-pack': 'runs an arbitrary program',
+            '--receive-pack': 'runs an arbitrary program'
+        },
+        suggestion: 'Only git status, log, diff, add, init, branch and show are available'
+    },
+    npm: { refused: 'npm runs package scripts, which can do anything' },
+    node: { refused: 'interpreters run arbitrary code' },
+    python3: { refused: 'interpreters run arbitrary code' },
+    gcc: { refused: 'compilers are not available from voice commands' },
+    'g++': { refused: 'compilers are not available from voice commands' },
+    make: { refused: 'makefiles run arbitrary commands' },
+
     // Utilities
-    'echo', 'date', 'cal', 'which', 'whereis', 'man', 'info', 'help'
-];
+    echo: { options: { '-n': true, '-e': true }, positionals: [{ name: 'text', type: 'text', min: 0, max: Infinity }] },
+    date: {
+        options: { '-u': true, '-R': true, '-I': true, '-d': 'text' },
+        positionals: [optional('format', 'text', { pattern: /^\+/ })],
+        forbiddenFlags: {
+            '-s': 'setting the system clock is not allowed',
+            '--set': 'setting the system clock is not allowed',
+            '-f': 'reads dates from an arbitrary file'
+        }
+    },
+    cal: { options: {}, positionals: [optional('month', 'number'), optional('year', 'number')] },
+    which: { options: { '-a': true }, positionals: [{ name: 'command', type: 'command', min: 1, max: Infinity }] },
+    whereis: { options: { '-b': true, '-m': true }, positionals: [{ name: 'command', type: 'command', min: 1, max: Infinity }] },
+    man: {
+        terminal: true,
+        // The pager must not be able to run shell commands ("!" in less)
+        terminalEnv: { PAGER: 'less', MANPAGER: 'less', LESSSECURE: '1' },
+        options: {},
+        positionals: [{ name: 'page', type: 'text', min: 1, max: 2, pattern: /^[\w.+-]+$/ }]
+    },
+    info: { refused: 'info can open any file on the system; use "man <page>"' },
+    help: { refused: '"help" is a shell builtin and commands run without a shell' },
+};
 
+// python is the same program as python3 on most systems
+commandPolicies.python = commandPolicies.python3;
+
+const allowedCommands = Object.keys(commandPolicies);
+
+// Refused outright, before any argument policy. An entry matches when the program is its
+// first word and every other word is one of the arguments ("rm -rf x" matches "rm -rf");
+// arguments are compared whole, so "cat format.txt" does not match "format".
 const blockedCommands = [
     // Dangerous system commands
     'rm -rf', 'rm -r', 'rm -f', 'shutdown', 'reboot', 'halt', 'poweroff',
@@ -38,110 +338,94 @@ const blockedCommands = [
     
     // Dangerous file operations
     'chmod 777 /', 'chmod 777 /etc', 'chmod 777 /root', 'chmod 777 /home',
-    'chown root:', 'chown root /', 'chown root /etc',
+    'chown root', 'chown root /', 'chown root /etc',
     
     // Process killing
-    'kill -9 1', 'killall', 'pkill -f systemd', 'killall systemd',
+    'kill -9', 'killall', 'pkill',
     
     // Network attacks
-    'nmap', 'nmap -sS', 'nmap -O', 'netcat', 'nc -l', 'nc -e',
+    'nmap', 'netcat', 'nc -l', 'nc -e',
     
     // File system damage
-    'dd if=/dev/zero', 'dd of=/dev/sda', 'mkfs', 'fdisk', 'parted',
-    'format', 'wipefs', 'badblocks',
+    'dd', 'mkfs', 'fdisk', 'parted', 'format', 'wipefs', 'badblocks',
     
     // Privilege escalation
-    'sudo su', 'sudo -i', 'su -', 'su root', 'passwd root',
-    
-    // Dangerous redirects
-    '> /dev/sda', '> /etc/passwd', '> /etc/shadow', '>> /etc/passwd',
+    'sudo', 'su', 'passwd',
     
     // Script execution
-    'bash -c', 'sh -c', 'eval', 'exec', 'source /dev/stdin'
+    'bash', 'sh', 'eval', 'exec', 'source'
 ];
 
-const blockedPatterns = [
-    // Regex patterns for more complex blocking
-    /rm\s+-rf?\s+\//,  // rm -rf /
-    /chmod\s+777\s+\//,  // chmod 777 /
-    /chown\s+root\s+\//,  // chown root /
-    /dd\s+if=.*of=\/dev/,  // dd to block devices
-    /sudo\s+(su|passwd|visudo)/,  // sudo dangerous commands
-    /kill\s+-9\s+[0-9]+/,  // kill -9 with PID
-    />.*\/etc\/(passwd|shadow|hosts)/,  // redirect to system files
-    /bash\s+-c\s+['"]/,  // bash -c with quotes
-    /eval\s+/,  // eval commands
-    /exec\s+/,  // exec commands
-    /source\s+\/dev\/stdin/  // source from stdin
-];
+// Check whether argv matches a blockedCommands entry
+function matchesBlocked(argv, blocked) {
+    const [program, ...args] = blocked.split(' ');
+    return argv[0] === program && args.every(arg => argv.includes(arg, 1));
+}
 
 /**
  * Check if command is safe to execute
+ * The command is parsed into argv arrays first (see utils/commandTokenizer.js), so
+ * chaining and substitution are rejected by the tokenizer instead of substring checks.
  * @param {string} command - Command to check
  * @returns {Object} - Safety result with details
  */
 function isCommandSafe(command) {
-    if (!command || typeof command !== 'string') {
+    const parsed = commandTokenizer.parsePipeline(command);
+    if (!parsed.success) {
         return {
             safe: false,
-            reason: 'Invalid command format',
-            blocked: true
+            reason: parsed.reason,
+            blocked: true,
+            code: parsed.code
         };
     }
 
-    const trimmedCommand = command.trim().toLowerCase();
-    
-    // Check against blocked commands
-    for (const blocked of blockedCommands) {
-        if (trimmedCommand.includes(blocked.toLowerCase())) {
-            return {
-                safe: false,
-                reason: `Command contains blocked pattern: "${blocked}"`,
-                blocked: true,
-                pattern: blocked
-            };
+    for (const stage of parsed.pipeline.stages) {
+        const stageCheck = isArgvSafe(stage.argv);
+        if (!stageCheck.safe) {
+            return stageCheck;
         }
     }
 
-    // Check against blocked regex patterns
-    for (const pattern of blockedPatterns) {
-        if (pattern.test(command)) {
-            return {
-                safe: false,
-                reason: `Command matches blocked pattern: ${pattern}`,
-                blocked: true,
-                pattern: pattern.toString()
-            };
-        }
-    }
+    return {
+        safe: true,
+        reason: 'Command is safe',
+        blocked: false
+    };
+}
 
-    // Extract base command (first word)
-    const baseCommand = trimmedCommand.split(' ')[0];
-    
-    // Check if base command is in allowlist
-    if (!allowedCommands.includes(baseCommand)) {
+/**
+ * Check if a single argv array is safe to execute
+ * @param {Array<string>} argv - Program name followed by its arguments
+ * @returns {Object} - Safety result with details
+ */
+function isArgvSafe(argv) {
+    if (!Array.isArray(argv) || argv.length === 0 || typeof argv[0] !== 'string') {
         return {
             safe: false,
-            reason: `Command "${baseCommand}" not in allowlist`,
-            blocked: true,
-            suggestion: `Try one of these: ${allowedCommands.slice(0, 5).join(', ')}...`
+            reason: 'Invalid command format',
+            blocked: true
         };
     }
 
-    // Additional safety checks
-    if (trimmedCommand.includes('&&') || trimmedCommand.includes('||') || trimmedCommand.includes(';')) {
+    const blockedCommand = blockedCommands.find(blocked => matchesBlocked(argv, blocked));
+    if (blockedCommand) {
         return {
             safe: false,
-            reason: 'Command chaining not allowed for security',
-            blocked: true
+            reason: `Command is blocked: "${blockedCommand}"`,
+            blocked: true,
+            pattern: blockedCommand
         };
     }
 
-    if (trimmedCommand.includes('$(') || trimmedCommand.includes('`')) {
+    // Programs are called by name only, so "/bin/rm" or "./ls" cannot sidestep the allowlist
+    const baseCommand = argv[0];
+    if (!allowedCommands.includes(baseCommand)) {
         return {
             safe: false,
-            reason: 'Command substitution not allowed for security',
-            blocked: true
+            reason: `Command "${baseCommand}" not in allowlist`,
+            blocked: true,
+            suggestion: `Try one of these: ${allowedCommands.slice(0, 5).join(', ')}...`
         };
     }
 
@@ -152,12 +436,98 @@ function isCommandSafe(command) {
     };
 }
 
+/**
+ * Check an argv array against its command's argument policy
+ * Runs the allowlist/denylist checks first, then the declared flags and positionals,
+ * and finally makes sure every path argument stays inside the workspace.
+ * @param {Array<string>} argv - Program name followed by its arguments
+ * @param {string} workingDir - Workspace the command runs in
+ * @param {Object} options - Check options
+ * @param {boolean} options.terminal - The command runs in a terminal session (interactive programs only)
+ * @returns {Object} - Safety result with details, including a suggestion when blocked
+ */
+function checkArgvPolicy(argv, workingDir, options = {}) {
+    const basicCheck = isArgvSafe(argv);
+    if (!basicCheck.safe) {
+        return basicCheck;
+    }
+
+    const program = argv[0];
+    const policy = commandPolicies[program];
+    const blocked = (reason, suggestion) => ({ safe: false, reason, blocked: true, suggestion });
+
+    if (policy.refused) {
+        return blocked(`${program}: ${policy.refused}`);
+    }
+    if (policy.terminal && !options.terminal) {
+        return blocked(`${program} needs a terminal and cannot be used in a pipeline`,
+            `Run "${program}" on its own to open it in the terminal pane`);
+    }
+    if (!policy.terminal && options.terminal) {
+        return blocked(`${program} is not an interactive program`, 'Run it as a regular command instead');
+    }
+
+    const forbidden = policy.forbiddenFlags || {};
+    const validation = validateArgv(argv, policy);
+    if (!validation.valid) {
+        // Explain why a known-dangerous flag is refused rather than just "unsupported"
+        if (validation.option && forbidden[validation.option]) {
+            return blocked(`${program}: option "${validation.option}" is not allowed (${forbidden[validation.option]})`,
+                policy.suggestion || validation.suggestion);
+        }
+        return blocked(validation.reason, validation.suggestion);
+    }
+
+    const forbiddenOption = validation.options.find(option => forbidden[option.name]);
+    if (forbiddenOption) {
+        return blocked(`${program}: option "${forbiddenOption.name}" is not allowed (${forbidden[forbiddenOption.name]})`,
+            policy.suggestion);
+    }
+
+    for (const arg of [...validation.options, ...validation.positionals]) {
+        if (arg.type !== 'path') continue;
+
+        const pathCheck = isPathSafe(arg.value, workingDir);
+        if (pathCheck.gitDir) {
+            return {
+                ...blocked(`${program}: ${arg.name} "${arg.value}" is inside a .git folder, whose hooks and settings can make git run programs`,
+                    'Use git status, add, log or diff to work with the repository'),
+                path: arg.value
+            };
+        }
+        if (!pathCheck.safe) {
+            return {
+                ...blocked(`${program}: ${arg.name} "${arg.value}" is outside your workspace`,
+                    'Use paths relative to your workspace, without ".." or absolute paths'),
+                path: arg.value
+            };
+        }
+    }
+
+    return {
+        safe: true,
+        reason: 'Command is safe',
+        blocked: false,
+        options: validation.options,
+        positionals: validation.positionals
+    };
+}
+
 /**
  * Ensure paths stay within project boundaries
  * @param {string} userPath - Path to check
+ * @param {string} rootDir - Sandbox root the path must stay inside; there is no default, since the
+ *                           folder above the workspaces holds every user's sandbox
  * @returns {Object} - Path safety result
  */
-function isPathSafe(userPath) {
+function isPathSafe(userPath, rootDir) {
+    if (!rootDir || typeof rootDir !== 'string') {
+        return {
+            safe: false,
+            reason: 'No sandbox root to check the path against',
+            blocked: true
+        };
+    }
     if (!userPath || typeof userPath !== 'string') {
         return {
             safe: false,
@@ -167,16 +537,41 @@ function isPathSafe(userPath) {
     }
 
     try {
-        const resolvedPath = path.resolve(PROJECT_ROOT, userPath);
-        const isWithinProject = resolvedPath.startsWith(PROJECT_ROOT);
+        const root = path.resolve(rootDir);
+        const resolvedPath = path.resolve(root, userPath);
         
-        if (!isWithinProject) {
+        if (!isWithinRoot(resolvedPath, root)) {
             return {
                 safe: false,
                 reason: `Path "${userPath}" is outside project directory`,
                 blocked: true,
                 resolvedPath: resolvedPath,
-                projectRoot: PROJECT_ROOT
+                projectRoot: root
+            };
+        }
+
+        // Follow symlinks so a link inside the sandbox cannot point outside of it
+        const realPath = resolveExistingRealPath(resolvedPath);
+        const realRoot = fs.existsSync(root) ? fs.realpathSync(root) : root;
+        if (!isWithinRoot(realPath, realRoot)) {
+            return {
+                safe: false,
+                reason: `Path "${userPath}" links outside project directory`,
+                blocked: true,
+                resolvedPath: resolvedPath,
+                projectRoot: root
+            };
+        }
+
+        // Git runs hooks and programs named in its config, so nothing may touch a .git folder
+        if (isInGitDir(resolvedPath, root) || isInGitDir(realPath, realRoot)) {
+            return {
+                safe: false,
+                reason: `Path "${userPath}" is inside a .git folder, whose hooks and settings can make git run programs`,
+                blocked: true,
+                gitDir: true,
+                resolvedPath: resolvedPath,
+                projectRoot: root
             };
         }
 
@@ -195,6 +590,52 @@ function isPathSafe(userPath) {
     }
 }
 
+// Check that a resolved path is the root itself or nested inside it
+function isWithinRoot(resolvedPath, root) {
+    return resolvedPath === root || resolvedPath.startsWith(root + path.sep);
+}
+
+// Check whether a path below root goes through a .git folder
+function isInGitDir(resolvedPath, root) {
+    return path.relative(root, resolvedPath).split(path.sep).some(segment => segment.toLowerCase() === '.git');
+}
+
+// Resolve symlinks for the deepest existing ancestor of a path
+function resolveExistingRealPath(resolvedPath, depth = 0) {
+    let existing = resolvedPath;
+    const missing = [];
+    
+    while (!pathEntryExists(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+            return resolvedPath;
+        }
+        missing.unshift(path.basename(existing));
+        existing = parent;
+    }
+    
+    try {
+        return path.join(fs.realpathSync(existing), ...missing);
+    } catch (error) {
+        // Dangling symlink: follow its target so writes through it are checked too
+        if (depth > 10) {
+            throw error;
+        }
+        const target = path.resolve(path.dirname(existing), fs.readlinkSync(existing));
+        return resolveExistingRealPath(path.join(target, ...missing), depth + 1);
+    }
+}
+
+// Check whether a directory entry exists without following symlinks
+function pathEntryExists(entryPath) {
+    try {
+        fs.lstatSync(entryPath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Log command executions for security auditing
  * @param {string} command - Command that was executed
@@ -277,6 +718,29 @@ function getAllowedCommands() {
     return [...allowedCommands];
 }
 
+/**
+ * Check whether a program is interactive and must run in a terminal session
+ * @param {string} program - Program name
+ * @returns {boolean} - True for programs like nano and top
+ */
+function isTerminalCommand(program) {
+    const policy = commandPolicies[program];
+    return Boolean(policy && policy.terminal);
+}
+
+/**
+ * Get the extra arguments and environment a terminal program is started with
+ * @param {string} program - Program name
+ * @returns {Object} - { args, env }
+ */
+function getTerminalSettings(program) {
+    const policy = commandPolicies[program] || {};
+    return {
+        args: policy.terminalArgs || [],
+        env: policy.terminalEnv || {}
+    };
+}
+
 /**
  * Get blocked commands list
  * @returns {Array} - List of blocked commands
@@ -287,11 +751,15 @@ function getBlockedCommands() {
 
 module.exports = {
     isCommandSafe,
+    isArgvSafe,
+    checkArgvPolicy,
     isPathSafe,
     logCommand,
     getSecurityStats,
     getAllowedCommands,
     getBlockedCommands,
+    isTerminalCommand,
+    getTerminalSettings,
     PROJECT_ROOT
 };
 
@@ -3,6 +3,11 @@
 
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
+const jobManager = require('./jobManager');
+const ptySessions = require('./ptySessions');
+const commandUtils = require('./commandUtils');
+const fileWatcher = require('./fileWatcher');
+const scheduler = require('./scheduler');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'voice-cmd-secret-key-change-in-production';
 
@@ -11,6 +16,12 @@ class WebSocketManager {
         this.wss = null;
         this.clients = new Map(); // Map of userId -> Set of WebSocket connections
         this.connectionCount = 0;
+        this.confirmationHandler = null;
+    }
+
+    // Set the function that runs confirmed commands: (username, token, cancel) => Promise<response>
+    setConfirmationHandler(handler) {
+        this.confirmationHandler = handler;
     }
 
     // Initialize WebSocket server
@@ -24,6 +35,37 @@ class WebSocketManager {
             this.handleConnection(ws, req);
         });
 
+        // Bridge terminal sessions to their owner's sockets
+        ptySessions.events.on('opened', (session) => this.broadcastPtyOpened(session));
+        ptySessions.events.on('data', (session, data) => {
+            this.broadcastToUser(session.username, {
+                type: 'ptyOutput',
+                data: { sessionId: session.id, data: data }
+            });
+        });
+        ptySessions.events.on('exit', (session, exitCode) => {
+            this.broadcastToUser(session.username, {
+                type: 'ptyExit',
+                data: { sessionId: session.id, exitCode: exitCode, timestamp: new Date().toISOString() }
+            });
+        });
+
+        // Bridge workspace changes and awaited files to their owner's sockets
+        fileWatcher.events.on('changed', (username, changes, truncated) => {
+            this.broadcastFileChanged(username, changes, truncated);
+        });
+        fileWatcher.events.on('appeared', (username, wait, relativePath) => {
+            this.broadcastFileAppeared(username, wait, relativePath);
+        });
+
+        // Bridge finished scheduled runs to their owner's sockets, and let them confirm a run that waits for it
+        scheduler.events.on('triggered', (schedule, run, confirmation) => {
+            this.broadcastScheduleTriggered(schedule.username, schedule.id, schedule.command, run.result || '');
+            if (confirmation) {
+                this.broadcastConfirmationRequired(schedule.username, schedule.command, confirmation);
+            }
+        });
+
         console.log('WebSocket server initialized on /ws');
     }
 
@@ -48,6 +90,12 @@ class WebSocketManager {
                     this.authenticateConnection(ws, data.token);
                 } else if (data.type === 'ping') {
                     this.handlePing(ws);
+                } else if (data.type === 'cancelJob') {
+                    this.handleCancelJob(ws, data.jobId);
+                } else if (data.type === 'confirm') {
+                    this.handleConfirm(ws, data).catch(error => this.sendError(ws, error.message));
+                } else if (String(data.type).startsWith('pty')) {
+                    this.handlePtyMessage(ws, data).catch(error => this.sendError(ws, error.message));
                 }
             } catch (error) {
                 console.error('Error parsing WebSocket message:', error);
@@ -84,9 +132,18 @@ class WebSocketManager {
     authenticateConnection(ws, token) {
         try {
             const decoded = jwt.verify(token, JWT_SECRET);
+            if (ws.watching && ws.userId !== decoded.username) {
+                this.handleDisconnect(ws);
+            }
             ws.userId = decoded.username;
             ws.authenticated = true;
 
+            // Watch the user's workspace while they have a browser open
+            if (!ws.watching) {
+                ws.watching = true;
+                fileWatcher.watchWorkspace(ws.userId);
+            }
+
             // Add to user's client set
             if (!this.clients.has(ws.userId)) {
                 this.clients.set(ws.userId, new Set());
@@ -115,6 +172,104 @@ class WebSocketManager {
         });
     }
 
+    // Handle cancel job message (without a jobId the user's latest running job is cancelled)
+    handleCancelJob(ws, jobId) {
+        if (!ws.authenticated) {
+            this.sendError(ws, 'Authentication required');
+            return;
+        }
+
+        const result = jobManager.cancelJob(ws.userId, jobId || null);
+        if (!result.success) {
+            this.sendMessage(ws, {
+                type: 'error',
+                message: result.message,
+                code: result.code,
+                jobId: jobId || null,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        this.broadcastToUser(ws.userId, {
+            type: 'jobCancelled',
+            data: {
+                jobId: result.jobId,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Handle confirm message: run (or with cancel: true, drop) a pending destructive command
+    async handleConfirm(ws, data) {
+        if (!ws.authenticated) {
+            this.sendError(ws, 'Authentication required');
+            return;
+        }
+        if (!data.token || !this.confirmationHandler) {
+            this.sendMessage(ws, {
+                type: 'error',
+                message: data.token ? 'Confirmations are not available' : 'Missing confirmation token',
+                code: 'E_MISSING_TOKEN',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const response = await this.confirmationHandler(ws.userId, String(data.token), data.cancel === true);
+        this.sendMessage(ws, {
+            type: 'confirmationResult',
+            data: {
+                token: data.token,
+                response: response,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Handle terminal session messages: ptyOpen, ptyInput, ptyResize, ptyClose
+    async handlePtyMessage(ws, data) {
+        if (!ws.authenticated) {
+            this.sendError(ws, 'Authentication required');
+            return;
+        }
+
+        let result;
+        switch (data.type) {
+            case 'ptyOpen': {
+                const workspace = await commandUtils.resolveWorkspace(ws.userId);
+                result = ptySessions.openSession(ws.userId, String(data.command || ''), {
+                    cwd: workspace.workingDir,
+                    cols: data.cols,
+                    rows: data.rows
+                });
+                break;
+            }
+            case 'ptyInput':
+                result = ptySessions.writeInput(ws.userId, data.sessionId, data.data);
+                break;
+            case 'ptyResize':
+                result = ptySessions.resizeSession(ws.userId, data.sessionId, data.cols, data.rows);
+                break;
+            case 'ptyClose':
+                result = ptySessions.closeSession(ws.userId, data.sessionId);
+                break;
+            default:
+                result = { success: false, message: `Unknown message type: ${data.type}` };
+        }
+
+        if (!result.success) {
+            this.sendMessage(ws, {
+                type: 'error',
+                message: result.message,
+                code: result.code,
+                sessionId: data.sessionId || null,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     // Handle connection disconnect
     handleDisconnect(ws) {
         console.log(`WebSocket disconnected: ${ws.connectionId}`);
@@ -125,6 +280,12 @@ class WebSocketManager {
                 this.clients.delete(ws.userId);
             }
         }
+        
+        // 'error' and 'close' can both arrive for one connection; release the watcher once
+        if (ws.watching) {
+            ws.watching = false;
+            fileWatcher.unwatchWorkspace(ws.userId);
+        }
     }
 
     // Send message to specific WebSocket
@@ -180,6 +341,93 @@ class WebSocketManager {
         });
     }
 
+    // Broadcast a chunk of output from a streaming job
+    broadcastJobOutput(userId, jobId, stream, chunk) {
+        this.broadcastToUser(userId, {
+            type: 'jobOutput',
+            data: {
+                jobId: jobId,
+                stream: stream, // 'stdout' or 'stderr'
+                chunk: chunk
+            }
+        });
+    }
+
+    // Broadcast the final response of a streaming job (same shape as the /command response)
+    broadcastJobFinished(userId, jobId, response) {
+        this.broadcastToUser(userId, {
+            type: 'jobFinished',
+            data: {
+                jobId: jobId,
+                response: response,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Broadcast a command that waits for the user's confirmation
+    broadcastConfirmationRequired(userId, command, confirmation) {
+        this.broadcastToUser(userId, {
+            type: 'confirmationRequired',
+            data: {
+                command: command,
+                token: confirmation.token,
+                description: confirmation.description,
+                expiresAt: confirmation.expiresAt,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Broadcast progress of a large folder delete, copy or move
+    broadcastFileProgress(userId, progress) {
+        this.broadcastToUser(userId, {
+            type: 'fileProgress',
+            data: {
+                ...progress,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Broadcast changes in the user's workspace (created, modified or deleted paths)
+    broadcastFileChanged(userId, changes, truncated = false) {
+        this.broadcastToUser(userId, {
+            type: 'fileChanged',
+            data: {
+                changes: changes,
+                truncated: truncated,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Broadcast that a file the user was waiting for has appeared
+    broadcastFileAppeared(userId, wait, relativePath) {
+        this.broadcastToUser(userId, {
+            type: 'fileAppeared',
+            data: {
+                waitId: wait.id,
+                pattern: wait.pattern,
+                path: relativePath,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Broadcast a newly opened terminal session so clients can show it
+    broadcastPtyOpened(session) {
+        this.broadcastToUser(session.username, {
+            type: 'ptyOpened',
+            data: {
+                sessionId: session.id,
+                command: session.command,
+                program: session.program,
+                timestamp: session.startedAt
+            }
+        });
+    }
+
     // Broadcast security event
     broadcastSecurityEvent(userId, action, detail) {
         this.broadcastToUser(userId, {
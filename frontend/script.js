@@ -19,6 +19,7 @@ class VoiceCommand {
         this.micButton = document.getElementById('micButton');
         this.commandInput = document.getElementById('commandInput');
         this.sendButton = document.getElementById('sendButton');
+        this.previewToggle = document.getElementById('previewToggle'); // Dry run: preview commands instead of running them
         this.recognizedCommand = document.getElementById('recognizedCommand');
         this.outputLog = document.getElementById('outputLog');
         this.statusIndicator = document.getElementById('statusIndicator');
@@ -27,6 +28,8 @@ class VoiceCommand {
         this.schedulerList = document.getElementById('schedulerList');
         this.schedulerStats = document.getElementById('schedulerStats');
         this.schedulerForm = document.getElementById('schedulerForm');
+        this.macroList = document.getElementById('macroList');
+        this.macroForm = document.getElementById('macroForm');
         this.authSection = document.getElementById('authSection');
         this.mainApp = document.getElementById('mainApp');
         this.currentUsername = document.getElementById('currentUsername');
@@ -39,6 +42,24 @@ class VoiceCommand {
         this.ws = null;
         this.wsConnected = false;
         this.autoScroll = true;
+        this.pendingSuggestions = []; // "Did you mean" suggestions awaiting a reply
+        this.pendingConfirmation = null; // Destructive action (delete, overwrite, kill, rm) awaiting "yes"
+        this.macros = []; // Macros shown in the Macros panel
+        this.jobOutputs = new Map(); // jobId -> live output entry of a streaming command
+        this.terminalPane = document.getElementById('terminalPane');
+        this.terminalContainer = document.getElementById('terminalContainer');
+        this.terminalSessions = document.getElementById('terminalSessions');
+        this.terminal = null; // xterm.js instance shared by all sessions
+        this.ptySessions = new Map(); // sessionId -> { command, buffer }
+        this.activePtySession = null;
+        this.mainPanel = document.querySelector('main'); // Files dropped here are uploaded to the workspace
+        this.fileList = document.getElementById('fileList');
+        this.fileBreadcrumbs = document.getElementById('fileBreadcrumbs');
+        this.fileContextMenu = document.getElementById('fileContextMenu');
+        this.currentDir = '.'; // Folder shown in the file browser, relative to the workspace
+        this.fileEntries = [];
+        this.fileSort = { key: 'name', ascending: true };
+        this.fileRefreshTimer = null;
         
         // Backend configuration
         this.backendUrl = 'http://localhost:3000';
@@ -86,6 +107,16 @@ class VoiceCommand {
             // Update the recognized command display
             this.recognizedCommand.value = transcript;
             
+            // Check for a "yes"/"no" to a pending confirmation
+            if (this.handleConfirmationReply(transcript)) {
+                return; // Reply confirmed or cancelled the action
+            }
+            
+            // Check for a reply to "did you mean" suggestions
+            if (this.handleSuggestionReply(transcript)) {
+                return; // Reply picked or dismissed a suggestion
+            }
+            
             // Check for history-related voice commands
             if (this.handleHistoryVoiceCommand(transcript)) {
                 return; // Command was handled as a history command
@@ -170,6 +201,46 @@ class VoiceCommand {
             }
         });
 
+        // Drag and drop uploads
+        this.initializeFileDrop();
+
+        // File browser controls
+        document.getElementById('refreshFiles').addEventListener('click', () => {
+            this.loadFileBrowser();
+        });
+
+        document.getElementById('newFolder').addEventListener('click', () => {
+            const name = prompt('New folder name:');
+            if (name) {
+                this.callFileApi('mkdir', { path: this.currentDir === '.' ? name : `${this.currentDir}/${name}` });
+            }
+        });
+
+        this.fileList.addEventListener('click', (event) => this.handleFileBrowserClick(event));
+        this.fileBreadcrumbs.addEventListener('click', (event) => this.handleFileBrowserClick(event));
+        this.fileList.addEventListener('contextmenu', (event) => this.showFileContextMenu(event));
+        document.addEventListener('click', (event) => {
+            if (!this.fileContextMenu.contains(event.target)) {
+                this.hideFileContextMenu();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.hideFileContextMenu();
+            }
+        });
+
+        // Terminal pane controls
+        this.terminalSessions.addEventListener('change', () => {
+            this.showPtySession(this.terminalSessions.value);
+        });
+
+        document.getElementById('closeTerminal').addEventListener('click', () => {
+            if (this.activePtySession) {
+                this.sendWebSocketMessage({ type: 'ptyClose', sessionId: this.activePtySession });
+            }
+        });
+
         // History controls
         document.getElementById('refreshHistory').addEventListener('click', () => {
             this.loadCommandHistory();
@@ -196,6 +267,27 @@ class VoiceCommand {
             this.hideSchedulerForm();
         });
 
+        document.getElementById('scheduleRepeat').addEventListener('change', (e) => {
+            document.getElementById('scheduleWhenGroup').style.display = e.target.value === 'custom' ? 'block' : 'none';
+        });
+
+        // Macro controls
+        document.getElementById('refreshMacros').addEventListener('click', () => {
+            this.loadMacros();
+        });
+
+        document.getElementById('showMacroForm').addEventListener('click', () => {
+            this.showMacroForm();
+        });
+
+        document.getElementById('createMacro').addEventListener('click', () => {
+            this.createMacro();
+        });
+
+        document.getElementById('cancelMacroForm').addEventListener('click', () => {
+            this.hideMacroForm();
+        });
+
         // Authentication controls
         document.getElementById('loginFormElement').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -278,7 +370,10 @@ class VoiceCommand {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ commandText: command })
+                // Stream output live when the WebSocket can deliver it; previews never run anything
+                body: JSON.stringify(this.previewToggle.checked
+                    ? { commandText: command, dryRun: true }
+                    : { commandText: command, stream: this.wsConnected })
             });
 
             console.log('Backend response status:', response.status);
@@ -332,14 +427,42 @@ class VoiceCommand {
 
     displayBackendResponse(result) {
         const timestamp = new Date().toLocaleTimeString();
+        const streamedJob = this.jobOutputs.get(result.data.jobId);
         
-        // Display received command
-        this.addLogEntry('info', `[${timestamp}] Command: "${result.data.command}"`);
+        // Display received command (already shown when its job started)
+        if (!streamedJob) {
+            this.addLogEntry('info', `[${timestamp}] Command: "${result.data.command}"`);
+        }
         
         // Handle the new unified response format with enhanced error handling
-        if (result.status === "success") {
-            // Show command result
-            this.displayOutput(result.data.result || "No output");
+        if (result.status === "running") {
+            // Streaming job: output arrives over the WebSocket
+            this.startJobOutput(result.data.jobId);
+            this.updateUI('ready');
+            
+        } else if (result.status === "success" && result.data.dryRun) {
+            // Preview: show what would happen, nothing was run
+            this.addLogEntry('preview', `🔍 ${this.escapeHtml(result.message)}`);
+            this.updateUI('ready');
+            this.speakText(result.data.preview && !result.data.preview.security.safe
+                ? 'This command would be blocked'
+                : 'Preview ready, nothing was run');
+            
+        } else if (result.status === "success") {
+            // Show what "it"/"that"/"there" resolved to
+            if (result.data.resolvedCommand) {
+                this.addLogEntry('info', `↪️ Resolved to "${this.escapeHtml(result.data.resolvedCommand)}"`);
+            }
+            
+            // Show how a misheard command was interpreted
+            if (result.data.interpreted) {
+                this.addLogEntry('info', `🔎 Interpreted as "${this.escapeHtml(result.data.interpreted)}"`);
+            }
+            
+            // Show command result (streamed jobs already showed their output)
+            if (!streamedJob || !streamedJob.received) {
+                this.displayOutput(result.data.result || "No output");
+            }
             this.updateUI('ready');
             
             // TTS for successful commands
@@ -352,6 +475,25 @@ class VoiceCommand {
             // TTS for blocked commands
             this.speakText(`Command blocked by security rules`);
             
+        } else if (result.status === "needs_confirmation" && result.data.confirmation) {
+            // Destructive action: run it only after an explicit "yes"
+            this.addLogEntry('warning', `⚠️ ${this.escapeHtml(result.message)}`);
+            this.showConfirmationChips(result.data.confirmation);
+            this.pendingConfirmation = result.data.confirmation;
+            this.updateUI('ready');
+            this.speakText(result.message);
+            
+        } else if (result.status === "needs_confirmation") {
+            // Low-confidence match: offer the closest commands
+            const suggestions = result.data.suggestions || [];
+            this.addLogEntry('info', `🤔 ${this.escapeHtml(result.message)}`);
+            this.showSuggestionChips(suggestions);
+            this.pendingSuggestions = suggestions;
+            this.updateUI('ready');
+            
+            // Speak the suggestions so voice users can answer "yes" or "the second one"
+            this.speakText(`Did you mean ${suggestions.map(s => s.command).join(', or ')}?`);
+            
         } else if (result.status === "error") {
             // Enhanced error display with error codes
             const errorIcon = this.getErrorIcon(result.code);
@@ -370,6 +512,524 @@ class VoiceCommand {
         }
     }
 
+    // Show "did you mean" suggestions as clickable chips in the output log
+    showSuggestionChips(suggestions) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry info suggestion-chips';
+        
+        suggestions.forEach(suggestion => {
+            const chip = document.createElement('button');
+            chip.className = 'suggestion-chip';
+            chip.textContent = suggestion.command;
+            chip.title = `${suggestion.intent} (${Math.round(suggestion.confidence * 100)}% match)`;
+            chip.addEventListener('click', () => this.runSuggestion(suggestion));
+            entry.appendChild(chip);
+        });
+        
+        this.outputLog.appendChild(entry);
+        this.outputLog.scrollTop = this.outputLog.scrollHeight;
+    }
+
+    // Run a suggestion picked by click or voice
+    runSuggestion(suggestion) {
+        this.pendingSuggestions = [];
+        this.recognizedCommand.value = suggestion.command;
+        this.addLogEntry('info', `Sending command: "${this.escapeHtml(suggestion.command)}"`);
+        this.sendCommandToBackend(suggestion.command);
+    }
+
+    // Handle spoken replies to "did you mean" suggestions
+    handleSuggestionReply(transcript) {
+        if (this.pendingSuggestions.length === 0) {
+            return false;
+        }
+        
+        const reply = transcript.toLowerCase().trim().replace(/[.!?]+$/, '');
+        const choices = [
+            ['yes', 'yeah', 'yep', 'yes please', 'first', 'the first one', 'number one', 'option one'],
+            ['second', 'the second one', 'number two', 'option two'],
+            ['third', 'the third one', 'number three', 'option three']
+        ];
+        
+        const index = choices.findIndex(words => words.includes(reply));
+        if (index !== -1 && this.pendingSuggestions[index]) {
+            this.runSuggestion(this.pendingSuggestions[index]);
+            return true;
+        }
+        
+        if (['no', 'nope', 'cancel', 'neither', 'none'].includes(reply)) {
+            this.pendingSuggestions = [];
+            this.addLogEntry('info', 'Suggestions dismissed');
+            this.speakText('Okay, never mind');
+            this.updateUI('ready');
+            return true;
+        }
+        
+        // Anything else is a new command
+        this.pendingSuggestions = [];
+        return false;
+    }
+
+    // Show Confirm/Cancel chips for a destructive action
+    showConfirmationChips(confirmation) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry info suggestion-chips';
+        
+        const confirmChip = document.createElement('button');
+        confirmChip.className = 'suggestion-chip confirm-chip';
+        confirmChip.textContent = 'Confirm';
+        confirmChip.title = confirmation.description;
+        confirmChip.addEventListener('click', () => this.confirmAction(confirmation));
+        
+        const cancelChip = document.createElement('button');
+        cancelChip.className = 'suggestion-chip';
+        cancelChip.textContent = 'Cancel';
+        cancelChip.addEventListener('click', () => this.cancelConfirmation(confirmation));
+        
+        entry.appendChild(confirmChip);
+        entry.appendChild(cancelChip);
+        this.outputLog.appendChild(entry);
+        this.outputLog.scrollTop = this.outputLog.scrollHeight;
+    }
+
+    // Run a confirmed action by sending its token back to the server
+    async confirmAction(confirmation) {
+        if (this.pendingConfirmation !== confirmation) {
+            return; // Already answered
+        }
+        this.pendingConfirmation = null;
+        
+        try {
+            const response = await this.authenticatedFetch(`${this.backendUrl}/command/confirm`, {
+                method: 'POST',
+                body: JSON.stringify({ token: confirmation.token })
+            });
+            this.displayBackendResponse(await response.json());
+        } catch (error) {
+            this.displayError(`❌ Failed to confirm: ${error.message}`);
+        }
+    }
+
+    // Drop a pending confirmation without running it
+    async cancelConfirmation(confirmation) {
+        if (this.pendingConfirmation !== confirmation) {
+            return;
+        }
+        this.pendingConfirmation = null;
+        
+        try {
+            await this.authenticatedFetch(`${this.backendUrl}/command/confirm`, {
+                method: 'POST',
+                body: JSON.stringify({ token: confirmation.token, cancel: true })
+            });
+        } catch (error) {
+            console.error('Failed to cancel confirmation:', error);
+        }
+        this.addLogEntry('info', 'Cancelled');
+        this.speakText('Okay, cancelled');
+    }
+
+    // Upload files dropped onto the main panel
+    initializeFileDrop() {
+        let dragDepth = 0; // dragenter/dragleave also fire when moving over child elements
+        const hasFiles = (event) => this.isAuthenticated && event.dataTransfer &&
+            Array.from(event.dataTransfer.types).includes('Files');
+        
+        this.mainPanel.addEventListener('dragenter', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            dragDepth++;
+            this.mainPanel.classList.add('drop-active');
+        });
+        
+        this.mainPanel.addEventListener('dragover', (event) => {
+            if (hasFiles(event)) {
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        
+        this.mainPanel.addEventListener('dragleave', () => {
+            dragDepth = Math.max(dragDepth - 1, 0);
+            if (dragDepth === 0) {
+                this.mainPanel.classList.remove('drop-active');
+            }
+        });
+        
+        this.mainPanel.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            dragDepth = 0;
+            this.mainPanel.classList.remove('drop-active');
+            
+            // Folders cannot be uploaded this way; skip them
+            const items = Array.from(event.dataTransfer.items).filter(item => item.kind === 'file');
+            const folders = items.filter(item => item.webkitGetAsEntry && item.webkitGetAsEntry()?.isDirectory);
+            if (folders.length > 0) {
+                this.addLogEntry('warning', `⚠️ Skipped ${folders.length} folder(s); drop files instead`);
+            }
+            this.uploadFiles(items.filter(item => !folders.includes(item)).map(item => item.getAsFile()), this.currentDir);
+        });
+    }
+
+    // Upload files to a folder of the workspace
+    async uploadFiles(files, dir = '.') {
+        if (files.length === 0) {
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('dir', dir);
+        files.forEach(file => formData.append('files', file));
+        this.addLogEntry('info', `Uploading ${files.length} file(s)...`);
+        
+        try {
+            // Plain fetch: the browser sets the multipart Content-Type itself
+            const response = await fetch(`${this.backendUrl}/files/upload`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.authToken}` },
+                body: formData
+            });
+            const data = await response.json();
+            const results = (data.data && data.data.files) || [];
+            
+            results.forEach(file => this.addLogEntry(file.success ? 'success' : 'error', this.escapeHtml(file.message)));
+            if (results.length === 0) {
+                this.addLogEntry('error', `❌ ${this.escapeHtml(data.message)}`);
+            }
+            this.scheduleFileBrowserRefresh();
+        } catch (error) {
+            this.displayError(`❌ Upload failed: ${error.message}`);
+        }
+    }
+
+
+    // File Browser Methods
+
+    // Path of an entry of the current folder, relative to the workspace
+    fileEntryPath(entry) {
+        return this.currentDir === '.' ? entry.name : `${this.currentDir}/${entry.name}`;
+    }
+
+    // Format a byte count for the file list
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Load a folder of the workspace into the file browser
+    async loadFileBrowser(dir = this.currentDir) {
+        try {
+            const response = await this.authenticatedFetch(`${this.backendUrl}/files?path=${encodeURIComponent(dir)}`);
+            const result = await response.json();
+            
+            if (result.status === 'success') {
+                this.currentDir = result.data.path;
+                this.fileEntries = result.data.files;
+                this.renderFileBrowser();
+            } else if (dir !== '.') {
+                // The folder is gone (deleted, moved): fall back to the workspace root
+                this.addLogEntry('warning', `⚠️ ${this.escapeHtml(result.message)}`);
+                await this.loadFileBrowser('.');
+            } else {
+                this.addLogEntry('error', `Failed to load files: ${this.escapeHtml(result.message)}`);
+            }
+        } catch (error) {
+            console.error('Error loading files:', error);
+            this.addLogEntry('error', `Failed to load files: ${error.message}`);
+        }
+    }
+
+    // Refresh the file browser soon, once for a burst of changes
+    scheduleFileBrowserRefresh() {
+        if (!this.isAuthenticated) {
+            return;
+        }
+        clearTimeout(this.fileRefreshTimer);
+        this.fileRefreshTimer = setTimeout(() => this.loadFileBrowser(), 300);
+    }
+
+    // Render breadcrumbs and the sorted file list
+    renderFileBrowser() {
+        const parts = this.currentDir === '.' ? [] : this.currentDir.split('/');
+        const crumbs = [{ label: '🏠 Workspace', path: '.' }].concat(parts.map((part, index) => ({
+            label: part,
+            path: parts.slice(0, index + 1).join('/')
+        })));
+        this.fileBreadcrumbs.innerHTML = crumbs.map((crumb, index) => index === crumbs.length - 1
+            ? `<span class="file-crumb current">${this.escapeHtml(crumb.label)}</span>`
+            : `<button class="file-crumb" data-path="${encodeURIComponent(crumb.path)}">${this.escapeHtml(crumb.label)}</button>`
+        ).join('<span class="file-crumb-separator">/</span>');
+        
+        if (this.fileEntries.length === 0) {
+            this.fileList.innerHTML = `
+                <div class="file-empty">
+                    <p>This folder is empty</p>
+                    <p>Drop files here or say "create file notes.txt"</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Folders first, then by the chosen column
+        const { key, ascending } = this.fileSort;
+        const sorted = this.fileEntries.map((entry, index) => ({ entry, index })).sort((a, b) => {
+            if (a.entry.type !== b.entry.type) {
+                return a.entry.type === 'directory' ? -1 : 1;
+            }
+            const result = key === 'name'
+                ? a.entry.name.localeCompare(b.entry.name)
+                : key === 'size'
+                    ? a.entry.size - b.entry.size
+                    : (a.entry.modifiedAt || a.entry.modified).localeCompare(b.entry.modifiedAt || b.entry.modified);
+            return ascending ? result : -result;
+        });
+        
+        const arrow = (column) => column === key ? (ascending ? ' ▲' : ' ▼') : '';
+        this.fileList.innerHTML = `
+            <div class="file-row file-row-header">
+                <button class="file-sort" data-sort="name">Name${arrow('name')}</button>
+                <button class="file-sort" data-sort="size">Size${arrow('size')}</button>
+                <button class="file-sort" data-sort="modified">Modified${arrow('modified')}</button>
+            </div>
+            ${sorted.map(({ entry, index }) => `
+                <div class="file-row ${entry.type}" data-index="${index}" title="${entry.type === 'directory' ? 'Open folder' : 'Right-click for actions'}">
+                    <span class="file-name">${entry.type === 'directory' ? '📁' : '📄'} ${this.escapeHtml(entry.name)}</span>
+                    <span class="file-size">${entry.type === 'directory' ? '—' : this.formatFileSize(entry.size)}</span>
+                    <span class="file-modified">${new Date(entry.modifiedAt || entry.modified).toLocaleString()}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Handle clicks in the file list: sort headers, breadcrumbs and opening folders
+    handleFileBrowserClick(event) {
+        const crumb = event.target.closest('.file-crumb[data-path]');
+        if (crumb) {
+            this.loadFileBrowser(decodeURIComponent(crumb.dataset.path));
+            return;
+        }
+        
+        const sortButton = event.target.closest('.file-sort');
+        if (sortButton) {
+            const key = sortButton.dataset.sort;
+            this.fileSort = { key, ascending: this.fileSort.key === key ? !this.fileSort.ascending : true };
+            this.renderFileBrowser();
+            return;
+        }
+        
+        const row = event.target.closest('.file-row[data-index]');
+        if (row) {
+            const entry = this.fileEntries[row.dataset.index];
+            if (entry.type === 'directory') {
+                this.loadFileBrowser(this.fileEntryPath(entry));
+            }
+        }
+    }
+
+    // Show the actions for a file at the mouse position
+    showFileContextMenu(event) {
+        const row = event.target.closest('.file-row[data-index]');
+        if (!row) {
+            return;
+        }
+        event.preventDefault();
+        
+        const entry = this.fileEntries[row.dataset.index];
+        const actions = [
+            ...(entry.type === 'directory' ? [['open', '📂 Open']] : []),
+            ['rename', '✏️ Rename'],
+            ['copy', '📋 Copy'],
+            ['move', '📦 Move'],
+            ['download', entry.type === 'directory' ? '⬇️ Download as .zip' : '⬇️ Download'],
+            ['delete', '🗑️ Delete']
+        ];
+        
+        this.fileContextMenu.innerHTML = actions
+            .map(([action, label]) => `<button class="file-menu-item ${action}" data-action="${action}">${label}</button>`)
+            .join('');
+        this.fileContextMenu.onclick = (menuEvent) => {
+            const item = menuEvent.target.closest('[data-action]');
+            if (item) {
+                this.hideFileContextMenu();
+                this.runFileAction(item.dataset.action, entry);
+            }
+        };
+        
+        this.fileContextMenu.style.left = `${event.clientX}px`;
+        this.fileContextMenu.style.top = `${event.clientY}px`;
+        this.fileContextMenu.style.display = 'block';
+    }
+
+    hideFileContextMenu() {
+        this.fileContextMenu.style.display = 'none';
+    }
+
+    // Run a context menu action on a file or folder
+    async runFileAction(action, entry) {
+        const entryPath = this.fileEntryPath(entry);
+        
+        if (action === 'open') {
+            await this.loadFileBrowser(entryPath);
+        } else if (action === 'rename') {
+            const newName = prompt(`Rename '${entry.name}' to:`, entry.name);
+            if (newName && newName !== entry.name) {
+                await this.callFileApi('rename', { path: entryPath, newName });
+            }
+        } else if (action === 'copy' || action === 'move') {
+            const extension = entry.type === 'file' && entry.name.includes('.') ? entry.name.slice(entry.name.lastIndexOf('.')) : '';
+            const suggestion = action === 'copy'
+                ? `${entryPath.slice(0, entryPath.length - extension.length)} copy${extension}`
+                : entryPath;
+            const destination = prompt(`${action === 'copy' ? 'Copy' : 'Move'} '${entry.name}' to (path in your workspace):`, suggestion);
+            if (destination && destination !== entryPath) {
+                await this.callFileApi(action, { source: entryPath, destination });
+            }
+        } else if (action === 'download') {
+            await this.downloadFile(entryPath, entry.type === 'directory' ? `${entry.name}.zip` : entry.name);
+        } else if (action === 'delete') {
+            await this.callFileApi('delete', { path: entryPath });
+        }
+    }
+
+    // Call a file operation endpoint, asking the user first when the server wants confirmation
+    async callFileApi(operation, body) {
+        try {
+            let response = await this.authenticatedFetch(`${this.backendUrl}/files/${operation}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            let result = await response.json();
+            
+            if (result.status === 'needs_confirmation') {
+                if (!confirm(`${result.message}. Continue?`)) {
+                    this.addLogEntry('info', 'Cancelled');
+                    return;
+                }
+                response = await this.authenticatedFetch(`${this.backendUrl}/files/${operation}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ ...body, confirmed: true })
+                });
+                result = await response.json();
+            }
+            
+            this.addLogEntry(result.status === 'success' ? 'success' : 'error', this.escapeHtml(result.message));
+            await this.loadFileBrowser();
+        } catch (error) {
+            this.displayError(`❌ File operation failed: ${error.message}`);
+        }
+    }
+
+    // Download a file (or a folder as .zip) through an authenticated request
+    async downloadFile(filePath, filename) {
+        try {
+            const response = await this.authenticatedFetch(`${this.backendUrl}/files/download?path=${encodeURIComponent(filePath)}`);
+            if (!response.ok) {
+                const result = await response.json();
+                this.addLogEntry('error', `Download failed: ${this.escapeHtml(result.message)}`);
+                return;
+            }
+            
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            this.displayError(`❌ Download failed: ${error.message}`);
+        }
+    }
+
+    // Handle spoken replies to a pending confirmation
+    handleConfirmationReply(transcript) {
+        const confirmation = this.pendingConfirmation;
+        if (!confirmation) {
+            return false;
+        }
+        
+        // Expired confirmations are ignored and the reply is treated as a new command
+        if (new Date(confirmation.expiresAt) < new Date()) {
+            this.pendingConfirmation = null;
+            return false;
+        }
+        
+        const reply = transcript.toLowerCase().trim().replace(/[.!?]+$/, '');
+        if (['yes', 'yeah', 'yep', 'yes please', 'confirm', 'do it'].includes(reply)) {
+            this.confirmAction(confirmation);
+            return true;
+        }
+        if (['no', 'nope', 'cancel', 'stop', 'never mind'].includes(reply)) {
+            this.cancelConfirmation(confirmation);
+            return true;
+        }
+        
+        // Anything else is a new command; the action stays unconfirmed
+        this.pendingConfirmation = null;
+        return false;
+    }
+
+    // Create a live output entry for a streaming job, with a button to cancel it
+    startJobOutput(jobId) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry info job-output running';
+        
+        const header = document.createElement('div');
+        header.className = 'job-output-header';
+        header.innerHTML = `<span class="message">⏳ Running (say "stop that" to cancel)</span>`;
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'job-cancel-button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this.cancelJob(jobId));
+        header.appendChild(cancelButton);
+        
+        const output = document.createElement('pre');
+        output.className = 'job-output-text';
+        
+        entry.appendChild(header);
+        entry.appendChild(output);
+        this.outputLog.appendChild(entry);
+        this.outputLog.scrollTop = this.outputLog.scrollHeight;
+        
+        this.jobOutputs.set(jobId, { entry, header, output, received: false });
+    }
+
+    // Ask the backend to cancel a streaming job
+    cancelJob(jobId) {
+        this.sendWebSocketMessage({ type: 'cancelJob', jobId });
+    }
+
+    // Append a streamed stdout/stderr chunk to its job's entry
+    handleJobOutputEvent(data) {
+        const job = this.jobOutputs.get(data.jobId);
+        if (!job) {
+            return;
+        }
+        
+        const chunk = document.createElement('span');
+        chunk.className = data.stream === 'stderr' ? 'job-stderr' : 'job-stdout';
+        chunk.textContent = data.chunk;
+        job.output.appendChild(chunk);
+        job.received = true;
+        this.outputLog.scrollTop = this.outputLog.scrollHeight;
+    }
+
+    // Finish a streaming job's entry and show its final response
+    handleJobFinishedEvent(data) {
+        const job = this.jobOutputs.get(data.jobId);
+        if (job) {
+            const cancelled = data.response.code === 'E_JOB_CANCELLED';
+            job.entry.classList.remove('running');
+            job.header.querySelector('.message').textContent = cancelled ? '⏹️ Cancelled' : '✔️ Finished';
+            job.header.querySelector('.job-cancel-button').remove();
+        }
+        
+        this.displayBackendResponse(data.response);
+        this.jobOutputs.delete(data.jobId);
+    }
+
     updateUI(state) {
         const statusText = this.statusIndicator.querySelector('.status-text');
         const statusDot = this.statusIndicator.querySelector('.status-dot');
@@ -458,6 +1118,18 @@ class VoiceCommand {
             'E_FILE_OPERATION_FAILED': '📄',
             'E_SHELL_COMMAND_FAILED': '💻',
             'E_UNKNOWN_COMMAND': '❓',
+            'E_NO_INTENT': '❓',
+            'E_LOW_CONFIDENCE': '🤔',
+            'E_UNRESOLVED_REFERENCE': '🔗',
+            'E_JOB_CANCELLED': '⏹️',
+            'E_JOB_NOT_FOUND': '⏹️',
+            'E_PROCESS_NOT_FOUND': '🔍',
+            'E_PROCESS_NOT_OWNED': '🔒',
+            'E_PROCESS_PROTECTED': '🔒',
+            'E_PROCESS_CHANGED': '🔄',
+            'E_PROCESS_AMBIGUOUS': '🤔',
+            'E_CONFIRMATION_EXPIRED': '⌛',
+            'E_CONFIRMATION_NOT_FOUND': '⌛',
             'E_SYSTEM_ERROR': '⚠️',
             'E_INTERNAL_ERROR': '💥',
             'E_MISSING_COMMAND': '📝',
@@ -541,6 +1213,7 @@ class VoiceCommand {
 
         return `
             <div class="history-item" data-command-id="${command.id}">
+                <input type="checkbox" class="history-select" value="${command.id}" title="Use in a new macro" />
                 <div class="history-status ${command.status}">${statusIcon}</div>
                 <div class="history-content">
                     <div class="history-command">${this.escapeHtml(command.command)}</div>
@@ -602,13 +1275,13 @@ class VoiceCommand {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ id: commandId })
+                body: JSON.stringify({ id: commandId, dryRun: this.previewToggle.checked })
             });
 
             const result = await response.json();
             
             if (result.status === 'success') {
-                this.addLogEntry('success', `Re-executed: ${result.data.command}`);
+                this.addLogEntry('success', `${result.data.dryRun ? 'Previewed' : 'Re-executed'}: ${this.escapeHtml(result.data.command)}`);
                 this.displayBackendResponse(result);
             } else {
                 this.addLogEntry('error', `Re-execution failed: ${result.message}`);
@@ -711,8 +1384,8 @@ class VoiceCommand {
             return true;
         }
         
-        // Scheduler voice commands
-        if (command.includes('schedule') && command.includes('at')) {
+        // Scheduler voice commands ("schedule list files every weekday at 9am" goes to the backend)
+        if (command === 'schedule' || command === 'schedule a command') {
             this.handleScheduleVoiceCommand(command);
             return true;
         }
@@ -836,7 +1509,12 @@ createScheduleItem(schedule) {
     const repeatText = schedule.repeat === 'once' ? 'One-time' : 
                       schedule.repeat === 'daily' ? 'Daily' :
                       schedule.repeat === 'weekly' ? 'Weekly' :
-                      schedule.repeat === 'hourly' ? 'Hourly' : schedule.repeat;
+                      schedule.repeat === 'hourly' ? 'Hourly' :
+                      schedule.repeat === 'cron' ? `Cron ${schedule.cron}` : schedule.repeat;
+    const timezoneText = schedule.timezone ? ` (${schedule.timezone})` : '';
+    const lastRun = schedule.lastRun
+        ? `${this.getRunStatusIcon(schedule.lastRun.status)} ${new Date(schedule.lastRun.startedAt || schedule.lastRun.plannedAt).toLocaleString()}`
+        : 'never';
 
     return `
         <div class="schedule-item" data-schedule-id="${schedule.id}">
@@ -844,8 +1522,10 @@ createScheduleItem(schedule) {
             <div class="schedule-content">
                 <div class="schedule-command">${this.escapeHtml(schedule.command)}</div>
                 <div class="schedule-time">Scheduled: ${scheduledTime}</div>
-                <div class="schedule-repeat">Repeat: ${repeatText}</div>
+                <div class="schedule-repeat">Repeat: ${this.escapeHtml(repeatText + timezoneText)}</div>
+                <div class="schedule-repeat">Last run: ${lastRun}</div>
                 ${schedule.description ? `<div class="schedule-description">${this.escapeHtml(schedule.description)}</div>` : ''}
+                <div class="schedule-runs" style="display: none;"></div>
             </div>
             <div class="schedule-actions">
                 ${schedule.status === 'active' ? `
@@ -861,6 +1541,20 @@ createScheduleItem(schedule) {
     `;
 }
 
+// Get status icon for a schedule run
+getRunStatusIcon(status) {
+    const icons = {
+        'success': '✅',
+        'error': '❌',
+        'blocked': '🚫',
+        'skipped': '⏭️',
+        'running': '⏳',
+        'needs_confirmation': '⏸️',
+        'interrupted': '⚠️'
+    };
+    return icons[status] || '❓';
+}
+
 // Get status icon for schedule
 getScheduleStatusIcon(status) {
     const icons = {
@@ -884,10 +1578,10 @@ updateSchedulerStats(data) {
 showSchedulerForm() {
     this.schedulerForm.style.display = 'block';
     
-    // Set default time to 1 hour from now
+    // Set default time to 1 hour from now (datetime-local wants local time, not UTC)
     const now = new Date();
     now.setHours(now.getHours() + 1);
-    const timeString = now.toISOString().slice(0, 16);
+    const timeString = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
     document.getElementById('scheduleTime').value = timeString;
     
     // Focus on command input
@@ -905,15 +1599,47 @@ clearSchedulerForm() {
     document.getElementById('scheduleCommand').value = '';
     document.getElementById('scheduleTime').value = '';
     document.getElementById('scheduleRepeat').value = 'once';
+    document.getElementById('scheduleWhen').value = '';
+    document.getElementById('scheduleWhenGroup').style.display = 'none';
+    document.getElementById('scheduleMisfire').value = 'once';
+    document.getElementById('scheduleOverlap').value = 'skip';
     document.getElementById('scheduleDescription').value = '';
 }
 
+// Read when to run from the scheduler form: a time and repeat, or a cron expression / phrase
+// Returns null (after saying what is missing) when the form is incomplete
+getScheduleTiming() {
+    const repeat = document.getElementById('scheduleRepeat').value;
+    // Times and cron expressions are in the browser's time zone
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const policies = {
+        misfirePolicy: document.getElementById('scheduleMisfire').value,
+        overlapPolicy: document.getElementById('scheduleOverlap').value
+    };
+    
+    if (repeat === 'custom') {
+        const when = document.getElementById('scheduleWhen').value.trim();
+        if (!when) {
+            this.addLogEntry('error', 'Please say when to run, e.g. every weekday at 9am');
+            this.speakText('Please say when to run the command');
+            return null;
+        }
+        return { when, timezone, ...policies };
+    }
+    
+    const time = document.getElementById('scheduleTime').value;
+    if (!time) {
+        this.addLogEntry('error', 'Please select a time for the schedule');
+        this.speakText('Please select a time for the schedule');
+        return null;
+    }
+    return { time, repeat, timezone, ...policies };
+}
+
 // Create a new schedule
 async createSchedule() {
     try {
         const command = document.getElementById('scheduleCommand').value.trim();
-        const time = document.getElementById('scheduleTime').value;
-        const repeat = document.getElementById('scheduleRepeat').value;
         const description = document.getElementById('scheduleDescription').value.trim();
         
         if (!command) {
@@ -922,9 +1648,8 @@ async createSchedule() {
             return;
         }
         
-        if (!time) {
-            this.addLogEntry('error', 'Please select a time for the schedule');
-            this.speakText('Please select a time for the schedule');
+        const timing = this.getScheduleTiming();
+        if (!timing) {
             return;
         }
         
@@ -937,8 +1662,7 @@ async createSchedule() {
             },
             body: JSON.stringify({
                 command,
-                time,
-                repeat,
+                ...timing,
                 description
             })
         });
@@ -946,12 +1670,19 @@ async createSchedule() {
         const result = await response.json();
         
         if (result.status === 'success') {
-            this.addLogEntry('success', `Scheduled: ${command} for ${new Date(time).toLocaleString()}`);
-            this.speakText(`Command scheduled for ${new Date(time).toLocaleString()}`);
+            const nextRun = new Date(result.data.schedule.nextExecution).toLocaleString();
+            this.addLogEntry('success', `Scheduled: ${this.escapeHtml(command)} for ${nextRun}`);
+            this.speakText(`Command scheduled for ${nextRun}`);
             this.hideSchedulerForm();
             await this.loadSchedules();
+        } else if (result.status === 'needs_confirmation') {
+            // Destructive command: it is only scheduled after an explicit "yes"
+            this.addLogEntry('warning', `⚠️ ${this.escapeHtml(result.message)}`);
+            this.showConfirmationChips(result.data.confirmation);
+            this.pendingConfirmation = result.data.confirmation;
+            this.speakText(result.message);
         } else {
-            this.addLogEntry('error', `Failed to create schedule: ${result.message}`);
+            this.addLogEntry('error', `Failed to create schedule: ${this.escapeHtml(result.message)}`);
             this.speakText(`Failed to create schedule: ${result.message}`);
         }
         
@@ -994,19 +1725,53 @@ async cancelSchedule(scheduleId) {
 }
 
 // View schedule details
-viewScheduleDetails(scheduleId) {
-    // This could open a modal or show more details
-    this.addLogEntry('info', `Viewing details for schedule ${scheduleId}`);
-    this.speakText('Schedule details viewed');
+// Show or hide the run log of a schedule below it
+async viewScheduleDetails(scheduleId) {
+    const item = this.schedulerList.querySelector(`[data-schedule-id="${scheduleId}"]`);
+    const runsElement = item && item.querySelector('.schedule-runs');
+    if (!runsElement) return;
+    if (runsElement.style.display !== 'none') {
+        runsElement.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await this.authenticatedFetch(`${this.backendUrl}/schedule/${encodeURIComponent(scheduleId)}/runs`);
+        const result = await response.json();
+        if (result.status !== 'success') {
+            this.addLogEntry('error', `Failed to load runs: ${result.message}`);
+            return;
+        }
+        
+        const { schedule, runs } = result.data;
+        const policies = `<div class="schedule-run-policies">Missed runs: ${schedule.misfirePolicy || 'once'} · Overlapping runs: ${schedule.overlapPolicy || 'skip'}</div>`;
+        runsElement.innerHTML = policies + (runs.length === 0
+            ? '<div class="schedule-run">No runs yet</div>'
+            : runs.map(run => {
+                const started = run.startedAt ? new Date(run.startedAt).toLocaleString() : `due ${new Date(run.plannedAt).toLocaleString()}`;
+                const duration = run.durationMs !== null ? ` (${(run.durationMs / 1000).toFixed(1)}s)` : '';
+                const trigger = run.trigger !== 'scheduled' ? ` · ${run.trigger}` : '';
+                return `
+                    <div class="schedule-run ${run.status}">
+                        <span>${this.getRunStatusIcon(run.status)}</span>
+                        <span>${started}${duration}${trigger}</span>
+                        ${run.result ? `<div class="schedule-run-result">${this.escapeHtml(run.result)}</div>` : ''}
+                    </div>
+                `;
+            }).join(''));
+        runsElement.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading schedule runs:', error);
+        this.addLogEntry('error', `Failed to load runs: ${error.message}`);
+    }
 }
 
 // Handle schedule voice commands
 handleScheduleVoiceCommand(command) {
-    // Parse voice command for scheduling
-    // Examples: "schedule 'list files' at 5 PM", "run 'check memory' every day at 9 AM"
+    // A bare "schedule": commands with a time ("schedule list files every day at 9am") are parsed by the backend
     
     this.addLogEntry('info', 'Processing schedule voice command...');
-    this.speakText('I can help you schedule commands. Please use the form to specify the exact command and time.');
+    this.speakText('Say the command and when, like schedule list files every weekday at 9 AM, or use the form.');
     
     // Show the scheduler form
     this.showSchedulerForm();
@@ -1053,6 +1818,215 @@ async showScheduledTasks() {
     }
 }
 
+// Macro Management Methods
+
+// Load macros from backend
+async loadMacros() {
+    try {
+        const response = await this.authenticatedFetch(`${this.backendUrl}/macros`);
+        const result = await response.json();
+        
+        if (result.status === 'success') {
+            this.macros = result.data.macros;
+            this.displayMacros(result.data.macros);
+        } else {
+            this.addLogEntry('error', `Failed to load macros: ${result.message}`);
+        }
+    } catch (error) {
+        console.error('Error loading macros:', error);
+        this.addLogEntry('error', `Failed to load macros: ${error.message}`);
+    }
+}
+
+// Display macros in the UI
+displayMacros(macros) {
+    if (!macros || macros.length === 0) {
+        this.macroList.innerHTML = `
+            <div class="scheduler-empty">
+                <p>No macros yet</p>
+                <p>Click "Macro" or say "create macro morning setup as list files then df"</p>
+            </div>
+        `;
+        return;
+    }
+
+    this.macroList.innerHTML = macros.map((macro, index) => this.createMacroItem(macro, index)).join('');
+}
+
+// Create a macro item element (buttons refer to the macro by its index in this.macros)
+createMacroItem(macro, index) {
+    const policy = macro.onError === 'continue' ? 'Continues after errors' : 'Stops at the first error';
+    const parameters = macro.parameters ? ` · ${macro.parameters} argument${macro.parameters === 1 ? '' : 's'}` : '';
+
+    return `
+        <div class="schedule-item macro-item">
+            <div class="schedule-status active">▶️</div>
+            <div class="schedule-content">
+                <div class="schedule-command">${this.escapeHtml(macro.name)}</div>
+                <div class="schedule-time">${macro.commands.map(command => this.escapeHtml(command)).join(' → ')}</div>
+                <div class="schedule-repeat">${policy}${parameters}</div>
+                ${macro.description ? `<div class="schedule-description">${this.escapeHtml(macro.description)}</div>` : ''}
+            </div>
+            <div class="schedule-actions">
+                <button class="schedule-action view" onclick="voiceCommand.runMacro(${index})" title="Run macro">
+                    <span>▶️</span> Run
+                </button>
+                <button class="schedule-action view" onclick="voiceCommand.scheduleMacro(${index})" title="Schedule macro">
+                    <span>⏰</span> Schedule
+                </button>
+                <button class="schedule-action cancel" onclick="voiceCommand.deleteMacro(${index})" title="Delete macro">
+                    <span>🗑️</span> Delete
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Show macro form
+showMacroForm() {
+    this.macroForm.style.display = 'block';
+    document.getElementById('macroName').focus();
+}
+
+// Hide macro form
+hideMacroForm() {
+    this.macroForm.style.display = 'none';
+    document.getElementById('macroName').value = '';
+    document.getElementById('macroCommands').value = '';
+    document.getElementById('macroOnError').value = 'stop';
+    document.getElementById('macroDescription').value = '';
+}
+
+// Ask for the $1..$N values of a macro; null when cancelled
+askMacroArguments(macro) {
+    if (!macro.parameters) return [];
+    const answer = prompt(`Arguments for "${macro.name}" ($1 to $${macro.parameters}), separated by spaces:`);
+    if (answer === null) return null;
+    return answer.match(/"[^"]*"|\S+/g)?.map(arg => arg.replace(/^"(.*)"$/, '$1')) || [];
+}
+
+// Create a macro from the form, or from the ticked history commands
+async createMacro() {
+    try {
+        const name = document.getElementById('macroName').value.trim();
+        const commands = document.getElementById('macroCommands').value.split('\n').map(line => line.trim()).filter(Boolean);
+        const historyIds = [...document.querySelectorAll('.history-select:checked')].map(box => box.value);
+        
+        if (!name) {
+            this.addLogEntry('error', 'Please enter a name for the macro');
+            return;
+        }
+        if (commands.length === 0 && historyIds.length === 0) {
+            this.addLogEntry('error', 'Enter some commands or tick commands in the history');
+            return;
+        }
+        
+        const response = await this.authenticatedFetch(`${this.backendUrl}/macros`, {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                ...(commands.length > 0 ? { commands } : { historyIds }),
+                onError: document.getElementById('macroOnError').value,
+                description: document.getElementById('macroDescription').value.trim()
+            })
+        });
+        const result = await response.json();
+        
+        if (result.status === 'success') {
+            this.addLogEntry('success', result.message);
+            this.speakText(result.message);
+            this.hideMacroForm();
+            document.querySelectorAll('.history-select:checked').forEach(box => { box.checked = false; });
+            await this.loadMacros();
+        } else {
+            this.addLogEntry('error', `Failed to create macro: ${this.escapeHtml(result.message)}`);
+            this.speakText(`Failed to create macro: ${result.message}`);
+        }
+    } catch (error) {
+        console.error('Error creating macro:', error);
+        this.addLogEntry('error', `Failed to create macro: ${error.message}`);
+    }
+}
+
+// Run a macro now
+async runMacro(index) {
+    const macro = this.macros[index];
+    const args = this.askMacroArguments(macro);
+    if (args === null) return;
+    
+    try {
+        this.addLogEntry('info', `Running macro ${this.escapeHtml(macro.name)}...`);
+        const response = await this.authenticatedFetch(`${this.backendUrl}/macros/${encodeURIComponent(macro.name)}/run`, {
+            method: 'POST',
+            body: JSON.stringify({ args })
+        });
+        this.displayBackendResponse(await response.json());
+        await this.loadCommandHistory();
+    } catch (error) {
+        console.error('Error running macro:', error);
+        this.addLogEntry('error', `Failed to run macro: ${error.message}`);
+    }
+}
+
+// Schedule a macro with the time and repeat chosen in the scheduler form
+async scheduleMacro(index) {
+    const macro = this.macros[index];
+    const custom = document.getElementById('scheduleRepeat').value === 'custom';
+    if (!document.getElementById(custom ? 'scheduleWhen' : 'scheduleTime').value.trim()) {
+        this.showSchedulerForm();
+        this.addLogEntry('info', `Pick when to run in the scheduler form, then click Schedule on "${this.escapeHtml(macro.name)}" again`);
+        return;
+    }
+    const timing = this.getScheduleTiming();
+    const args = this.askMacroArguments(macro);
+    if (args === null) return;
+    
+    try {
+        const response = await this.authenticatedFetch(`${this.backendUrl}/macros/${encodeURIComponent(macro.name)}/schedule`, {
+            method: 'POST',
+            body: JSON.stringify({ ...timing, args })
+        });
+        const result = await response.json();
+        
+        if (result.status === 'success') {
+            this.addLogEntry('success', `Macro ${this.escapeHtml(macro.name)}: ${this.escapeHtml(result.message)}`);
+            this.speakText(`Macro ${macro.name} scheduled`);
+            this.hideSchedulerForm();
+            await this.loadSchedules();
+        } else {
+            this.addLogEntry('error', `Failed to schedule macro: ${this.escapeHtml(result.message)}`);
+        }
+    } catch (error) {
+        console.error('Error scheduling macro:', error);
+        this.addLogEntry('error', `Failed to schedule macro: ${error.message}`);
+    }
+}
+
+// Delete a macro
+async deleteMacro(index) {
+    const macro = this.macros[index];
+    if (!confirm(`Delete the macro "${macro.name}"?`)) {
+        return;
+    }
+    
+    try {
+        const response = await this.authenticatedFetch(`${this.backendUrl}/macros/${encodeURIComponent(macro.name)}/delete`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+        
+        if (result.status === 'success') {
+            this.addLogEntry('success', result.message);
+            await this.loadMacros();
+        } else {
+            this.addLogEntry('error', `Failed to delete macro: ${this.escapeHtml(result.message)}`);
+        }
+    } catch (error) {
+        console.error('Error deleting macro:', error);
+        this.addLogEntry('error', `Failed to delete macro: ${error.message}`);
+    }
+}
+
 // Handle authentication voice commands
 handleAuthVoiceCommand(command) {
     this.addLogEntry('info', 'Processing authentication voice command...');
@@ -1096,6 +2070,7 @@ async checkAuthentication() {
             
             // Connect to WebSocket
             this.connectWebSocket();
+            this.loadFileBrowser('.');
             
             return true;
         } else {
@@ -1152,6 +2127,8 @@ async handleLogin() {
             // Load user-specific data
             await this.loadCommandHistory();
             await this.loadSchedules();
+            await this.loadMacros();
+            await this.loadFileBrowser('.');
         } else {
             this.addLogEntry('error', `Login failed: ${result.message}`);
             this.speakText('Login failed. Please check your credentials.');
@@ -1287,6 +2264,11 @@ clearAllData() {
     
     this.updateHistoryStats({ total: 0, success: 0, error: 0, blocked: 0 });
     this.updateSchedulerStats({ total: 0, active: 0, completed: 0, cancelled: 0 });
+    
+    this.currentDir = '.';
+    this.fileEntries = [];
+    this.fileBreadcrumbs.innerHTML = '';
+    this.fileList.innerHTML = '';
 }
 
 // Override fetch to include auth token
@@ -1394,6 +2376,46 @@ handleWebSocketMessage(data) {
             this.handleLogEvent(data.data);
             break;
             
+        case 'jobOutput':
+            this.handleJobOutputEvent(data.data);
+            break;
+            
+        case 'jobFinished':
+            this.handleJobFinishedEvent(data.data);
+            break;
+            
+        case 'jobCancelled':
+            this.addLiveEvent('system', 'Job cancelled', data.data.message);
+            break;
+            
+        case 'confirmationRequired':
+            this.addLiveEvent('warning', 'Waiting for confirmation', data.data.description);
+            break;
+            
+        case 'fileProgress':
+            this.handleFileProgressEvent(data.data);
+            break;
+            
+        case 'fileChanged':
+            this.handleFileChangedEvent(data.data);
+            break;
+            
+        case 'fileAppeared':
+            this.handleFileAppearedEvent(data.data);
+            break;
+            
+        case 'ptyOpened':
+            this.handlePtyOpenedEvent(data.data);
+            break;
+            
+        case 'ptyOutput':
+            this.handlePtyOutputEvent(data.data);
+            break;
+            
+        case 'ptyExit':
+            this.handlePtyExitEvent(data.data);
+            break;
+            
         case 'historyUpdated':
             this.handleHistoryUpdatedEvent(data.data);
             break;
@@ -1423,6 +2445,9 @@ handleCommandExecutedEvent(data) {
     // Update command history in real-time
     this.loadCommandHistory();
     
+    // Commands may have changed files
+    this.scheduleFileBrowserRefresh();
+    
     // Speak result if TTS is enabled
     if (data.status === 'success' && data.result) {
         this.speakText(data.result);
@@ -1444,11 +2469,12 @@ handleMemoryUpdatedEvent(data) {
 
 // Handle schedule triggered event
 handleScheduleTriggeredEvent(data) {
-    this.addLiveEvent('scheduleTriggered', `Scheduled: ${data.command}`, 
+    this.addLiveEvent('scheduleTriggered', `Scheduled: ${this.escapeHtml(data.command)}`, 
         `Result: ${data.result.substring(0, 100)}${data.result.length > 100 ? '...' : ''}`);
     
-    // Update schedules in real-time
+    // Update schedules and history in real-time (the run is in the history as a scheduled command)
     this.loadSchedules();
+    this.loadCommandHistory();
     
     // Speak schedule result
     this.speakText(`Scheduled command executed: ${data.result}`);
@@ -1468,11 +2494,160 @@ handleHistoryUpdatedEvent(data) {
     this.loadCommandHistory();
 }
 
+// Handle progress of a large folder delete, copy or move (one live event, updated in place)
+handleFileProgressEvent(data) {
+    const percent = data.itemsTotal > 0 ? Math.floor(data.itemsDone / data.itemsTotal * 100) : 100;
+    const message = data.done
+        ? `Finished ${data.itemsTotal} items`
+        : `${data.itemsDone} of ${data.itemsTotal} items (${percent}%)`;
+    
+    this.fileProgressEvents = this.fileProgressEvents || new Map();
+    const existing = this.fileProgressEvents.get(data.id);
+    if (existing && existing.isConnected) {
+        existing.querySelector('.live-event-message').textContent = message;
+    } else {
+        this.addLiveEvent('system', `Folder ${data.operation}: ${data.path}`, message);
+        this.fileProgressEvents.set(data.id, this.liveEventsList.firstChild);
+    }
+    if (data.done) {
+        this.fileProgressEvents.delete(data.id);
+        this.scheduleFileBrowserRefresh();
+    }
+}
+
+// Handle changes in the workspace (from any session, scheduled job or program)
+handleFileChangedEvent(data) {
+    const icons = { created: '➕', modified: '✏️', deleted: '➖' };
+    const shown = data.changes.slice(0, 5).map(change => `${icons[change.change]} ${change.path}`).join(', ');
+    const more = data.changes.length > 5 || data.truncated ? ' and more' : '';
+    this.addLiveEvent('system', `Files changed (${data.changes.length}${data.truncated ? '+' : ''})`, `${shown}${more}`);
+    
+    // Refresh the file browser when the folder it shows (or a folder in it) changed
+    const affectsCurrentDir = data.truncated || data.changes.some(change => {
+        const parent = change.path.includes('/') ? change.path.slice(0, change.path.lastIndexOf('/')) : '.';
+        return parent === this.currentDir || change.path === this.currentDir;
+    });
+    if (affectsCurrentDir) {
+        this.scheduleFileBrowserRefresh();
+    }
+}
+
+// Handle a file the user asked to be told about ("tell me when report.pdf appears")
+handleFileAppearedEvent(data) {
+    this.addLiveEvent('commandExecuted', 'File appeared', `'${data.path}' is here`);
+    this.addLogEntry('success', `👀 ${this.escapeHtml(data.path)} has appeared`);
+    this.speakText(`${data.pattern} has appeared`);
+}
+
 // Handle system status event
 handleSystemStatusEvent(data) {
     this.addLiveEvent('system', `System: ${data.status}`, data.message);
 }
 
+// Send a message over the WebSocket if it is connected
+sendWebSocketMessage(message) {
+    if (this.ws && this.wsConnected) {
+        this.ws.send(JSON.stringify(message));
+    }
+}
+
+// Create the terminal emulator on first use
+ensureTerminal() {
+    if (this.terminal) {
+        return this.terminal;
+    }
+    
+    if (typeof Terminal === 'undefined') {
+        this.addLogEntry('error', '⚠️ Terminal emulator failed to load; interactive programs cannot be shown');
+        return null;
+    }
+    
+    this.terminal = new Terminal({ cols: 100, rows: 28, cursorBlink: true, convertEol: false });
+    this.terminal.open(this.terminalContainer);
+    
+    // Keystrokes go to the session that is shown
+    this.terminal.onData((input) => {
+        if (this.activePtySession) {
+            this.sendWebSocketMessage({ type: 'ptyInput', sessionId: this.activePtySession, data: input });
+        }
+    });
+    
+    return this.terminal;
+}
+
+// Show a new terminal session and size it to the pane
+handlePtyOpenedEvent(data) {
+    const terminal = this.ensureTerminal();
+    if (!terminal) {
+        return;
+    }
+    
+    this.ptySessions.set(data.sessionId, { command: data.command, buffer: '' });
+    
+    const option = document.createElement('option');
+    option.value = data.sessionId;
+    option.textContent = data.command;
+    this.terminalSessions.appendChild(option);
+    
+    this.terminalPane.style.display = 'block';
+    this.showPtySession(data.sessionId);
+    this.sendWebSocketMessage({ type: 'ptyResize', sessionId: data.sessionId, cols: terminal.cols, rows: terminal.rows });
+    this.addLiveEvent('system', 'Terminal opened', data.command);
+}
+
+// Switch the terminal to another session, replaying what it printed so far
+showPtySession(sessionId) {
+    const session = this.ptySessions.get(sessionId);
+    if (!session || !this.terminal) {
+        return;
+    }
+    
+    this.activePtySession = sessionId;
+    this.terminalSessions.value = sessionId;
+    this.terminal.reset();
+    this.terminal.write(session.buffer);
+    this.terminal.focus();
+}
+
+// Write terminal output, keeping a bounded replay buffer per session
+handlePtyOutputEvent(data) {
+    const session = this.ptySessions.get(data.sessionId);
+    if (!session) {
+        return;
+    }
+    
+    session.buffer = (session.buffer + data.data).slice(-100000);
+    if (data.sessionId === this.activePtySession && this.terminal) {
+        this.terminal.write(data.data);
+    }
+}
+
+// Remove a finished session and hide the pane when none are left
+handlePtyExitEvent(data) {
+    const session = this.ptySessions.get(data.sessionId);
+    if (!session) {
+        return;
+    }
+    
+    this.ptySessions.delete(data.sessionId);
+    const option = this.terminalSessions.querySelector(`option[value="${data.sessionId}"]`);
+    if (option) {
+        option.remove();
+    }
+    this.addLogEntry('info', `🖥️ "${this.escapeHtml(session.command)}" exited`);
+    
+    if (data.sessionId === this.activePtySession) {
+        this.activePtySession = null;
+        const next = this.ptySessions.keys().next();
+        if (next.done) {
+            this.terminal.reset();
+            this.terminalPane.style.display = 'none';
+        } else {
+            this.showPtySession(next.value);
+        }
+    }
+}
+
 // Update connection status UI
 updateConnectionStatus(connected) {
     if (connected) {
@@ -1575,5 +2750,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Load user-specific data
         await voiceCommand.loadCommandHistory();
         await voiceCommand.loadSchedules();
+        await voiceCommand.loadMacros();
     }
 });
\ No newline at end of file